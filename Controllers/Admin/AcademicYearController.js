@@ -0,0 +1,188 @@
+const AcademicYear = require('../../Models/AcademicYear');
+const CreditSnapshot = require('../../Models/CreditSnapshot');
+const Credit = require('../../Models/Credit');
+const { connectDB } = require('../../config/db');
+const { schemas } = require('../../utils/validation');
+const { parseLimit } = require('../../utils/pagination');
+const { readExpectedVersion, checkVersion } = require('../../utils/versioning');
+const { currentCycle } = require('../../utils/academicYears');
+const { queueYearSnapshots } = require('../../utils/yearSnapshots');
+
+/**
+ * List academic years, newest first (archived ones only for admins)
+ * GET /api/v1/admin/academic-years
+ */
+async function listAcademicYears(req, res, next) {
+  try {
+    await connectDB();
+    let items = await AcademicYear.find();
+    if (req.user.role !== 'admin') items = items.filter((c) => c.state !== 'archived');
+    items.sort((a, b) => String(b.startDate).localeCompare(String(a.startDate)));
+
+    const current = currentCycle(items);
+    return res.json({ success: true, total: items.length, current: current ? current.label : null, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Create an academic year
+ * POST /api/v1/admin/academic-years
+ * Body: { label: '2025-2026', startDate, endDate, submissionDeadline?, appealDeadline?, state? }
+ */
+async function createAcademicYear(req, res, next) {
+  try {
+    await connectDB();
+
+    const { error, value } = schemas.academicYear.create.validate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error.details[0].message });
+
+    if (await AcademicYear.findByLabel(value.label)) {
+      return res.status(409).json({ success: false, message: `Academic year ${value.label} already exists` });
+    }
+
+    const cycle = await AcademicYear.create({ ...value, createdBy: String(req.user._id) });
+    return res.status(201).json({ success: true, data: cycle });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Update dates or state. `state: 'locked'` freezes every credit of the year.
+ * PUT /api/v1/admin/academic-years/:id
+ * Body: { startDate?, endDate?, submissionDeadline?, appealDeadline?, state?, version?, reason? }
+ */
+async function updateAcademicYear(req, res, next) {
+  try {
+    await connectDB();
+
+    const { error, value } = schemas.academicYear.update.validate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error.details[0].message });
+
+    const existing = await AcademicYear.findById(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Academic year not found' });
+
+    const { version, reason, ...updates } = value;
+    const start = updates.startDate || existing.startDate;
+    const end = updates.endDate || existing.endDate;
+    if (new Date(end) < new Date(start)) {
+      return res.status(400).json({ success: false, message: 'endDate must not be before startDate' });
+    }
+
+    const updated = await AcademicYear.update(req.params.id, {
+      ...updates,
+      updatedAt: new Date().toISOString(),
+    }, { expectedVersion: checkVersion(existing, readExpectedVersion(req)), reason });
+
+    return res.json({ success: true, data: updated });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Delete an academic year that has no credits (archive it otherwise)
+ * DELETE /api/v1/admin/academic-years/:id
+ */
+async function deleteAcademicYear(req, res, next) {
+  try {
+    await connectDB();
+    const existing = await AcademicYear.findById(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Academic year not found' });
+
+    const credits = await Credit.find({ academicYear: existing.label });
+    if (credits.length > 0) {
+      return res.status(409).json({ success: false, message: `Academic year ${existing.label} has ${credits.length} credits; archive it instead` });
+    }
+
+    await AcademicYear.delete(req.params.id);
+    return res.json({ success: true, message: 'Academic year deleted' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Close a year and open the next one
+ * POST /api/v1/admin/academic-years/:id/rollover
+ * Body: { label, startDate, endDate, submissionDeadline?, appealDeadline?, version? }
+ *
+ * 1. locks the current year and records the rollover in one conditional
+ *    write (409 if the year changed meanwhile, e.g. a concurrent rollover)
+ * 2. opens the next year (created, or re-opened if it already exists)
+ * 3. queues the snapshot of every faculty's totals (utils/yearSnapshots);
+ *    answers 202, follow `snapshotStatus` on the year
+ * Re-running a rollover refreshes the snapshots.
+ */
+async function rolloverAcademicYear(req, res, next) {
+  try {
+    await connectDB();
+
+    const cycle = await AcademicYear.findById(req.params.id);
+    if (!cycle) return res.status(404).json({ success: false, message: 'Academic year not found' });
+    if (cycle.state === 'archived') return res.status(400).json({ success: false, message: 'Archived years cannot be rolled over' });
+
+    const { version, ...body } = req.body;
+    const { error, value } = schemas.academicYear.create.validate({ ...body, state: undefined });
+    if (error) return res.status(400).json({ success: false, message: error.details[0].message });
+    if (value.label === cycle.label) return res.status(400).json({ success: false, message: 'The next year needs a different label' });
+
+    // 1️⃣ Lock first so nothing changes while totals are snapshotted
+    const now = new Date().toISOString();
+    const locked = await AcademicYear.update(cycle._id, {
+      state: 'locked',
+      lockedAt: cycle.state === 'locked' && cycle.lockedAt ? cycle.lockedAt : now,
+      rolledOverTo: value.label,
+      rolledOverAt: now,
+      rolledOverBy: String(req.user._id),
+      snapshotStatus: 'queued',
+      updatedAt: now,
+    }, { expectedVersion: checkVersion(cycle, readExpectedVersion(req)), reason: `Rollover to ${value.label}` });
+
+    // 2️⃣ Open the next year
+    const existingNext = await AcademicYear.findByLabel(value.label);
+    const opened = existingNext
+      ? await AcademicYear.update(existingNext._id, { ...value, state: 'open', updatedAt: new Date().toISOString() }, { reason: `Rollover from ${cycle.label}` })
+      : await AcademicYear.create({ ...value, state: 'open', createdBy: String(req.user._id) });
+
+    // 3️⃣ Snapshot totals outside the request
+    queueYearSnapshots(locked);
+
+    return res.status(202).json({
+      success: true,
+      message: `Academic year ${cycle.label} locked, ${opened.label} opened; snapshots are being taken`,
+      data: { closed: cycle.label, opened, snapshotStatus: locked.snapshotStatus },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Faculty totals frozen by a rollover
+ * GET /api/v1/admin/academic-years/:id/snapshots?limit=&cursor=
+ */
+async function listAcademicYearSnapshots(req, res, next) {
+  try {
+    await connectDB();
+    const cycle = await AcademicYear.findById(req.params.id);
+    if (!cycle) return res.status(404).json({ success: false, message: 'Academic year not found' });
+
+    const limit = parseLimit(req.query.limit);
+    const { items, nextCursor } = await CreditSnapshot.findPage({ academicYear: cycle.label }, { limit, cursor: req.query.cursor });
+    return res.json({ success: true, academicYear: cycle.label, snapshotStatus: cycle.snapshotStatus || null, limit, nextCursor, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listAcademicYears,
+  createAcademicYear,
+  updateAcademicYear,
+  deleteAcademicYear,
+  rolloverAcademicYear,
+  listAcademicYearSnapshots,
+};
@@ -0,0 +1,93 @@
+const ApprovalWorkflow = require('../../Models/ApprovalWorkflow');
+const { connectDB } = require('../../config/db');
+const { schemas } = require('../../utils/validation');
+const { readExpectedVersion, checkVersion } = require('../../utils/versioning');
+
+/**
+ * List approval workflows
+ * GET /api/v1/admin/approval-workflows
+ */
+async function listApprovalWorkflows(req, res, next) {
+  try {
+    await connectDB();
+    const items = await ApprovalWorkflow.find();
+    items.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    return res.json({ success: true, total: items.length, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Create an approval workflow
+ * POST /api/v1/admin/approval-workflows
+ * Body: { college?, department?, creditTitle?, stages: ['hod', 'principal', 'iqac'] }
+ * Leave college/department/creditTitle empty to match every credit (the default chain).
+ */
+async function createApprovalWorkflow(req, res, next) {
+  try {
+    await connectDB();
+
+    const { error, value } = schemas.approvalWorkflow.create.validate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error.details[0].message });
+
+    const wf = await ApprovalWorkflow.create({
+      ...value,
+      createdBy: String(req.user._id),
+    });
+
+    return res.status(201).json({ success: true, data: wf });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Update an approval workflow (credits already in review keep their stages)
+ * PUT /api/v1/admin/approval-workflows/:id
+ */
+async function updateApprovalWorkflow(req, res, next) {
+  try {
+    await connectDB();
+
+    const { error, value } = schemas.approvalWorkflow.update.validate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error.details[0].message });
+
+    const existing = await ApprovalWorkflow.findById(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Approval workflow not found' });
+
+    const { version, ...updates } = value;
+    const updated = await ApprovalWorkflow.update(req.params.id, {
+      ...updates,
+      updatedAt: new Date().toISOString(),
+    }, { expectedVersion: checkVersion(existing, readExpectedVersion(req)) });
+
+    return res.json({ success: true, data: updated });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Delete an approval workflow
+ * DELETE /api/v1/admin/approval-workflows/:id
+ */
+async function deleteApprovalWorkflow(req, res, next) {
+  try {
+    await connectDB();
+    const existing = await ApprovalWorkflow.findById(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Approval workflow not found' });
+
+    await ApprovalWorkflow.delete(req.params.id);
+    return res.json({ success: true, message: 'Approval workflow deleted' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listApprovalWorkflows,
+  createApprovalWorkflow,
+  updateApprovalWorkflow,
+  deleteApprovalWorkflow,
+};
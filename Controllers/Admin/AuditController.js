@@ -0,0 +1,88 @@
+const AuditLog = require('../../Models/AuditLog');
+const Credit = require('../../Models/Credit');
+const { connectDB } = require('../../config/db');
+const { parseLimit } = require('../../utils/pagination');
+const { withSignedLinks } = require('../../utils/assetLinks');
+
+const ENTITIES = ['credit', 'creditTitle', 'user', 'asset', 'shortUrl', 'academicYear'];
+
+/**
+ * List audit entries, newest first
+ * GET /api/v1/admin/audit?entity=&id=&actor=&action=&limit=&cursor=
+ * `id` needs `entity`. Always cursor-paged: pass back `nextCursor` as `cursor`.
+ */
+async function listAuditLogs(req, res, next) {
+  try {
+    await connectDB();
+    const { entity, id, actor, action, limit, cursor } = req.query;
+
+    if (entity && !ENTITIES.includes(entity)) {
+      return res.status(400).json({ success: false, message: `Invalid entity. Allowed: ${ENTITIES.join(', ')}` });
+    }
+    if (id && !entity) {
+      return res.status(400).json({ success: false, message: 'entity is required when filtering by id' });
+    }
+
+    const filter = {};
+    if (entity && id) filter.entityKey = AuditLog.entityKey(entity, String(id));
+    else if (entity) filter.entity = entity;
+    if (actor) filter.actor = String(actor);
+    if (action) filter.action = String(action);
+
+    const { items, nextCursor } = await AuditLog.findPage(filter, {
+      limit: parseLimit(limit),
+      cursor,
+      descending: true,
+    });
+
+    return res.json({ success: true, limit: parseLimit(limit), nextCursor, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Full history of one credit, oldest first (also works for deleted credits)
+ * GET /api/v1/admin/credits/:creditId/timeline
+ * An OA only sees credits it issued, without the actors' IPs.
+ */
+async function getCreditTimeline(req, res, next) {
+  try {
+    await connectDB();
+    const { creditId } = req.params;
+
+    const [credit, entries] = await Promise.all([
+      Credit.findById(creditId),
+      AuditLog.find({ entityKey: AuditLog.entityKey('credit', String(creditId)) }),
+    ]);
+    if (!credit && entries.length === 0) {
+      return res.status(404).json({ success: false, message: 'Credit not found' });
+    }
+    const isAdmin = req.user.role === 'admin';
+    if (!isAdmin && (!credit || String(credit.issuedBy) !== String(req.user._id))) {
+      return res.status(403).json({ success: false, message: 'You can only view credits you issued' });
+    }
+
+    entries.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    const events = entries.map((e) => ({
+      at: e.createdAt,
+      action: e.action,
+      actor: e.actor,
+      actorRole: e.actorRole,
+      actorName: e.actorName,
+      ...(isAdmin ? { ip: e.ip } : {}),
+      reason: e.reason,
+      changes: e.changes,
+      version: e.version,
+    }));
+
+    return res.json({ success: true, data: { creditId, current: credit && withSignedLinks(credit, req.user), events } });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listAuditLogs,
+  getCreditTimeline,
+};
@@ -0,0 +1,73 @@
+const { connectDB } = require('../../config/db');
+const {
+  parseSheet,
+  validateRows,
+  issueRows,
+  pendingNotifications,
+} = require('../../utils/bulkNegativeCredits');
+const { withoutStorageDetails } = require('../../utils/assetLinks');
+
+async function readUpload(req) {
+  if (!req.file) {
+    const err = new Error('Upload an XLSX or CSV file as "file"');
+    err.status = 400;
+    throw err;
+  }
+  return validateRows(parseSheet(req.file.buffer));
+}
+
+/**
+ * Dry run of a bulk negative credit sheet
+ * POST /api/v1/admin/credits/negative/bulk/preview
+ * Multipart: file (XLSX/CSV with facultyID, creditTitleId, academicYear, notes?, points?, inputs?)
+ * Validates every row and returns the points each would get. Nothing is saved.
+ */
+async function previewBulkNegativeCredits(req, res, next) {
+  try {
+    await connectDB();
+    const { entries, ...preview } = await readUpload(req);
+    return res.json({ success: true, message: `${preview.valid} of ${preview.total} rows are valid`, data: preview });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Issue every row of a bulk negative credit sheet
+ * POST /api/v1/admin/credits/negative/bulk
+ * Multipart: file (same sheet as the preview)
+ * The sheet is validated again; if any row is invalid nothing is issued (422
+ * with the preview). Remark notifications are queued and sent one by one.
+ */
+async function commitBulkNegativeCredits(req, res, next) {
+  try {
+    await connectDB();
+    const { entries, ...preview } = await readUpload(req);
+    if (preview.invalid > 0) {
+      return res.status(422).json({
+        success: false,
+        message: `${preview.invalid} of ${preview.total} rows are invalid; nothing was issued`,
+        data: preview,
+      });
+    }
+
+    const { batchId, results, credits } = await issueRows(entries, req.user);
+
+    const io = req.app?.locals?.io;
+    if (io) credits.forEach((credit) => io.emit('credit:negative:new', { facultyId: credit.faculty, credit: withoutStorageDetails(credit) }));
+
+    const issued = credits.length;
+    return res.status(issued === results.length ? 201 : 207).json({
+      success: issued === results.length,
+      message: `Issued ${issued} of ${results.length} negative credits`,
+      data: { batchId, issued, failed: results.length - issued, notificationsQueued: pendingNotifications(), results },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  previewBulkNegativeCredits,
+  commitBulkNegativeCredits,
+};
@@ -0,0 +1,39 @@
+const { connectDB } = require('../../config/db');
+const { runConsistencyCheck, latestConsistencyReport } = require('../../utils/creditConsistency');
+
+/**
+ * Last credit totals consistency report
+ * GET /api/v1/admin/consistency/credit-totals
+ */
+async function getCreditTotalsReport(req, res, next) {
+  try {
+    await connectDB();
+    const report = await latestConsistencyReport();
+    if (!report) return res.status(404).json({ success: false, message: 'No consistency check has run yet' });
+    return res.json({ success: true, data: report });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Run the credit totals consistency check now
+ * POST /api/v1/admin/consistency/credit-totals
+ * Body: { repair?: boolean }
+ * Checks every faculty; 409 while another check is running.
+ */
+async function runCreditTotalsCheck(req, res, next) {
+  try {
+    await connectDB();
+    const repair = req.body.repair === true || req.body.repair === 'true';
+    const report = await runConsistencyCheck({ repair, trigger: 'admin' });
+    return res.json({ success: true, message: `${report.drifted} of ${report.checked} faculty drifted`, data: report });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getCreditTotalsReport,
+  runCreditTotalsCheck,
+};
@@ -0,0 +1,104 @@
+const CreditCap = require('../../Models/CreditCap');
+const CreditTitle = require('../../Models/CreditTitle');
+const { connectDB } = require('../../config/db');
+const { schemas } = require('../../utils/validation');
+const { readExpectedVersion, checkVersion } = require('../../utils/versioning');
+
+/**
+ * List credit caps
+ * GET /api/v1/admin/credit-caps
+ */
+async function listCreditCaps(req, res, next) {
+  try {
+    await connectDB();
+    const items = await CreditCap.find();
+    items.sort((a, b) => a.scope.localeCompare(b.scope) || (a.createdAt || '').localeCompare(b.createdAt || ''));
+    return res.json({ success: true, total: items.length, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Create a credit cap
+ * POST /api/v1/admin/credit-caps
+ * Body: { scope: 'title', creditTitle, maxPoints, academicYear? }
+ *     | { scope: 'category', category, maxPoints, academicYear? }
+ *     | { scope: 'year', maxPoints?, minPoints?, academicYear? }
+ * Totals change on the faculty's next recalculation.
+ */
+async function createCreditCap(req, res, next) {
+  try {
+    await connectDB();
+
+    const { error, value } = schemas.creditCap.create.validate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error.details[0].message });
+
+    if (value.scope === 'title' && !(await CreditTitle.findById(value.creditTitle))) {
+      return res.status(404).json({ success: false, message: 'Credit title not found' });
+    }
+
+    const cap = await CreditCap.create({
+      ...value,
+      academicYear: value.academicYear || undefined,
+      createdBy: String(req.user._id),
+    });
+
+    return res.status(201).json({ success: true, data: cap });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Update a credit cap (scope and target are fixed; create a new cap instead)
+ * PUT /api/v1/admin/credit-caps/:id
+ */
+async function updateCreditCap(req, res, next) {
+  try {
+    await connectDB();
+
+    const { error, value } = schemas.creditCap.update.validate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error.details[0].message });
+
+    const existing = await CreditCap.findById(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Credit cap not found' });
+    if (existing.scope !== 'year' && (value.minPoints !== undefined || value.maxPoints === null)) {
+      return res.status(400).json({ success: false, message: 'Title and category caps only take maxPoints' });
+    }
+
+    const { version, ...updates } = value;
+    const updated = await CreditCap.update(req.params.id, {
+      ...updates,
+      updatedAt: new Date().toISOString(),
+    }, { expectedVersion: checkVersion(existing, readExpectedVersion(req)) });
+
+    return res.json({ success: true, data: updated });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Delete a credit cap
+ * DELETE /api/v1/admin/credit-caps/:id
+ */
+async function deleteCreditCap(req, res, next) {
+  try {
+    await connectDB();
+    const existing = await CreditCap.findById(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Credit cap not found' });
+
+    await CreditCap.delete(req.params.id);
+    return res.json({ success: true, message: 'Credit cap deleted' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listCreditCaps,
+  createCreditCap,
+  updateCreditCap,
+  deleteCreditCap,
+};
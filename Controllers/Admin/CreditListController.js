@@ -2,52 +2,56 @@ const Credit = require('../../Models/Credit');
 const CreditTitle = require('../../Models/CreditTitle');
 const User = require('../../Models/User');
 const { connectDB } = require('../../config/db');
+const { parseLimit, wantsCursor, badRequest } = require('../../utils/pagination');
+const { withSignedLinks, withSignedLinksAll } = require('../../utils/assetLinks');
 
 /**
- * Filter Helper
+ * Filter Helper: builds a predicate for the in-memory filters so the same
+ * rules apply to a full list and to one cursor page.
  */
-function applyMemoryFilters(items, query) {
-  let filtered = items;
-  const { status, fromDate, toDate, pointsMin, pointsMax, categories, hasProof, hasAppeal, search } = query;
-
-  if (status) {
-    const wanted = status.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
-    filtered = filtered.filter(it => wanted.includes(String(it.status || '').toLowerCase()));
-  }
+function buildMemoryPredicate(query) {
+  const { status, fromDate, toDate, pointsMin, pointsMax, search } = query;
 
-  // Date Range
+  const wanted = status ? status.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : null;
   const start = fromDate ? new Date(fromDate) : null;
   const end = toDate ? new Date(toDate) : null;
-  if (start || end) {
-    filtered = filtered.filter(it => {
+  const hasPoints = pointsMin !== undefined || pointsMax !== undefined;
+  const min = pointsMin !== undefined ? Number(pointsMin) : -Infinity;
+  const max = pointsMax !== undefined ? Number(pointsMax) : Infinity;
+  const q = search ? search.toLowerCase() : null;
+
+  return (it) => {
+    // Drafts belong to the faculty until submitted
+    if (it.status === 'draft') return false;
+    if (wanted && !wanted.includes(String(it.status || '').toLowerCase())) return false;
+
+    // Date Range
+    if (start || end) {
       const d = it.createdAt ? new Date(it.createdAt) : null;
       if (!d) return false;
-      return (!start || d >= start) && (!end || d <= end);
-    });
-  }
+      if ((start && d < start) || (end && d > end)) return false;
+    }
 
-  // Points
-  if (pointsMin !== undefined || pointsMax !== undefined) {
-    const min = pointsMin !== undefined ? Number(pointsMin) : -Infinity;
-    const max = pointsMax !== undefined ? Number(pointsMax) : Infinity;
-    filtered = filtered.filter(it => {
+    // Points
+    if (hasPoints) {
       const p = Number(it.points || 0);
-      return !isNaN(p) && p >= min && p <= max;
-    });
-  }
+      if (isNaN(p) || p < min || p > max) return false;
+    }
 
-  // Search (Fuzzy)
-  if (search) {
-    const q = search.toLowerCase();
-    filtered = filtered.filter(it => {
+    // Search (Fuzzy)
+    if (q) {
       const textField = [
         it.title, it.notes, it.facultySnapshot?.name, it.facultySnapshot?.facultyID
       ].join(' ').toLowerCase();
-      return textField.includes(q);
-    });
-  }
+      if (!textField.includes(q)) return false;
+    }
+
+    return true;
+  };
+}
 
-  return filtered;
+function applyMemoryFilters(items, query) {
+  return items.filter(buildMemoryPredicate(query));
 }
 
 /**
@@ -65,8 +69,35 @@ function compareItems(a, b, key, desc) {
   return desc ? sb.localeCompare(sa) : sa.localeCompare(sb);
 }
 
+/**
+ * Attach the credit title and (when no snapshot exists) the faculty record;
+ * proofs become signed links for `user`.
+ * To optimize further: dedup IDs and fetch once.
+ */
+async function enrichCredits(items, user) {
+  return Promise.all(items.map(async (c) => {
+    const copy = withSignedLinks(c, user);
+
+    // Fetch Credit Title if ID present
+    if (c.creditTitle) {
+      try { copy.creditTitleObj = await CreditTitle.findById(c.creditTitle); } catch(e) {}
+    }
+
+    // Fetch Faculty if snapshot missing
+    if (!c.facultySnapshot && c.faculty) {
+      try { copy.facultyObj = await User.findById(c.faculty); } catch(e) {}
+    }
+
+    return copy;
+  }));
+}
+
 /**
  * List Positive Credits (Admin)
+ * Offset mode: ?page=&limit=&sort= (meta.total/pages).
+ * Cursor mode: ?cursor=&limit= (first page with an empty cursor); returns
+ * meta.nextCursor, null on the last page. Only the default -createdAt sort:
+ * newest first, read from the faculty, issuedBy, academicYear or type index.
  */
 async function listPositiveCreditsForAdmin(req, res, next) {
   try {
@@ -82,7 +113,28 @@ async function listPositiveCreditsForAdmin(req, res, next) {
     if (academicYear) baseFilter.academicYear = String(academicYear);
     if (issuedBy) baseFilter.issuedBy = String(issuedBy);
 
-    // O(N) Scan
+    // Cursor mode: one index-ordered page (newest first) plus nextCursor
+    if (wantsCursor(req.query)) {
+      if (sort !== '-createdAt') throw badRequest('Cursor pagination only supports sort=-createdAt');
+      const status = req.query.status;
+      if (status && !status.includes(',')) baseFilter.status = String(status).trim();
+
+      const { items, nextCursor } = await Credit.findPage(baseFilter, {
+        limit: parseLimit(limit),
+        cursor: req.query.cursor,
+        predicate: buildMemoryPredicate(req.query),
+        descending: true,
+        orderBy: 'createdAt',
+      });
+      const enriched = await enrichCredits(items, req.user);
+      return res.json({
+        success: true,
+        data: enriched,
+        meta: { limit: parseLimit(limit), nextCursor }
+      });
+    }
+
+    // GSI Query when facultyId/issuedBy/academicYear is given, Scan otherwise
     let items = await Credit.find(baseFilter);
 
     // 2. In-Memory Filtering
@@ -101,23 +153,8 @@ async function listPositiveCreditsForAdmin(req, res, next) {
     const l = Math.max(1, Number(limit));
     const paginated = items.slice((p - 1) * l, p * l);
 
-    // 5. Enrichment (Batch optimized via Promise.all)
-    // To optimize further: dedup IDs and fetch once, but sticking to logic structure for now
-    const enriched = await Promise.all(paginated.map(async (c) => {
-      const copy = { ...c };
-      
-      // Fetch Credit Title if ID present
-      if (c.creditTitle) {
-        try { copy.creditTitleObj = await CreditTitle.findById(c.creditTitle); } catch(e) {}
-      }
-      
-      // Fetch Faculty if snapshot missing
-      if (!c.facultySnapshot && c.faculty) {
-        try { copy.facultyObj = await User.findById(c.faculty); } catch(e) {}
-      }
-      
-      return copy;
-    }));
+    // 5. Enrichment
+    const enriched = await enrichCredits(paginated, req.user);
 
     return res.json({
       success: true,
@@ -126,7 +163,8 @@ async function listPositiveCreditsForAdmin(req, res, next) {
         total,
         page: p,
         limit: l,
-        pages: Math.ceil(total / l)
+        pages: Math.ceil(total / l),
+        nextCursor: null
       }
     });
 
@@ -143,10 +181,22 @@ async function listNegativeCreditsForFaculty(req, res, next) {
     try {
         await connectDB();
         const { facultyId } = req.params;
-        const items = await Credit.find({ faculty: String(facultyId), type: 'negative' });
+        const filter = { faculty: String(facultyId), type: 'negative' };
+
+        if (wantsCursor(req.query)) {
+            const { items, nextCursor } = await Credit.findPage(filter, {
+                limit: parseLimit(req.query.limit),
+                cursor: req.query.cursor,
+                descending: true,
+                orderBy: 'createdAt',
+            });
+            return res.json({ success: true, total: items.length, nextCursor, items: withSignedLinksAll(items, req.user) });
+        }
+
+        const items = await Credit.find(filter);
         // sort desc
         items.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
-        return res.json({ success: true, total: items.length, items });
+        return res.json({ success: true, total: items.length, nextCursor: null, items: withSignedLinksAll(items, req.user) });
     } catch(err) {
         next(err);
     }
@@ -2,12 +2,14 @@ const Credit = require('../../Models/Credit');
 const CreditTitle = require('../../Models/CreditTitle');
 const User = require('../../Models/User');
 const { connectDB } = require('../../config/db');
-const { recalcFacultyCredits } = require('../../utils/calculateCredits');
 const { handleFileUpload } = require('../../utils/fileUpload');
 const { schemas } = require('../../utils/validation');
+const { assertYearWritable } = require('../../utils/academicYears');
+const { computeTitlePoints } = require('../../utils/creditFormula');
 const fs = require('fs');
 const path = require('path');
 const { sendPushToUser } = require('../pushController');
+const { withSignedLinks, withoutStorageDetails } = require('../../utils/assetLinks');
 
 
 
@@ -22,7 +24,8 @@ async function issueNegativeCredit(req, res, next) {
     if (error) return res.status(400).json({ success: false, message: error.details[0].message });
 
     const admin = req.user;
-    const { facultyId, creditTitleId, title, points, notes, academicYear } = value;
+    const { facultyId, creditTitleId, title, points, notes, academicYear, inputs } = value;
+    await assertYearWritable(academicYear);
 
     // faculty lookup
     const faculty = await User.findById(facultyId);
@@ -35,6 +38,11 @@ async function issueNegativeCredit(req, res, next) {
       if (!creditTitle) return res.status(404).json({ success: false, message: 'Credit title not found' });
     }
 
+    // Explicit points override the title; otherwise its fixed points or formula (with `inputs`)
+    const computed = (points === undefined && creditTitle)
+      ? await computeTitlePoints(creditTitle, { inputs, faculty: faculty._id, academicYear })
+      : { points: 0 };
+
     // File upload
     let proofUrl, proofMeta;
     if (req.file) {
@@ -54,7 +62,8 @@ async function issueNegativeCredit(req, res, next) {
       type: 'negative',
       creditTitle: creditTitle ? String(creditTitle._id) : undefined,
       title: title || (creditTitle && creditTitle.title) || 'Negative Credit',
-      points: points !== undefined ? Number(points) : (creditTitle ? -Math.abs(creditTitle.points) : 0),
+      points: points !== undefined ? Number(points) : computed.points,
+      pointsBreakdown: computed.pointsBreakdown,
       notes,
       academicYear,
       issuedBy: String(admin._id),
@@ -63,13 +72,10 @@ async function issueNegativeCredit(req, res, next) {
       status: 'pending',
     });
 
-    // Recalc
-    try { await recalcFacultyCredits(faculty._id); } catch (e) { console.error(e); }
-
     // Socket emit
     // Assuming 'io' is attached to app.locals or req
     const io = req.app?.locals?.io;
-    if (io) io.emit('credit:negative:new', { facultyId: String(faculty._id), credit: creditItem });
+    if (io) io.emit('credit:negative:new', { facultyId: String(faculty._id), credit: withoutStorageDetails(creditItem) });
 
     // 2. Send Push Notification
     sendPushToUser(String(faculty._id), {
@@ -79,7 +85,7 @@ async function issueNegativeCredit(req, res, next) {
       icon: '/icons/warning.png'
     });
 
-    return res.status(201).json({ success: true, data: creditItem });
+    return res.status(201).json({ success: true, data: withSignedLinks(creditItem, req.user) });
   } catch (err) {
     next(err);
   }
@@ -93,11 +99,12 @@ async function issuePositiveCredit(req, res, next) {
     await connectDB();
 
     // Use validation if available, else manual check
-    const { facultyId, creditTitleId, title, points, notes, academicYear } = req.body;
+    const { facultyId, creditTitleId, title, points, notes, academicYear, inputs } = req.body;
 
     if (!facultyId || !academicYear || (!points && points !== 0 && !creditTitleId)) {
       return res.status(400).json({ success: false, message: 'Missing required fields (facultyId, academicYear, and points/creditTitleId)' });
     }
+    await assertYearWritable(academicYear);
 
     // faculty lookup
     const faculty = await User.findById(facultyId);
@@ -110,6 +117,11 @@ async function issuePositiveCredit(req, res, next) {
       if (!creditTitle) return res.status(404).json({ success: false, message: 'Credit title not found' });
     }
 
+    // Explicit points override the title; otherwise its fixed points or formula (with `inputs`)
+    const computed = (points === undefined && creditTitle)
+      ? await computeTitlePoints(creditTitle, { inputs, faculty: faculty._id, academicYear })
+      : { points: 0 };
+
     // File upload
     let proofUrl, proofMeta;
     if (req.file) {
@@ -130,7 +142,8 @@ async function issuePositiveCredit(req, res, next) {
       type: 'positive',
       creditTitle: creditTitle ? String(creditTitle._id) : undefined,
       title: title || (creditTitle && creditTitle.title) || 'Direct Award',
-      points: points !== undefined ? Number(points) : (creditTitle ? Math.abs(Number(creditTitle.points)) : 0),
+      points: points !== undefined ? Number(points) : computed.points,
+      pointsBreakdown: computed.pointsBreakdown,
       notes: notes || 'Directly awarded by Admin/OA',
       academicYear,
       issuedBy: String(actor._id),
@@ -141,12 +154,9 @@ async function issuePositiveCredit(req, res, next) {
       approvedAt: new Date().toISOString(),
     });
 
-    // Recalc
-    try { await recalcFacultyCredits(faculty._id); } catch (e) { console.error('Recalc failed:', e); }
-
     // Socket emit
     const io = req.app?.locals?.io;
-    if (io) io.emit(`faculty:${faculty._id}:creditUpdate`, creditItem);
+    if (io) io.emit(`faculty:${faculty._id}:creditUpdate`, withoutStorageDetails(creditItem));
 
     // 2. Send Push Notification
     sendPushToUser(String(faculty._id), {
@@ -156,7 +166,7 @@ async function issuePositiveCredit(req, res, next) {
       icon: '/icons/success.png'
     });
 
-    return res.status(201).json({ success: true, message: 'Positive credit issued and approved', data: creditItem });
+    return res.status(201).json({ success: true, message: 'Positive credit issued and approved', data: withSignedLinks(creditItem, req.user) });
   } catch (err) {
     next(err);
   }
@@ -1,6 +1,7 @@
 const CreditTitle = require('../../Models/CreditTitle');
 const { connectDB } = require('../../config/db');
 const { schemas } = require('../../utils/validation');
+const { validateFormulaDefinition } = require('../../utils/creditFormula');
 
 /**
  * Ensure DB Connection
@@ -11,6 +12,7 @@ async function ensureDb() {
 
 /**
  * Admin creates credit title (Dynamo)
+ * Optional `formula` + `inputs` compute points per credit (see utils/creditFormula)
  */
 async function createCreditTitle(req, res, next) {
   try {
@@ -20,14 +22,18 @@ async function createCreditTitle(req, res, next) {
     const { error, value } = schemas.creditTitle.create.validate(req.body);
     if (error) return res.status(400).json({ success: false, message: error.details[0].message });
 
-    const { title, points, type, description } = value;
+    const { title, points, type, description, formula, inputs, category } = value;
     const actor = req.user;
+    if (formula) validateFormulaDefinition(formula, inputs);
 
     const ct = await CreditTitle.create({
       title,
       points: Number(points),
       type,
       description,
+      formula: formula || undefined,
+      inputs: formula ? inputs || [] : undefined,
+      category: category || undefined,
       createdBy: String(actor._id),
       isActive: true,
     });
@@ -66,6 +72,10 @@ async function updateCreditTitle(req, res, next) {
     const existing = await CreditTitle.findById(id);
     if (!existing) return res.status(404).json({ success: false, message: 'Credit title not found' });
 
+    // Re-check the formula against the inputs it will be saved with
+    const formula = value.formula !== undefined ? value.formula : existing.formula;
+    if (formula) validateFormulaDefinition(formula, value.inputs || existing.inputs || []);
+
     const updated = await CreditTitle.update(id, {
       ...value,
       updatedAt: new Date().toISOString(),
@@ -0,0 +1,360 @@
+const Asset = require('../../Models/Asset');
+const ShortUrl = require('../../Models/ShortUrl');
+const LinkVisit = require('../../Models/LinkVisit');
+const User = require('../../Models/User');
+const { connectDB } = require('../../config/db');
+const { schemas } = require('../../utils/validation');
+const { parseLimit } = require('../../utils/pagination');
+const { readExpectedVersion, checkVersion } = require('../../utils/versioning');
+const { APP_URL, createMaskedUrl, createShortLink, linkUnavailable } = require('../../utils/urlHelper');
+const { analyticsRange, summarizeVisits, signedInViewers } = require('../../utils/linkAnalytics');
+
+const STATUSES = ['active', 'inactive', 'expired'];
+
+function stateOf(link) {
+  return linkUnavailable(link) || 'active';
+}
+
+function withLinkInfo(link, path) {
+  return { ...link, url: `${APP_URL}${path}/${link._id}`, state: stateOf(link) };
+}
+
+/**
+ * Owner of a new or transferred link: an existing user, else 404
+ */
+async function resolveOwner(ownerId) {
+  const owner = await User.findById(ownerId);
+  if (!owner) {
+    const err = new Error('Owner not found');
+    err.status = 404;
+    throw err;
+  }
+  return String(owner._id);
+}
+
+/**
+ * ?owner=&status=&limit=&cursor= shared by both lists
+ */
+function listQuery(query) {
+  const { owner, status, limit, cursor } = query;
+  if (status && !STATUSES.includes(status)) {
+    const err = new Error(`Invalid status. Allowed: ${STATUSES.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  return {
+    filter: owner ? { createdBy: String(owner) } : {},
+    options: {
+      limit: parseLimit(limit),
+      cursor,
+      predicate: status ? (link) => stateOf(link) === status : null,
+    },
+  };
+}
+
+// SET/REMOVE for an expiry edit: null clears it
+function expiryUpdate(expiresAt) {
+  if (expiresAt === undefined) return { set: {}, remove: [] };
+  if (expiresAt === null) return { set: {}, remove: ['expiresAt'] };
+  return { set: { expiresAt: new Date(expiresAt).toISOString() }, remove: [] };
+}
+
+/**
+ * List short URLs
+ * GET /api/v1/admin/short-urls?owner=&status=active|inactive|expired&limit=&cursor=
+ */
+async function listShortUrls(req, res, next) {
+  try {
+    await connectDB();
+    const { filter, options } = listQuery(req.query);
+    const { items, nextCursor } = await ShortUrl.findPage(filter, options);
+    return res.json({ success: true, limit: options.limit, nextCursor, items: items.map((s) => withLinkInfo(s, '/s')) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Create a short URL
+ * POST /api/v1/admin/short-urls
+ * Body: { url, alias?, expiresAt?, owner? } - owner defaults to the caller; 409 if the alias is taken
+ */
+async function createShortUrl(req, res, next) {
+  try {
+    await connectDB();
+
+    const { error, value } = schemas.shortUrl.create.validate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error.details[0].message });
+
+    const createdBy = value.owner ? await resolveOwner(value.owner) : String(req.user._id);
+    const shortUrl = await createShortLink(value.url, value.alias, {
+      createdBy,
+      ...(value.expiresAt ? { expiresAt: new Date(value.expiresAt).toISOString() } : {}),
+    });
+    const created = await ShortUrl.findById(shortUrl.split('/').pop());
+
+    return res.status(201).json({ success: true, shortUrl, data: withLinkInfo(created, '/s') });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Get a short URL
+ * GET /api/v1/admin/short-urls/:id
+ */
+async function getShortUrlDetails(req, res, next) {
+  try {
+    await connectDB();
+    const shortUrl = await ShortUrl.findById(req.params.id);
+    if (!shortUrl) return res.status(404).json({ success: false, message: 'Short URL not found' });
+    return res.json({ success: true, data: withLinkInfo(shortUrl, '/s') });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Change target, expiry (null clears it), active flag or owner
+ * PATCH /api/v1/admin/short-urls/:id
+ * Body: { url?, expiresAt?, active?, owner?, version? }
+ */
+async function updateShortUrl(req, res, next) {
+  try {
+    await connectDB();
+
+    const { error, value } = schemas.shortUrl.update.validate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error.details[0].message });
+
+    const existing = await ShortUrl.findById(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Short URL not found' });
+
+    const expiry = expiryUpdate(value.expiresAt);
+    const updated = await ShortUrl.update(req.params.id, {
+      originalUrl: value.url,
+      active: value.active,
+      ...(value.owner ? { createdBy: await resolveOwner(value.owner) } : {}),
+      ...expiry.set,
+      updatedAt: new Date().toISOString(),
+    }, { expectedVersion: checkVersion(existing, readExpectedVersion(req)), remove: expiry.remove });
+
+    return res.json({ success: true, data: withLinkInfo(updated, '/s') });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Delete a short URL (its alias becomes free again)
+ * DELETE /api/v1/admin/short-urls/:id
+ */
+async function deleteShortUrl(req, res, next) {
+  try {
+    await connectDB();
+    const existing = await ShortUrl.findById(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Short URL not found' });
+
+    await ShortUrl.delete(req.params.id);
+    return res.json({ success: true, message: 'Short URL deleted' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Click analytics of one short URL: visits over time, unique viewers, devices,
+ * referrers and the signed-in users who opened it
+ * GET /api/v1/admin/short-urls/:id/analytics?from=&to=&interval=day|week|month
+ */
+async function getShortUrlAnalytics(req, res, next) {
+  try {
+    await connectDB();
+    const range = analyticsRange(req.query);
+
+    const shortUrl = await ShortUrl.findById(req.params.id);
+    if (!shortUrl) return res.status(404).json({ success: false, message: 'Short URL not found' });
+
+    const visits = await LinkVisit.findForLink(shortUrl._id, range);
+    const viewers = await Promise.all(signedInViewers(visits).map(async (viewer) => {
+      const user = await User.findById(viewer.user);
+      return { ...viewer, name: user ? user.name : null, facultyID: user ? user.facultyID : null };
+    }));
+
+    return res.json({
+      success: true,
+      data: {
+        shortUrl: withLinkInfo(shortUrl, '/s'),
+        ...range,
+        ...summarizeVisits(visits, range.interval),
+        viewers,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Click analytics across short URLs, with the most visited links
+ * GET /api/v1/admin/short-urls/analytics?owner=&from=&to=&interval=day|week|month
+ */
+async function getLinkAnalyticsOverview(req, res, next) {
+  try {
+    await connectDB();
+    const range = analyticsRange(req.query);
+    const visits = await LinkVisit.findBetween({ ...range, owner: req.query.owner });
+
+    const byLink = new Map();
+    visits.forEach((v) => {
+      if (!byLink.has(v.shortUrl)) byLink.set(v.shortUrl, []);
+      byLink.get(v.shortUrl).push(v);
+    });
+    const links = [...byLink.entries()]
+      .map(([id, linkVisits]) => {
+        const { visits: count, uniqueViewers, lastVisitAt } = summarizeVisits(linkVisits, range.interval);
+        return { shortUrl: id, url: `${APP_URL}/s/${id}`, visits: count, uniqueViewers, lastVisitAt };
+      })
+      .filter((link) => link.visits > 0)
+      .sort((a, b) => b.visits - a.visits);
+
+    return res.json({
+      success: true,
+      data: { ...range, ...summarizeVisits(visits, range.interval), links },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * List assets
+ * GET /api/v1/admin/assets?owner=&status=active|inactive|expired&limit=&cursor=
+ */
+async function listAssets(req, res, next) {
+  try {
+    await connectDB();
+    const { filter, options } = listQuery(req.query);
+    const { items, nextCursor } = await Asset.findPage(filter, options);
+    return res.json({ success: true, limit: options.limit, nextCursor, items: items.map((a) => withLinkInfo(a, '/cdn/assets/v1')) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Create an asset mapping
+ * POST /api/v1/admin/assets (also POST /cdn/assets)
+ * Body: { targetUrl, id?, mimeType?, access?, filename?, expiresAt?, owner? } - 409 if the id is taken
+ */
+async function createAsset(req, res, next) {
+  try {
+    await connectDB();
+
+    const { error, value } = schemas.asset.create.validate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error.details[0].message });
+
+    const { id, targetUrl, mimeType, owner, expiresAt, ...rest } = value;
+    const options = {
+      ...rest,
+      createdBy: owner ? await resolveOwner(owner) : String(req.user._id),
+      ...(expiresAt ? { expiresAt: new Date(expiresAt).toISOString() } : {}),
+    };
+
+    let asset;
+    if (id) {
+      // Enforce specific ID
+      asset = await Asset.create({ ...options, id, targetUrl, mimeType });
+    } else {
+      const url = await createMaskedUrl(targetUrl, mimeType, options);
+      asset = await Asset.findById(url.split('/').pop());
+    }
+
+    const data = withLinkInfo(asset, '/cdn/assets/v1');
+    return res.status(201).json({ success: true, message: 'Asset created', url: data.url, data });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Get an asset
+ * GET /api/v1/admin/assets/:id
+ */
+async function getAssetDetails(req, res, next) {
+  try {
+    await connectDB();
+    const asset = await Asset.findById(req.params.id);
+    if (!asset) return res.status(404).json({ success: false, message: 'Asset not found' });
+    return res.json({ success: true, data: withLinkInfo(asset, '/cdn/assets/v1') });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Change target, type, access, file name, expiry (null clears it), active flag or owner
+ * PATCH /api/v1/admin/assets/:id
+ * A new targetUrl detaches the asset from its storage driver: it is then
+ * fetched from (or redirected to) that URL.
+ */
+async function updateAsset(req, res, next) {
+  try {
+    await connectDB();
+
+    const { error, value } = schemas.asset.update.validate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error.details[0].message });
+
+    const existing = await Asset.findById(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Asset not found' });
+
+    const { version, owner, expiresAt, filename, ...updates } = value;
+    const expiry = expiryUpdate(expiresAt);
+    const remove = [...expiry.remove];
+    if (filename === null) remove.push('filename');
+    if (updates.targetUrl && updates.targetUrl !== existing.targetUrl) remove.push('storage', 'key');
+
+    const updated = await Asset.update(req.params.id, {
+      ...updates,
+      ...(filename ? { filename } : {}),
+      ...(owner ? { createdBy: await resolveOwner(owner) } : {}),
+      ...expiry.set,
+      updatedAt: new Date().toISOString(),
+    }, { expectedVersion: checkVersion(existing, readExpectedVersion(req)), remove });
+
+    return res.json({ success: true, data: withLinkInfo(updated, '/cdn/assets/v1') });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Delete an asset mapping (the stored file is kept)
+ * DELETE /api/v1/admin/assets/:id
+ */
+async function deleteAsset(req, res, next) {
+  try {
+    await connectDB();
+    const existing = await Asset.findById(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'Asset not found' });
+
+    await Asset.delete(req.params.id);
+    return res.json({ success: true, message: 'Asset deleted' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  listShortUrls,
+  createShortUrl,
+  getShortUrlDetails,
+  updateShortUrl,
+  deleteShortUrl,
+  getShortUrlAnalytics,
+  getLinkAnalyticsOverview,
+  listAssets,
+  createAsset,
+  getAssetDetails,
+  updateAsset,
+  deleteAsset,
+};
@@ -1,85 +1,83 @@
-const XLSX = require('xlsx');
-const User = require('../../Models/User');
-const bcrypt = require('bcryptjs');
-const { generateFacultyID, generateApiKey } = require('../../utils/generateID');
-const { sendEmail } = require('../../utils/email'); // Ensure this path is correct relative to this file
-// If "utils" is at root, it is ../../../utils
-// Actually path in original file was '../utils/email', so it is one level up from Controllers.
-// From `Controllers/Auth/`, it is `../../utils`.
+const { connectDB } = require('../../config/db');
+const {
+  parseSheet,
+  planImport,
+  summarize,
+  applyImport,
+  errorWorkbook,
+  templateWorkbook,
+} = require('../../utils/bulkUserImport');
+
+function parseMapping(mapping) {
+  if (!mapping) return undefined;
+  if (typeof mapping === 'object') return mapping;
+  try {
+    return JSON.parse(mapping);
+  } catch (err) {
+    const badMapping = new Error('mapping must be a JSON object of { "Sheet header": "field" }');
+    badMapping.status = 400;
+    throw badMapping;
+  }
+}
 
 /**
  * Bulk user registration
+ * POST /api/v1/auth/users/bulk-upload
+ * Multipart: file (XLSX/CSV, see GET /users/bulk-upload/template)
+ *   mode?     'insert' (default) | 'upsert' - update users matched by email/facultyID
+ *   dryRun?   'true' - validate and report what would happen, write nothing
+ *   role?     role for new users without a role column (default faculty)
+ *   mapping?  JSON { "Sheet header": "field" } for non-template headers
+ * Rejected rows come back as an XLSX (base64 in `errorReport`) with an
+ * `errors` column, ready to fix and upload again.
  */
 async function bulkRegister(req, res, next) {
   try {
+    await connectDB();
     if (!req.file) return res.status(400).json({ success: false, message: 'No file uploaded.' });
 
-    // Read buffer
-    const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
-    const sheetName = workbook.SheetNames[0];
-    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
-
-    if (!rows.length) return res.status(400).json({ success: false, message: 'Empty file' });
-
-    // 1. Pre-fetch existing emails to avoid N+1 queries
-    // Warning: fetching ALL users might be heavy. In production, use a projection if possible.
-    const allUsers = await User.find(); 
-    const existingEmails = new Set(allUsers.map(u => u.email.toLowerCase()));
-
-    const results = [];
-    const newUsersToCreate = [];
-
-    // 2. Process rows (Hashing is slow, so we do it in parallel or chunks if needed, but sequential is safer for CPU)
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      const email = (row.email || row.Email || '').trim().toLowerCase();
-      
-      if (!email || existingEmails.has(email)) {
-        results.push({ row: i+2, success: false, message: 'Duplicate or missing email' });
-        continue;
-      }
-
-      // ... other validation ...
-
-      const password = row.password || 'Default@123';
-      const hashed = await bcrypt.hash(String(password), 10);
-
-      const newUser = {
-        name: row.name || 'Unknown',
-        email,
-        password: hashed,
-        college: row.college || 'Default',
-        role: 'faculty', // Simplified for brevity
-        facultyID: generateFacultyID(row.college || 'DEF'),
-        apiKey: generateApiKey(),
-        isActive: true,
-        createdAt: new Date().toISOString()
-      };
-
-      // 3. Create User
-      // Ideally we'd use BatchWriteItem, but User.create uses PutItem.
-      // We'll execute creating individually for now to get the ID back.
-      try {
-        const created = await User.create(newUser);
-        existingEmails.add(email); // prevent duplicates within the same file
-        results.push({ row: i+2, success: true, email, id: created._id });
-        
-        // Queue Email (Fire and forget if not critical)
-        // sendWelcomeEmail(created, password).catch(console.error);
-      } catch(e) {
-        results.push({ row: i+2, success: false, message: e.message });
-      }
+    const { mode = 'insert', role = 'faculty' } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    if (!['admin', 'faculty', 'oa'].includes(role)) {
+      return res.status(400).json({ success: false, message: 'role must be admin, faculty or oa' });
     }
 
+    const rows = parseSheet(req.file.buffer, parseMapping(req.body.mapping));
+    let plan = await planImport(rows, { mode, defaultRole: role });
+    if (!dryRun) plan = await applyImport(plan);
+
+    const summary = summarize(plan);
+    const report = errorWorkbook(plan);
+    const verb = dryRun ? 'would be' : 'were';
     return res.json({
-      success: true,
-      processed: rows.length,
-      results
+      success: summary.error === 0,
+      message: `${summary.create} ${verb} created, ${summary.update} ${verb} updated, ${summary.error} rejected`,
+      dryRun,
+      mode,
+      data: summary,
+      errorReport: report ? {
+        filename: `user-import-errors-${Date.now()}.xlsx`,
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        base64: report.toString('base64'),
+      } : null,
     });
+  } catch (err) {
+    next(err);
+  }
+}
 
+/**
+ * Empty bulk import template
+ * GET /api/v1/auth/users/bulk-upload/template
+ */
+async function downloadImportTemplate(req, res, next) {
+  try {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename="user-import-template.xlsx"');
+    res.send(templateWorkbook());
   } catch (err) {
     next(err);
   }
 }
 
-module.exports = { bulkRegister };
+module.exports = { bulkRegister, downloadImportTemplate };
@@ -7,11 +7,19 @@ const User = require('../Models/User'); // mongoose-backed
 const fs = require('fs');
 const path = require('path');
 
-const { recalcFacultyCredits } = require('../utils/calculateCredits');
 const { handleFileUpload } = require('../utils/fileUpload');
 const { connectDB } = require('../config/db');
 const { sendEmail } = require('../utils/email');
 const { sendPushToUser } = require('./pushController');
+const { parseLimit, wantsCursor } = require('../utils/pagination');
+const { readExpectedVersion, checkVersion } = require('../utils/versioning');
+const { MAX_APPEALS, appealHistory, currentAppeal, appealAttempts, replaceLatestAppeal } = require('../utils/appeals');
+const { CREDIT_STATUSES, assertTransition, runStatusEffects } = require('../utils/creditStatus');
+const { assertYearWritable } = require('../utils/academicYears');
+const { recalcFacultyCredits } = require('../utils/calculateCredits');
+const { schemas } = require('../utils/validation');
+const { findPossibleDuplicates } = require('../utils/duplicateCredits');
+const { withSignedLinks, withSignedLinksAll, withoutStorageDetails, signEvidence } = require('../utils/assetLinks');
 
 /**
  * Ensure DynamoDB client is connected
@@ -25,12 +33,12 @@ async function ensureDb() {
 }
 
 /**
- * Helper to emit via socket
+ * Helper to emit via socket (broadcast credits carry no storage details)
  */
 const emitSocket = (req, event, payload) => {
   const io = req.app?.locals?.io;
   if (io) {
-    io.emit(event, payload);
+    io.emit(event, payload && payload.credit ? { ...payload, credit: withoutStorageDetails(payload.credit) } : payload);
   }
 };
 
@@ -134,6 +142,7 @@ async function issueNegativeCredit(req, res, next) {
     if (!facultyId || (!points && points !== 0) || !academicYear) {
       return res.status(400).json({ success: false, message: 'Missing required fields' });
     }
+    await assertYearWritable(academicYear);
 
     // Find faculty (mongoose)
     const faculty = await User.findById(facultyId);
@@ -171,11 +180,9 @@ async function issueNegativeCredit(req, res, next) {
       status: 'pending',
     });
 
-    // Recalc and emit
-    try { await recalcFacultyCredits(faculty._id); } catch (e) { /* log & continue */ }
     emitSocket(req, 'credit:negative:new', { facultyId: String(faculty._id), credit: creditItem });
 
-    return res.status(201).json({ success: true, data: creditItem });
+    return res.status(201).json({ success: true, data: withSignedLinks(creditItem, req.user) });
   } catch (err) {
     next(err);
   }
@@ -208,7 +215,7 @@ async function listNegativeCreditsForFaculty(req, res, next) {
     // Optionally populate issuedBy and creditTitle by fetching separately (Dynamo doesn't populate)
     // For now we return facultySnapshot (present) and issuedBy id if needed.
 
-    return res.json({ success: true, total: items.length, items });
+    return res.json({ success: true, total: items.length, items: withSignedLinksAll(items, req.user) });
   } catch (err) {
     next(err);
   }
@@ -340,7 +347,7 @@ async function listPositiveCreditsForAdmin(req, res, next) {
     const appealFlag = parseBool(hasAppeal);
     if (appealFlag !== undefined) {
       items = items.filter(it => {
-        const has = !!(Array.isArray(it.appeal) ? it.appeal.length > 0 : (it.appealCount && Number(it.appealCount) > 0));
+        const has = appealHistory(it).length > 0 || Number(it.appealCount || 0) > 0;
         return appealFlag ? has : !has;
       });
     }
@@ -470,7 +477,7 @@ async function listPositiveCreditsForAdmin(req, res, next) {
     // ------- Enrich paged items with related models (title, faculty user, issuedBy user) -------
     // Note: This performs many small DB calls. Consider batching or adding denormalized snapshots to credits in production.
     const enriched = await Promise.all(paged.map(async (it) => {
-      const copy = { ...it };
+      const copy = withSignedLinks(it, req.user);
 
       // If the credit has a reference to creditTitle id store, try to fetch
       if (it.creditTitle && typeof it.creditTitle === 'string') {
@@ -556,67 +563,142 @@ async function listPositiveCreditsForAdmin(req, res, next) {
 
 
 
+function decisionError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Check and save an admin decision on a positive credit (single and bulk).
+ * Throws errors carrying `status` (400/403/404/409).
+ * @param {string} id - credit id
+ * @param {Object} decision - { status, notes, expectedVersion }
+ * @param {Object} [options] - passed to Credit.update (e.g. { reconcile: false })
+ * @returns {Promise<{ updated: Object, transition: Object|null }>}
+ */
+async function decidePositiveCredit(id, { status, notes, expectedVersion }, options = {}) {
+  const credit = await Credit.findById(id);
+  if (!credit) throw decisionError('Credit not found', 404);
+  if (credit.type !== 'positive') throw decisionError('Not a positive credit', 400);
+  await assertYearWritable(credit.academicYear);
+  // Credits under an approval workflow are decided stage by stage (/api/v1/approvals)
+  if (credit.approval && ['pending', 'returned'].includes(credit.status)) {
+    throw decisionError('This credit is in an approval workflow; use the approvals decision endpoint', 400);
+  }
+
+  // verify faculty exists
+  const faculty = await User.findById(credit.faculty);
+  if (!faculty) throw decisionError('Faculty not found', 404);
+
+  // Rejected/approved credits must go back to pending before a new decision
+  const transition = assertTransition(credit, String(status), 'admin');
+
+  const updatePayload = {
+    status,
+    updatedAt: new Date().toISOString(),
+  };
+  if (typeof notes !== 'undefined') updatePayload.notes = notes;
+
+  await Credit.update(id, updatePayload, { ...options, expectedVersion: checkVersion(credit, expectedVersion), reason: notes });
+
+  // fetch updated credit
+  const updated = await Credit.findById(id);
+  return { updated, transition };
+}
+
 /**
  * Positive credit update status (Dynamo)
- * PATCH /.../:id/status  Body: { status, notes }
+ * PATCH /.../:id/status  Body: { status, notes, version? }
+ * Send the credit's `version` (body or If-Match header) to get a 409 instead
+ * of overwriting a decision made meanwhile by someone else.
  */
 async function updatePositiveCreditStatus(req, res, next) {
   try {
     await ensureDb();
 
-    const { id } = req.params;
     const { status, notes } = req.body;
+    const { updated, transition } = await decidePositiveCredit(req.params.id, { status, notes, expectedVersion: readExpectedVersion(req) });
 
-    const allowed = ['pending', 'approved', 'rejected', 'appealed'];
-    if (!allowed.includes(String(status))) {
-      return res.status(400).json({ success: false, message: 'Invalid status' });
-    }
+    // Notify the faculty as the transition requires
+    await runStatusEffects(updated, transition);
 
-    const credit = await Credit.findById(id);
-    if (!credit) return res.status(404).json({ success: false, message: 'Credit not found' });
-    if (credit.type !== 'positive') return res.status(400).json({ success: false, message: 'Not a positive credit' });
+    emitSocket(req, 'credit:positive:update', { credit: updated });
 
-    // verify faculty exists
-    const facultyId = credit.faculty;
-    const faculty = await User.findById(facultyId);
-    if (!faculty) return res.status(404).json({ success: false, message: 'Faculty not found' });
+    return res.json({ success: true, data: withSignedLinks(updated, req.user) });
+  } catch (err) {
+    next(err);
+  }
+}
 
-    const prevStatus = credit.status;
-    const updatePayload = {
-      status,
-      updatedAt: new Date().toISOString(),
-    };
-    if (typeof notes !== 'undefined') updatePayload.notes = notes;
+/**
+ * Bulk approve / reject positive credits
+ * POST /api/v1/admin/credits/positive/bulk-status
+ * Body: { status: 'approved' | 'rejected', notes?, items: [{ id, notes?, version? }] }
+ *   (or `ids: [...]` when no item needs its own notes/version)
+ * Each credit is checked and saved like PUT /credits/positive/:id/status; a
+ * failing item does not stop the others. Afterwards every affected faculty is
+ * recalculated once and gets one push summarising their decisions.
+ * Responds 200 when all succeeded, 207 when some failed, 422 when none did.
+ */
+async function bulkUpdatePositiveCreditStatus(req, res, next) {
+  try {
+    await ensureDb();
 
-    await Credit.update(id, updatePayload);
+    const { error, value } = schemas.bulkCreditStatus.validate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error.details[0].message });
 
-    // fetch updated credit
-    const updated = await Credit.findById(id);
+    const items = value.items || value.ids.map((id) => ({ id }));
+    const results = [];
+    const byFaculty = new Map(); // facultyId -> updated credits
 
-    // Recalculate faculty totals (fire-and-wait)
-    try {
-      await recalcFacultyCredits(faculty._id);
-    } catch (recalcErr) {
-      console.error('recalcFacultyCredits failed:', recalcErr);
+    // 1️⃣ Decide each credit on its own; caps are reconciled once per faculty below
+    for (const item of items) {
+      try {
+        const notes = item.notes !== undefined ? item.notes : value.notes;
+        const { updated } = await decidePositiveCredit(item.id, { status: value.status, notes, expectedVersion: item.version }, { reconcile: false });
+        const facultyId = String(updated.faculty);
+        if (!byFaculty.has(facultyId)) byFaculty.set(facultyId, []);
+        byFaculty.get(facultyId).push(updated);
+        results.push({ id: item.id, success: true, status: updated.status, version: updated.version });
+        emitSocket(req, 'credit:positive:update', { credit: updated });
+      } catch (err) {
+        results.push({ id: item.id, success: false, code: err.status || 500, message: err.message });
+      }
     }
 
-    emitSocket(req, 'credit:positive:update', { credit: updated });
+    // 2️⃣ One recalculation per affected faculty
+    for (const facultyId of byFaculty.keys()) {
+      try {
+        await recalcFacultyCredits(facultyId);
+      } catch (err) {
+        console.error('recalcFacultyCredits failed:', err);
+      }
+    }
 
-    if (status === 'approved') {
-      sendPushToUser(String(faculty._id), {
-        title: 'Credit Approved',
-        body: `Your credit submission "${updated.title}" has been approved.`,
-        url: '/u/credits'
-      });
-    } else if (status === 'rejected') {
-      sendPushToUser(String(faculty._id), {
-        title: 'Credit Rejected',
-        body: `Your credit submission "${updated.title}" was rejected.`,
-        url: '/u/credits'
+    // 3️⃣ One push per faculty
+    const label = value.status === 'approved' ? 'approved' : 'rejected';
+    byFaculty.forEach((credits, facultyId) => {
+      const titles = credits.map((c) => `"${c.title}"`);
+      const body = credits.length === 1
+        ? `Your credit submission ${titles[0]} has been ${label}.`
+        : `${credits.length} of your credit submissions were ${label}: ${titles.slice(0, 3).join(', ')}${titles.length > 3 ? ` and ${titles.length - 3} more` : ''}.`;
+      sendPushToUser(facultyId, {
+        title: value.status === 'approved' ? 'Credits Approved' : 'Credits Rejected',
+        body,
+        url: '/u/credits',
       });
-    }
+    });
 
-    return res.json({ success: true, data: updated });
+    const succeeded = results.filter((r) => r.success).length;
+    const httpStatus = succeeded === results.length ? 200 : (succeeded > 0 ? 207 : 422);
+    return res.status(httpStatus).json({
+      success: succeeded > 0,
+      message: `${succeeded} of ${results.length} credits ${label}`,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
   } catch (err) {
     next(err);
   }
@@ -641,9 +723,11 @@ async function getPositiveCreditById(req, res, next) {
       facultyInfo = u || null;
     }
 
-    // attach facultyInfo to response (like populate)
-    const resp = { ...credit };
+    // attach facultyInfo to response (like populate); proofs as signed links for this admin
+    const resp = withSignedLinks(credit, req.user);
     resp.facultyPopulated = facultyInfo;
+    // "Possible duplicate of...": same proof file or near-identical title, checked now
+    resp.possibleDuplicates = await findPossibleDuplicates(credit);
 
     return res.json({ success: true, data: resp });
   } catch (err) {
@@ -654,6 +738,12 @@ async function getPositiveCreditById(req, res, next) {
 /**
  * ADMIN: List all negative credits (Dynamo, paginated + filters)
  * GET /api/v1/admin/credits/negative
+ *
+ * Pagination:
+ *  - ?cursor=&limit=  : cursor mode, newest first by createdAt (from the faculty, academicYear or type
+ *                       index). Pass the returned nextCursor to get the next page.
+ *                       Only equality filters reach DynamoDB; `sort`, `total` and `filters` are not available.
+ *  - ?page=&limit=    : legacy offset mode (loads every match, nextCursor is always null)
  */
 async function adminListNegativeCredits(req, res, next) {
   try {
@@ -681,44 +771,31 @@ async function adminListNegativeCredits(req, res, next) {
     if (facultyId)
       baseFilter.faculty = String(facultyId).trim();
 
-    // 2️⃣ Fetch all credits
-    let items = await Credit.find(baseFilter);
-
-    // 3️⃣ Filter by status
-    if (status.toLowerCase() !== 'all') {
-      const allowed = ['pending', 'approved', 'rejected', 'appealed'];
-      const s = status.trim().toLowerCase();
-      if (!allowed.includes(s)) {
+    // 2️⃣ Validate status
+    const statusFilter = status.trim().toLowerCase();
+    if (statusFilter !== 'all') {
+      if (!CREDIT_STATUSES.includes(statusFilter)) {
         return res.status(400).json({
           success: false,
-          message: `Invalid status. Allowed: ${allowed.join(', ')}`
+          message: `Invalid status. Allowed: ${CREDIT_STATUSES.join(', ')}`
         });
       }
-      items = items.filter(it => String(it.status || '').toLowerCase() === s);
     }
 
-    // 4️⃣ Filter by template / credit title
-    if (templateId && templateId.toLowerCase() !== 'all') {
-      items = items.filter(it => String(it.creditTitle) === String(templateId));
-    }
+    // 3️⃣ In-memory filters: status, template / credit title, college / department, text search
+    const q = search.trim().toLowerCase();
+    const matches = (it) => {
+      if (statusFilter !== 'all' && String(it.status || '').toLowerCase() !== statusFilter) return false;
 
-    // 5️⃣ Filter by college / department (from faculty snapshot)
-    if (college.toLowerCase() !== 'all') {
-      items = items.filter(it =>
-        String(it.facultySnapshot?.college || '').toLowerCase() === college.toLowerCase()
-      );
-    }
+      if (templateId && templateId.toLowerCase() !== 'all' && String(it.creditTitle) !== String(templateId)) return false;
 
-    if (department.toLowerCase() !== 'all') {
-      items = items.filter(it =>
-        String(it.facultySnapshot?.department || '').toLowerCase() === department.toLowerCase()
-      );
-    }
+      if (college.toLowerCase() !== 'all' &&
+        String(it.facultySnapshot?.college || '').toLowerCase() !== college.toLowerCase()) return false;
 
-    // 6️⃣ Text search across multiple fields (optimized)
-    if (search.trim()) {
-      const q = search.toLowerCase();
-      items = items.filter(it => {
+      if (department.toLowerCase() !== 'all' &&
+        String(it.facultySnapshot?.department || '').toLowerCase() !== department.toLowerCase()) return false;
+
+      if (q) {
         const fields = [
           it.title,
           it.notes,
@@ -728,11 +805,60 @@ async function adminListNegativeCredits(req, res, next) {
           it.facultySnapshot?.department,
           it.creditTitle
         ];
-        return fields.some(f => String(f || '').toLowerCase().includes(q));
+        if (!fields.some(f => String(f || '').toLowerCase().includes(q))) return false;
+      }
+
+      return true;
+    };
+
+    const formatItem = raw => {
+      const it = withSignedLinks(raw, req.user);
+      return {
+        creditId: it._id,
+        facultyName: it.facultySnapshot?.name || '',
+        facultyID: it.facultySnapshot?.facultyID || '',
+        college: it.facultySnapshot?.college || '',
+        department: it.facultySnapshot?.department || '',
+        templateTitle: it.creditTitle || '',
+        title: it.title || '',
+        type: it.type || '',
+        points: it.points || 0,
+        status: it.status || '',
+        issuedBy: it.issuedBy || '',
+        proofMeta: it.proofMeta || null,
+        proofUrl: it.proofUrl || '',
+        createdAt: it.createdAt,
+        updatedAt: it.updatedAt,
+        // Pass original raw fields as well
+        ...it
+      };
+    };
+
+    // 4️⃣ Cursor mode: one DynamoDB page at a time, status pushed down to the query
+    if (wantsCursor(req.query)) {
+      const pageLimit = parseLimit(limit);
+      if (statusFilter !== 'all') baseFilter.status = statusFilter;
+
+      const { items, nextCursor } = await Credit.findPage(baseFilter, {
+        limit: pageLimit,
+        cursor: req.query.cursor,
+        predicate: matches,
+        descending: true,
+        orderBy: 'createdAt',
+      });
+
+      return res.json({
+        success: true,
+        limit: pageLimit,
+        nextCursor,
+        items: items.map(formatItem)
       });
     }
 
-    // 7️⃣ Sort (default: newest first)
+    // 5️⃣ Offset mode: fetch all credits and filter
+    let items = (await Credit.find(baseFilter)).filter(matches);
+
+    // 6️⃣ Sort (default: newest first)
     const desc = String(sort).startsWith('-');
     const sortKey = desc ? sort.slice(1) : sort;
     items.sort((a, b) => {
@@ -743,33 +869,15 @@ async function adminListNegativeCredits(req, res, next) {
         : String(va).localeCompare(String(vb));
     });
 
-    // 8️⃣ Pagination
+    // 7️⃣ Pagination
     const total = items.length;
     const skip = (Math.max(Number(page), 1) - 1) * Math.max(Number(limit), 1);
     const paged = items.slice(skip, skip + Math.max(Number(limit), 1));
 
-    // 9️⃣ Enrich results with related info
-    const formattedItems = paged.map(it => ({
-      creditId: it._id,
-      facultyName: it.facultySnapshot?.name || '',
-      facultyID: it.facultySnapshot?.facultyID || '',
-      college: it.facultySnapshot?.college || '',
-      department: it.facultySnapshot?.department || '',
-      templateTitle: it.creditTitle || '',
-      title: it.title || '',
-      type: it.type || '',
-      points: it.points || 0,
-      status: it.status || '',
-      issuedBy: it.issuedBy || '',
-      proofMeta: it.proofMeta || null,
-      proofUrl: it.proofUrl || '',
-      createdAt: it.createdAt,
-      updatedAt: it.updatedAt,
-      // Pass original raw fields as well
-      ...it
-    }));
+    // 8️⃣ Enrich results with related info
+    const formattedItems = paged.map(formatItem);
 
-    // 🔟 Extract distinct values for UI filters
+    // 9️⃣ Extract distinct values for UI filters
     const distinctValues = {
       templates: [...new Set(items.map(i => i.creditTitle).filter(Boolean))].sort(),
       years: [...new Set(items.map(i => i.academicYear).filter(Boolean))].sort(),
@@ -783,6 +891,7 @@ async function adminListNegativeCredits(req, res, next) {
       total,
       page: Number(page),
       limit: Number(limit),
+      nextCursor: null,
       filters: distinctValues,
       items: formattedItems
     });
@@ -812,7 +921,7 @@ async function adminGetNegativeCreditById(req, res, next) {
       facultyInfo = await User.findById(credit.faculty).select('name facultyID email college department').lean();
     }
 
-    const resp = { ...credit, facultyPopulated: facultyInfo };
+    const resp = { ...withSignedLinks(credit, req.user), facultyPopulated: facultyInfo };
 
     return res.json({ success: true, data: resp });
   } catch (err) {
@@ -849,6 +958,9 @@ async function adminGetFacultyByNegativeCreditId(req, res, next) {
 
 /**
  * ADMIN: List negative credit appeals (Dynamo)
+ * One row per credit with a live appeal: `appeal` is that appeal (status
+ * filter applies to it), `appeals` the full history, oldest first. Credits
+ * whose latest appeal was withdrawn are left out.
  */
 async function adminListNegativeCreditAppeals(req, res, next) {
   try {
@@ -858,7 +970,9 @@ async function adminListNegativeCreditAppeals(req, res, next) {
 
     // Base: type negative and appeal.by exists
     let items = await Credit.find({ type: 'negative' });
-    items = items.filter(it => it.appeal && it.appeal.by);
+    items = items
+      .map(it => ({ ...it, appeal: currentAppeal(it), appeals: appealHistory(it) }))
+      .filter(it => it.appeal && it.appeal.by);
 
     if (status) {
       items = items.filter(it => String(it.appeal?.status || '').toLowerCase() === String(status).toLowerCase());
@@ -886,7 +1000,7 @@ async function adminListNegativeCreditAppeals(req, res, next) {
     const skip = (Math.max(Number(page), 1) - 1) * Math.max(Number(limit), 1);
     const paged = items.slice(skip, skip + Math.max(Number(limit), 1));
 
-    return res.json({ success: true, total, page: Number(page), limit: Number(limit), items: paged });
+    return res.json({ success: true, total, page: Number(page), limit: Number(limit), items: withSignedLinksAll(paged, req.user) });
   } catch (err) {
     next(err);
   }
@@ -923,12 +1037,14 @@ async function getNegativeAppeals(req, res, next) {
     // 2️⃣ Fetch all credits
     let credits = await Credit.find(baseFilter);
 
-    // 3️⃣ Filter to only those with appeals
-    let items = credits.filter(
-      c =>
-        c.appeal &&
-        ['pending', 'accepted', 'rejected'].includes(String(c.appeal.status || '').toLowerCase())
-    );
+    // 3️⃣ Filter to only those with a live appeal (latest, not withdrawn)
+    let items = credits
+      .map(c => ({ ...c, appeal: currentAppeal(c) }))
+      .filter(
+        c =>
+          c.appeal &&
+          ['pending', 'accepted', 'rejected'].includes(String(c.appeal.status || '').toLowerCase())
+      );
 
     // 4️⃣ Filter by appeal status
     if (appealStatus.toLowerCase() !== 'all') {
@@ -939,11 +1055,10 @@ async function getNegativeAppeals(req, res, next) {
 
     // 5️⃣ Filter by credit status
     if (status.toLowerCase() !== 'all') {
-      const allowed = ['pending', 'approved', 'rejected', 'appealed'];
-      if (!allowed.includes(status.toLowerCase())) {
+      if (!CREDIT_STATUSES.includes(status.toLowerCase())) {
         return res.status(400).json({
           success: false,
-          message: `Invalid status. Allowed: ${allowed.join(', ')}`
+          message: `Invalid status. Allowed: ${CREDIT_STATUSES.join(', ')}`
         });
       }
       items = items.filter(c => String(c.status || '').toLowerCase() === status.toLowerCase());
@@ -1002,7 +1117,7 @@ async function getNegativeAppeals(req, res, next) {
     const paged = items.slice(skip, skip + Math.max(Number(limit), 1));
 
     // 1️⃣1️⃣ Format data
-    const formattedItems = paged.map(c => ({
+    const formattedItems = withSignedLinksAll(paged, req.user).map(c => ({
       creditId: c._id,
       _id: c._id, // explicitly include credit _id for consistency
       title: c.title || '',
@@ -1031,11 +1146,12 @@ async function getNegativeAppeals(req, res, next) {
       appeal: {
         status: c.appeal?.status || '',
         reason: c.appeal?.reason || '',
-        submittedAt: c.appeal?.submittedAt || '',
+        submittedAt: c.appeal?.submittedAt || c.appeal?.createdAt || '',
         response: c.appeal?.response || '',
         reviewedBy: c.appeal?.reviewedBy || '',
         updatedAt: c.appeal?.updatedAt || ''
-      }
+      },
+      appealCount: appealHistory(c).length
     }));
 
     // 1️⃣2️⃣ Build distinct dropdown values for frontend
@@ -1073,9 +1189,14 @@ async function adminGetAppealByCreditId(req, res, next) {
 
     const credit = await Credit.findById(creditId);
     if (!credit) return res.status(404).json({ success: false, message: 'Credit not found' });
-    if (!credit.appeal || !credit.appeal.by) return res.status(404).json({ success: false, message: 'No appeal found for this credit' });
+    const latest = currentAppeal(credit);
+    if (!latest) return res.status(404).json({ success: false, message: 'No appeal found for this credit' });
 
-    return res.json({ success: true, data: credit.appeal });
+    return res.json({
+      success: true,
+      data: signEvidence(latest, req.user),
+      history: appealHistory(credit).map((a) => signEvidence(a, req.user)),
+    });
   } catch (err) {
     next(err);
   }
@@ -1083,7 +1204,8 @@ async function adminGetAppealByCreditId(req, res, next) {
 
 /**
  * ADMIN: Update appeal status (Dynamo)
- * Body: { status: 'accepted' | 'rejected', notes: optional }
+ * Body: { status: 'accepted' | 'rejected', notes: optional, version: optional }
+ * `version` (or If-Match) guards against racing an OA edit of the same credit.
  */
 async function adminUpdateAppealStatus(req, res, next) {
   try {
@@ -1091,37 +1213,50 @@ async function adminUpdateAppealStatus(req, res, next) {
 
     const { creditId } = req.params;
     const { status, notes } = req.body;
+    const expectedVersion = readExpectedVersion(req);
 
     const allowedStatuses = ['accepted', 'rejected'];
     if (!allowedStatuses.includes(status)) return res.status(400).json({ success: false, message: `Invalid status. Allowed: ${allowedStatuses.join(', ')}` });
 
     const credit = await Credit.findById(creditId);
     if (!credit) return res.status(404).json({ success: false, message: 'Credit not found' });
+    await assertYearWritable(credit.academicYear);
 
-    if (!credit.appeal || !credit.appeal.by) return res.status(400).json({ success: false, message: 'No appeal found for this credit' });
+    // Only a pending appeal on a credit under appeal can be decided (not a withdrawn or decided one)
+    const current = currentAppeal(credit);
+    if (!current) return res.status(400).json({ success: false, message: 'No appeal found for this credit' });
+    if (current.status !== 'pending' || credit.status !== 'appealed') {
+      return res.status(400).json({ success: false, message: 'Only a pending appeal can be decided' });
+    }
 
-    // Update appeal object and credit status if needed
+    // Decide the latest appeal; earlier ones keep their own decision
+    const now = new Date().toISOString();
     const newAppeal = {
-      ...credit.appeal,
+      ...current,
       status,
-      updatedAt: new Date().toISOString(),
-      notes: notes || credit.appeal.notes,
+      updatedAt: now,
+      reviewedBy: String(req.user._id),
+      reviewedAt: now,
+      notes: notes || current.notes,
     };
 
     const updatePayload = {
-      appeal: newAppeal,
+      ...replaceLatestAppeal(credit, newAppeal),
       notes: notes || credit.notes || undefined,
       updatedAt: new Date().toISOString(),
     };
 
     // If appeal accepted, set credit.status to 'pending' for re-review (preserve previous logic)
+    let transition = null;
     if (status === 'accepted' && credit.status !== 'pending') {
+      transition = assertTransition(credit, 'pending', 'admin');
       updatePayload.status = 'pending';
     }
 
-    await Credit.update(creditId, updatePayload);
+    await Credit.update(creditId, updatePayload, { expectedVersion: checkVersion(credit, expectedVersion), reason: notes });
 
     const updated = await Credit.findById(creditId);
+    await runStatusEffects(updated, transition);
 
     // Emit socket event if needed
     emitSocket(req, 'credit:appeal:update', { creditId: updated._id, appeal: updated.appeal });
@@ -1140,13 +1275,35 @@ async function adminUpdateAppealStatus(req, res, next) {
       });
     }
 
-    return res.json({ success: true, data: updated });
+    return res.json({ success: true, data: withSignedLinks(updated, req.user) });
   } catch (err) {
     next(err);
   }
 }
 
 
+/**
+ * Ensure issuedBySnapshot is present on each credit (cheap enrichment)
+ */
+async function withIssuedBySnapshot(items) {
+  return Promise.all(items.map(async (c) => {
+    if (c.issuedBySnapshot && c.issuedBySnapshot.name) return c;
+    if (c.issuedBy) {
+      // Avoid throwing if User.findById fails; model.findById uses Dynamo's GetCommand
+      try {
+        const u = await User.findById(c.issuedBy);
+        if (u) {
+          return { ...c, issuedBySnapshot: { _id: u._id, name: u.name, email: u.email } };
+        }
+      } catch (e) {
+        // ignore enrichment errors
+        return c;
+      }
+    }
+    return c;
+  }));
+}
+
 /**
  * OA: Get credits issued by the logged-in OA user (advanced filters)
  * GET /oa/credits/issued
@@ -1172,10 +1329,11 @@ async function adminUpdateAppealStatus(req, res, next) {
  *  - sortOrder        : asc | desc (default: desc)
  *  - limit            : number (default 25, max 200)
  *  - page             : number (default 1)
+ *  - cursor           : opaque token; when present (even empty) switches to cursor mode and the
+ *                       response carries nextCursor instead of totals/aggregates (sortBy=createdAt only)
  *
- * NOTE: This implementation uses Credit.find(filter) (scan + basic filter) then applies all
- * additional filtering/sorting in-memory. For large datasets you should add a Dynamo GSI on
- * issuedBy (and other keys) and use QueryCommand.
+ * NOTE: Credit.find/findPage query the issuedBy GSI; every other filter and the
+ * offset-mode sorting are applied in-memory.
  */
 async function oaGetOwnIssuedCredits(req, res, next) {
   try {
@@ -1227,18 +1385,12 @@ async function oaGetOwnIssuedCredits(req, res, next) {
     // The model.find does strict equality (c[k] === v), so pass issuedBy and maybe simple direct fields if present.
     const baseFilter = { issuedBy: user._id };
 
-    // Quick pass-through for type/status/academicYear (these go to the DB scan filter)
-    if (req.query.type) baseFilter.type = req.query.type;
-    if (req.query.status) baseFilter.status = req.query.status;
-    if (req.query.academicYear) baseFilter.academicYear = req.query.academicYear;
-
-    // Fetch candidate set (this will scan then apply the simple baseFilter)
-    const candidates = await Credit.find(baseFilter); // returns array
-
-    // If no items, return early
-    if (!candidates || candidates.length === 0) {
-      return res.json({ success: true, data: { total: 0, page, limit, items: [], aggregates: {} } });
-    }
+    // Quick pass-through for single-valued type/status/academicYear (these go to the DB filter);
+    // comma lists are handled by the in-memory filters below
+    ['type', 'status', 'academicYear'].forEach((k) => {
+      const v = req.query[k];
+      if (v && !String(v).includes(',')) baseFilter[k] = v;
+    });
 
     // Prepare richer filters (in-memory)
     const types = parseList(req.query.type); // might be null
@@ -1339,6 +1491,38 @@ async function oaGetOwnIssuedCredits(req, res, next) {
       return true;
     };
 
+    // Cursor mode: one DynamoDB page at a time in createdAt order (issuedBy index)
+    if (wantsCursor(req.query)) {
+      if (sortBy !== 'createdAt') {
+        return res.status(400).json({ success: false, message: 'Cursor pagination only supports sortBy=createdAt' });
+      }
+
+      const { items, nextCursor } = await Credit.findPage(baseFilter, {
+        limit,
+        cursor: req.query.cursor,
+        predicate: matches,
+        descending: sortOrder !== 'asc',
+        orderBy: 'createdAt',
+      });
+
+      return res.json({
+        success: true,
+        data: {
+          limit,
+          nextCursor,
+          items: withSignedLinksAll(await withIssuedBySnapshot(items), req.user),
+        },
+      });
+    }
+
+    // Fetch candidate set (this will scan then apply the simple baseFilter)
+    const candidates = await Credit.find(baseFilter); // returns array
+
+    // If no items, return early
+    if (!candidates || candidates.length === 0) {
+      return res.json({ success: true, data: { total: 0, page, limit, nextCursor: null, items: [], aggregates: {} } });
+    }
+
     // Apply filters
     const filtered = candidates.filter(matches);
 
@@ -1387,23 +1571,7 @@ async function oaGetOwnIssuedCredits(req, res, next) {
     // Pagination slice
     const pagedItems = sorted.slice(offset, offset + limit);
 
-    // Optionally: ensure issuedBySnapshot present (cheap enrichment)
-    const itemsWithSnapshot = await Promise.all(pagedItems.map(async (c) => {
-      if (c.issuedBySnapshot && c.issuedBySnapshot.name) return c;
-      if (c.issuedBy) {
-        // Avoid throwing if User.findById fails; model.findById uses Dynamo's GetCommand
-        try {
-          const u = await User.findById(c.issuedBy);
-          if (u) {
-            return { ...c, issuedBySnapshot: { _id: u._id, name: u.name, email: u.email } };
-          }
-        } catch (e) {
-          // ignore enrichment errors
-          return c;
-        }
-      }
-      return c;
-    }));
+    const itemsWithSnapshot = withSignedLinksAll(await withIssuedBySnapshot(pagedItems), req.user);
 
     return res.json({
       success: true,
@@ -1412,6 +1580,7 @@ async function oaGetOwnIssuedCredits(req, res, next) {
         totalAvailable: candidates.length, // how many candidates fetched from scan+baseFilter
         page,
         limit,
+        nextCursor: null,
         items: itemsWithSnapshot,
         aggregates, // byType and byStatus
       },
@@ -1444,7 +1613,7 @@ function formatIST(dateInput) {
 
 /**
  * OA: Delete a credit that the OA issued (supports soft-delete)
- * DELETE /oa/credits/issued/:id
+ * DELETE /oa/credits/issued/:id  (?reason= or body.reason is kept in the audit log)
  */
 async function oaDeleteIssuedCredit(req, res, next) {
   try {
@@ -1474,6 +1643,7 @@ async function oaDeleteIssuedCredit(req, res, next) {
     if (!issuedBy || String(issuedBy) !== String(user._id)) {
       return res.status(403).json({ success: false, message: 'Forbidden: you can only delete credits you issued' });
     }
+    await assertYearWritable(credit.academicYear);
 
     // prepare recipient info (snapshot first)
     let recipientEmail = null;
@@ -1517,19 +1687,22 @@ async function oaDeleteIssuedCredit(req, res, next) {
     const oaName = user.name || String(user._id) || 'OA user';
     const deletedAt = new Date().toISOString();
     const deleteMode = softDelete ? 'soft' : 'hard';
+    const reason = (req.body && req.body.reason) || req.query.reason;
 
     // perform delete (soft or hard)
     if (softDelete) {
+      const transition = assertTransition(credit, 'deleted', user.role);
       const updatePayload = { status: 'deleted', deletedBy: user._id, deletedAt };
       try {
-        await Credit.update(id, updatePayload);
+        const updated = await Credit.update(id, updatePayload, { reason });
+        await runStatusEffects(updated, transition);
       } catch (e) {
         console.error('Soft-delete failed', { creditId: id, err: e && e.message });
         return res.status(500).json({ success: false, message: 'Failed to soft-delete credit' });
       }
     } else {
       try {
-        await Credit.delete(id);
+        await Credit.delete(id, { reason });
       } catch (e) {
         console.error('Hard delete failed', { creditId: id, err: e && e.message });
         return res.status(500).json({ success: false, message: 'Failed to delete credit' });
@@ -1670,18 +1843,20 @@ async function adminReopenAppealWindow(req, res, next) {
     if (credit.type !== 'negative') {
       return res.status(400).json({ success: false, message: 'Only negative credits can have appeals re-opened' });
     }
+    await assertYearWritable(credit.academicYear);
 
     const updates = {
       overrideAppealWindow: true,
       updatedAt: new Date().toISOString()
     };
 
-    // Reset attempt count if it was at the limit
-    if ((credit.appealCount || 0) >= 2) {
+    // Reset attempt count if it was at the limit (earlier appeals stay in the history)
+    if (appealAttempts(credit) >= MAX_APPEALS) {
       updates.appealCount = 0;
+      updates.appealsResetAt = updates.updatedAt;
     }
 
-    await Credit.update(creditId, updates);
+    await Credit.update(creditId, updates, { expectedVersion: checkVersion(credit, readExpectedVersion(req)) });
     const updated = await Credit.findById(creditId);
 
     emitSocket(req, 'credit:appeal:reopened', { creditId, facultyId: updated.faculty });
@@ -1689,7 +1864,7 @@ async function adminReopenAppealWindow(req, res, next) {
     return res.json({ 
       success: true, 
       message: 'Appeal window has been re-opened for this faculty member.', 
-      data: updated 
+      data: withSignedLinks(updated, req.user)
     });
   } catch (err) {
     next(err);
@@ -1704,6 +1879,7 @@ module.exports = {
   deleteCreditTitle,
   listPositiveCreditsForAdmin,
   updatePositiveCreditStatus,
+  bulkUpdatePositiveCreditStatus,
   getPositiveCreditById,
   issueNegativeCredit,
   listNegativeCreditsForFaculty,
@@ -0,0 +1,100 @@
+// Controllers/approvalController.js
+const Credit = require('../Models/Credit');
+const { connectDB } = require('../config/db');
+const { parseLimit } = require('../utils/pagination');
+const { readExpectedVersion, checkVersion } = require('../utils/versioning');
+const { STAGES, DECISIONS, pendingStage, canReview, applyDecision } = require('../utils/approvalWorkflow');
+const { assertTransition, runStatusEffects } = require('../utils/creditStatus');
+const { assertYearWritable } = require('../utils/academicYears');
+const io = require('../socket');
+const { withSignedLinks, withSignedLinksAll, withoutStorageDetails } = require('../utils/assetLinks');
+
+/**
+ * Reviewer: credits waiting on one of my stages, oldest first
+ * GET /api/v1/approvals/queue?stage=hod&limit=&cursor=
+ * `stage` defaults to the reviewer's first role. HODs only see their
+ * department, Principals their college; nobody sees their own credits.
+ */
+async function getApprovalQueue(req, res, next) {
+  try {
+    await connectDB();
+    const user = req.user;
+    const roles = user.reviewerRoles || [];
+    const stage = req.query.stage || roles[0];
+
+    if (!stage || !STAGES[stage]) {
+      return res.status(400).json({ success: false, message: `Invalid stage. Allowed: ${Object.keys(STAGES).join(', ')}` });
+    }
+    if (!roles.includes(stage)) {
+      return res.status(403).json({ success: false, message: `You are not a ${STAGES[stage].label} reviewer` });
+    }
+
+    const { items, nextCursor } = await Credit.findPage({ approvalStage: stage }, {
+      limit: parseLimit(req.query.limit),
+      cursor: req.query.cursor,
+      predicate: (c) => c.status === 'pending' && canReview(user, stage, c),
+      orderBy: 'createdAt',
+    });
+
+    return res.json({ success: true, stage, limit: parseLimit(req.query.limit), nextCursor, items: withSignedLinksAll(items, req.user) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Reviewer: decide the stage a credit is waiting on
+ * POST /api/v1/approvals/:creditId/decision
+ * Body: { decision: 'approve' | 'reject' | 'return', comment, version? }
+ * A comment is required to reject or return.
+ */
+async function decideApproval(req, res, next) {
+  try {
+    await connectDB();
+    const { creditId } = req.params;
+    const { decision, comment } = req.body;
+    const expectedVersion = readExpectedVersion(req);
+
+    if (!DECISIONS.includes(decision)) {
+      return res.status(400).json({ success: false, message: `Invalid decision. Allowed: ${DECISIONS.join(', ')}` });
+    }
+    if (decision !== 'approve' && !String(comment || '').trim()) {
+      return res.status(400).json({ success: false, message: 'A comment is required to reject or return a credit' });
+    }
+
+    const credit = await Credit.findById(creditId);
+    if (!credit) return res.status(404).json({ success: false, message: 'Credit not found' });
+    await assertYearWritable(credit.academicYear);
+
+    const stage = pendingStage(credit);
+    if (!stage) return res.status(400).json({ success: false, message: 'Credit is not awaiting review' });
+    if (String(credit.faculty) === String(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'You cannot review your own credit' });
+    }
+    if (!canReview(req.user, stage, credit)) {
+      return res.status(403).json({ success: false, message: `Only the ${STAGES[stage].label} reviewer for this faculty can decide this stage` });
+    }
+
+    const { data, remove } = applyDecision(credit, { reviewer: req.user, decision, comment });
+    // Approving an intermediate stage leaves the status alone
+    const transition = data.status ? assertTransition(credit, data.status, 'reviewer') : null;
+
+    const updated = await Credit.update(creditId, data, {
+      expectedVersion: checkVersion(credit, expectedVersion),
+      remove,
+      reason: comment,
+    });
+
+    await runStatusEffects(updated, transition);
+    io.emit(`faculty:${credit.faculty}:creditUpdate`, withoutStorageDetails(updated));
+
+    return res.json({ success: true, data: withSignedLinks(updated, req.user) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getApprovalQueue,
+  decideApproval,
+};
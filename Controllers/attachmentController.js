@@ -0,0 +1,175 @@
+// controllers/attachmentController.js
+
+const Credit = require('../Models/Credit');
+const io = require('../socket');
+const { connectDB } = require('../config/db');
+const { readExpectedVersion, checkVersion } = require('../utils/versioning');
+const { latestAppeal, replaceLatestAppeal } = require('../utils/appeals');
+const { assertYearWritable } = require('../utils/academicYears');
+const { withSignedLinks, withoutStorageDetails } = require('../utils/assetLinks');
+const { restartApproval } = require('../utils/approvalWorkflow');
+const {
+  uploadedFiles,
+  parseLabels,
+  attachmentsOf,
+  assertWithinLimits,
+  uploadAttachments,
+  removeAttachment,
+  arrangeAttachments,
+  creditAttachmentUpdate,
+  withAppealAttachments,
+} = require('../utils/attachments');
+
+function accessError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Helper: load the credit and check the user may change its own attachments.
+ * Positive: the faculty, while draft/pending/returned and before the
+ * submission deadline. Negative: an admin, or the OA who issued it.
+ */
+async function creditTarget(req) {
+  const credit = await Credit.findById(req.params.creditId);
+  if (!credit) throw accessError('Credit not found', 404);
+  const user = req.user;
+
+  if (credit.type === 'positive') {
+    if (String(credit.faculty) !== String(user._id)) throw accessError('Unauthorized', 403);
+    if (!['draft', 'pending', 'returned'].includes(credit.status)) {
+      throw accessError('Attachments can only change on draft, pending or returned credits', 400);
+    }
+    await assertYearWritable(credit.academicYear, { deadline: 'submission' });
+  } else {
+    const issuer = user.role === 'oa' && String(credit.issuedBy) === String(user._id);
+    if (user.role !== 'admin' && !issuer) throw accessError('Unauthorized', 403);
+    if (credit.status === 'deleted') throw accessError('Credit is deleted', 400);
+    await assertYearWritable(credit.academicYear);
+  }
+
+  return {
+    credit,
+    folder: `credits/${credit.academicYear}`,
+    list: attachmentsOf(credit),
+    update: creditAttachmentUpdate,
+  };
+}
+
+/**
+ * Helper: load the credit and check the faculty may change the attachments
+ * of its pending appeal.
+ */
+async function appealTarget(req) {
+  const credit = await Credit.findById(req.params.creditId);
+  if (!credit) throw accessError('Credit not found', 404);
+  if (credit.type !== 'negative') throw accessError('Not a negative credit', 400);
+  if (String(credit.faculty) !== String(req.user._id)) throw accessError('Unauthorized', 403);
+
+  const current = latestAppeal(credit);
+  if (!current || credit.status !== 'appealed' || current.status !== 'pending') {
+    throw accessError('No pending appeal found', 400);
+  }
+  await assertYearWritable(credit.academicYear, { deadline: 'appeal' });
+
+  return {
+    credit,
+    folder: `appeals/${credit._id}`,
+    list: attachmentsOf(current),
+    update(list) {
+      const record = { ...withAppealAttachments(current, list), updatedAt: new Date().toISOString() };
+      return { set: replaceLatestAppeal(credit, record), remove: [] };
+    },
+  };
+}
+
+/**
+ * Helper: save a new attachment list and answer with the credit
+ */
+async function saveAttachments(req, res, target, list, status = 200) {
+  const { credit } = target;
+  const { set, remove } = target.update(list);
+  const updated = await Credit.update(credit._id, { ...set, ...restartApproval(credit, set, req.user), updatedAt: new Date().toISOString() },
+    { expectedVersion: checkVersion(credit, readExpectedVersion(req)), remove });
+
+  io.emit(`faculty:${credit.faculty}:creditUpdate`, withoutStorageDetails(updated));
+  return res.status(status).json({ success: true, data: withSignedLinks(updated, req.user) });
+}
+
+function addHandler(loadTarget) {
+  return async (req, res, next) => {
+    try {
+      await connectDB();
+      const files = uploadedFiles(req);
+      if (files.length === 0) return res.status(400).json({ success: false, message: 'No file uploaded' });
+
+      const target = await loadTarget(req);
+      checkVersion(target.credit, readExpectedVersion(req)); // before any upload
+      assertWithinLimits(target.list, files);
+
+      const added = await uploadAttachments(files, target.folder, { labels: parseLabels(req.body.labels), by: req.user._id });
+      return saveAttachments(req, res, target, [...target.list, ...added], 201);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+function removeHandler(loadTarget) {
+  return async (req, res, next) => {
+    try {
+      await connectDB();
+      const target = await loadTarget(req);
+      return saveAttachments(req, res, target, removeAttachment(target.list, req.params.attachmentId));
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+function arrangeHandler(loadTarget) {
+  return async (req, res, next) => {
+    try {
+      await connectDB();
+      const { order, labels } = req.body;
+      if (order === undefined && labels === undefined) {
+        return res.status(400).json({ success: false, message: 'Send order and/or labels' });
+      }
+      const target = await loadTarget(req);
+      return saveAttachments(req, res, target, arrangeAttachments(target.list, { order, labels }));
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Credit attachments
+ * POST   /api/v1/credits/credits/:creditId/attachments  (multipart: files[], labels?)
+ * PATCH  /api/v1/credits/credits/:creditId/attachments  { order?: [ids], labels?: { id: label } }
+ * DELETE /api/v1/credits/credits/:creditId/attachments/:attachmentId
+ * All accept `version` (body or If-Match).
+ */
+const addCreditAttachments = addHandler(creditTarget);
+const arrangeCreditAttachments = arrangeHandler(creditTarget);
+const removeCreditAttachment = removeHandler(creditTarget);
+
+/**
+ * Attachments of the pending appeal on a negative credit (faculty)
+ * POST   /api/v1/credits/credits/:creditId/appeal/attachments
+ * PATCH  /api/v1/credits/credits/:creditId/appeal/attachments
+ * DELETE /api/v1/credits/credits/:creditId/appeal/attachments/:attachmentId
+ */
+const addAppealAttachments = addHandler(appealTarget);
+const arrangeAppealAttachments = arrangeHandler(appealTarget);
+const removeAppealAttachment = removeHandler(appealTarget);
+
+module.exports = {
+  addCreditAttachments,
+  arrangeCreditAttachments,
+  removeCreditAttachment,
+  addAppealAttachments,
+  arrangeAppealAttachments,
+  removeAppealAttachment,
+};
@@ -1,6 +1,18 @@
 const Asset = require('../Models/Asset');
 const ShortUrl = require('../Models/ShortUrl');
-const { createMaskedUrl, createShortLink } = require('../utils/urlHelper');
+const jwt = require('jsonwebtoken');
+const { createShortLink, linkUnavailable } = require('../utils/urlHelper');
+const { schemas } = require('../utils/validation');
+const { verifyAssetLink } = require('../utils/assetLinks');
+const { recordVisit } = require('../utils/linkAnalytics');
+const {
+    assetSource,
+    parseRange,
+    isNotModified,
+    rangeApplies,
+    filenameOf,
+    contentDisposition,
+} = require('../utils/assetDelivery');
 
 // Map of predefined static assets (fallback/hardcoded for critical ones if DB fails or for speed)
 const STATIC_ASSETS = {
@@ -8,9 +20,90 @@ const STATIC_ASSETS = {
     // Add more as needed
 };
 
+// Id of the user whose token came with the request (Authorization header or ?token=), or null
+function requestUserId(req) {
+    const token = req.headers.authorization?.split(' ')[1] || req.query.token;
+    if (!token) return null;
+    try {
+        return String(jwt.verify(token, process.env.JWT_SECRET).id);
+    } catch (err) {
+        return null;
+    }
+}
+
 /**
- * GET /cdn/assets/v1/:id
- * Redirects to the target URL for the asset.
+ * Private assets (uploaded proofs) need a signed link (utils/assetLinks);
+ * ASSET_REQUIRE_SIGNATURE=true extends that to every asset not marked public.
+ * @returns {{ ok: boolean, signed?: boolean, expiresAt?: number, status?: number, reason?: string }}
+ */
+function checkAccess(req, asset) {
+    if (req.query.sig) {
+        const link = verifyAssetLink(asset._id, req.query);
+        if (!link.ok) return { ok: false, status: 403, reason: link.reason };
+        if (link.viewer && requestUserId(req) !== link.viewer) {
+            return { ok: false, status: 403, reason: 'This link was issued to another user' };
+        }
+        return { ok: true, signed: true, expiresAt: link.expiresAt };
+    }
+    const needsSignature = asset.access === 'private' ||
+        (process.env.ASSET_REQUIRE_SIGNATURE === 'true' && asset.access !== 'public');
+    if (needsSignature) return { ok: false, status: 403, reason: 'Signed link required' };
+    return { ok: true, signed: false };
+}
+
+/**
+ * Stream an asset's bytes with validators (ETag, Last-Modified), conditional
+ * GET (304), single byte ranges (206/416, for video seeking) and HEAD.
+ */
+async function streamAsset(req, res, asset, source) {
+    const info = await source.stat();
+    const size = info.size !== undefined && !isNaN(info.size) ? Number(info.size) : null;
+    // Stored files never change (every upload gets a new key), so id + size identifies the bytes
+    const etag = info.etag || `"${asset._id}-${size !== null ? size.toString(16) : '0'}"`;
+    const lastModified = info.lastModified || (asset.createdAt ? new Date(asset.createdAt).toUTCString() : undefined);
+
+    res.set('Content-Type', asset.mimeType || info.contentType || 'application/octet-stream');
+    res.set('Content-Disposition', contentDisposition(filenameOf(asset), req.query.download === '1' || req.query.download === 'true'));
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('ETag', etag);
+    if (lastModified) res.set('Last-Modified', lastModified);
+    if (size !== null) res.set('Accept-Ranges', 'bytes');
+
+    if (isNotModified(req.headers, { etag, lastModified })) {
+        return res.status(304).end();
+    }
+
+    let range = null;
+    if (req.headers.range && size !== null && rangeApplies(req.headers, { etag, lastModified })) {
+        range = parseRange(req.headers.range, size);
+        if (range === 'unsatisfiable') {
+            res.set('Content-Range', `bytes */${size}`);
+            return res.status(416).end();
+        }
+    }
+
+    if (range) {
+        res.status(206);
+        res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        res.set('Content-Length', String(range.end - range.start + 1));
+    } else if (size !== null) {
+        res.set('Content-Length', String(size));
+    }
+    if (req.method === 'HEAD') return res.end();
+
+    const { stream } = await source.read(range || undefined);
+    stream.on('error', (err) => {
+        console.warn(`[cdn] streaming asset ${asset._id} failed:`, err.message);
+        res.destroy(err);
+    });
+    return stream.pipe(res);
+}
+
+/**
+ * GET /cdn/assets/v1/:id[?exp&sig&v][&download=1]
+ * Streams the asset from its storage (see streamAsset), hiding where it is
+ * kept. ASSET_DELIVERY=redirect sends public assets to their target URL
+ * instead; targets outside ASSET_PROXY_HOSTS are always redirected to.
  */
 async function getAsset(req, res, next) {
     try {
@@ -26,42 +119,28 @@ async function getAsset(req, res, next) {
         if (!asset) {
             return res.status(404).send('Asset not found');
         }
+        if (linkUnavailable(asset)) {
+            return res.status(410).send('Asset no longer available');
+        }
 
-        // Cache control for CDN (1 day)
-        res.set('Cache-Control', 'public, max-age=86400');
+        const access = checkAccess(req, asset);
+        if (!access.ok) {
+            return res.status(access.status).send(access.reason);
+        }
 
-        // Redirect to the real source
-        res.redirect(asset.targetUrl);
-    } catch (err) {
-        next(err);
-    }
-}
+        // Signed links may only be cached by the browser, until they expire; public assets by CDNs for 1 day
+        res.set('Cache-Control', access.signed
+            ? `private, max-age=${Math.max(0, access.expiresAt - Math.floor(Date.now() / 1000))}`
+            : 'public, max-age=86400');
 
-/**
- * POST /cdn/assets (Admin only or Internal)
- * Create a new asset mapping
- */
-async function createAsset(req, res, next) {
-    try {
-        const { id, targetUrl, mimeType } = req.body;
-        if (!targetUrl) return res.status(400).json({ success: false, message: 'targetUrl is required' });
-
-        // Logic: If user provides ID, we use Asset.create directly.
-        // If not, use utility to generate one.
-
-        if (id) {
-            // Enforce specific ID
-            await Asset.create({ id, targetUrl, mimeType });
-            return res.json({
-                success: true,
-                message: 'Asset created',
-                url: `${process.env.APP_URL || 'https://fcs.egspgroup.in'}/cdn/assets/v1/${id}`
-            });
-        } else {
-            // Generate one
-            const url = await createMaskedUrl(targetUrl, mimeType);
-            return res.json({ success: true, message: 'Asset created', url });
+        const redirectPublic = process.env.ASSET_DELIVERY === 'redirect' && !access.signed && asset.access !== 'private';
+        const source = redirectPublic ? null : assetSource(asset);
+        if (source) {
+            return await streamAsset(req, res, asset, source);
         }
+
+        // Redirect to the real source
+        res.redirect(asset.targetUrl);
     } catch (err) {
         next(err);
     }
@@ -69,7 +148,7 @@ async function createAsset(req, res, next) {
 
 /**
  * GET /s/:id
- * Short URL redirect
+ * Short URL redirect; each hit is recorded for the admin click analytics
  */
 async function getShortUrl(req, res, next) {
     try {
@@ -79,9 +158,14 @@ async function getShortUrl(req, res, next) {
         if (!short) {
             return res.status(404).send('Link not found or expired');
         }
+        const unavailable = linkUnavailable(short);
+        if (unavailable) {
+            return res.status(410).send(unavailable === 'expired' ? 'Link expired' : 'Link disabled');
+        }
 
-        // Async increment
+        // Async increment and visit record (utils/linkAnalytics)
         ShortUrl.incrementVisits(id);
+        recordVisit(req, short, requestUserId(req));
 
         res.redirect(short.originalUrl);
     } catch (err) {
@@ -90,15 +174,19 @@ async function getShortUrl(req, res, next) {
 }
 
 /**
- * POST /api/v1/shorten
+ * POST /cdn/shorten (signed-in users)
+ * Body: { url, alias?, expiresAt? } - the link belongs to the caller; 409 if the alias is taken
  */
 async function createShortUrl(req, res, next) {
     try {
-        const { url, alias } = req.body;
-        if (!url) return res.status(400).json({ success: false, message: 'URL is required' });
-
-        const shortUrl = await createShortLink(url, alias);
-        res.json({ success: true, shortUrl });
+        const { error, value } = schemas.shortUrl.create.validate(req.body);
+        if (error) return res.status(400).json({ success: false, message: error.details[0].message });
+
+        const shortUrl = await createShortLink(value.url, value.alias, {
+            createdBy: String(req.user._id),
+            ...(value.expiresAt ? { expiresAt: new Date(value.expiresAt).toISOString() } : {}),
+        });
+        res.status(201).json({ success: true, shortUrl });
     } catch (err) {
         next(err);
     }
@@ -106,7 +194,6 @@ async function createShortUrl(req, res, next) {
 
 module.exports = {
     getAsset,
-    createAsset,
     getShortUrl,
     createShortUrl
 };
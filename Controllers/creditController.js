@@ -4,15 +4,38 @@ const Credit = require('../Models/Credit');
 const User = require('../Models/User'); // assuming this is still mongoose-backed
 const CreditTitle = require('../Models/CreditTitle');
 const path = require('path');
-const { handleFileUpload } = require('../utils/fileUpload');
 const { sendEmail } = require('../utils/email');
 const { generateRemarkPdf } = require('../utils/pdfGenerator');
 const { sendPushToUser } = require('../Controllers/pushController');
 const { recalcFacultyCredits } = require('../utils/calculateCredits');
+const CreditLedger = require('../Models/CreditLedger');
+const { balanceAsOf } = require('../utils/ledger');
+const { parseLimit } = require('../utils/pagination');
 const io = require('../socket');
 const { connectDB } = require('../config/db');
+const { readExpectedVersion, checkVersion } = require('../utils/versioning');
+const { MAX_APPEALS, latestAppeal, appealAttempts, newAppealRecord, appendAppeal, replaceLatestAppeal } = require('../utils/appeals');
+const { resolveStages, startApproval, resubmit, restartApproval, reviewsFaculty } = require('../utils/approvalWorkflow');
+const { simulateCredits } = require('../utils/creditSimulation');
+const { titleFingerprint, findPossibleDuplicates, duplicateRefs } = require('../utils/duplicateCredits');
+const {
+  uploadedFiles,
+  parseLabels,
+  attachmentsOf,
+  assertWithinLimits,
+  uploadAttachments,
+  replacePrimary,
+  creditAttachmentUpdate,
+  withAppealAttachments,
+} = require('../utils/attachments');
+const { schemas } = require('../utils/validation');
+const { CREDIT_STATUSES, EXCLUDED_FROM_TOTALS, assertTransition, runStatusEffects } = require('../utils/creditStatus');
+const AcademicYear = require('../Models/AcademicYear');
+const { assertYearWritable, academicYearForDate, currentCycle } = require('../utils/academicYears');
+const { validateFormulaDefinition, computeTitlePoints } = require('../utils/creditFormula');
 const { sendWhatsAppMessage } = require('../utils/whatsapp');
 const { sendRemarkNotificationHelper } = require('../utils/notificationHelper');
+const { withSignedLinks, withoutStorageDetails } = require('../utils/assetLinks');
 
 /**
  * Helper: ensure DynamoDB client is connected
@@ -36,14 +59,15 @@ function getAppealEligibility(credit) {
     return { canAppeal: false, reason: 'Only negative credits can be appealed' };
   }
 
-  // 1. Check attempt count
-  const currentAttempts = credit.appealCount || 0;
-  if (currentAttempts >= 2) {
-    return { canAppeal: false, reason: 'Maximum number of appeals (2) has been reached' };
+  // 1. Check attempt count (appeals filed since the window was last re-opened)
+  const currentAttempts = appealAttempts(credit);
+  if (currentAttempts >= MAX_APPEALS) {
+    return { canAppeal: false, reason: `Maximum number of appeals (${MAX_APPEALS}) has been reached` };
   }
 
   // 2. Check for pending appeal
-  if (credit.appeal && credit.appeal.status === 'pending') {
+  const latest = latestAppeal(credit);
+  if (latest && latest.status === 'pending') {
     return { canAppeal: false, reason: 'An appeal is already pending' };
   }
 
@@ -66,8 +90,111 @@ function getAppealEligibility(credit) {
   return { canAppeal: true };
 }
 
+/**
+ * Helper: validate category IDs (CreditTitle IDs) and pick the one with a formula
+ * @returns {Promise<{ categoryIds: string[], formulaTitle: Object|null, invalid: string[] }>}
+ */
+async function resolveCategories(categories) {
+  if (!categories) return { categoryIds: [], formulaTitle: null, invalid: [] };
+  if (!Array.isArray(categories)) categories = String(categories).split(',');
+  const categoryIds = categories.map(c => String(c).trim()).filter(Boolean);
+  if (categoryIds.length === 0) return { categoryIds, formulaTitle: null, invalid: [] };
+
+  const found = await CreditTitle.find({}); // returns all titles, we'll filter locally
+  const foundIds = new Set(found.map(t => String(t._id)));
+  const invalid = categoryIds.filter(id => !foundIds.has(String(id)));
+  const formulaTitle = found.find(t => t.formula && categoryIds.includes(String(t._id))) || null;
+  return { categoryIds, formulaTitle, invalid };
+}
+
+function badSubmission(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Helper: points of a submission. A category with a formula computes them
+ * from `inputs`; otherwise the faculty states them.
+ * @returns {Promise<{ points: number, pointsBreakdown?: Object }>}
+ */
+async function submissionPoints({ formulaTitle, points, inputs, faculty, academicYear, excludeId }) {
+  if (formulaTitle) {
+    return computeTitlePoints(formulaTitle, { inputs, faculty: faculty._id, academicYear, excludeId });
+  }
+  if (!points) throw badSubmission('Missing required fields');
+  const value = Number(points);
+  if (value <= 0 || isNaN(value)) throw badSubmission('Points must be a positive number');
+  return { points: value };
+}
+
+/**
+ * Helper: fields that put a positive credit in front of reviewers: the
+ * approval chain for its college/department/titles (empty: admin decides
+ * directly) and the possible-duplicate flags.
+ */
+async function reviewFields(faculty, { _id, title, categories, proofHash }) {
+  const facultySnapshot = {
+    facultyID: faculty.facultyID,
+    name: faculty.name,
+    college: faculty.college,
+    department: faculty.department,
+  };
+  const fingerprint = titleFingerprint(title);
+  // Same proof (any faculty) or a near-identical title (same faculty): flag for reviewers
+  const duplicates = await findPossibleDuplicates({ _id, faculty: faculty._id, title, proofHash, titleFingerprint: fingerprint });
+  const stages = await resolveStages({ facultySnapshot, categories });
+
+  return {
+    facultySnapshot,
+    titleFingerprint: fingerprint,
+    ...(duplicates.length ? { possibleDuplicates: duplicateRefs(duplicates) } : {}),
+    ...startApproval(stages),
+  };
+}
+
+/**
+ * Helper: upload the files sent with a new credit or appeal (`proof` and/or
+ * `attachments`, labelled by `labels`)
+ * @returns {Promise<Object[]>} attachments
+ */
+async function newAttachments(req, folder) {
+  const files = uploadedFiles(req);
+  assertWithinLimits([], files);
+  return uploadAttachments(files, folder, { labels: parseLabels(req.body.labels), by: req.user._id });
+}
+
+/**
+ * Helper: a single `proof` upload replaces the first attachment of a credit
+ * or appeal and keeps the rest
+ * @returns {Promise<Object[]>} the new attachment list
+ */
+async function replaceProof(holder, file, folder, by) {
+  const current = attachmentsOf(holder);
+  assertWithinLimits(current.slice(1), [file]);
+  const [attachment] = await uploadAttachments([file], folder, { by });
+  return replacePrimary(current, attachment);
+}
+
+function notifySubmitted(faculty, credit) {
+  // Balance follows through the credit ledger; just emit
+  io.emit(`faculty:${faculty._id}:creditUpdate`, withoutStorageDetails(credit));
+
+  sendPushToUser(String(faculty._id), {
+    title: 'Credit Submitted',
+    body: `Your credit submission "${credit.title}" for ${credit.points} points is now pending approval.`,
+    url: '/u/credits',
+    icon: '/icons/info.png'
+  });
+}
+
 /**
  * Faculty submits positive credit
+ * Multipart: `proof` and/or up to MAX_ATTACHMENTS `attachments`, with
+ * optional `labels` (same order; JSON array or comma list).
+ * Send `draft=true` to save it as a draft instead: points, proof and formula
+ * inputs may then be missing until the draft is submitted
+ * (POST /credits/drafts/:creditId/submit).
  */
 async function submitPositiveCredit(req, res, next) {
   try {
@@ -77,66 +204,232 @@ async function submitPositiveCredit(req, res, next) {
     if (!faculty || faculty.role !== 'faculty')
       return res.status(403).json({ success: false, message: 'Forbidden' });
 
-    let { title, points, categories, academicYear, notes } = req.body;
-    if (!title || !points || !academicYear)
+    const { title, points, categories, academicYear, notes, inputs } = req.body;
+    const asDraft = req.body.draft === true || req.body.draft === 'true';
+    if (!title || !academicYear)
       return res.status(400).json({ success: false, message: 'Missing required fields' });
 
-    points = Number(points);
-    if (points <= 0 || isNaN(points))
-      return res.status(400).json({ success: false, message: 'Points must be a positive number' });
+    await assertYearWritable(academicYear, { deadline: 'submission' });
 
     // Validate categories if provided (categories are expected to be CreditTitle IDs)
-    let categoryIds = [];
-    if (categories) {
-      if (!Array.isArray(categories)) categories = String(categories).split(',');
-      categoryIds = categories.map(c => String(c).trim()).filter(Boolean);
-
-      // validate category IDs exist (using CreditTitle.find with filter)
-      if (categoryIds.length > 0) {
-        const found = await CreditTitle.find({}); // returns all titles, we'll filter locally
-        const foundIds = new Set(found.map(t => String(t._id)));
-        const invalid = categoryIds.filter(id => !foundIds.has(String(id)));
-        if (invalid.length > 0) {
-          return res.status(400).json({ success: false, message: 'Invalid category IDs', invalidIds: invalid });
-        }
-      }
+    const { categoryIds, formulaTitle, invalid } = await resolveCategories(categories);
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid category IDs', invalidIds: invalid });
     }
 
-    const { proofUrl, proofMeta } = await handleFileUpload(req.file, `credits/${academicYear}`);
+    if (asDraft) {
+      if (points !== undefined && points !== '' && !(Number(points) > 0))
+        return res.status(400).json({ success: false, message: 'Points must be a positive number' });
+
+      const attachments = await newAttachments(req, `credits/${academicYear}`);
+      const draft = await Credit.create({
+        faculty: String(faculty._id),
+        facultySnapshot: {
+          facultyID: faculty.facultyID,
+          name: faculty.name,
+          college: faculty.college,
+          department: faculty.department,
+        },
+        type: 'positive',
+        title,
+        points: points !== undefined && points !== '' ? Number(points) : undefined,
+        categories: categoryIds,
+        draftInputs: inputs,
+        ...(attachments.length ? creditAttachmentUpdate(attachments).set : {}),
+        academicYear,
+        issuedBy: String(faculty._id),
+        status: 'draft',
+        notes: notes || undefined,
+      });
+      return res.status(201).json({ success: true, data: withSignedLinks(draft, req.user) });
+    }
+
+    const { points: finalPoints, pointsBreakdown } = await submissionPoints({ formulaTitle, points, inputs, faculty, academicYear });
+
+    const attachments = await newAttachments(req, `credits/${academicYear}`);
+    const evidence = attachments.length ? creditAttachmentUpdate(attachments).set : {};
 
     const creditDoc = await Credit.create({
       faculty: String(faculty._id),
-      facultySnapshot: {
-        facultyID: faculty.facultyID,
-        name: faculty.name,
-        college: faculty.college,
-        department: faculty.department,
-      },
       type: 'positive',
       title,
-      points,
+      points: finalPoints,
       categories: categoryIds,
-      proofUrl,
-      proofMeta,
+      ...evidence,
       academicYear,
       issuedBy: String(faculty._id),
       status: 'pending',
       notes: notes || undefined,
+      creditTitle: formulaTitle ? String(formulaTitle._id) : undefined,
+      pointsBreakdown,
+      ...(await reviewFields(faculty, { title, categories: categoryIds, proofHash: evidence.proofHash })),
     });
 
-    // recalc and emit
-    try { await recalcFacultyCredits(faculty._id); } catch (e) { /* log but continue */ }
-    io.emit(`faculty:${faculty._id}:creditUpdate`, creditDoc);
+    notifySubmitted(faculty, creditDoc);
 
-    // 2. Send Push Notification Confirmation
-    sendPushToUser(String(faculty._id), {
-      title: 'Credit Submitted',
-      body: `Your credit submission "${title}" for ${points} points is now pending approval.`,
-      url: '/u/credits',
-      icon: '/icons/info.png'
+    return res.status(201).json({ success: true, data: withSignedLinks(creditDoc, req.user) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Helper: the requesting faculty's own draft, or an error response
+ */
+async function ownDraft(req, res) {
+  const credit = await Credit.findById(req.params.creditId);
+  if (!credit) {
+    res.status(404).json({ success: false, message: 'Credit not found' });
+    return null;
+  }
+  if (String(credit.faculty) !== String(req.user._id)) {
+    res.status(403).json({ success: false, message: 'Unauthorized' });
+    return null;
+  }
+  if (credit.status !== 'draft') {
+    res.status(400).json({ success: false, message: 'Credit is not a draft' });
+    return null;
+  }
+  return credit;
+}
+
+/**
+ * Faculty lists their drafts, most recently edited first, each with the
+ * submission deadline of its academic year (null when none is set)
+ * GET /api/v1/credits/drafts
+ */
+async function listDrafts(req, res, next) {
+  try {
+    await ensureDb();
+    const [drafts, cycles] = await Promise.all([
+      Credit.find({ faculty: String(req.user._id), status: 'draft' }),
+      AcademicYear.find(),
+    ]);
+    const deadlines = new Map(cycles.map((c) => [c.label, c.submissionDeadline || null]));
+    const items = drafts
+      .map((d) => ({ ...withSignedLinks(d, req.user), submissionDeadline: deadlines.get(d.academicYear) || null }))
+      .sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+    return res.json({ success: true, total: items.length, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Faculty edits a draft: title, points, categories, academicYear, notes,
+ * inputs and optionally a new proof file. Accepts `version` (body or If-Match).
+ * PUT /api/v1/credits/drafts/:creditId
+ */
+async function updateDraft(req, res, next) {
+  try {
+    await ensureDb();
+    const credit = await ownDraft(req, res);
+    if (!credit) return undefined;
+
+    const { title, points, categories, academicYear, notes, inputs } = req.body;
+    const expectedVersion = checkVersion(credit, readExpectedVersion(req));
+    if (academicYear && academicYear !== credit.academicYear) await assertYearWritable(academicYear, { deadline: 'submission' });
+
+    const updates = {};
+    if (title) updates.title = title;
+    if (academicYear) updates.academicYear = academicYear;
+    if (notes !== undefined) updates.notes = notes;
+    if (inputs !== undefined) updates.draftInputs = inputs;
+    if (points !== undefined && points !== '') {
+      if (!(Number(points) > 0)) return res.status(400).json({ success: false, message: 'Points must be a positive number' });
+      updates.points = Number(points);
+    }
+    if (categories !== undefined) {
+      const { categoryIds, invalid } = await resolveCategories(categories);
+      if (invalid.length > 0) {
+        return res.status(400).json({ success: false, message: 'Invalid category IDs', invalidIds: invalid });
+      }
+      updates.categories = categoryIds;
+    }
+
+    let remove = [];
+    if (req.file) {
+      const list = await replaceProof(credit, req.file, `credits/${updates.academicYear || credit.academicYear}`, req.user._id);
+      const evidence = creditAttachmentUpdate(list);
+      Object.assign(updates, evidence.set);
+      remove = evidence.remove;
+    }
+    updates.updatedAt = new Date().toISOString();
+
+    const updated = await Credit.update(credit._id, updates, { expectedVersion, remove });
+    return res.json({ success: true, data: withSignedLinks(updated, req.user) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Faculty attaches (or replaces) the proof file of a draft: the first
+ * attachment (more: POST /credits/:creditId/attachments)
+ * POST /api/v1/credits/drafts/:creditId/proof (multipart: proof)
+ */
+async function attachDraftProof(req, res, next) {
+  try {
+    await ensureDb();
+    const credit = await ownDraft(req, res);
+    if (!credit) return undefined;
+    if (!req.file) return res.status(400).json({ success: false, message: 'No file uploaded' });
+
+    const expectedVersion = checkVersion(credit, readExpectedVersion(req));
+    const list = await replaceProof(credit, req.file, `credits/${credit.academicYear}`, req.user._id);
+    const { set, remove } = creditAttachmentUpdate(list);
+    const updated = await Credit.update(credit._id, { ...set, updatedAt: new Date().toISOString() }, { expectedVersion, remove });
+    return res.json({ success: true, data: withSignedLinks(updated, req.user) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Faculty submits a draft for review: the same checks as a direct
+ * submission (deadline, categories, points or formula inputs), then it
+ * enters the approval chain as pending.
+ * POST /api/v1/credits/drafts/:creditId/submit
+ */
+async function submitDraft(req, res, next) {
+  try {
+    await ensureDb();
+    const credit = await ownDraft(req, res);
+    if (!credit) return undefined;
+
+    const faculty = req.user;
+    const expectedVersion = checkVersion(credit, readExpectedVersion(req));
+    const transition = assertTransition(credit, 'pending', 'faculty');
+    await assertYearWritable(credit.academicYear, { deadline: 'submission' });
+
+    const { categoryIds, formulaTitle, invalid } = await resolveCategories(credit.categories);
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, message: 'Invalid category IDs', invalidIds: invalid });
+    }
+    const { points, pointsBreakdown } = await submissionPoints({
+      formulaTitle,
+      points: credit.points,
+      inputs: credit.draftInputs,
+      faculty,
+      academicYear: credit.academicYear,
+      excludeId: credit._id,
     });
 
-    return res.status(201).json({ success: true, data: creditDoc });
+    const now = new Date().toISOString();
+    const updated = await Credit.update(credit._id, {
+      status: 'pending',
+      points,
+      ...(pointsBreakdown ? { pointsBreakdown } : {}),
+      ...(formulaTitle ? { creditTitle: String(formulaTitle._id) } : {}),
+      ...(await reviewFields(faculty, { _id: credit._id, title: credit.title, categories: categoryIds, proofHash: credit.proofHash })),
+      submittedAt: now,
+      updatedAt: now,
+    }, { expectedVersion, remove: ['draftInputs', 'draftReminderDays'] });
+    await runStatusEffects(updated, transition);
+
+    notifySubmitted(faculty, updated);
+
+    return res.json({ success: true, data: withSignedLinks(updated, req.user) });
   } catch (err) {
     next(err);
   }
@@ -150,11 +443,13 @@ async function adminIssueNegativeCredit(req, res, next) {
     await ensureDb();
 
     const actor = req.user;
-    const { facultyId, creditTitleId, academicYear, notes } = req.body;
+    const { facultyId, creditTitleId, academicYear, notes, inputs } = req.body;
 
     if (!facultyId || !creditTitleId || !academicYear)
       return res.status(400).json({ success: false, message: 'Missing required fields' });
 
+    await assertYearWritable(academicYear);
+
     // find faculty (User model assumed mongoose)
     const faculty = await User.findById(facultyId);
     if (!faculty) return res.status(404).json({ success: false, message: 'Faculty not found' });
@@ -164,9 +459,10 @@ async function adminIssueNegativeCredit(req, res, next) {
     if (!ct || ct.type !== 'negative')
       return res.status(400).json({ success: false, message: 'Invalid negative credit title' });
 
-    const { proofUrl, proofMeta } = await handleFileUpload(req.file, academicYear);
+    // Fixed title points, or the title formula evaluated with `inputs`
+    const { points: pointsValue, pointsBreakdown } = await computeTitlePoints(ct, { inputs, faculty: faculty._id, academicYear });
 
-    const pointsValue = -Math.abs(Number(ct.points || 0));
+    const attachments = await newAttachments(req, academicYear);
 
     const c = await Credit.create({
       faculty: String(faculty._id),
@@ -178,19 +474,17 @@ async function adminIssueNegativeCredit(req, res, next) {
       },
       type: 'negative',
       title: ct.title || ct._id,
+      creditTitle: String(ct._id),
       points: pointsValue,
-      proofUrl,
-      proofMeta,
+      pointsBreakdown,
+      ...(attachments.length ? creditAttachmentUpdate(attachments).set : {}),
       academicYear,
       issuedBy: String(actor._id),
       status: 'pending',
       notes: notes || undefined,
     });
 
-    // recalc then emit
-    try { await recalcFacultyCredits(faculty._id); } catch (e) { /* log and continue */ }
-
-    io.emit(`faculty:${faculty._id}:creditUpdate`, c);
+    io.emit(`faculty:${faculty._id}:creditUpdate`, withoutStorageDetails(c));
 
     // Send Push Notification
     sendPushToUser(String(faculty._id), {
@@ -200,7 +494,7 @@ async function adminIssueNegativeCredit(req, res, next) {
       icon: '/icons/warning.png'
     });
 
-    return res.status(201).json({ success: true, data: c });
+    return res.status(201).json({ success: true, data: withSignedLinks(c, req.user) });
   } catch (err) {
     next(err);
   }
@@ -228,12 +522,11 @@ async function listCreditsForFaculty(req, res, next) {
     }
 
     if (status && String(status).trim().toLowerCase() !== 'all') {
-      const allowed = ['pending', 'approved', 'rejected', 'appealed'];
       const statusNorm = String(status).trim().toLowerCase();
-      if (!allowed.includes(statusNorm)) {
+      if (!CREDIT_STATUSES.includes(statusNorm)) {
         return res.status(400).json({
           success: false,
-          message: `Invalid status filter. Allowed values: ${['All', ...allowed.map(s => s.charAt(0).toUpperCase() + s.slice(1))].join(', ')}`
+          message: `Invalid status filter. Allowed values: ${['All', ...CREDIT_STATUSES.map(s => s.charAt(0).toUpperCase() + s.slice(1))].join(', ')}`
         });
       }
       filter.status = statusNorm;
@@ -261,7 +554,7 @@ async function listCreditsForFaculty(req, res, next) {
     const decorated = paged.map(it => {
       const itObj = it.toObject ? it.toObject() : it;
       return {
-        ...itObj,
+        ...withSignedLinks(itObj, req.user),
         appealEligibility: getAppealEligibility(itObj)
       };
     });
@@ -288,14 +581,18 @@ async function createCreditTitle(req, res, next) {
     await ensureDb();
 
     const actor = req.user;
-    const { title, points, type, description } = req.body;
+    const { title, points, type, description, formula, inputs, category } = req.body;
     if (!title || points === undefined) return res.status(400).json({ success: false, message: 'Title and points are required' });
+    if (formula) validateFormulaDefinition(formula, inputs);
 
     const ct = await CreditTitle.create({
       title,
       points: Number(points),
       type: type || 'positive',
       description,
+      formula: formula || undefined,
+      inputs: formula ? inputs || [] : undefined,
+      category: category || undefined,
       createdBy: String(actor._id),
     });
 
@@ -362,7 +659,7 @@ async function getNegativeCredits(req, res, next) {
 
     // Decorate with eligibility
     const decorated = paged.map(it => ({
-      ...it,
+      ...withSignedLinks(it, req.user),
       appealEligibility: getAppealEligibility(it)
     }));
 
@@ -407,36 +704,26 @@ async function appealNegativeCredit(req, res, next) {
     if (!eligible.canAppeal) {
       return res.status(400).json({ success: false, message: eligible.reason, eligibility: eligible });
     }
+    await assertYearWritable(credit.academicYear, { deadline: 'appeal' });
 
-    let proofUrl, proofMeta;
-    if (req.file) {
-      const uploadResult = await handleFileUpload(req.file, `appeals/${creditId}`);
-      proofUrl = uploadResult.proofUrl;
-      proofMeta = uploadResult.proofMeta;
-    }
-
-    const appealObj = {
-      by: String(faculty._id),
-      reason,
-      createdAt: new Date().toISOString(),
-      status: 'pending',
-    };
+    const transition = assertTransition(credit, 'appealed', 'faculty');
+    const attachments = await newAttachments(req, `appeals/${creditId}`);
 
-    if (proofUrl) {
-      appealObj.proofUrl = proofUrl;
-      appealObj.proofMeta = proofMeta;
-    }
+    // Earlier appeals stay in the history; `appeal` points at this one
+    let appealObj = newAppealRecord({ by: faculty._id, reason });
+    if (attachments.length) appealObj = withAppealAttachments(appealObj, attachments);
 
-    // update the credit in Dynamo
+    // update the credit in Dynamo (fails with 409 if it changed since we read it)
     await Credit.update(creditId, {
-      appeal: appealObj,
+      ...appendAppeal(credit, appealObj),
       status: 'appealed',
-      appealCount: (credit.appealCount || 0) + 1,
+      appealCount: appealAttempts(credit) + 1,
       updatedAt: new Date().toISOString(),
-    });
+    }, { expectedVersion: checkVersion(credit, readExpectedVersion(req)) });
 
     // fetch updated credit to return
     const updated = await Credit.findById(creditId);
+    await runStatusEffects(updated, transition);
 
     // 4. Send WhatsApp Notification
     if (faculty.whatsappNumber) {
@@ -464,7 +751,7 @@ async function appealNegativeCredit(req, res, next) {
       }
     }
 
-    return res.json({ success: true, message: 'Appeal submitted successfully', data: updated });
+    return res.json({ success: true, message: 'Appeal submitted successfully', data: withSignedLinks(updated, req.user) });
   } catch (err) {
     console.error('appealNegativeCredit error:', err);
     next(err);
@@ -507,7 +794,7 @@ async function getNegativeCreditsByFacultyId(req, res, next) {
       // For mongoose docs vs plain objects
       const itObj = it.toObject ? it.toObject() : it;
       return {
-        ...itObj,
+        ...withSignedLinks(itObj, req.user),
         appealEligibility: getAppealEligibility(itObj)
       };
     });
@@ -551,6 +838,71 @@ async function recalcCreditsController(req, res, next) {
   }
 }
 
+/**
+ * GET a faculty's credit ledger
+ * GET /api/v1/credits/credits/faculty/:facultyId/ledger
+ * Faculty may only read their own; admins and OAs any.
+ *
+ * Query params:
+ *  - asOf=<date>          return the balance at that time instead of entries
+ *  - academicYear=2025-2026  with asOf, also that year's balance
+ *  - limit, cursor        paging (entries newest first)
+ */
+async function getFacultyLedger(req, res, next) {
+  try {
+    await ensureDb();
+
+    const { facultyId } = req.params;
+    if (!['admin', 'oa'].includes(req.user.role) && String(req.user._id) !== String(facultyId)) {
+      return res.status(403).json({ success: false, message: 'Forbidden' });
+    }
+
+    if (req.query.asOf) {
+      const data = await balanceAsOf(facultyId, req.query.asOf, req.query.academicYear);
+      return res.json({ success: true, data });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const { items, nextCursor } = await CreditLedger.findPage(
+      { faculty: String(facultyId) },
+      { limit, cursor: req.query.cursor, descending: true }
+    );
+    return res.json({ success: true, limit, nextCursor, items });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Project a faculty's totals under hypothetical changes (nothing is saved)
+ * POST /api/v1/credits/credits/faculty/:facultyId/simulate
+ * Body: { changes: [{ action: 'approve' | 'reject' | 'acceptAppeal' | 'rejectAppeal', creditId }
+ *                 | { action: 'add', creditTitle, academicYear?, inputs?, points? }] }
+ * Allowed for the faculty, admins/OAs and reviewers whose stage covers the faculty.
+ */
+async function simulateFacultyCredits(req, res, next) {
+  try {
+    await ensureDb();
+
+    const { error, value } = schemas.simulation.validate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error.details[0].message });
+
+    const { facultyId } = req.params;
+    const faculty = await User.findById(facultyId);
+    if (!faculty) return res.status(404).json({ success: false, message: 'faculty is not found' });
+
+    const isSelf = String(req.user._id) === String(facultyId);
+    if (!isSelf && !['admin', 'oa'].includes(req.user.role) && !reviewsFaculty(req.user, faculty)) {
+      return res.status(403).json({ success: false, message: 'Forbidden' });
+    }
+
+    const data = await simulateCredits(facultyId, value.changes);
+    return res.json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
  * GET faculty credits summary / stats (optimized + time-series aggregations)
  *
@@ -622,9 +974,10 @@ async function getFacultyCredits(req, res, next) {
     if (Credit.find) {
       credits = await Credit.find({ faculty: String(userId) });
     }
+    const cycles = await AcademicYear.find().catch(() => []);
 
     // ---------- quick helpers ----------
-    const EXCLUDE_STATUS = new Set(['pending', 'deleted']);
+    const EXCLUDE_STATUS = new Set(EXCLUDED_FROM_TOTALS);
     const parseDateSafe = (s) => {
       if (!s) return null;
       const d = new Date(s);
@@ -664,16 +1017,10 @@ async function getFacultyCredits(req, res, next) {
       return `${year}-W${String(weekNo).padStart(2, '0')}`;
     }
 
-    // Determine academicYear label (prefer existing credit.academicYear if present)
+    // Determine academicYear label (prefer existing credit.academicYear, then the configured cycle)
     function getAcademicYearFromCredit(c) {
       if (c.academicYear) return c.academicYear;
-      // fallback: infer from createdAt using July as start of academic year (common)
-      const dt = c.createdAt ? new Date(c.createdAt) : new Date();
-      const y = dt.getFullYear();
-      const m = dt.getMonth() + 1; // 1..12
-      // academic year starts July (7) — adjust if you want June or August
-      if (m >= 7) return `${y}-${y + 1}`;
-      return `${y - 1}-${y}`;
+      return academicYearForDate(cycles, c.createdAt);
     }
 
     // Create a period key string (for grouping) for a date
@@ -829,13 +1176,14 @@ async function getFacultyCredits(req, res, next) {
       trimmedSeries = series.slice(-12);
     }
 
-    // current academic year logic (prefer constructed current year if present)
+    // current academic year logic (prefer the open cycle, then the constructed current year if present)
     const now = new Date();
     const y = now.getFullYear();
-    const constructedAcademicYear = `${y}-${y + 1}`;
+    const openCycle = currentCycle(cycles, now);
+    const constructedAcademicYear = openCycle ? openCycle.label : `${y}-${y + 1}`;
     let currentAcademicYear = constructedAcademicYear;
 
-    if (!yearsSeen.has(constructedAcademicYear)) {
+    if (!openCycle && !yearsSeen.has(constructedAcademicYear)) {
       const yearsArray = Array.from(yearsSeen).filter(Boolean).sort();
       if (yearsArray.length === 0) currentAcademicYear = null;
       else currentAcademicYear = yearsArray[yearsArray.length - 1];
@@ -888,40 +1236,80 @@ async function getFacultyCredits(req, res, next) {
   }
 }
 
-
+/**
+ * Faculty edits a pending credit, or revises and resubmits one returned for
+ * changes (optional `comment` is recorded as the response to the reviewer).
+ * Editing a reviewed field of a credit partway through its approval chain
+ * sends it back to the first stage.
+ */
 async function updatePositiveCredit(req, res, next) {
   try {
     await ensureDb();
     const { creditId } = req.params;
-    const { title, points, academicYear, points: pointsBody, notes } = req.body; // points might be string
+    const { title, points, academicYear, points: pointsBody, notes, comment, inputs } = req.body; // points might be string
     const faculty = req.user;
 
     const credit = await Credit.findById(creditId);
     if (!credit) return res.status(404).json({ success: false, message: 'Credit not found' });
 
     if (String(credit.faculty) !== String(faculty._id)) return res.status(403).json({ success: false, message: 'Unauthorized' });
-    if (credit.status !== 'pending') return res.status(400).json({ success: false, message: 'Can only edit pending credits' });
+    // A credit returned for changes is edited and resubmitted to the stage that returned it
+    const isReturned = credit.status === 'returned' && !!credit.approval;
+    if (credit.status !== 'pending' && !isReturned) return res.status(400).json({ success: false, message: 'Can only edit pending or returned credits' });
+    await assertYearWritable(credit.academicYear, { deadline: 'submission' });
+    if (academicYear && academicYear !== credit.academicYear) await assertYearWritable(academicYear, { deadline: 'submission' });
 
     let updates = {};
-    if (title) updates.title = title;
-    if (points) updates.points = Number(points);
+    if (title) {
+      updates.title = title;
+      updates.titleFingerprint = titleFingerprint(title);
+    }
     if (academicYear) updates.academicYear = academicYear;
     if (notes !== undefined) updates.notes = notes;
 
+    // Formula-scored credits are re-evaluated (new inputs or year); others take `points` as sent
+    if (credit.pointsBreakdown) {
+      const ct = (inputs !== undefined || academicYear) ? await CreditTitle.findById(credit.pointsBreakdown.creditTitle) : null;
+      if (ct && ct.formula) {
+        const computed = await computeTitlePoints(ct, {
+          inputs: inputs !== undefined ? inputs : credit.pointsBreakdown.inputs,
+          faculty: faculty._id,
+          academicYear: academicYear || credit.academicYear,
+          excludeId: creditId,
+        });
+        updates.points = computed.points;
+        updates.pointsBreakdown = computed.pointsBreakdown;
+      }
+    } else if (points) updates.points = Number(points);
+
+    let remove = [];
     if (req.file) {
-      const { proofUrl, proofMeta } = await handleFileUpload(req.file, `credits/${updates.academicYear || credit.academicYear}`);
-      updates.proofUrl = proofUrl;
-      updates.proofMeta = proofMeta;
+      const list = await replaceProof(credit, req.file, `credits/${updates.academicYear || credit.academicYear}`, faculty._id);
+      const evidence = creditAttachmentUpdate(list);
+      Object.assign(updates, evidence.set);
+      remove = evidence.remove;
+    }
+    if (updates.titleFingerprint || updates.proofHash) {
+      const duplicates = await findPossibleDuplicates({ ...credit, ...updates });
+      updates.possibleDuplicates = duplicates.length ? duplicateRefs(duplicates) : null;
     }
 
+    let transition = null;
+    if (isReturned) {
+      transition = assertTransition(credit, 'pending', 'faculty');
+      Object.assign(updates, resubmit(credit, { faculty, comment }));
+    } else {
+      Object.assign(updates, restartApproval(credit, updates, faculty));
+    }
     updates.updatedAt = new Date().toISOString();
 
-    await Credit.update(creditId, updates);
+    await Credit.update(creditId, updates, { expectedVersion: checkVersion(credit, readExpectedVersion(req)), remove });
     const updated = await Credit.findById(creditId);
+    await runStatusEffects(updated, transition);
 
-    io.emit(`faculty:${faculty._id}:creditUpdate`, updated);
+    io.emit(`faculty:${faculty._id}:creditUpdate`, withoutStorageDetails(updated));
 
-    res.json({ success: true, data: updated });
+    res.json({ success: true, data: withSignedLinks(updated, req.user) });
   } catch (err) { next(err); }
 }
 
@@ -933,7 +1321,8 @@ async function deletePositiveCredit(req, res, next) {
     const credit = await Credit.findById(creditId);
     if (!credit) return res.status(404).json({ success: false, message: 'Credit not found' });
     if (String(credit.faculty) !== String(faculty._id)) return res.status(403).json({ success: false, message: 'Unauthorized' });
-    if (credit.status !== 'pending') return res.status(400).json({ success: false, message: 'Can only delete pending credits' });
+    if (!['draft', 'pending', 'returned'].includes(credit.status)) return res.status(400).json({ success: false, message: 'Can only delete draft, pending or returned credits' });
+    await assertYearWritable(credit.academicYear);
 
     await Credit.delete(creditId);
     res.json({ success: true, message: 'Credit deleted' });
@@ -952,33 +1341,35 @@ async function updateAppeal(req, res, next) {
     if (credit.type !== 'negative') return res.status(400).json({ success: false, message: 'Not a negative credit' });
     if (String(credit.faculty) !== String(faculty._id)) return res.status(403).json({ success: false, message: 'Unauthorized' });
 
-    if (!credit.appeal || credit.status !== 'appealed') {
+    const current = latestAppeal(credit);
+    if (!current || credit.status !== 'appealed') {
       return res.status(400).json({ success: false, message: 'No active appeal found to edit' });
     }
-    if (credit.appeal.status !== 'pending') return res.status(400).json({ success: false, message: 'Cannot edit processed appeal' });
+    if (current.status !== 'pending') return res.status(400).json({ success: false, message: 'Cannot edit processed appeal' });
+    await assertYearWritable(credit.academicYear, { deadline: 'appeal' });
 
-    const newAppeal = { ...credit.appeal };
+    let newAppeal = { ...current, updatedAt: new Date().toISOString() };
     if (reason) newAppeal.reason = reason;
 
     if (req.file) {
-      const { proofUrl, proofMeta } = await handleFileUpload(req.file, `appeals/${creditId}`);
-      newAppeal.proofUrl = proofUrl;
-      newAppeal.proofMeta = proofMeta;
+      // A new proof replaces the first attachment (more: POST /credits/:creditId/appeal/attachments)
+      newAppeal = withAppealAttachments(newAppeal, await replaceProof(current, req.file, `appeals/${creditId}`, faculty._id));
     } else {
       // If proofUrl was undefined in original appeal and user didn't upload new one, keep as is (likely absent).
-      // If newAppeal is a shallow copy of credit.appeal, it should be fine.
+      // If newAppeal is a shallow copy of the latest appeal, it should be fine.
       // But verify if newAppeal has undefined values? 
-      // If credit.appeal had undefined values stored (unlikely if strictly validated), they persist.
+      // If the appeal had undefined values stored (unlikely if strictly validated), they persist.
       // We should ideally clean newAppeal.
       if (newAppeal.proofUrl === undefined) delete newAppeal.proofUrl;
       if (newAppeal.proofMeta === undefined) delete newAppeal.proofMeta;
     }
 
-    await Credit.update(creditId, { appeal: newAppeal, updatedAt: new Date().toISOString() });
+    await Credit.update(creditId, { ...replaceLatestAppeal(credit, newAppeal), updatedAt: new Date().toISOString() },
+      { expectedVersion: checkVersion(credit, readExpectedVersion(req)) });
     const updated = await Credit.findById(creditId);
 
-    io.emit(`faculty:${faculty._id}:creditUpdate`, updated);
-    res.json({ success: true, data: updated });
+    io.emit(`faculty:${faculty._id}:creditUpdate`, withoutStorageDetails(updated));
+    res.json({ success: true, data: withSignedLinks(updated, req.user) });
   } catch (err) { next(err); }
 }
 
@@ -992,21 +1383,29 @@ async function deleteAppeal(req, res, next) {
     if (!credit) return res.status(404).json({ success: false, message: 'Credit not found' });
     if (String(credit.faculty) !== String(faculty._id)) return res.status(403).json({ success: false, message: 'Unauthorized' });
 
-    if (!credit.appeal) {
+    const current = latestAppeal(credit);
+    if (!credit.appeal || !current) {
       return res.status(400).json({ success: false, message: 'No active appeal to delete' });
     }
 
-    if (credit.appeal.status !== 'pending') return res.status(400).json({ success: false, message: 'Cannot delete processed appeal' });
+    if (current.status !== 'pending') return res.status(400).json({ success: false, message: 'Cannot delete processed appeal' });
+    await assertYearWritable(credit.academicYear);
+
+    const transition = assertTransition(credit, 'pending', 'faculty');
 
+    // Withdrawn appeals stay in the history (and still count as an attempt)
+    const now = new Date().toISOString();
     await Credit.update(creditId, {
+      appeals: replaceLatestAppeal(credit, { ...current, status: 'withdrawn', withdrawnAt: now, updatedAt: now }).appeals,
       appeal: null,
       status: 'pending', // Revert to pending
       updatedAt: new Date().toISOString()
-    });
+    }, { expectedVersion: checkVersion(credit, readExpectedVersion(req)) });
 
     const updated = await Credit.findById(creditId);
-    io.emit(`faculty:${faculty._id}:creditUpdate`, updated);
-    res.json({ success: true, message: 'Appeal withdrawn', data: updated });
+    await runStatusEffects(updated, transition);
+    io.emit(`faculty:${faculty._id}:creditUpdate`, withoutStorageDetails(updated));
+    res.json({ success: true, message: 'Appeal withdrawn', data: withSignedLinks(updated, req.user) });
   } catch (err) { next(err); }
 }
 
@@ -1026,10 +1425,11 @@ async function getSingleCredit(req, res, next) {
       return res.status(403).json({ success: false, message: 'Unauthorized access to this credit' });
     }
 
+    // Proofs open through short-lived signed links made for this user
     return res.json({ 
       success: true, 
       data: {
-        ...credit,
+        ...withSignedLinks(credit, user),
         appealEligibility: getAppealEligibility(credit)
       } 
     });
@@ -1040,6 +1440,10 @@ async function getSingleCredit(req, res, next) {
 
 module.exports = {
   submitPositiveCredit,
+  listDrafts,
+  updateDraft,
+  attachDraftProof,
+  submitDraft,
   appealNegativeCredit,
   listCreditsForFaculty,
   adminIssueNegativeCredit,
@@ -1048,6 +1452,8 @@ module.exports = {
   getNegativeCredits,
   getNegativeCreditsByFacultyId,
   recalcCreditsController,
+  getFacultyLedger,
+  simulateFacultyCredits,
   getFacultyCredits,
   updatePositiveCredit,
   deletePositiveCredit,
@@ -1061,38 +1467,37 @@ module.exports = {
 /**
  * Admin Updates a Negative Credit
  * PUT /api/v1/credits/credits/negative/:creditId
+ * Accepts `version` (body or If-Match); a 409 means an appeal decision or
+ * another edit landed first.
  */
 async function updateNegativeCredit(req, res, next) {
   try {
     await ensureDb();
 
     const { creditId } = req.params;
-    const { notes, creditTitleId } = req.body; // Allow updating notes or changing the violation type
+    const { notes, creditTitleId, inputs } = req.body; // Allow updating notes or changing the violation type
+    const expectedVersion = readExpectedVersion(req);
 
     if (!creditId) return res.status(400).json({ success: false, message: 'creditId required' });
 
     const credit = await Credit.findById(creditId);
     if (!credit) return res.status(404).json({ success: false, message: 'Credit not found' });
     if (credit.type !== 'negative') return res.status(400).json({ success: false, message: 'Not a negative credit' });
-
-    // Assuming only notes or violation type can be changed. Proof usually stays or requires re-upload.
-    // If user sends file, handle it.
-    let proofUrl = credit.proofUrl;
-    let proofMeta = credit.proofMeta;
-
-    if (req.file) {
-      const uploadResult = await handleFileUpload(req.file, credit.academicYear || 'general');
-      proofUrl = uploadResult.proofUrl;
-      proofMeta = uploadResult.proofMeta;
-    }
+    const readVersion = checkVersion(credit, expectedVersion); // before any upload
+    await assertYearWritable(credit.academicYear);
 
     const updates = {
       updatedAt: new Date().toISOString()
     };
     if (notes !== undefined) updates.notes = notes;
-    if (proofUrl) {
-      updates.proofUrl = proofUrl;
-      updates.proofMeta = proofMeta;
+
+    // A new proof replaces the first attachment (more: POST /credits/:creditId/attachments)
+    let remove = [];
+    if (req.file) {
+      const list = await replaceProof(credit, req.file, credit.academicYear || 'general', req.user._id);
+      const evidence = creditAttachmentUpdate(list);
+      Object.assign(updates, evidence.set);
+      remove = evidence.remove;
     }
 
     // If Credit Title (violation type) changes, points might change
@@ -1102,20 +1507,32 @@ async function updateNegativeCredit(req, res, next) {
       // For safety, let's assume we update only if we can find the new Title.
       const ct = await CreditTitle.findById(creditTitleId);
       if (ct) {
+        const { points: newPoints, pointsBreakdown } = await computeTitlePoints(ct, {
+          inputs, faculty: credit.faculty, academicYear: credit.academicYear, excludeId: creditId,
+        });
         updates.title = ct.title;
-        updates.points = -Math.abs(Number(ct.points || 0));
+        updates.creditTitle = String(ct._id);
+        updates.points = newPoints;
+        updates.pointsBreakdown = pointsBreakdown || null;
+      }
+    } else if (inputs !== undefined && credit.pointsBreakdown) {
+      // Same formula title, corrected inputs
+      const ct = await CreditTitle.findById(credit.pointsBreakdown.creditTitle);
+      if (ct && ct.formula) {
+        const { points: newPoints, pointsBreakdown } = await computeTitlePoints(ct, {
+          inputs, faculty: credit.faculty, academicYear: credit.academicYear, excludeId: creditId,
+        });
+        updates.points = newPoints;
+        updates.pointsBreakdown = pointsBreakdown;
       }
     }
 
-    await Credit.update(creditId, updates);
-
-    // Recalc
-    try { await recalcFacultyCredits(credit.faculty); } catch (e) { }
+    await Credit.update(creditId, updates, { expectedVersion: readVersion, reason: req.body.reason, remove });
 
     const updated = await Credit.findById(creditId);
-    io.emit(`faculty:${credit.faculty}:creditUpdate`, updated);
+    io.emit(`faculty:${credit.faculty}:creditUpdate`, withoutStorageDetails(updated));
 
-    return res.json({ success: true, data: updated, message: 'Negative credit updated' });
+    return res.json({ success: true, data: withSignedLinks(updated, req.user), message: 'Negative credit updated' });
 
   } catch (err) {
     next(err);
@@ -1134,12 +1551,10 @@ async function deleteNegativeCredit(req, res, next) {
     const credit = await Credit.findById(creditId);
     if (!credit) return res.status(404).json({ success: false, message: 'Credit not found' });
     if (credit.type !== 'negative') return res.status(400).json({ success: false, message: 'Not a negative credit' });
+    await assertYearWritable(credit.academicYear);
 
     await Credit.delete(creditId);
 
-    // Recalc
-    try { await recalcFacultyCredits(credit.faculty); } catch (e) { }
-
     // Notify FE about deletion (send ID or null)
     io.emit(`faculty:${credit.faculty}:creditDelete`, { creditId, type: 'negative' });
 
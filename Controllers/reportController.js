@@ -2,6 +2,7 @@ const Credit = require('../Models/Credit');
 const User = require('../Models/User');
 const { createExcelReport, createPdfReport, createHtmlReport } = require('../utils/reportUtils');
 const { createShortLink } = require('../utils/urlHelper');
+const { withSignedLinksAll } = require('../utils/assetLinks');
 
 /**
  * Get Report Data (JSON)
@@ -83,7 +84,7 @@ async function getReportData(req, res, next) {
       success: true,
       count: credits.length,
       view: 'transactions',
-      data: credits
+      data: withSignedLinksAll(credits, req.user)
     });
   } catch (err) {
     next(err);
@@ -178,7 +179,7 @@ async function downloadReport(req, res, next) {
       if (currentToken) queryParams.set('token', currentToken);
       
       const downloadUrl = `${req.protocol}://${req.get('host')}/api/v1/reports/download?${queryParams.toString()}`;
-      const shortUrl = await createShortLink(downloadUrl);
+      const shortUrl = await createShortLink(downloadUrl, null, { createdBy: req.user._id });
       return res.json({ success: true, shareLink: shortUrl });
     }
 
@@ -6,13 +6,15 @@ const {
   DynamoDBDocumentClient,
   GetCommand,
   PutCommand,
-  UpdateCommand,
-  DeleteCommand,
   ScanCommand,
   QueryCommand,
 } = require("@aws-sdk/lib-dynamodb");
 const { handleProfileImageUpload } = require('../utils/uploadProfileImage');
 const { generateFacultyID, generateApiKey } = require('../utils/generateID');
+const { parseLimit, wantsCursor } = require('../utils/pagination');
+const { readExpectedVersion, checkVersion } = require('../utils/versioning');
+const { recordAudit } = require('../utils/audit');
+const { STAGES } = require('../utils/approvalWorkflow');
 
 const { 
   generateTotpSecret, 
@@ -101,24 +103,7 @@ async function updateProfile(req, res, next) {
       if (scanResult.Count > 0) return res.status(400).json({ success: false, message: 'Email already in use' });
     }
 
-    // Build UpdateExpression dynamically
-    const updateKeys = Object.keys(updates);
-    const updateExpression = `SET ${updateKeys.map((k, i) => `#${k} = :${k}`).join(', ')}`;
-    const expressionAttributeNames = Object.fromEntries(updateKeys.map(k => [`#${k}`, k]));
-    const expressionAttributeValues = Object.fromEntries(updateKeys.map(k => [`:${k}`, updates[k]]));
-
-    const params = {
-      TableName: TABLE_NAME,
-      Key: { _id: req.user._id || req.user.id },
-      UpdateExpression: updateExpression,
-      ExpressionAttributeNames: expressionAttributeNames,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: "ALL_NEW",
-    };
-
-    const result = await ddbDocClient.send(new UpdateCommand(params));
-    
-    const attributes = result.Attributes || {};
+    const attributes = await User.update(req.user._id || req.user.id, updates, { expectedVersion: readExpectedVersion(req) }) || {};
     delete attributes.password;
     delete attributes.mfaSecret;
 
@@ -181,6 +166,7 @@ async function adminCreateUser(req, res, next) {
     }
 
     await ddbDocClient.send(new PutCommand({ TableName: TABLE_NAME, Item: userData }));
+    await recordAudit({ entity: 'user', entityId: userData._id, action: 'create', after: userData });
     delete userData.password; // don't return password
     res.status(201).json({ success: true, data: userData });
   } catch (err) {
@@ -208,8 +194,7 @@ async function getUserById(req, res, next) {
  */
 async function deleteUser(req, res, next) {
   try {
-    const params = { TableName: TABLE_NAME, Key: { _id: req.params.id } };
-    await ddbDocClient.send(new DeleteCommand(params));
+    await User.delete(req.params.id, { reason: (req.body && req.body.reason) || req.query.reason });
     res.json({ success: true, message: 'User deleted successfully' });
   } catch (err) {
     next(err);
@@ -222,7 +207,7 @@ async function deleteUser(req, res, next) {
 async function adminUpdateUser(req, res, next) {
   try {
     const fields = req.fields || req.body || {};
-    const allowedFields = ['name', 'email', 'phone', 'department', 'college', 'role', 'isActive', 'prefix', 'roleCategory', 'designation', 'whatsappNumber', 'whatsappVerified'];
+    const allowedFields = ['name', 'email', 'phone', 'department', 'college', 'role', 'isActive', 'prefix', 'roleCategory', 'designation', 'whatsappNumber', 'whatsappVerified', 'reviewerRoles'];
     const updates = {};
     for (const field of allowedFields) {
       if (fields[field] !== undefined) {
@@ -239,30 +224,31 @@ async function adminUpdateUser(req, res, next) {
       return res.status(400).json({ success: false, message: 'WhatsApp number must be exactly 10 digits' });
     }
 
+    // Approval stages this user reviews (see utils/approvalWorkflow STAGES)
+    if (updates.reviewerRoles !== undefined) {
+      const roles = Array.isArray(updates.reviewerRoles) ? updates.reviewerRoles : String(updates.reviewerRoles).split(',');
+      updates.reviewerRoles = [...new Set(roles.map(r => String(r).trim()).filter(Boolean))];
+      const invalid = updates.reviewerRoles.filter(r => !STAGES[r]);
+      if (invalid.length > 0) {
+        return res.status(400).json({ success: false, message: `Invalid reviewer roles: ${invalid.join(', ')}` });
+      }
+    }
+
     if (req.files?.profileImage) {
       updates.profileImage = await handleProfileImageUpload(req.files.profileImage);
     }
 
     if (Object.keys(updates).length === 0) return res.status(400).json({ success: false, message: 'No updates provided' });
 
-    const updateKeys = Object.keys(updates);
-    const updateExpression = `SET ${updateKeys.map((k, i) => `#${k} = :${k}`).join(', ')}`;
-    const expressionAttributeNames = Object.fromEntries(updateKeys.map(k => [`#${k}`, k]));
-    const expressionAttributeValues = Object.fromEntries(updateKeys.map(k => [`:${k}`, updates[k]]));
-
-    const params = {
-      TableName: TABLE_NAME,
-      Key: { _id: req.params.id },
-      UpdateExpression: updateExpression,
-      ExpressionAttributeNames: expressionAttributeNames,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: "ALL_NEW",
-    };
+    const existing = await User.findById(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, message: 'User not found' });
 
-    const result = await ddbDocClient.send(new UpdateCommand(params));
-    if (!result.Attributes) return res.status(404).json({ success: false, message: 'User not found' });
-    delete result.Attributes.password;
-    res.json({ success: true, data: result.Attributes });
+    // `version` (body or If-Match) makes concurrent admin edits fail with 409
+    const updated = await User.update(req.params.id, updates, {
+      expectedVersion: checkVersion(existing, readExpectedVersion(req)),
+    });
+    delete updated.password;
+    res.json({ success: true, data: updated });
   } catch (err) {
     next(err);
   }
@@ -379,64 +365,43 @@ async function disableMfa(req, res, next) {
 }
 
 /**
- * Admin: list users (basic filtering, DynamoDB scan)
+ * Admin: list users (basic filtering)
+ * Without limit/cursor every matching user is returned; with ?limit= and/or
+ * ?cursor= one page is returned along with nextCursor (null on the last page).
  */
 async function listUsers(req, res, next) {
   try {
-    const { q, department, college, role, isActive } = req.query;
-
-    let filterExpressions = [];
-    let expressionAttributeValues = {};
-    let expressionAttributeNames = {};
+    const { q, department, college, role, isActive, limit } = req.query;
 
-    if (q) {
-      filterExpressions.push('contains(#name, :q) OR contains(email, :q) OR contains(facultyID, :q)');
-      expressionAttributeValues[':q'] = q;
-      expressionAttributeNames['#name'] = 'name';
-    }
-
-    if (department) {
-      filterExpressions.push('#department = :department');
-      expressionAttributeValues[':department'] = department;
-      expressionAttributeNames['#department'] = 'department';
-    }
-
-    if (college) {
-      filterExpressions.push('#college = :college');
-      expressionAttributeValues[':college'] = college;
-      expressionAttributeNames['#college'] = 'college';
-    }
-
-    if (role) {
-      filterExpressions.push('#role = :role');
-      expressionAttributeValues[':role'] = role;
-      expressionAttributeNames['#role'] = 'role';
-    }
+    // Equality filters go to DynamoDB, the free-text search stays in memory
+    const filter = {};
+    if (department) filter.department = department;
+    if (college) filter.college = college;
+    if (role) filter.role = role;
+    if (typeof isActive !== 'undefined') filter.isActive = String(isActive).toLowerCase() === 'true';
 
-    if (typeof isActive !== 'undefined') {
-      const activeBool = String(isActive).toLowerCase() === 'true';
-      filterExpressions.push('#isActive = :isActive');
-      expressionAttributeValues[':isActive'] = activeBool;
-      expressionAttributeNames['#isActive'] = 'isActive';
-    }
+    const matches = (item) => !q || [item.name, item.email, item.facultyID]
+      .some(v => typeof v === 'string' && v.includes(q));
 
-    const params = {
-      TableName: TABLE_NAME,
+    const stripPassword = (item) => {
+      delete item.password;
+      return item;
     };
 
-    if (filterExpressions.length > 0) {
-      params.FilterExpression = filterExpressions.join(' AND ');
-      params.ExpressionAttributeValues = expressionAttributeValues;
-      params.ExpressionAttributeNames = expressionAttributeNames;
+    // Cursor mode (?cursor= and/or ?limit=): one page plus nextCursor
+    if (wantsCursor(req.query) || typeof limit !== 'undefined') {
+      const page = await User.findPage(filter, {
+        limit: parseLimit(limit),
+        cursor: req.query.cursor,
+        predicate: matches,
+      });
+      const items = page.items.map(stripPassword);
+      return res.json({ success: true, total: items.length, nextCursor: page.nextCursor, items });
     }
 
-    const result = await ddbDocClient.send(new ScanCommand(params));
-    const items = result.Items.map(item => {
-      delete item.password;
-      return item;
-    });
+    const items = (await User.find(filter)).filter(matches).map(stripPassword);
 
-    res.json({ success: true, total: items.length, items });
+    res.json({ success: true, total: items.length, nextCursor: null, items });
   } catch (err) {
     next(err);
   }
@@ -5,6 +5,11 @@ function errorHandler(err, req, res, next) {
   const message = err.message || 'Internal Server Error';
   const payload = { success: false, message };
 
+  // Optimistic-concurrency conflicts carry the item as currently stored
+  if (status === 409 && err.current) {
+    payload.current = err.current;
+  }
+
   if (process.env.NODE_ENV !== 'production') {
     payload.stack = err.stack;
   }
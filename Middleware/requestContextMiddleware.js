@@ -0,0 +1,9 @@
+// Middleware/requestContextMiddleware.js
+const { runWithRequest } = require('../utils/requestContext');
+
+// Makes the request (and later req.user) visible to models, e.g. for the audit log
+function requestContextMiddleware(req, res, next) {
+  runWithRequest(req, next);
+}
+
+module.exports = requestContextMiddleware;
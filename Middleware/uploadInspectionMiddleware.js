@@ -0,0 +1,23 @@
+// Middleware/uploadInspectionMiddleware.js
+const { inspectFile } = require('../utils/uploadInspection');
+
+/**
+ * Runs after multer: inspects every uploaded file (content type, PDF and
+ * archive checks, EXIF GPS removal, optional virus scan) and rejects the
+ * request before the controller sees a bad file. See utils/uploadInspection.
+ */
+async function inspectUploads(req, res, next) {
+  try {
+    const files = [];
+    if (req.file) files.push(req.file);
+    if (Array.isArray(req.files)) files.push(...req.files);
+    else if (req.files) Object.values(req.files).forEach((list) => files.push(...[].concat(list)));
+
+    for (const file of files) await inspectFile(file);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = { inspectUploads };
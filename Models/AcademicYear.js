@@ -0,0 +1,62 @@
+// models/AcademicYear.js
+const { newObjectId } = require('../utils/objectId');
+const { getDynamoClient } = require('../config/db');
+const { findAll } = require('../utils/queryPlanner');
+const { versionedUpdate } = require('../utils/versioning');
+const { recordAudit } = require('../utils/audit');
+const { PutCommand, GetCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+require('dotenv').config();
+
+const TABLE = process.env.DYNAMO_DB_ACADEMIC_YEARS || 'FacultyCreditsAcademicYears';
+
+/**
+ * Appraisal cycle: { label: '2024-2025', startDate, endDate, submissionDeadline,
+ * appealDeadline, state: 'open' | 'locked' | 'archived' }. `label` is the value
+ * stored in credit.academicYear. One row per year, so the table is scanned.
+ */
+module.exports = {
+  async create(data) {
+    const client = getDynamoClient();
+    const item = {
+      _id: newObjectId(),
+      state: 'open',
+      version: 1,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      ...data,
+    };
+    await client.send(new PutCommand({ TableName: TABLE, Item: item }));
+    await recordAudit({ entity: 'academicYear', entityId: item._id, action: 'create', after: item });
+    return item;
+  },
+
+  async find(filter = {}) {
+    const client = getDynamoClient();
+    return findAll(client, TABLE, filter);
+  },
+
+  async findById(id) {
+    const client = getDynamoClient();
+    const res = await client.send(new GetCommand({ TableName: TABLE, Key: { _id: id } }));
+    return res.Item || null;
+  },
+
+  async findByLabel(label) {
+    const items = await this.find({ label: String(label) });
+    return items[0] || null;
+  },
+
+  async update(id, data, options = {}) {
+    const client = getDynamoClient();
+    const { before, after } = await versionedUpdate(client, TABLE, id, data, options);
+    await recordAudit({ entity: 'academicYear', entityId: id, action: 'update', before, after, reason: options.reason });
+    return after;
+  },
+
+  async delete(id, options = {}) {
+    const client = getDynamoClient();
+    const res = await client.send(new DeleteCommand({ TableName: TABLE, Key: { _id: id }, ReturnValues: 'ALL_OLD' }));
+    await recordAudit({ entity: 'academicYear', entityId: id, action: 'delete', before: (res && res.Attributes) || null, reason: options.reason });
+    return { deleted: true };
+  },
+};
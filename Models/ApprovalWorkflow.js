@@ -0,0 +1,53 @@
+// models/ApprovalWorkflow.js
+const { newObjectId } = require('../utils/objectId');
+const { getDynamoClient } = require('../config/db');
+const { findAll } = require('../utils/queryPlanner');
+const { versionedUpdate } = require('../utils/versioning');
+const { PutCommand, GetCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+require('dotenv').config();
+
+const TABLE = process.env.DYNAMO_DB_APPROVAL_WORKFLOWS || 'FacultyCreditsApprovalWorkflows';
+
+/**
+ * Approval chain for positive credits, e.g. { college, department, creditTitle, stages: ['hod', 'principal', 'iqac'] }.
+ * college/department/creditTitle are optional; the most specific match wins (see utils/approvalWorkflow).
+ * The table holds a handful of rows, so it is scanned.
+ */
+module.exports = {
+  async create(data) {
+    const client = getDynamoClient();
+    const item = {
+      _id: newObjectId(),
+      isActive: true,
+      version: 1,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      ...data,
+    };
+    await client.send(new PutCommand({ TableName: TABLE, Item: item }));
+    return item;
+  },
+
+  async find(filter = {}) {
+    const client = getDynamoClient();
+    return findAll(client, TABLE, filter);
+  },
+
+  async findById(id) {
+    const client = getDynamoClient();
+    const res = await client.send(new GetCommand({ TableName: TABLE, Key: { _id: id } }));
+    return res.Item || null;
+  },
+
+  async update(id, data, options = {}) {
+    const client = getDynamoClient();
+    const { after } = await versionedUpdate(client, TABLE, id, data, options);
+    return after;
+  },
+
+  async delete(id) {
+    const client = getDynamoClient();
+    await client.send(new DeleteCommand({ TableName: TABLE, Key: { _id: id } }));
+    return { deleted: true };
+  },
+};
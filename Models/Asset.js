@@ -1,5 +1,8 @@
 const { newObjectId } = require('../utils/objectId');
 const { getDynamoClient } = require('../config/db');
+const { findPage } = require('../utils/queryPlanner');
+const { versionedUpdate } = require('../utils/versioning');
+const { recordAudit } = require('../utils/audit');
 require('dotenv').config();
 const {
     PutCommand,
@@ -9,10 +12,28 @@ const {
 
 const TABLE = process.env.DYNAMO_DB_ASSETS || 'FacultyCreditsAssets';
 
+// GSIs created by create_tables.js (sparse: only assets created through the API have an owner)
+const INDEXES = [
+    { name: 'createdBy-createdAt-index', hashKey: 'createdBy', rangeKey: 'createdAt' },
+];
+
+function idTaken(id) {
+    const err = new Error(`Asset id "${id}" is already in use`);
+    err.status = 409;
+    return err;
+}
+
 module.exports = {
+    INDEXES,
+
     /**
      * Create a new asset mapping
-     * @param {Object} data - { id (optional), targetUrl, mimeType }
+     * @param {Object} data - { id (optional), targetUrl, mimeType, access?, storage?, key?, filename?, createdBy?, expiresAt? }
+     *   access 'private': served only through signed links (utils/assetLinks);
+     *   storage/key: where the file is kept, so it can be streamed instead of redirected to;
+     *   filename: name offered in Content-Disposition;
+     *   createdBy: owning user id; expiresAt: ISO date after which it answers 410
+     * @throws 409 error when the id is already in use (existing assets are never overwritten)
      */
     async create(data) {
         const client = getDynamoClient();
@@ -22,10 +43,29 @@ module.exports = {
             _id: id,
             targetUrl: data.targetUrl,
             mimeType: data.mimeType || 'application/octet-stream',
+            active: true,
+            version: 1,
             createdAt: new Date().toISOString(),
         };
+        if (data.access) item.access = data.access;
+        if (data.storage) item.storage = data.storage;
+        if (data.key) item.key = data.key;
+        if (data.filename) item.filename = data.filename;
+        if (data.createdBy) item.createdBy = String(data.createdBy);
+        if (data.expiresAt) item.expiresAt = data.expiresAt;
 
-        await client.send(new PutCommand({ TableName: TABLE, Item: item }));
+        try {
+            await client.send(new PutCommand({
+                TableName: TABLE,
+                Item: item,
+                ConditionExpression: 'attribute_not_exists(#_id)',
+                ExpressionAttributeNames: { '#_id': '_id' },
+            }));
+        } catch (err) {
+            if (err.name === 'ConditionalCheckFailedException') throw idTaken(id);
+            throw err;
+        }
+        await recordAudit({ entity: 'asset', entityId: id, action: 'create', after: item });
         return item;
     },
 
@@ -40,14 +80,36 @@ module.exports = {
         return res.Item || null;
     },
 
+    /**
+     * One page of assets, newest first when filtered by owner
+     * @param {Object} filter - equality filter, e.g. { createdBy }
+     * @param {Object} options - { limit, cursor, predicate } (see utils/queryPlanner.findPage)
+     */
+    async findPage(filter = {}, options = {}) {
+        const client = getDynamoClient();
+        return findPage(client, TABLE, filter, INDEXES, { descending: true, ...options });
+    },
+
+    /**
+     * Update an asset
+     * @param {Object} options - { expectedVersion, remove, reason } (see utils/versioning)
+     */
+    async update(id, data, options = {}) {
+        const client = getDynamoClient();
+        const { before, after } = await versionedUpdate(client, TABLE, id, data, options);
+        await recordAudit({ entity: 'asset', entityId: id, action: 'update', before, after, reason: options.reason });
+        return after;
+    },
+
     /**
      * Delete asset
      */
-    async delete(id) {
+    async delete(id, options = {}) {
         const client = getDynamoClient();
-        await client.send(
-            new DeleteCommand({ TableName: TABLE, Key: { _id: id } })
+        const res = await client.send(
+            new DeleteCommand({ TableName: TABLE, Key: { _id: id }, ReturnValues: 'ALL_OLD' })
         );
+        await recordAudit({ entity: 'asset', entityId: id, action: 'delete', before: (res && res.Attributes) || null, reason: options.reason });
         return { deleted: true };
     },
 };
@@ -0,0 +1,61 @@
+// models/AuditLog.js
+const { newObjectId } = require('../utils/objectId');
+const { getDynamoClient } = require('../config/db');
+const { findAll, findPage } = require('../utils/queryPlanner');
+const { PutCommand } = require('@aws-sdk/lib-dynamodb');
+require('dotenv').config();
+
+const TABLE = process.env.DYNAMO_DB_AUDIT_LOGS || 'FacultyCreditsAuditLogs';
+
+// GSIs created by create_tables.js. entityKey is `${entity}#${entityId}`.
+const INDEXES = [
+  { name: 'entityKey-createdAt-index', hashKey: 'entityKey', rangeKey: 'createdAt' },
+  { name: 'actor-createdAt-index', hashKey: 'actor', rangeKey: 'createdAt' },
+];
+
+/**
+ * Append-only: entries are never updated or deleted, so there is
+ * deliberately no update()/delete() here.
+ */
+module.exports = {
+  INDEXES,
+
+  entityKey(entity, entityId) {
+    return `${entity}#${entityId}`;
+  },
+
+  async create(data) {
+    const client = getDynamoClient();
+    const item = {
+      _id: newObjectId(),
+      createdAt: new Date().toISOString(),
+      ...data,
+      entityKey: this.entityKey(data.entity, data.entityId),
+    };
+    await client.send(new PutCommand({
+      TableName: TABLE,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(#_id)',
+      ExpressionAttributeNames: { '#_id': '_id' },
+    }));
+    return item;
+  },
+
+  /**
+   * Find entries by equality filter (GSI Query when possible, else Scan)
+   */
+  async find(filter = {}) {
+    const client = getDynamoClient();
+    return findAll(client, TABLE, filter, INDEXES);
+  },
+
+  /**
+   * Read one page of entries: { items, nextCursor }
+   * @param {Object} filter - equality filter
+   * @param {Object} options - { limit, cursor, predicate, descending } (see utils/queryPlanner)
+   */
+  async findPage(filter = {}, options = {}) {
+    const client = getDynamoClient();
+    return findPage(client, TABLE, filter, INDEXES, options);
+  },
+};
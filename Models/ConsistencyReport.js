@@ -0,0 +1,40 @@
+// models/ConsistencyReport.js
+const { newObjectId } = require('../utils/objectId');
+const { getDynamoClient } = require('../config/db');
+const { findPage } = require('../utils/queryPlanner');
+const { PutCommand } = require('@aws-sdk/lib-dynamodb');
+require('dotenv').config();
+
+const TABLE = process.env.DYNAMO_DB_CONSISTENCY_REPORTS || 'FacultyCreditsConsistencyReports';
+
+// GSIs created by create_tables.js. `kind` names the check (e.g. 'creditTotals').
+const INDEXES = [
+  { name: 'kind-createdAt-index', hashKey: 'kind', rangeKey: 'createdAt' },
+];
+
+/**
+ * Append-only: one item per run of a consistency check.
+ */
+module.exports = {
+  INDEXES,
+
+  async create(data) {
+    const client = getDynamoClient();
+    const item = {
+      _id: newObjectId(),
+      createdAt: new Date().toISOString(),
+      ...data,
+    };
+    await client.send(new PutCommand({ TableName: TABLE, Item: item }));
+    return item;
+  },
+
+  /**
+   * Most recent report of a kind, or null
+   */
+  async latest(kind) {
+    const client = getDynamoClient();
+    const { items } = await findPage(client, TABLE, { kind }, INDEXES, { limit: 1, descending: true });
+    return items[0] || null;
+  },
+};
@@ -1,58 +1,66 @@
 // models/Credit.js
 const { newObjectId } = require('../utils/objectId');
 const { getDynamoClient } = require('../config/db');
-const { PutCommand, GetCommand, ScanCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { findAll, findPage } = require('../utils/queryPlanner');
+const { versionedUpdate } = require('../utils/versioning');
+const { recordAudit } = require('../utils/audit');
+const { recordCreditChange } = require('../utils/ledger');
+const { PutCommand, GetCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
 
 const TABLE = process.env.DYNAMO_DB_CREDITS;
 
+// GSIs created by create_tables.js. Order matters: the first index whose hash
+// key is in a find() filter is used, so the most selective ones come first.
+const INDEXES = [
+  { name: 'faculty-createdAt-index', hashKey: 'faculty', rangeKey: 'createdAt' },
+  { name: 'issuedBy-createdAt-index', hashKey: 'issuedBy', rangeKey: 'createdAt' },
+  { name: 'status-type-index', hashKey: 'status', rangeKey: 'type' },
+  { name: 'academicYear-createdAt-index', hashKey: 'academicYear', rangeKey: 'createdAt' },
+  // Sparse: approvalStage is only set while a credit waits on a review stage
+  { name: 'approvalStage-createdAt-index', hashKey: 'approvalStage', rangeKey: 'createdAt' },
+  // Sparse: proofHash is only set on credits submitted with a proof file (duplicate detection)
+  { name: 'proofHash-createdAt-index', hashKey: 'proofHash', rangeKey: 'createdAt' },
+  // Least selective, so listed last: keeps cursor lists without a faculty,
+  // issuedBy or academicYear filter in createdAt order
+  { name: 'type-createdAt-index', hashKey: 'type', rangeKey: 'createdAt' },
+];
+
 module.exports = {
+  INDEXES,
+
   async create(data) {
     const client = getDynamoClient();
     const item = {
       _id: newObjectId(),
       status: data.status || 'pending',
+      version: 1,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       ...data,
     };
     await client.send(new PutCommand({ TableName: TABLE, Item: item }));
     console.log(`[Credit Model] Successfully stored credit entry: ${item._id} for faculty: ${item.faculty}`);
+    await recordAudit({ entity: 'credit', entityId: item._id, action: 'create', after: item });
+    await recordCreditChange(null, item);
     return item;
   },
 
+  /**
+   * Find credits by equality filter (GSI Query when possible, else Scan)
+   */
   async find(filter = {}) {
     const client = getDynamoClient();
-    const params = { TableName: TABLE };
-
-    const filterKeys = Object.keys(filter);
-    if (filterKeys.length > 0) {
-      const filterExps = [];
-      const expNames = {};
-      const expValues = {};
-
-      filterKeys.forEach((k) => {
-        expNames[`#${k}`] = k;
-        expValues[`:${k}`] = filter[k];
-        filterExps.push(`#${k} = :${k}`);
-      });
-
-      params.FilterExpression = filterExps.join(' AND ');
-      params.ExpressionAttributeNames = expNames;
-      params.ExpressionAttributeValues = expValues;
-    }
-
-    const items = [];
-    let lastEvaluatedKey = undefined;
-    do {
-      params.ExclusiveStartKey = lastEvaluatedKey;
-      const res = await client.send(new ScanCommand(params));
-      if (res.Items) {
-        items.push(...res.Items);
-      }
-      lastEvaluatedKey = res.LastEvaluatedKey;
-    } while (lastEvaluatedKey);
+    return findAll(client, TABLE, filter, INDEXES);
+  },
 
-    return items;
+  /**
+   * Read one page of credits: { items, nextCursor }
+   * @param {Object} filter - equality filter
+   * @param {Object} options - { limit, cursor, predicate, descending } (see utils/queryPlanner)
+   */
+  async findPage(filter = {}, options = {}) {
+    const client = getDynamoClient();
+    return findPage(client, TABLE, filter, INDEXES, options);
   },
 
   async findById(id) {
@@ -61,25 +69,27 @@ module.exports = {
     return res.Item || null;
   },
 
-  async update(id, data) {
+  /**
+   * SET fields and bump `version`. Pass the version the caller read as
+   * `expectedVersion` to fail with a 409 if someone else updated it meanwhile,
+   * and `reason` to have it recorded in the audit log. Balance changes are
+   * posted to the credit ledger (utils/ledger), as on create and delete;
+   * `reconcile: false` skips the per-credit cap reconciliation for callers
+   * that recalculate the faculty themselves afterwards.
+   */
+  async update(id, data, options = {}) {
     const client = getDynamoClient();
-    const updates = Object.entries(data).map(([k, v]) => `#${k} = :${k}`);
-    const expNames = Object.fromEntries(Object.keys(data).map((k) => [`#${k}`, k]));
-    const expValues = Object.fromEntries(Object.entries(data).map(([k, v]) => [`:${k}`, v]));
-
-    await client.send(new UpdateCommand({
-      TableName: TABLE,
-      Key: { _id: id },
-      UpdateExpression: `SET ${updates.join(', ')}`,
-      ExpressionAttributeNames: expNames,
-      ExpressionAttributeValues: expValues,
-    }));
-    return { _id: id, ...data };
+    const { before, after } = await versionedUpdate(client, TABLE, id, data, options);
+    await recordAudit({ entity: 'credit', entityId: id, action: 'update', before, after, reason: options.reason });
+    await recordCreditChange(before, after, { reconcile: options.reconcile !== false });
+    return after;
   },
 
-  async delete(id) {
+  async delete(id, options = {}) {
     const client = getDynamoClient();
-    await client.send(new DeleteCommand({ TableName: TABLE, Key: { _id: id } }));
+    const res = await client.send(new DeleteCommand({ TableName: TABLE, Key: { _id: id }, ReturnValues: 'ALL_OLD' }));
+    await recordAudit({ entity: 'credit', entityId: id, action: 'delete', before: (res && res.Attributes) || null, reason: options.reason });
+    await recordCreditChange((res && res.Attributes) || null, null);
     return { deleted: true };
   },
 };
@@ -0,0 +1,101 @@
+// models/CreditLedger.js
+const { getDynamoClient } = require('../config/db');
+const { findAll, findPage } = require('../utils/queryPlanner');
+const { PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+require('dotenv').config();
+
+const TABLE = process.env.DYNAMO_DB_CREDIT_LEDGER || 'FacultyCreditsLedger';
+
+// GSIs created by create_tables.js. entryKey is `${createdAt}#${seq}` with a
+// zero-padded seq, so a faculty's entries sort in the order they were applied.
+const INDEXES = [
+  { name: 'faculty-entryKey-index', hashKey: 'faculty', rangeKey: 'entryKey' },
+];
+
+const SEQ_WIDTH = 12;
+
+function padSeq(seq) {
+  return String(seq).padStart(SEQ_WIDTH, '0');
+}
+
+/**
+ * Append-only: entries are never updated or deleted, so there is
+ * deliberately no update()/delete() here. Corrections are new entries.
+ */
+module.exports = {
+  INDEXES,
+
+  entryKey(createdAt, seq) {
+    return `${createdAt}#${padSeq(seq)}`;
+  },
+
+  /**
+   * Store an entry. `seq` comes from User.applyBalanceDelta and is unique per
+   * faculty, so the key doubles as a guard against writing an entry twice.
+   */
+  async create(data) {
+    const client = getDynamoClient();
+    const createdAt = new Date().toISOString();
+    const item = {
+      _id: `${data.faculty}#${padSeq(data.seq)}`,
+      createdAt,
+      ...data,
+      entryKey: this.entryKey(createdAt, data.seq),
+    };
+    await client.send(new PutCommand({
+      TableName: TABLE,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(#_id)',
+      ExpressionAttributeNames: { '#_id': '_id' },
+    }));
+    return item;
+  },
+
+  /**
+   * Find entries by equality filter (GSI Query when possible, else Scan)
+   */
+  async find(filter = {}) {
+    const client = getDynamoClient();
+    return findAll(client, TABLE, filter, INDEXES);
+  },
+
+  /**
+   * Read one page of entries: { items, nextCursor }
+   * @param {Object} filter - equality filter
+   * @param {Object} options - { limit, cursor, predicate, descending } (see utils/queryPlanner)
+   */
+  async findPage(filter = {}, options = {}) {
+    const client = getDynamoClient();
+    return findPage(client, TABLE, filter, INDEXES, options);
+  },
+
+  /**
+   * Last entry for a faculty at or before `asOf` (ISO string), optionally
+   * the last one of an academic year. Null when there is none.
+   */
+  async latestAsOf(faculty, asOf, academicYear) {
+    const client = getDynamoClient();
+    const params = {
+      TableName: TABLE,
+      IndexName: INDEXES[0].name,
+      KeyConditionExpression: '#faculty = :faculty AND #entryKey <= :bound',
+      ExpressionAttributeNames: { '#faculty': 'faculty', '#entryKey': 'entryKey' },
+      ExpressionAttributeValues: { ':faculty': String(faculty), ':bound': `${asOf}#${'9'.repeat(SEQ_WIDTH)}` },
+      ScanIndexForward: false,
+      Limit: academicYear ? 50 : 1,
+    };
+    if (academicYear) {
+      params.FilterExpression = '#academicYear = :academicYear';
+      params.ExpressionAttributeNames['#academicYear'] = 'academicYear';
+      params.ExpressionAttributeValues[':academicYear'] = academicYear;
+    }
+
+    // Limit applies before the filter, so keep paging until a year entry turns up
+    do {
+      const res = await client.send(new QueryCommand(params));
+      if (res.Items && res.Items.length) return res.Items[0];
+      params.ExclusiveStartKey = res.LastEvaluatedKey;
+    } while (params.ExclusiveStartKey && academicYear);
+    return null;
+  },
+};
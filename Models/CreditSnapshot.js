@@ -0,0 +1,47 @@
+// models/CreditSnapshot.js
+const { getDynamoClient } = require('../config/db');
+const { findAll, findPage } = require('../utils/queryPlanner');
+const { PutCommand } = require('@aws-sdk/lib-dynamodb');
+require('dotenv').config();
+
+const TABLE = process.env.DYNAMO_DB_CREDIT_SNAPSHOTS || 'FacultyCreditsSnapshots';
+
+// GSIs created by create_tables.js
+const INDEXES = [
+  { name: 'academicYear-faculty-index', hashKey: 'academicYear', rangeKey: 'faculty' },
+];
+
+/**
+ * Faculty totals frozen when an academic year is rolled over. The id is
+ * `${academicYear}#${faculty}`, so re-running a rollover overwrites the
+ * earlier snapshot instead of adding a second one.
+ */
+module.exports = {
+  INDEXES,
+
+  async put(data) {
+    const client = getDynamoClient();
+    const item = {
+      _id: `${data.academicYear}#${data.faculty}`,
+      createdAt: new Date().toISOString(),
+      ...data,
+    };
+    await client.send(new PutCommand({ TableName: TABLE, Item: item }));
+    return item;
+  },
+
+  async find(filter = {}) {
+    const client = getDynamoClient();
+    return findAll(client, TABLE, filter, INDEXES);
+  },
+
+  /**
+   * Read one page of snapshots: { items, nextCursor }
+   * @param {Object} filter - equality filter
+   * @param {Object} options - { limit, cursor, predicate, descending } (see utils/queryPlanner)
+   */
+  async findPage(filter = {}, options = {}) {
+    const client = getDynamoClient();
+    return findPage(client, TABLE, filter, INDEXES, options);
+  },
+};
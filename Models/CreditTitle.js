@@ -1,11 +1,21 @@
 // models/CreditTitle.js
 const { newObjectId } = require('../utils/objectId');
 const { getDynamoClient } = require('../config/db');
-const { PutCommand, GetCommand, ScanCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const { findAll } = require('../utils/queryPlanner');
+const { versionedUpdate } = require('../utils/versioning');
+const { recordAudit } = require('../utils/audit');
+const { PutCommand, GetCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
 require('dotenv').config();
 const TABLE = process.env.DYNAMO_DB_TITLES;
 
+// GSIs created by create_tables.js (isActive is a boolean and cannot be a key)
+const INDEXES = [
+  { name: 'type-index', hashKey: 'type' },
+];
+
 module.exports = {
+  INDEXES,
+
   async create(data) {
     const client = getDynamoClient();
     const item = {
@@ -15,42 +25,16 @@ module.exports = {
       ...data,
     };
     await client.send(new PutCommand({ TableName: TABLE, Item: item }));
+    await recordAudit({ entity: 'creditTitle', entityId: item._id, action: 'create', after: item });
     return item;
   },
 
+  /**
+   * Find credit titles by equality filter (GSI Query when possible, else Scan)
+   */
   async find(filter = {}) {
     const client = getDynamoClient();
-    const params = { TableName: TABLE };
-
-    const filterKeys = Object.keys(filter);
-    if (filterKeys.length > 0) {
-      const filterExps = [];
-      const expNames = {};
-      const expValues = {};
-
-      filterKeys.forEach((k) => {
-        expNames[`#${k}`] = k;
-        expValues[`:${k}`] = filter[k];
-        filterExps.push(`#${k} = :${k}`);
-      });
-
-      params.FilterExpression = filterExps.join(' AND ');
-      params.ExpressionAttributeNames = expNames;
-      params.ExpressionAttributeValues = expValues;
-    }
-
-    const items = [];
-    let lastEvaluatedKey = undefined;
-    do {
-      params.ExclusiveStartKey = lastEvaluatedKey;
-      const res = await client.send(new ScanCommand(params));
-      if (res.Items) {
-        items.push(...res.Items);
-      }
-      lastEvaluatedKey = res.LastEvaluatedKey;
-    } while (lastEvaluatedKey);
-
-    return items;
+    return findAll(client, TABLE, filter, INDEXES);
   },
 
   async findById(id) {
@@ -59,25 +43,17 @@ module.exports = {
     return res.Item || null;
   },
 
-  async update(id, data) {
+  async update(id, data, options = {}) {
     const client = getDynamoClient();
-    const updates = Object.entries(data).map(([k, v]) => `#${k} = :${k}`);
-    const expNames = Object.fromEntries(Object.keys(data).map((k) => [`#${k}`, k]));
-    const expValues = Object.fromEntries(Object.entries(data).map(([k, v]) => [`:${k}`, v]));
-
-    await client.send(new UpdateCommand({
-      TableName: TABLE,
-      Key: { _id: id },
-      UpdateExpression: `SET ${updates.join(', ')}`,
-      ExpressionAttributeNames: expNames,
-      ExpressionAttributeValues: expValues,
-    }));
-    return { _id: id, ...data };
+    const { before, after } = await versionedUpdate(client, TABLE, id, data, options);
+    await recordAudit({ entity: 'creditTitle', entityId: id, action: 'update', before, after, reason: options.reason });
+    return after;
   },
 
-  async delete(id) {
+  async delete(id, options = {}) {
     const client = getDynamoClient();
-    await client.send(new DeleteCommand({ TableName: TABLE, Key: { _id: id } }));
+    const res = await client.send(new DeleteCommand({ TableName: TABLE, Key: { _id: id }, ReturnValues: 'ALL_OLD' }));
+    await recordAudit({ entity: 'creditTitle', entityId: id, action: 'delete', before: (res && res.Attributes) || null, reason: options.reason });
     return { deleted: true };
   },
 };
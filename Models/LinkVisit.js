@@ -0,0 +1,163 @@
+// models/LinkVisit.js
+const { newObjectId } = require('../utils/objectId');
+const { getDynamoClient } = require('../config/db');
+const { isMissingIndexError } = require('../utils/queryPlanner');
+const { PutCommand, QueryCommand, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+require('dotenv').config();
+
+const TABLE = process.env.DYNAMO_DB_LINK_VISITS || 'FacultyCreditsLinkVisits';
+
+// GSIs created by create_tables.js
+const INDEXES = [
+  { name: 'shortUrl-visitedAt-index', hashKey: 'shortUrl', rangeKey: 'visitedAt' },
+  { name: 'owner-visitedAt-index', hashKey: 'owner', rangeKey: 'visitedAt' },
+  { name: 'day-visitedAt-index', hashKey: 'day', rangeKey: 'visitedAt' },
+];
+
+// DynamoDB TTL attribute (epoch seconds), enabled by create_tables.js
+const TTL_ATTRIBUTE = 'ttl';
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function retentionDays() {
+  const days = Number(process.env.LINK_VISIT_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 365;
+}
+
+/**
+ * Keys derived from visitedAt: the day bucket and the expiry time
+ */
+function derivedKeys(visitedAt) {
+  return {
+    day: visitedAt.slice(0, 10),
+    [TTL_ATTRIBUTE]: Math.floor(Date.parse(visitedAt) / 1000) + retentionDays() * 24 * 3600,
+  };
+}
+
+/**
+ * 'YYYY-MM-DD' of every day from `from` to `to` (inclusive)
+ */
+function daysBetween(from, to) {
+  const days = [];
+  const last = Date.parse(to.slice(0, 10));
+  for (let t = Date.parse(from.slice(0, 10)); t <= last; t += DAY_MS) {
+    days.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+async function readAll(Command, params) {
+  const items = [];
+  do {
+    const res = await getDynamoClient().send(new Command(params));
+    if (res.Items) items.push(...res.Items);
+    params.ExclusiveStartKey = res.LastEvaluatedKey;
+  } while (params.ExclusiveStartKey);
+  return items;
+}
+
+function queryBetween(index, value, { from, to }) {
+  return readAll(QueryCommand, {
+    TableName: TABLE,
+    IndexName: index.name,
+    KeyConditionExpression: '#key = :key AND #visitedAt BETWEEN :from AND :to',
+    ExpressionAttributeNames: { '#key': index.hashKey, '#visitedAt': 'visitedAt' },
+    ExpressionAttributeValues: { ':key': String(value), ':from': from, ':to': to },
+  });
+}
+
+/**
+ * Scan fallback while the owner/day indexes are missing or backfilling
+ */
+async function scanBetween({ from, to, owner }) {
+  const params = {
+    TableName: TABLE,
+    FilterExpression: '#visitedAt BETWEEN :from AND :to',
+    ExpressionAttributeNames: { '#visitedAt': 'visitedAt' },
+    ExpressionAttributeValues: { ':from': from, ':to': to },
+  };
+  if (owner) {
+    params.FilterExpression += ' AND #owner = :owner';
+    params.ExpressionAttributeNames['#owner'] = 'owner';
+    params.ExpressionAttributeValues[':owner'] = String(owner);
+  }
+  const items = await readAll(ScanCommand, params);
+  return items.sort((a, b) => a.visitedAt.localeCompare(b.visitedAt));
+}
+
+/**
+ * One hit on a short URL (/s/:id), written by utils/linkAnalytics:
+ *   { shortUrl, owner, visitedAt, day, ttl, referrer, agent, user, ipHash, viewer }
+ * Append-only; kept when the link itself is deleted, and expired by DynamoDB
+ * LINK_VISIT_RETENTION_DAYS (default 365) after the visit.
+ */
+module.exports = {
+  INDEXES,
+  TTL_ATTRIBUTE,
+
+  async create(data) {
+    const client = getDynamoClient();
+    const item = {
+      _id: newObjectId(),
+      visitedAt: new Date().toISOString(),
+      ...data,
+    };
+    Object.assign(item, derivedKeys(item.visitedAt));
+    // Index keys cannot be null; links without an owner stay out of the owner index
+    if (!item.owner) delete item.owner;
+    await client.send(new PutCommand({ TableName: TABLE, Item: item }));
+    return item;
+  },
+
+  /**
+   * Visits of one link between two ISO dates (inclusive), oldest first
+   */
+  async findForLink(shortUrl, { from, to }) {
+    return queryBetween(INDEXES[0], shortUrl, { from, to });
+  },
+
+  /**
+   * Visits of every link between two ISO dates (inclusive), oldest first,
+   * optionally only links of one owner. Queries the owner index, or one day
+   * bucket per day of the range.
+   */
+  async findBetween({ from, to, owner }) {
+    try {
+      if (owner) return await queryBetween(INDEXES[1], owner, { from, to });
+      const items = [];
+      for (const day of daysBetween(from, to)) {
+        items.push(...await queryBetween(INDEXES[2], day, { from, to }));
+      }
+      return items;
+    } catch (err) {
+      if (!isMissingIndexError(err)) throw err;
+      return scanBetween({ from, to, owner });
+    }
+  },
+
+  /**
+   * Add the day bucket and expiry to visits stored before they existed
+   * @returns {Promise<number>} visits updated
+   */
+  async backfillKeys() {
+    const client = getDynamoClient();
+    const items = await readAll(ScanCommand, {
+      TableName: TABLE,
+      FilterExpression: 'attribute_not_exists(#day)',
+      ExpressionAttributeNames: { '#day': 'day' },
+    });
+    for (const item of items) {
+      const { day, [TTL_ATTRIBUTE]: ttl } = derivedKeys(item.visitedAt);
+      await client.send(new UpdateCommand({
+        TableName: TABLE,
+        Key: { _id: item._id },
+        UpdateExpression: item.owner
+          ? 'SET #day = :day, #ttl = :ttl'
+          : 'SET #day = :day, #ttl = :ttl REMOVE #owner',
+        ExpressionAttributeNames: { '#day': 'day', '#ttl': TTL_ATTRIBUTE, ...(item.owner ? {} : { '#owner': 'owner' }) },
+        ExpressionAttributeValues: { ':day': day, ':ttl': ttl },
+      }));
+    }
+    return items.length;
+  },
+};
@@ -1,5 +1,8 @@
 const { newObjectId } = require('../utils/objectId');
 const { getDynamoClient } = require('../config/db');
+const { findPage } = require('../utils/queryPlanner');
+const { versionedUpdate } = require('../utils/versioning');
+const { recordAudit } = require('../utils/audit');
 require('dotenv').config();
 const {
     PutCommand,
@@ -10,26 +13,54 @@ const {
 
 const TABLE = process.env.DYNAMO_DB_SHORT_URLS || 'FacultyCreditsShortUrls';
 
+// GSIs created by create_tables.js (sparse: links made by the system have no owner)
+const INDEXES = [
+    { name: 'createdBy-createdAt-index', hashKey: 'createdBy', rangeKey: 'createdAt' },
+];
+
+function aliasTaken(id) {
+    const err = new Error(`Alias "${id}" is already in use`);
+    err.status = 409;
+    err.code = 'ALIAS_TAKEN';
+    return err;
+}
+
 module.exports = {
+    INDEXES,
+
     /**
      * Create a new short URL
-     * @param {Object} data - { id (optional), originalUrl }
+     * @param {Object} data - { id (optional), originalUrl, createdBy?, expiresAt? }
+     *   utils/urlHelper.createShortLink picks the id (random code or alias).
+     * @throws 409 error (code ALIAS_TAKEN) when the id exists; links are never overwritten
      */
     async create(data) {
         const client = getDynamoClient();
-        // Use provided custom alias or generate a short ID (simple slice of uuid for now, or nanoid logic if preferred)
-        // For simplicity, we use newObjectId() or the one passed.
-        // Ideally, a shortener uses shorter IDs (like base62), but for this system, we accept the ID provided by the controller.
         const id = data.id || newObjectId();
 
         const item = {
             _id: id,
             originalUrl: data.originalUrl,
             visits: 0,
+            active: true,
+            version: 1,
             createdAt: new Date().toISOString(),
         };
+        if (data.createdBy) item.createdBy = String(data.createdBy);
+        if (data.expiresAt) item.expiresAt = data.expiresAt;
 
-        await client.send(new PutCommand({ TableName: TABLE, Item: item }));
+        try {
+            await client.send(new PutCommand({
+                TableName: TABLE,
+                Item: item,
+                ConditionExpression: 'attribute_not_exists(#_id)',
+                ExpressionAttributeNames: { '#_id': '_id' },
+            }));
+        } catch (err) {
+            if (err.name === 'ConditionalCheckFailedException') throw aliasTaken(id);
+            throw err;
+        }
+        await recordAudit({ entity: 'shortUrl', entityId: id, action: 'create', after: item });
         return item;
     },
 
@@ -44,6 +75,27 @@ module.exports = {
         return res.Item || null;
     },
 
+    /**
+     * One page of short URLs, newest first when filtered by owner
+     * @param {Object} filter - equality filter, e.g. { createdBy }
+     * @param {Object} options - { limit, cursor, predicate } (see utils/queryPlanner.findPage)
+     */
+    async findPage(filter = {}, options = {}) {
+        const client = getDynamoClient();
+        return findPage(client, TABLE, filter, INDEXES, { descending: true, ...options });
+    },
+
+    /**
+     * Update target, expiry or active flag
+     * @param {Object} options - { expectedVersion, remove, reason } (see utils/versioning)
+     */
+    async update(id, data, options = {}) {
+        const client = getDynamoClient();
+        const { before, after } = await versionedUpdate(client, TABLE, id, data, options);
+        await recordAudit({ entity: 'shortUrl', entityId: id, action: 'update', before, after, reason: options.reason });
+        return after;
+    },
+
     /**
      * Increment visit count
      */
@@ -65,11 +117,12 @@ module.exports = {
     /**
      * Delete
      */
-    async delete(id) {
+    async delete(id, options = {}) {
         const client = getDynamoClient();
-        await client.send(
-            new DeleteCommand({ TableName: TABLE, Key: { _id: id } })
+        const res = await client.send(
+            new DeleteCommand({ TableName: TABLE, Key: { _id: id }, ReturnValues: 'ALL_OLD' })
         );
+        await recordAudit({ entity: 'shortUrl', entityId: id, action: 'delete', before: (res && res.Attributes) || null, reason: options.reason });
         return { deleted: true };
     },
 };
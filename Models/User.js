@@ -1,17 +1,26 @@
 const { newObjectId } = require('../utils/objectId');
 const { getDynamoClient } = require('../config/db');
 require('dotenv').config();
+const { findAll, findPage } = require('../utils/queryPlanner');
+const { versionedUpdate } = require('../utils/versioning');
+const { recordAudit } = require('../utils/audit');
 const {
   PutCommand,
   GetCommand,
-  ScanCommand,
-  UpdateCommand,
   DeleteCommand,
+  UpdateCommand,
 } = require('@aws-sdk/lib-dynamodb');
 
 const TABLE = process.env.DYNAMO_DB_USERS;
 
+// GSIs created by create_tables.js
+const INDEXES = [
+  { name: 'email-index', hashKey: 'email' },
+];
+
 module.exports = {
+  INDEXES,
+
   /**
    * Create a new user
    */
@@ -22,6 +31,7 @@ module.exports = {
       _id: newObjectId(),
       prefix: data.prefix || 'Mr.',
       isActive: data.isActive ?? true,
+      version: 1,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
 
@@ -50,45 +60,26 @@ module.exports = {
     };
 
     await client.send(new PutCommand({ TableName: TABLE, Item: item }));
+    await recordAudit({ entity: 'user', entityId: item._id, action: 'create', after: item });
     return item;
   },
 
   /**
-   * Find users (simple Scan + filter)
+   * Find users by equality filter (GSI Query when possible, else Scan)
    */
   async find(filter = {}) {
     const client = getDynamoClient();
-    const params = { TableName: TABLE };
-
-    const filterKeys = Object.keys(filter);
-    if (filterKeys.length > 0) {
-      const filterExps = [];
-      const expNames = {};
-      const expValues = {};
-
-      filterKeys.forEach((k) => {
-        expNames[`#${k}`] = k;
-        expValues[`:${k}`] = filter[k];
-        filterExps.push(`#${k} = :${k}`);
-      });
-
-      params.FilterExpression = filterExps.join(' AND ');
-      params.ExpressionAttributeNames = expNames;
-      params.ExpressionAttributeValues = expValues;
-    }
-
-    const items = [];
-    let lastEvaluatedKey = undefined;
-    do {
-      params.ExclusiveStartKey = lastEvaluatedKey;
-      const res = await client.send(new ScanCommand(params));
-      if (res.Items) {
-        items.push(...res.Items);
-      }
-      lastEvaluatedKey = res.LastEvaluatedKey;
-    } while (lastEvaluatedKey);
+    return findAll(client, TABLE, filter, INDEXES);
+  },
 
-    return items;
+  /**
+   * Read one page of users: { items, nextCursor }
+   * @param {Object} filter - equality filter
+   * @param {Object} options - { limit, cursor, predicate } (see utils/queryPlanner)
+   */
+  async findPage(filter = {}, options = {}) {
+    const client = getDynamoClient();
+    return findPage(client, TABLE, filter, INDEXES, options);
   },
 
   /**
@@ -103,38 +94,90 @@ module.exports = {
   },
 
   /**
-   * Update user by ID
+   * Update user by ID (bumps `version`; pass `expectedVersion` in options
+   * to get a 409 when the stored version differs)
    */
-  async update(id, data) {
+  async update(id, data, options = {}) {
     if (!data || Object.keys(data).length === 0) return null;
 
     const client = getDynamoClient();
+    let result;
+    try {
+      result = await versionedUpdate(client, TABLE, id, data, options);
+    } catch (err) {
+      // 409 responses echo the stored item; never leak secrets with it
+      if (err.current) {
+        delete err.current.password;
+        delete err.current.mfaSecret;
+        delete err.current.resetPasswordToken;
+      }
+      throw err;
+    }
+    await recordAudit({ entity: 'user', entityId: id, action: 'update', before: result.before, after: result.after, reason: options.reason });
+    return result.after;
+  },
 
-    const updates = Object.keys(data).map((k) => `#${k} = :${k}`);
-    const expNames = Object.fromEntries(Object.keys(data).map((k) => [`#${k}`, k]));
-    const expValues = Object.fromEntries(Object.entries(data).map(([k, v]) => [`:${k}`, v]));
-
-    await client.send(
-      new UpdateCommand({
+  /**
+   * Add `delta` to `currentCredit` (and `creditsByYear[academicYear]` when
+   * given) and take the next ledger sequence number, in one atomic write.
+   * Balances are derived data: this neither bumps `version` nor writes an
+   * audit entry, the credit ledger is their record (see utils/ledger).
+   * @returns {Promise<{ seq: number, currentCredit: number, yearCredit: number|null }>}
+   */
+  async applyBalanceDelta(id, delta, academicYear = null) {
+    const client = getDynamoClient();
+    const names = { '#_id': '_id', '#cc': 'currentCredit', '#seq': 'ledgerSeq' };
+    const values = { ':delta': delta, ':zero': 0, ':one': 1 };
+    let expression = 'SET #cc = if_not_exists(#cc, :zero) + :delta, #seq = if_not_exists(#seq, :zero) + :one';
+    if (academicYear) {
+      names['#cby'] = 'creditsByYear';
+      names['#year'] = academicYear;
+      expression += ', #cby.#year = if_not_exists(#cby.#year, :zero) + :delta';
+    }
+    const apply = () => client.send(new UpdateCommand({
+      TableName: TABLE,
+      Key: { _id: id },
+      UpdateExpression: expression,
+      ConditionExpression: 'attribute_exists(#_id)',
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW',
+    }));
+
+    let res;
+    try {
+      res = await apply();
+    } catch (err) {
+      // creditsByYear.<year> can only be set once the map exists
+      if (!academicYear || err.name !== 'ValidationException') throw err;
+      await client.send(new UpdateCommand({
         TableName: TABLE,
         Key: { _id: id },
-        UpdateExpression: `SET ${updates.join(', ')}`,
-        ExpressionAttributeNames: expNames,
-        ExpressionAttributeValues: expValues,
-      })
-    );
+        UpdateExpression: 'SET #cby = if_not_exists(#cby, :empty)',
+        ConditionExpression: 'attribute_exists(#_id)',
+        ExpressionAttributeNames: { '#_id': '_id', '#cby': 'creditsByYear' },
+        ExpressionAttributeValues: { ':empty': {} },
+      }));
+      res = await apply();
+    }
 
-    return { _id: id, ...data };
+    const user = res.Attributes;
+    return {
+      seq: user.ledgerSeq,
+      currentCredit: user.currentCredit,
+      yearCredit: academicYear ? user.creditsByYear[academicYear] : null,
+    };
   },
 
   /**
    * Delete user by ID
    */
-  async delete(id) {
+  async delete(id, options = {}) {
     const client = getDynamoClient();
-    await client.send(
-      new DeleteCommand({ TableName: TABLE, Key: { _id: id } })
+    const res = await client.send(
+      new DeleteCommand({ TableName: TABLE, Key: { _id: id }, ReturnValues: 'ALL_OLD' })
     );
+    await recordAudit({ entity: 'user', entityId: id, action: 'delete', before: (res && res.Attributes) || null, reason: options.reason });
     return { deleted: true };
   },
 };
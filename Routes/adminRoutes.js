@@ -4,6 +4,7 @@ const multer = require('multer');
 
 const {
   updatePositiveCreditStatus,
+  bulkUpdatePositiveCreditStatus,
   getPositiveCreditById,
   adminListNegativeCredits,
   adminGetNegativeCreditById,
@@ -35,8 +36,63 @@ const {
   issuePositiveCredit
 } = require('../Controllers/Admin/CreditManageController');
 
+const {
+  listAuditLogs,
+  getCreditTimeline
+} = require('../Controllers/Admin/AuditController');
+
+const {
+  listApprovalWorkflows,
+  createApprovalWorkflow,
+  updateApprovalWorkflow,
+  deleteApprovalWorkflow
+} = require('../Controllers/Admin/ApprovalWorkflowController');
+
+const {
+  listAcademicYears,
+  createAcademicYear,
+  updateAcademicYear,
+  deleteAcademicYear,
+  rolloverAcademicYear,
+  listAcademicYearSnapshots
+} = require('../Controllers/Admin/AcademicYearController');
+
+const {
+  listCreditCaps,
+  createCreditCap,
+  updateCreditCap,
+  deleteCreditCap
+} = require('../Controllers/Admin/CreditCapController');
+
+const {
+  getCreditTotalsReport,
+  runCreditTotalsCheck
+} = require('../Controllers/Admin/ConsistencyController');
+
+const {
+  previewBulkNegativeCredits,
+  commitBulkNegativeCredits
+} = require('../Controllers/Admin/BulkNegativeCreditController');
+
+
+const {
+  listShortUrls,
+  createShortUrl,
+  getShortUrlDetails,
+  updateShortUrl,
+  deleteShortUrl,
+  getShortUrlAnalytics,
+  getLinkAnalyticsOverview,
+  listAssets,
+  createAsset,
+  getAssetDetails,
+  updateAsset,
+  deleteAsset
+} = require('../Controllers/Admin/LinkController');
+
 
 const { authMiddleware, adminOnly, adminOrOA } = require('../Middleware/authMiddleware');
+const { inspectUploads } = require('../Middleware/uploadInspectionMiddleware');
 
 // Configure multer to use memory storage (serverless-safe)
 const upload = multer({
@@ -61,18 +117,53 @@ router.get('/credit-title', authMiddleware, listCreditTitles);
 router.put('/credit-title/:id', authMiddleware, adminOnly, updateCreditTitle);
 router.delete('/credit-title/:id', authMiddleware, adminOnly, deleteCreditTitle);
 
+/**
+ * Approval workflows (HOD -> Principal -> IQAC chains for positive credits)
+ */
+router.get('/approval-workflows', authMiddleware, adminOnly, listApprovalWorkflows);
+router.post('/approval-workflows', authMiddleware, adminOnly, createApprovalWorkflow);
+router.put('/approval-workflows/:id', authMiddleware, adminOnly, updateApprovalWorkflow);
+router.delete('/approval-workflows/:id', authMiddleware, adminOnly, deleteApprovalWorkflow);
+
+/**
+ * Academic years (appraisal cycles: deadlines, lock, rollover)
+ */
+router.get('/academic-years', authMiddleware, listAcademicYears);
+router.post('/academic-years', authMiddleware, adminOnly, createAcademicYear);
+router.put('/academic-years/:id', authMiddleware, adminOnly, updateAcademicYear);
+router.delete('/academic-years/:id', authMiddleware, adminOnly, deleteAcademicYear);
+router.post('/academic-years/:id/rollover', authMiddleware, adminOnly, rolloverAcademicYear);
+router.get('/academic-years/:id/snapshots', authMiddleware, adminOnly, listAcademicYearSnapshots);
+
+/**
+ * Credit caps (per title / category / year limits used by recalculation)
+ */
+router.get('/credit-caps', authMiddleware, adminOnly, listCreditCaps);
+router.post('/credit-caps', authMiddleware, adminOnly, createCreditCap);
+router.put('/credit-caps/:id', authMiddleware, adminOnly, updateCreditCap);
+router.delete('/credit-caps/:id', authMiddleware, adminOnly, deleteCreditCap);
+
+/**
+ * Consistency check of stored credit totals
+ */
+router.get('/consistency/credit-totals', authMiddleware, adminOnly, getCreditTotalsReport);
+router.post('/consistency/credit-totals', authMiddleware, adminOnly, runCreditTotalsCheck);
+
 /**
  * Positive credits management
  */
 router.get('/credits/positive', authMiddleware, adminOnly, listPositiveCreditsForAdmin);
 router.get('/credits/positive/:id', authMiddleware, adminOnly, getPositiveCreditById);
 router.put('/credits/positive/:id/status', authMiddleware, adminOnly, updatePositiveCreditStatus);
-router.post('/credits/positive', authMiddleware, adminOrOA, upload.single('proof'), issuePositiveCredit);
+router.post('/credits/positive/bulk-status', authMiddleware, adminOnly, bulkUpdatePositiveCreditStatus);
+router.post('/credits/positive', authMiddleware, adminOrOA, upload.single('proof'), inspectUploads, issuePositiveCredit);
 
 /**
  * Negative credits issued by admin to faculty
  */
-router.post('/credits/negative', authMiddleware, adminOrOA, upload.single('proof'), issueNegativeCredit);
+router.post('/credits/negative', authMiddleware, adminOrOA, upload.single('proof'), inspectUploads, issueNegativeCredit);
+router.post('/credits/negative/bulk/preview', authMiddleware, adminOrOA, upload.single('file'), inspectUploads, previewBulkNegativeCredits);
+router.post('/credits/negative/bulk', authMiddleware, adminOrOA, upload.single('file'), inspectUploads, commitBulkNegativeCredits);
 
 /**
  * Faculty negative credits endpoint (frontend-friendly)
@@ -110,5 +201,31 @@ router.get('/oa/credits/issued', authMiddleware, adminOrOA, oaGetOwnIssuedCredit
 
 router.delete('/oa/credits/issued/:id', authMiddleware, adminOrOA, oaDeleteIssuedCredit);
 
+/**
+ * Short URLs and CDN assets (create, list, retarget, expire, deactivate, delete; click analytics)
+ */
+router.get('/short-urls', authMiddleware, adminOnly, listShortUrls);
+router.post('/short-urls', authMiddleware, adminOnly, createShortUrl);
+router.get('/short-urls/analytics', authMiddleware, adminOnly, getLinkAnalyticsOverview);
+router.get('/short-urls/:id', authMiddleware, adminOnly, getShortUrlDetails);
+router.patch('/short-urls/:id', authMiddleware, adminOnly, updateShortUrl);
+router.delete('/short-urls/:id', authMiddleware, adminOnly, deleteShortUrl);
+router.get('/short-urls/:id/analytics', authMiddleware, adminOnly, getShortUrlAnalytics);
+
+router.get('/assets', authMiddleware, adminOnly, listAssets);
+router.post('/assets', authMiddleware, adminOnly, createAsset);
+router.get('/assets/:id', authMiddleware, adminOnly, getAssetDetails);
+router.patch('/assets/:id', authMiddleware, adminOnly, updateAsset);
+router.delete('/assets/:id', authMiddleware, adminOnly, deleteAsset);
+
+/**
+ * Audit trail
+ */
+// GET /api/v1/admin/audit?entity=&id=
+router.get('/audit', authMiddleware, adminOnly, listAuditLogs);
+
+// GET /api/v1/admin/credits/:creditId/timeline
+router.get('/credits/:creditId/timeline', authMiddleware, adminOrOA, getCreditTimeline);
+
 
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { getApprovalQueue, decideApproval } = require('../Controllers/approvalController');
+const { authMiddleware } = require('../Middleware/authMiddleware');
+
+/**
+ * Reviewer queue for one stage (HOD / Principal / IQAC)
+ * GET /api/v1/approvals/queue?stage=
+ */
+router.get('/queue', authMiddleware, getApprovalQueue);
+
+/**
+ * Approve, reject or return a credit at its current stage
+ * POST /api/v1/approvals/:creditId/decision
+ */
+router.post('/:creditId/decision', authMiddleware, decideApproval);
+
+module.exports = router;
@@ -10,11 +10,12 @@ const {
 } = require('../Controllers/authController');
 
 const { register, login } = require('../Controllers/Auth/AuthenticationController');
-const { bulkRegister } = require('../Controllers/Auth/BulkImportController');
+const { bulkRegister, downloadImportTemplate } = require('../Controllers/Auth/BulkImportController');
 const { forgotPassword, resetPassword } = require('../Controllers/Auth/PasswordController');
 const { enableAppMfa, verifyAppMfaSetup } = require('../Controllers/Auth/MfaController');
 
 const { authMiddleware, adminOnly } = require('../Middleware/authMiddleware');
+const { inspectUploads } = require('../Middleware/uploadInspectionMiddleware');
 const multer = require('multer');
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
 
@@ -24,7 +25,8 @@ router.post('/login', login);
 router.get('/refresh', authMiddleware, refreshToken);
 
 // NEW: bulk upload
-router.post('/users/bulk-upload', authMiddleware, adminOnly, upload.single('file'), bulkRegister);
+router.post('/users/bulk-upload', authMiddleware, adminOnly, upload.single('file'), inspectUploads, bulkRegister);
+router.get('/users/bulk-upload/template', authMiddleware, adminOnly, downloadImportTemplate);
 
 router.post('/forgot-password', forgotPassword);
 router.post('/reset-password/:token', resetPassword);
@@ -3,6 +3,10 @@ const multer = require('multer');
 const router = express.Router();
 const {
   submitPositiveCredit,
+  listDrafts,
+  updateDraft,
+  attachDraftProof,
+  submitDraft,
   appealNegativeCredit,
   listCreditsForFaculty,
   adminIssueNegativeCredit,
@@ -11,6 +15,8 @@ const {
   getNegativeCredits,
   getNegativeCreditsByFacultyId,
   recalcCreditsController,
+  getFacultyLedger,
+  simulateFacultyCredits,
   getFacultyCredits,
   updatePositiveCredit,
   deletePositiveCredit,
@@ -21,8 +27,18 @@ const {
   deleteNegativeCredit
 } = require('../Controllers/creditController');
 
+const {
+  addCreditAttachments,
+  arrangeCreditAttachments,
+  removeCreditAttachment,
+  addAppealAttachments,
+  arrangeAppealAttachments,
+  removeAppealAttachment,
+} = require('../Controllers/attachmentController');
+const { MAX_ATTACHMENTS } = require('../utils/attachments');
 const { authMiddleware, adminOnly, adminOrOA } = require('../Middleware/authMiddleware');
 const { ensureWhatsappVerified } = require('../Middleware/whatsappMiddleware');
+const { inspectUploads } = require('../Middleware/uploadInspectionMiddleware');
 const apiKeyMiddleware = require('../Middleware/apiKeyMiddleware');
 
 // Configure multer to use memory storage (serverless-safe)
@@ -39,14 +55,26 @@ const upload = multer({
   }
 });
 
+// New credits and appeals: `proof` and/or several `attachments`
+const evidenceUpload = upload.fields([
+  { name: 'proof', maxCount: 1 },
+  { name: 'attachments', maxCount: MAX_ATTACHMENTS },
+]);
+
 /**
  * Faculty routes
  */
 // Positive Credits
-router.post('/credits/positive', authMiddleware, ensureWhatsappVerified, upload.single('proof'), submitPositiveCredit);
-router.put('/credits/positive/:creditId', authMiddleware, ensureWhatsappVerified, upload.single('proof'), updatePositiveCredit);
+router.post('/credits/positive', authMiddleware, ensureWhatsappVerified, evidenceUpload, inspectUploads, submitPositiveCredit);
+router.put('/credits/positive/:creditId', authMiddleware, ensureWhatsappVerified, upload.single('proof'), inspectUploads, updatePositiveCredit);
 router.delete('/credits/positive/:creditId', authMiddleware, ensureWhatsappVerified, deletePositiveCredit);
 
+// Drafts (created with POST /credits/positive and draft=true; deleted like pending credits)
+router.get('/credits/drafts', authMiddleware, listDrafts);
+router.put('/credits/drafts/:creditId', authMiddleware, ensureWhatsappVerified, upload.single('proof'), inspectUploads, updateDraft);
+router.post('/credits/drafts/:creditId/proof', authMiddleware, ensureWhatsappVerified, upload.single('proof'), inspectUploads, attachDraftProof);
+router.post('/credits/drafts/:creditId/submit', authMiddleware, ensureWhatsappVerified, submitDraft);
+
 router.get('/credits/faculty/:facultyId', authMiddleware, listCreditsForFaculty);
 
 /**
@@ -54,18 +82,26 @@ router.get('/credits/faculty/:facultyId', authMiddleware, listCreditsForFaculty)
  */
 router.post('/credit-title', authMiddleware, adminOnly, createCreditTitle);
 router.get('/credit-title', authMiddleware, listCreditTitles);
-router.post('/credits/negative', authMiddleware, adminOrOA, upload.single('proof'), adminIssueNegativeCredit);
-router.put('/credits/negative/:creditId', authMiddleware, adminOrOA, upload.single('proof'), updateNegativeCredit);
+router.post('/credits/negative', authMiddleware, adminOrOA, evidenceUpload, inspectUploads, adminIssueNegativeCredit);
+router.put('/credits/negative/:creditId', authMiddleware, adminOrOA, upload.single('proof'), inspectUploads, updateNegativeCredit);
 router.delete('/credits/negative/:creditId', authMiddleware, adminOrOA, deleteNegativeCredit);
 
 // Faculty: get all negative credits (with filters)
 router.get('/credits/negative', authMiddleware, getNegativeCredits);
 
 // Faculty: appeal a negative credit
-router.post('/credits/:creditId/appeal', authMiddleware, ensureWhatsappVerified, upload.single('proof'), appealNegativeCredit);
-router.put('/credits/appeals/:creditId', authMiddleware, ensureWhatsappVerified, upload.single('proof'), updateAppeal);
+router.post('/credits/:creditId/appeal', authMiddleware, ensureWhatsappVerified, evidenceUpload, inspectUploads, appealNegativeCredit);
+router.put('/credits/appeals/:creditId', authMiddleware, ensureWhatsappVerified, upload.single('proof'), inspectUploads, updateAppeal);
 router.delete('/credits/appeals/:creditId', authMiddleware, ensureWhatsappVerified, deleteAppeal);
 
+// Attachments: add, reorder/relabel, remove (faculty on their positive credits, admin/OA on negative ones)
+router.post('/credits/:creditId/attachments', authMiddleware, upload.array('files', MAX_ATTACHMENTS), inspectUploads, addCreditAttachments);
+router.patch('/credits/:creditId/attachments', authMiddleware, arrangeCreditAttachments);
+router.delete('/credits/:creditId/attachments/:attachmentId', authMiddleware, removeCreditAttachment);
+router.post('/credits/:creditId/appeal/attachments', authMiddleware, ensureWhatsappVerified, upload.array('files', MAX_ATTACHMENTS), inspectUploads, addAppealAttachments);
+router.patch('/credits/:creditId/appeal/attachments', authMiddleware, ensureWhatsappVerified, arrangeAppealAttachments);
+router.delete('/credits/:creditId/appeal/attachments/:attachmentId', authMiddleware, ensureWhatsappVerified, removeAppealAttachment);
+
 // Get Single Credit details
 router.get('/credits/:creditId', authMiddleware, getSingleCredit);
 
@@ -76,6 +112,8 @@ router.get(
 );
 
 router.post('/credits/:facultyId/recalc-credits', authMiddleware, recalcCreditsController);
+router.get('/credits/faculty/:facultyId/ledger', authMiddleware, getFacultyLedger);
+router.post('/credits/faculty/:facultyId/simulate', authMiddleware, simulateFacultyCredits);
 router.get('/:facultyId/credits', getFacultyCredits);
 
 
@@ -1,33 +1,140 @@
-const { CreateTableCommand, ListTablesCommand } = require('@aws-sdk/client-dynamodb');
+require('dotenv').config(); // load before the models read their table names
+const {
+    CreateTableCommand,
+    DescribeTableCommand,
+    UpdateTableCommand,
+    DescribeTimeToLiveCommand,
+    UpdateTimeToLiveCommand,
+} = require('@aws-sdk/client-dynamodb');
 const { connectDB, getDynamoClient } = require('./config/db');
-require('dotenv').config();
 
-const TABLES = [
-    {
-        TableName: process.env.DYNAMO_DB_ASSETS || 'FacultyCreditsAssets',
-        KeySchema: [{ AttributeName: '_id', KeyType: 'HASH' }],
-        AttributeDefinitions: [{ AttributeName: '_id', AttributeType: 'S' }],
-        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
-    },
-    {
-        TableName: process.env.DYNAMO_DB_SHORT_URLS || 'FacultyCreditsShortUrls',
+const Credit = require('./Models/Credit');
+const User = require('./Models/User');
+const CreditTitle = require('./Models/CreditTitle');
+const AuditLog = require('./Models/AuditLog');
+const CreditSnapshot = require('./Models/CreditSnapshot');
+const CreditLedger = require('./Models/CreditLedger');
+const ConsistencyReport = require('./Models/ConsistencyReport');
+const Asset = require('./Models/Asset');
+const ShortUrl = require('./Models/ShortUrl');
+const LinkVisit = require('./Models/LinkVisit');
+
+const THROUGHPUT = { ReadCapacityUnits: 5, WriteCapacityUnits: 5 };
+
+/**
+ * Build the GSI definitions for a model's INDEXES list (all attributes projected,
+ * so a Query returns the same items a Scan would).
+ */
+function toGlobalSecondaryIndexes(indexes) {
+    return indexes.map((idx) => ({
+        IndexName: idx.name,
+        KeySchema: [
+            { AttributeName: idx.hashKey, KeyType: 'HASH' },
+            ...(idx.rangeKey ? [{ AttributeName: idx.rangeKey, KeyType: 'RANGE' }] : []),
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        ProvisionedThroughput: THROUGHPUT,
+    }));
+}
+
+/**
+ * Attribute definitions for the primary key plus every GSI key (all strings).
+ */
+function toAttributeDefinitions(indexes) {
+    const names = new Set(['_id']);
+    indexes.forEach((idx) => {
+        names.add(idx.hashKey);
+        if (idx.rangeKey) names.add(idx.rangeKey);
+    });
+    return [...names].map((name) => ({ AttributeName: name, AttributeType: 'S' }));
+}
+
+function tableWithIndexes(tableName, indexes) {
+    const table = {
+        TableName: tableName,
         KeySchema: [{ AttributeName: '_id', KeyType: 'HASH' }],
-        AttributeDefinitions: [{ AttributeName: '_id', AttributeType: 'S' }],
-        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
-    }
+        AttributeDefinitions: toAttributeDefinitions(indexes),
+        ProvisionedThroughput: THROUGHPUT,
+    };
+    // DynamoDB rejects an empty GlobalSecondaryIndexes list
+    if (indexes.length > 0) table.GlobalSecondaryIndexes = toGlobalSecondaryIndexes(indexes);
+    return table;
+}
+
+const TABLES = [
+    tableWithIndexes(process.env.DYNAMO_DB_USERS, User.INDEXES),
+    tableWithIndexes(process.env.DYNAMO_DB_CREDITS, Credit.INDEXES),
+    tableWithIndexes(process.env.DYNAMO_DB_TITLES, CreditTitle.INDEXES),
+    tableWithIndexes(process.env.DYNAMO_DB_AUDIT_LOGS || 'FacultyCreditsAuditLogs', AuditLog.INDEXES),
+    tableWithIndexes(process.env.DYNAMO_DB_APPROVAL_WORKFLOWS || 'FacultyCreditsApprovalWorkflows', []),
+    tableWithIndexes(process.env.DYNAMO_DB_ACADEMIC_YEARS || 'FacultyCreditsAcademicYears', []),
+    tableWithIndexes(process.env.DYNAMO_DB_CREDIT_SNAPSHOTS || 'FacultyCreditsSnapshots', CreditSnapshot.INDEXES),
+    tableWithIndexes(process.env.DYNAMO_DB_CREDIT_CAPS || 'FacultyCreditsCaps', []),
+    tableWithIndexes(process.env.DYNAMO_DB_CREDIT_LEDGER || 'FacultyCreditsLedger', CreditLedger.INDEXES),
+    tableWithIndexes(process.env.DYNAMO_DB_CONSISTENCY_REPORTS || 'FacultyCreditsConsistencyReports', ConsistencyReport.INDEXES),
+    tableWithIndexes(process.env.DYNAMO_DB_ASSETS || 'FacultyCreditsAssets', Asset.INDEXES),
+    tableWithIndexes(process.env.DYNAMO_DB_SHORT_URLS || 'FacultyCreditsShortUrls', ShortUrl.INDEXES),
+    tableWithIndexes(process.env.DYNAMO_DB_LINK_VISITS || 'FacultyCreditsLinkVisits', LinkVisit.INDEXES),
 ];
 
+// Tables whose items DynamoDB deletes once the given attribute (epoch seconds) has passed
+const TTL_ATTRIBUTES = {
+    [process.env.DYNAMO_DB_LINK_VISITS || 'FacultyCreditsLinkVisits']: LinkVisit.TTL_ATTRIBUTE,
+};
+
+/**
+ * Add GSIs that are defined here but missing on an existing table.
+ * DynamoDB only allows one index creation per UpdateTable call and rejects
+ * further updates while an index is backfilling, so we add one per run.
+ */
+async function addMissingIndexes(client, table) {
+    if (!table.GlobalSecondaryIndexes) return;
+
+    const { Table } = await client.send(new DescribeTableCommand({ TableName: table.TableName }));
+    const existing = new Set((Table.GlobalSecondaryIndexes || []).map((i) => i.IndexName));
+    const missing = table.GlobalSecondaryIndexes.filter((i) => !existing.has(i.IndexName));
+    if (missing.length === 0) return;
+
+    const next = missing[0];
+    const keyNames = next.KeySchema.map((k) => k.AttributeName);
+    console.log(`Adding index ${next.IndexName} to ${table.TableName}...`);
+    await client.send(new UpdateTableCommand({
+        TableName: table.TableName,
+        AttributeDefinitions: table.AttributeDefinitions.filter((a) => keyNames.includes(a.AttributeName)),
+        GlobalSecondaryIndexUpdates: [{ Create: next }],
+    }));
+    if (missing.length > 1) {
+        console.log(`${missing.length - 1} more index(es) pending on ${table.TableName}; re-run once ${next.IndexName} is ACTIVE.`);
+    }
+}
+
+/**
+ * Turn on TTL for a table listed in TTL_ATTRIBUTES. A table that is still
+ * being created rejects the update; re-run once it is ACTIVE.
+ */
+async function enableTimeToLive(client, tableName) {
+    const attribute = TTL_ATTRIBUTES[tableName];
+    if (!attribute) return;
+
+    const { TimeToLiveDescription } = await client.send(new DescribeTimeToLiveCommand({ TableName: tableName }));
+    if (['ENABLED', 'ENABLING'].includes(TimeToLiveDescription && TimeToLiveDescription.TimeToLiveStatus)) return;
+
+    console.log(`Enabling TTL on ${tableName} (${attribute})...`);
+    await client.send(new UpdateTimeToLiveCommand({
+        TableName: tableName,
+        TimeToLiveSpecification: { AttributeName: attribute, Enabled: true },
+    }));
+}
+
 async function createTables() {
     await connectDB();
-    const client = getDynamoClient(); // This returns the DocumentClient, we need the raw Client for CreateTable? 
-    // Actually getDynamoClient returns a ddbDocClient which wraps the raw client.
-    // However, ddbDocClient.send(CreateTableCommand) works fine.
-
-    // List existing to skip
-    // We need the LOW LEVEL client for ListTables if using v3 specific commands or just use the doc client.
-    // Let's just try to create and catch "ResourceInUseException".
+    const client = getDynamoClient(); // DocumentClient wraps the raw client; send() works for table commands too
 
     for (const table of TABLES) {
+        if (!table.TableName) {
+            console.warn('Skipping table with no name (check DYNAMO_DB_* env vars).');
+            continue;
+        }
         try {
             console.log(`Creating table: ${table.TableName}...`);
             await client.send(new CreateTableCommand(table));
@@ -35,10 +142,21 @@ async function createTables() {
         } catch (err) {
             if (err.name === 'ResourceInUseException') {
                 console.log(`Table ${table.TableName} already exists.`);
+                try {
+                    await addMissingIndexes(client, table);
+                } catch (idxErr) {
+                    console.error(`Error adding indexes to ${table.TableName}:`, idxErr);
+                }
             } else {
                 console.error(`Error creating ${table.TableName}:`, err);
+                continue;
             }
         }
+        try {
+            await enableTimeToLive(client, table.TableName);
+        } catch (ttlErr) {
+            console.error(`Error enabling TTL on ${table.TableName} (re-run once the table is ACTIVE):`, ttlErr.message);
+        }
     }
 }
 
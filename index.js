@@ -4,6 +4,8 @@ const http = require('http');
 const app = require('./server'); // your Express app
 const { connectDB } = require('./config/db');
 const { attachSocket } = require('./realtime/socketServer'); // make sure path is correct
+const { startConsistencyChecker } = require('./utils/creditConsistency');
+const { startDraftReminders } = require('./utils/draftReminders');
 
 const PORT = process.env.PORT || 81;
 
@@ -26,10 +28,22 @@ const PORT = process.env.PORT || 81;
       console.log(`Server started on http://localhost:${PORT} [${process.env.NODE_ENV || 'development'}]`);
     });
 
+    // optional periodic check of stored credit totals (off unless configured)
+    const checkHours = Number(process.env.CREDIT_CHECK_INTERVAL_HOURS || 0);
+    const checker = checkHours > 0
+      ? startConsistencyChecker({ intervalMs: checkHours * 60 * 60 * 1000, repair: process.env.CREDIT_CHECK_REPAIR === 'true' })
+      : null;
+
+    // reminders about drafts near the submission deadline (0 turns them off)
+    const reminderHours = Number(process.env.DRAFT_REMINDER_INTERVAL_HOURS ?? 6);
+    const reminders = reminderHours > 0 ? startDraftReminders({ intervalMs: reminderHours * 60 * 60 * 1000 }) : null;
+
     // graceful shutdown: close http server and socket.io
     const gracefulShutdown = async () => {
       console.log('Shutting down gracefully...');
       try {
+        if (checker) checker.stop();
+        if (reminders) reminders.stop();
         server.close(() => console.log('HTTP server closed'));
         if (io && io.close) {
           io.close();
@@ -0,0 +1,18 @@
+// Add the day bucket and expiry to short URL visits recorded before they existed,
+// so the analytics overview finds them and DynamoDB expires them.
+// Usage: node scripts/backfillLinkVisits.js
+require('dotenv').config();
+const { connectDB } = require('../config/db');
+const LinkVisit = require('../Models/LinkVisit');
+
+async function main() {
+    await connectDB();
+    const updated = await LinkVisit.backfillKeys();
+    console.log(`Updated ${updated} link visits.`);
+    process.exit(0);
+}
+
+main().catch((err) => {
+    console.error('Link visit backfill failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,27 @@
+// Compare every faculty's stored credit totals with a recomputation.
+// Usage: node scripts/checkCreditTotals.js [--repair]
+require('dotenv').config();
+const { connectDB } = require('../config/db');
+const { runConsistencyCheck } = require('../utils/creditConsistency');
+
+async function main() {
+    const repair = process.argv.includes('--repair');
+    await connectDB();
+
+    const report = await runConsistencyCheck({ repair, trigger: 'cli' });
+    console.log(`Checked ${report.checked} faculty: ${report.drifted} drifted, ${report.repaired} repaired, ${report.failed.length} failed.`);
+    report.drift.forEach((d) => {
+        const years = d.years.map((y) => `${y.academicYear}: ${y.stored} -> ${y.computed}`).join(', ');
+        console.log(`  ${d.facultyID || d.facultyId} ${d.name || ''}: ${d.storedTotal} -> ${d.computedTotal}${years ? ` (${years})` : ''}${d.repaired ? ' [repaired]' : ''}`);
+    });
+    report.failed.forEach((f) => console.log(`  ${f.facultyId}: ERROR ${f.error}`));
+    console.log(`Report ${report._id} saved.`);
+
+    // Non-zero exit when drift is left behind, so schedulers can alert on it
+    process.exit(report.drifted > report.repaired || report.failed.length ? 1 : 0);
+}
+
+main().catch((err) => {
+    console.error('Consistency check failed:', err);
+    process.exit(1);
+});
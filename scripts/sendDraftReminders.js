@@ -0,0 +1,18 @@
+// Remind faculty about credit drafts close to the submission deadline.
+// For deployments without a long-running server (run it from a scheduler).
+// Usage: node scripts/sendDraftReminders.js
+require('dotenv').config();
+const { connectDB } = require('../config/db');
+const { sendDraftReminders } = require('../utils/draftReminders');
+
+async function main() {
+    await connectDB();
+    const sent = await sendDraftReminders();
+    console.log(`Reminded ${sent.faculty} faculty about ${sent.drafts} drafts in ${sent.cycles} academic years.`);
+    process.exit(0);
+}
+
+main().catch((err) => {
+    console.error('Draft reminders failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,27 @@
+// Take (or refresh) the faculty totals snapshot of a locked academic year.
+// For deployments without a long-running server, or when a queued run was lost.
+// Usage: node scripts/snapshotAcademicYear.js 2024-2025
+require('dotenv').config();
+const { connectDB } = require('../config/db');
+const AcademicYear = require('../Models/AcademicYear');
+const { snapshotAcademicYear } = require('../utils/yearSnapshots');
+
+async function main() {
+    const label = process.argv[2];
+    if (!label) throw new Error('Usage: node scripts/snapshotAcademicYear.js <label>');
+    await connectDB();
+
+    const cycle = await AcademicYear.findByLabel(label);
+    if (!cycle) throw new Error(`Academic year ${label} not found`);
+    if (cycle.state === 'open') throw new Error(`Academic year ${label} is still open; lock it first`);
+
+    const { snapshots, failed } = await snapshotAcademicYear(cycle);
+    console.log(`Stored ${snapshots} snapshots for ${label}, ${failed.length} failed.`);
+    failed.forEach((f) => console.log(`  ${f.facultyId}: ERROR ${f.error}`));
+    process.exit(failed.length ? 1 : 0);
+}
+
+main().catch((err) => {
+    console.error('Academic year snapshot failed:', err);
+    process.exit(1);
+});
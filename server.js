@@ -9,6 +9,7 @@ const mongoSanitize = require('express-mongo-sanitize');
 const rateLimitMiddleware = require('./Middleware/rateLimitMiddleware');
 const ipIntelligenceMiddleware = require('./Middleware/ipIntelligenceMiddleware');
 const { errorHandler } = require('./Middleware/errorMiddleware');
+const requestContextMiddleware = require('./Middleware/requestContextMiddleware');
 
 // Routes
 const authRoutes = require('./Routes/authRoutes');
@@ -19,6 +20,7 @@ const conversationRoutes = require('./Routes/conversations');
 const notificationRoutes = require('./Routes/notificationRoutes');
 const searchRoutes = require('./Routes/searchRoutes');
 const reportRoutes = require('./Routes/reportRoutes');
+const approvalRoutes = require('./Routes/approvalRoutes');
 const healthRouter = require('./Routes/health');
 const analyticsRouter = require('./Routes/analyticsRoutes');
 
@@ -34,6 +36,9 @@ app.set('trust proxy', 1);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request context (actor/IP for the audit log)
+app.use(requestContextMiddleware);
+
 // Security & sanitization
 app.use(helmet({
   contentSecurityPolicy: false // Disable CSP so Swagger UI CDNs can load on Vercel
@@ -116,6 +121,7 @@ app.use('/api/v1/notifications', notificationRoutes);
 app.use('/api/v1/analytics', analyticsRouter);
 app.use('/api/v1/search', searchRoutes);
 app.use('/api/v1/reports', reportRoutes);
+app.use('/api/v1/approvals', approvalRoutes);
 
 const swaggerOptions = {
   customCssUrl: 'https://cdnjs.cloudflare.com/ajax/libs/swagger-ui/4.15.5/swagger-ui.min.css',
@@ -5,7 +5,8 @@ const jwt = require('jsonwebtoken');
 let memoryDB = {
   Users: [],
   Credits: [],
-  CreditTitles: []
+  CreditTitles: [],
+  AuditLogs: []
 };
 
 jest.mock('../../utils/firebase', () => ({
@@ -27,6 +28,9 @@ jest.mock('@aws-sdk/lib-dynamodb', () => {
     ScanCommand: class {
       constructor(params) { this.params = params; }
     },
+    QueryCommand: class {
+      constructor(params) { this.params = params; }
+    },
     UpdateCommand: class {
       constructor(params) { this.params = params; }
     },
@@ -47,13 +51,14 @@ jest.mock('../../config/db', () => ({
       if (TableName === process.env.DYNAMO_DB_USERS) collection = memoryDB.Users;
       else if (TableName === process.env.DYNAMO_DB_CREDITS) collection = memoryDB.Credits;
       else if (TableName === process.env.DYNAMO_DB_CREDIT_TITLES) collection = memoryDB.CreditTitles;
+      else if (TableName === 'FacultyCreditsAuditLogs') collection = memoryDB.AuditLogs;
       else collection = memoryDB.Credits; // fallback
       
       if (command.constructor.name === 'PutCommand') {
         collection.push(command.params.Item);
         return {};
       }
-      if (command.constructor.name === 'ScanCommand') {
+      if (['ScanCommand', 'QueryCommand'].includes(command.constructor.name)) {
         return { Items: collection };
       }
       if (command.constructor.name === 'GetCommand') {
@@ -26,6 +26,9 @@ jest.mock('@aws-sdk/lib-dynamodb', () => {
     ScanCommand: class {
       constructor(params) { this.params = params; }
     },
+    QueryCommand: class {
+      constructor(params) { this.params = params; }
+    },
     UpdateCommand: class {
       constructor(params) { this.params = params; }
     },
@@ -40,13 +43,14 @@ jest.mock('../../config/db', () => ({
   getDynamoClient: jest.fn().mockReturnValue({
     send: jest.fn(async (command) => {
       const { TableName } = command.params;
-      
+      if (TableName === 'FacultyCreditsAuditLogs') return {}; // audit entries are not under test
+
       // Handle Users Table
       if (command.constructor.name === 'PutCommand') {
         memoryDB.Users.push(command.params.Item);
         return {};
       }
-      if (command.constructor.name === 'ScanCommand') {
+      if (['ScanCommand', 'QueryCommand'].includes(command.constructor.name)) {
         return { Items: memoryDB.Users };
       }
       if (command.constructor.name === 'GetCommand') {
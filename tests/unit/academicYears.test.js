@@ -0,0 +1,74 @@
+jest.mock('../../config/db', () => ({ connectDB: jest.fn() }));
+jest.mock('../../Models/AcademicYear', () => ({
+  find: jest.fn(),
+}));
+jest.mock('../../Models/AuditLog', () => ({
+  findPage: jest.fn(async () => ({ items: [], nextCursor: null })),
+}));
+
+const AcademicYear = require('../../Models/AcademicYear');
+const AuditLog = require('../../Models/AuditLog');
+const { listAuditLogs } = require('../../Controllers/Admin/AuditController');
+const {
+  inferAcademicYear,
+  academicYearForDate,
+  currentCycle,
+  assertYearWritable,
+} = require('../../utils/academicYears');
+
+const cycles = [
+  {
+    label: '2024-2025', startDate: '2024-06-01', endDate: '2025-05-31', state: 'locked',
+  },
+  {
+    label: '2025-2026',
+    startDate: '2025-06-01',
+    endDate: '2026-05-31',
+    submissionDeadline: '2026-04-30T23:59:59Z',
+    appealDeadline: '2026-05-15T23:59:59Z',
+    state: 'open',
+  },
+];
+
+describe('academicYears Utility', () => {
+  it('should fall back to the July guess when no cycle covers a date', () => {
+    expect(inferAcademicYear('2025-08-10')).toBe('2025-2026');
+    expect(inferAcademicYear('2025-03-10')).toBe('2024-2025');
+    expect(academicYearForDate([], '2025-06-15')).toBe('2024-2025');
+  });
+
+  it('should use configured cycle dates', () => {
+    expect(academicYearForDate(cycles, '2025-06-15')).toBe('2025-2026');
+    expect(currentCycle(cycles, new Date('2027-01-01')).label).toBe('2025-2026');
+  });
+
+  describe('assertYearWritable', () => {
+    it('should accept any label until cycles are configured', async () => {
+      AcademicYear.find.mockResolvedValue([]);
+      await expect(assertYearWritable('whatever')).resolves.toBeNull();
+    });
+
+    it('should reject unknown and locked years', async () => {
+      AcademicYear.find.mockResolvedValue(cycles);
+      await expect(assertYearWritable('2030-2031')).rejects.toMatchObject({ status: 400 });
+      await expect(assertYearWritable('2024-2025')).rejects.toMatchObject({ status: 403, message: 'Academic year 2024-2025 is locked' });
+      await expect(assertYearWritable('2025-2026')).resolves.toMatchObject({ label: '2025-2026' });
+    });
+
+    it('should enforce the requested deadline', async () => {
+      AcademicYear.find.mockResolvedValue(cycles);
+      const now = new Date('2026-05-10T00:00:00Z');
+      await expect(assertYearWritable('2025-2026', { deadline: 'submission', now })).rejects.toMatchObject({ status: 403 });
+      await expect(assertYearWritable('2025-2026', { deadline: 'appeal', now })).resolves.toBeTruthy();
+      await expect(assertYearWritable('2025-2026', { now })).resolves.toBeTruthy();
+    });
+  });
+
+  it('should let admins filter the audit log by academic year', async () => {
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    await listAuditLogs({ query: { entity: 'academicYear' } }, res, jest.fn());
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(AuditLog.findPage).toHaveBeenCalledWith({ entity: 'academicYear' }, expect.any(Object));
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('../../config/db', () => ({ connectDB: jest.fn() }));
+jest.mock('../../Models/Credit', () => ({ find: jest.fn(), findById: jest.fn(), update: jest.fn() }));
+jest.mock('../../Controllers/pushController', () => ({ sendPushToUser: jest.fn() }));
+jest.mock('../../utils/academicYears', () => ({ assertYearWritable: jest.fn() }));
+
+const Credit = require('../../Models/Credit');
+const {
+  adminUpdateAppealStatus,
+  adminGetAppealByCreditId,
+  adminListNegativeCreditAppeals,
+} = require('../../Controllers/adminController');
+const {
+  appealHistory,
+  latestAppeal,
+  currentAppeal,
+  appealAttempts,
+  newAppealRecord,
+  appendAppeal,
+  replaceLatestAppeal,
+} = require('../../utils/appeals');
+
+describe('appeals Utility', () => {
+  it('should treat a legacy single appeal as a one-entry history', () => {
+    const credit = { appeal: { by: 'f1', reason: 'old', status: 'rejected' }, appealCount: 1 };
+    expect(appealHistory(credit)).toHaveLength(1);
+    expect(latestAppeal(credit).reason).toBe('old');
+  });
+
+  it('should keep earlier appeals when a new one is filed', () => {
+    const first = { ...newAppealRecord({ by: 'f1', reason: 'first' }), status: 'rejected', notes: 'No proof' };
+    const credit = { appeals: [first], appeal: first, appealCount: 1 };
+
+    const second = newAppealRecord({ by: 'f1', reason: 'second', proofUrl: 'https://x/p.pdf', proofMeta: {} });
+    const fields = appendAppeal(credit, second);
+
+    expect(fields.appeals.map(a => a.reason)).toEqual(['first', 'second']);
+    expect(fields.appeals[0].notes).toBe('No proof');
+    expect(fields.appeal).toBe(second);
+    expect(second.proofUrl).toBe('https://x/p.pdf');
+  });
+
+  it('should only replace the latest appeal', () => {
+    const a = { _id: 'a', by: 'f1', status: 'rejected' };
+    const b = { _id: 'b', by: 'f1', status: 'pending' };
+    const fields = replaceLatestAppeal({ appeals: [a, b] }, { ...b, status: 'accepted' });
+    expect(fields.appeals).toEqual([a, { ...b, status: 'accepted' }]);
+  });
+
+  it('should count attempts since the window was re-opened', () => {
+    const credit = {
+      appeals: [
+        { by: 'f1', createdAt: '2025-01-01T00:00:00.000Z' },
+        { by: 'f1', createdAt: '2025-01-05T00:00:00.000Z' },
+        { by: 'f1', createdAt: '2025-02-01T00:00:00.000Z' },
+      ],
+      appealsResetAt: '2025-01-10T00:00:00.000Z',
+      appealCount: 1,
+    };
+    expect(appealAttempts(credit)).toBe(1);
+    expect(appealAttempts({ appealCount: 2 })).toBe(2);
+  });
+
+  it('should not treat a withdrawn appeal as the current one', () => {
+    const withdrawn = { by: 'f1', status: 'withdrawn' };
+    expect(currentAppeal({ appeals: [withdrawn], appeal: null })).toBeNull();
+    expect(currentAppeal({ appeals: [withdrawn, { by: 'f1', status: 'pending' }] }).status).toBe('pending');
+  });
+
+  describe('admin appeal endpoints', () => {
+    // c1: appeal withdrawn by the faculty; c2: appeal pending
+    const withdrawnCredit = {
+      _id: 'c1', type: 'negative', status: 'pending', faculty: 'f1', version: 3,
+      appeals: [{ _id: 'a1', by: 'f1', reason: 'x', status: 'withdrawn', createdAt: '2026-10-01T00:00:00.000Z' }],
+      appeal: null,
+    };
+    const pendingCredit = {
+      _id: 'c2', type: 'negative', status: 'appealed', faculty: 'f2', version: 1,
+      appeals: [{ _id: 'a2', by: 'f2', reason: 'y', status: 'pending', createdAt: '2026-10-02T00:00:00.000Z' }],
+    };
+
+    function mockRes() {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    }
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      Credit.find.mockResolvedValue([withdrawnCredit, pendingCredit]);
+      Credit.findById.mockImplementation(async (id) => [withdrawnCredit, pendingCredit].find((c) => c._id === id) || null);
+    });
+
+    it('should refuse to decide a withdrawn appeal', async () => {
+      const res = mockRes();
+      const next = jest.fn();
+      await adminUpdateAppealStatus({ params: { creditId: 'c1' }, body: { status: 'rejected' }, get: () => undefined, user: { _id: 'admin1' }, app: {} }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Credit.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to decide an appeal twice', async () => {
+      const decided = { ...pendingCredit, status: 'pending', appeals: [{ ...pendingCredit.appeals[0], status: 'accepted' }] };
+      Credit.findById.mockResolvedValue(decided);
+      const res = mockRes();
+      await adminUpdateAppealStatus({ params: { creditId: 'c2' }, body: { status: 'rejected' }, get: () => undefined, user: { _id: 'admin1' }, app: {} }, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Credit.update).not.toHaveBeenCalled();
+    });
+
+    it('should list and show only live appeals, keeping the history', async () => {
+      const res = mockRes();
+      await adminListNegativeCreditAppeals({ query: { status: 'withdrawn' }, user: { _id: 'admin1' } }, res, jest.fn());
+      expect(res.json.mock.calls[0][0].items).toHaveLength(0);
+
+      const all = mockRes();
+      await adminListNegativeCreditAppeals({ query: {}, user: { _id: 'admin1' } }, all, jest.fn());
+      expect(all.json.mock.calls[0][0].items.map((it) => it._id)).toEqual(['c2']);
+
+      const detail = mockRes();
+      await adminGetAppealByCreditId({ params: { creditId: 'c1' }, user: { _id: 'admin1' } }, detail, jest.fn());
+      expect(detail.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
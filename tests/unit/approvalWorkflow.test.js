@@ -0,0 +1,142 @@
+jest.mock('../../Models/ApprovalWorkflow', () => ({
+  find: jest.fn(),
+}));
+jest.mock('../../Models/Credit', () => ({ findPage: jest.fn() }));
+jest.mock('../../config/db', () => ({ connectDB: jest.fn() }));
+
+const ApprovalWorkflow = require('../../Models/ApprovalWorkflow');
+const Credit = require('../../Models/Credit');
+const { getApprovalQueue } = require('../../Controllers/approvalController');
+const {
+  resolveStages,
+  startApproval,
+  pendingStage,
+  canReview,
+  applyDecision,
+  resubmit,
+  restartApproval,
+} = require('../../utils/approvalWorkflow');
+
+const credit = (overrides = {}) => ({
+  _id: 'c1',
+  faculty: 'f1',
+  status: 'pending',
+  facultySnapshot: { college: 'Engineering', department: 'CSE' },
+  categories: ['title1'],
+  ...startApproval(['hod', 'principal', 'iqac']),
+  ...overrides,
+});
+
+describe('approvalWorkflow Utility', () => {
+  describe('resolveStages', () => {
+    it('should pick the most specific matching workflow', async () => {
+      ApprovalWorkflow.find.mockResolvedValue([
+        { stages: ['iqac'] },
+        { college: 'engineering', stages: ['principal', 'iqac'] },
+        { college: 'Engineering', department: 'CSE', stages: ['hod', 'principal', 'iqac'] },
+        { college: 'Engineering', department: 'ECE', stages: ['hod'] },
+      ]);
+      expect(await resolveStages(credit())).toEqual(['hod', 'principal', 'iqac']);
+    });
+
+    it('should prefer a credit-title workflow and return [] when nothing matches', async () => {
+      ApprovalWorkflow.find.mockResolvedValue([
+        { college: 'Engineering', department: 'CSE', stages: ['hod'] },
+        { creditTitle: 'title1', stages: ['iqac'] },
+      ]);
+      expect(await resolveStages(credit())).toEqual(['iqac']);
+
+      ApprovalWorkflow.find.mockResolvedValue([{ college: 'Arts', stages: ['hod'] }]);
+      expect(await resolveStages(credit())).toEqual([]);
+    });
+  });
+
+  describe('canReview', () => {
+    it('should scope HODs to their department and Principals to their college', () => {
+      const c = credit();
+      expect(canReview({ reviewerRoles: ['hod'], college: 'Engineering', department: 'CSE' }, 'hod', c)).toBe(true);
+      expect(canReview({ reviewerRoles: ['hod'], college: 'Engineering', department: 'ECE' }, 'hod', c)).toBe(false);
+      expect(canReview({ reviewerRoles: ['principal'], college: 'Engineering' }, 'principal', c)).toBe(true);
+      expect(canReview({ reviewerRoles: ['iqac'] }, 'iqac', c)).toBe(true);
+      expect(canReview({ role: 'admin' }, 'iqac', c)).toBe(false);
+    });
+
+    it('should never let reviewers decide their own credits', () => {
+      const hod = { _id: 'f1', reviewerRoles: ['hod'], college: 'Engineering', department: 'CSE' };
+      expect(canReview(hod, 'hod', credit())).toBe(false);
+      expect(canReview({ ...hod, _id: 'f2' }, 'hod', credit())).toBe(true);
+    });
+  });
+
+  describe('getApprovalQueue', () => {
+    it('should leave the reviewer\'s own submissions out of their queue', async () => {
+      const own = credit({ _id: 'c1' });
+      const other = credit({ _id: 'c2', faculty: 'f2' });
+      Credit.findPage.mockImplementation(async (filter, { predicate }) => ({ items: [own, other].filter(predicate), nextCursor: null }));
+      const res = { json: jest.fn(), status: jest.fn() };
+      res.status.mockReturnValue(res);
+
+      const user = { _id: 'f1', reviewerRoles: ['hod'], college: 'Engineering', department: 'CSE' };
+      await getApprovalQueue({ user, query: {} }, res, jest.fn());
+
+      expect(Credit.findPage).toHaveBeenCalledWith({ approvalStage: 'hod' }, expect.anything());
+      expect(res.json.mock.calls[0][0].items.map(c => c._id)).toEqual(['c2']);
+    });
+  });
+
+  describe('applyDecision', () => {
+    const reviewer = { _id: 'r1', name: 'Reviewer' };
+
+    it('should advance to the next stage on approve', () => {
+      const { data, remove } = applyDecision(credit(), { reviewer, decision: 'approve' });
+      expect(data.approvalStage).toBe('principal');
+      expect(data.approval.currentStage).toBe(1);
+      expect(data.approval.decisions[0]).toMatchObject({ stage: 'hod', reviewer: 'r1', decision: 'approve' });
+      expect(data.status).toBeUndefined();
+      expect(remove).toEqual([]);
+    });
+
+    it('should approve the credit after the last stage', () => {
+      const c = credit();
+      c.approval.currentStage = 2;
+      const { data, remove } = applyDecision(c, { reviewer, decision: 'approve' });
+      expect(data.status).toBe('approved');
+      expect(remove).toEqual(['approvalStage']);
+    });
+
+    it('should return for changes and resume at the same stage on resubmit', () => {
+      const c = credit();
+      c.approval.currentStage = 1;
+      const { data } = applyDecision(c, { reviewer, decision: 'return', comment: 'Attach the certificate' });
+      expect(data.status).toBe('returned');
+
+      const returned = { ...c, ...data };
+      expect(pendingStage(returned)).toBeNull();
+
+      const fields = resubmit(returned, { faculty: { _id: 'f1' }, comment: 'Attached' });
+      expect(fields).toMatchObject({ status: 'pending', approvalStage: 'principal' });
+      expect(fields.approval.decisions.map(d => d.decision)).toEqual(['return', 'resubmit']);
+    });
+  });
+
+  describe('restartApproval', () => {
+    const faculty = { _id: 'f1', name: 'Faculty' };
+    const reviewed = () => {
+      const c = credit({ title: 'Paper', points: 5 });
+      return { ...c, ...applyDecision(c, { reviewer: { _id: 'r1' }, decision: 'approve' }).data };
+    };
+
+    it('should send an edited credit back to the first stage, keeping the decisions', () => {
+      const fields = restartApproval(reviewed(), { title: 'Paper', points: 8 }, faculty);
+      expect(fields.approvalStage).toBe('hod');
+      expect(fields.approval.currentStage).toBe(0);
+      expect(fields.approval.decisions.map(d => d.decision)).toEqual(['approve', 'edit']);
+    });
+
+    it('should leave the review alone when nothing reviewed changes', () => {
+      expect(restartApproval(reviewed(), { title: 'Paper', notes: 'typo' }, faculty)).toEqual({});
+      expect(restartApproval(credit(), { points: 8 }, faculty)).toEqual({});
+      expect(restartApproval({ status: 'pending' }, { points: 8 }, faculty)).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const { Readable } = require('stream');
+
+jest.mock('../../Models/Asset', () => ({ findById: jest.fn() }));
+jest.mock('../../Models/ShortUrl', () => ({}));
+jest.mock('../../utils/storage', () => ({ getStorage: jest.fn() }));
+
+const Asset = require('../../Models/Asset');
+const { getStorage } = require('../../utils/storage');
+const {
+  assetSource,
+  parseRange,
+  isNotModified,
+  rangeApplies,
+  filenameOf,
+  contentDisposition,
+} = require('../../utils/assetDelivery');
+const { getAsset } = require('../../Controllers/cdnController');
+
+function mockRes() {
+  const res = { headers: {}, statusCode: 200 };
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.send = jest.fn(() => res);
+  res.end = jest.fn(() => res);
+  res.redirect = jest.fn();
+  res.set = jest.fn((k, v) => { res.headers[k] = v; return res; });
+  return res;
+}
+
+describe('assetDelivery Utility', () => {
+  const env = { ...process.env };
+  beforeEach(() => jest.clearAllMocks());
+  afterEach(() => { process.env = { ...env }; });
+
+  it('should parse single byte ranges', () => {
+    expect(parseRange('bytes=0-99', 1000)).toEqual({ start: 0, end: 99 });
+    expect(parseRange('bytes=900-', 1000)).toEqual({ start: 900, end: 999 });
+    expect(parseRange('bytes=-100', 1000)).toEqual({ start: 900, end: 999 });
+    expect(parseRange('bytes=500-5000', 1000)).toEqual({ start: 500, end: 999 });
+    expect(parseRange('bytes=1000-', 1000)).toBe('unsatisfiable');
+    expect(parseRange('bytes=0-1,5-9', 1000)).toBeNull();
+    expect(parseRange('items=0-1', 1000)).toBeNull();
+  });
+
+  it('should answer conditional requests from the validators', () => {
+    const validators = { etag: '"a1-3"', lastModified: 'Mon, 05 Oct 2026 10:00:00 GMT' };
+    expect(isNotModified({ 'if-none-match': '"x", W/"a1-3"' }, validators)).toBe(true);
+    expect(isNotModified({ 'if-none-match': '"x"', 'if-modified-since': 'Tue, 06 Oct 2026 10:00:00 GMT' }, validators)).toBe(false);
+    expect(isNotModified({ 'if-modified-since': 'Mon, 05 Oct 2026 10:00:00 GMT' }, validators)).toBe(true);
+    expect(isNotModified({ 'if-modified-since': 'Sun, 04 Oct 2026 10:00:00 GMT' }, validators)).toBe(false);
+
+    expect(rangeApplies({}, validators)).toBe(true);
+    expect(rangeApplies({ 'if-range': '"a1-3"' }, validators)).toBe(true);
+    expect(rangeApplies({ 'if-range': 'W/"a1-3"' }, validators)).toBe(false);
+    expect(rangeApplies({ 'if-range': 'Sun, 04 Oct 2026 10:00:00 GMT' }, validators)).toBe(false);
+  });
+
+  it('should name downloads after the uploaded file', () => {
+    expect(filenameOf({ _id: 'a', filename: 'Certificate.pdf', key: 'credits/1-x.pdf' })).toBe('Certificate.pdf');
+    expect(filenameOf({ _id: 'a', targetUrl: 'https://cdn.jsdelivr.net/gh/o/r@main/talk%20video.mp4' })).toBe('talk video.mp4');
+    expect(contentDisposition('résumé "final".pdf', true))
+      .toBe('attachment; filename="r_sum_ _final_.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9%20%22final%22.pdf');
+    expect(contentDisposition('a.pdf')).toMatch(/^inline; /);
+  });
+
+  it('should only proxy targets on allowed hosts', () => {
+    expect(assetSource({ targetUrl: 'https://cdn.jsdelivr.net/gh/o/r/a.png' })).not.toBeNull();
+    expect(assetSource({ targetUrl: 'https://example.org/a.png' })).toBeNull();
+    process.env.ASSET_PROXY_HOSTS = 'example.org';
+    expect(assetSource({ targetUrl: 'https://example.org/a.png' })).not.toBeNull();
+  });
+
+  describe('getAsset streaming', () => {
+    const next = jest.fn();
+    const video = {
+      _id: 'v1', access: 'public', storage: 'local', key: 'credits/1-talk.mp4',
+      filename: 'talk.mp4', mimeType: 'video/mp4', createdAt: '2026-10-05T10:00:00.000Z',
+    };
+    let storage;
+    let pipe;
+
+    beforeEach(() => {
+      Asset.findById.mockResolvedValue(video);
+      storage = {
+        stat: jest.fn().mockResolvedValue({ size: 1000 }),
+        read: jest.fn().mockResolvedValue({ stream: Readable.from(['x']) }),
+      };
+      getStorage.mockReturnValue(storage);
+      pipe = jest.spyOn(Readable.prototype, 'pipe').mockImplementation(() => null);
+    });
+    afterEach(() => pipe.mockRestore());
+
+    const request = (headers = {}, extra = {}) => ({ method: 'GET', params: { id: 'v1' }, query: {}, headers, ...extra });
+
+    it('should stream whole files with type, disposition and validators', async () => {
+      const res = mockRes();
+      await getAsset(request(), res, next);
+      expect(res.headers).toEqual(expect.objectContaining({
+        'Content-Type': 'video/mp4',
+        'Content-Disposition': 'inline; filename="talk.mp4"; filename*=UTF-8\'\'talk.mp4',
+        'Content-Length': '1000',
+        'Accept-Ranges': 'bytes',
+        ETag: '"v1-3e8"',
+        'Last-Modified': 'Mon, 05 Oct 2026 10:00:00 GMT',
+      }));
+      expect(storage.read).toHaveBeenCalledWith('credits/1-talk.mp4', undefined, undefined);
+      expect(pipe).toHaveBeenCalledWith(res);
+    });
+
+    it('should serve byte ranges and refuse ranges past the end', async () => {
+      const res = mockRes();
+      await getAsset(request({ range: 'bytes=100-199' }), res, next);
+      expect(res.statusCode).toBe(206);
+      expect(res.headers).toEqual(expect.objectContaining({ 'Content-Range': 'bytes 100-199/1000', 'Content-Length': '100' }));
+      expect(storage.read).toHaveBeenCalledWith('credits/1-talk.mp4', undefined, { start: 100, end: 199 });
+
+      const stale = mockRes();
+      await getAsset(request({ range: 'bytes=100-199', 'if-range': '"old"' }), stale, next);
+      expect(stale.statusCode).toBe(200);
+
+      const past = mockRes();
+      await getAsset(request({ range: 'bytes=5000-' }), past, next);
+      expect(past.statusCode).toBe(416);
+      expect(past.headers['Content-Range']).toBe('bytes */1000');
+    });
+
+    it('should answer 304 to matching conditional requests and headers only to HEAD', async () => {
+      const res = mockRes();
+      await getAsset(request({ 'if-none-match': '"v1-3e8"' }), res, next);
+      expect(res.statusCode).toBe(304);
+      expect(storage.read).not.toHaveBeenCalled();
+
+      const head = mockRes();
+      await getAsset(request({}, { method: 'HEAD', query: { download: '1' } }), head, next);
+      expect(head.headers['Content-Disposition']).toMatch(/^attachment; /);
+      expect(head.end).toHaveBeenCalled();
+      expect(storage.read).not.toHaveBeenCalled();
+    });
+
+    it('should redirect public assets when ASSET_DELIVERY=redirect', async () => {
+      process.env.ASSET_DELIVERY = 'redirect';
+      Asset.findById.mockResolvedValue({ ...video, targetUrl: 'https://cdn.jsdelivr.net/gh/o/r/talk.mp4' });
+      const res = mockRes();
+      await getAsset(request(), res, next);
+      expect(res.redirect).toHaveBeenCalledWith('https://cdn.jsdelivr.net/gh/o/r/talk.mp4');
+      expect(storage.stat).not.toHaveBeenCalled();
+    });
+  });
+});
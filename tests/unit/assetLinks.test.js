@@ -0,0 +1,122 @@
+const { Readable } = require('stream');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../Models/Asset', () => ({ findById: jest.fn() }));
+jest.mock('../../Models/ShortUrl', () => ({}));
+jest.mock('../../utils/storage', () => ({ getStorage: jest.fn() }));
+
+const Asset = require('../../Models/Asset');
+const { getStorage } = require('../../utils/storage');
+const { signAssetUrl, verifyAssetLink, withSignedLinks } = require('../../utils/assetLinks');
+const { getAsset } = require('../../Controllers/cdnController');
+
+const queryOf = (url) => Object.fromEntries(new URL(url).searchParams);
+
+function mockRes() {
+  const res = { headers: {} };
+  res.status = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.redirect = jest.fn();
+  res.set = jest.fn((k, v) => { res.headers[k] = v; return res; });
+  return res;
+}
+
+describe('assetLinks Utility', () => {
+  const env = { ...process.env };
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.ASSET_LINK_SECRET = 'test-secret';
+    process.env.JWT_SECRET = 'jwt-secret';
+  });
+  afterEach(() => { process.env = { ...env }; });
+
+  it('should sign links that verify until they expire', () => {
+    const now = Date.UTC(2025, 0, 1);
+    const url = signAssetUrl('a1', { ttl: 60, now });
+    expect(url).toMatch(/\/cdn\/assets\/v1\/a1\?exp=\d+&sig=/);
+
+    const query = queryOf(url);
+    expect(verifyAssetLink('a1', query, now + 59 * 1000)).toEqual({ ok: true, viewer: null, expiresAt: now / 1000 + 60 });
+    expect(verifyAssetLink('a1', query, now + 61 * 1000)).toEqual({ ok: false, reason: 'Link expired' });
+    expect(verifyAssetLink('a2', query, now).reason).toBe('Invalid link signature');
+    expect(verifyAssetLink('a1', { ...query, exp: String(Number(query.exp) + 3600) }, now).reason).toBe('Invalid link signature');
+    expect(verifyAssetLink('a1', {}, now).reason).toBe('Signed link required');
+  });
+
+  it('should sign proofs, attachments and appeals and hide storage details', () => {
+    process.env.ASSET_LINK_BIND_VIEWER = 'true';
+    const credit = {
+      _id: 'c1',
+      proofUrl: 'https://fcs.test/cdn/assets/v1/p1',
+      proofMeta: { assetId: 'p1', rawUrl: 'https://cdn.jsdelivr.net/x', destPath: 'credits/x', storage: 'github', size: 3 },
+      attachments: [{ _id: 'x', url: 'https://fcs.test/cdn/assets/v1/p1', meta: { maskedUrl: 'https://fcs.test/cdn/assets/v1/p1' } }],
+      appeals: [{ reason: 'r', proofUrl: 'https://fcs.test/s/abc', proofMeta: { maskedUrl: 'https://fcs.test/cdn/assets/v1/old1' } }],
+      appeal: { reason: 'r' },
+    };
+    const signed = withSignedLinks(credit, { _id: 'u1' });
+
+    expect(queryOf(signed.proofUrl)).toEqual(expect.objectContaining({ v: 'u1' }));
+    expect(signed.proofMeta).toEqual({ assetId: 'p1', size: 3 });
+    expect(signed.attachments[0].url).toContain('/cdn/assets/v1/p1?');
+    expect(signed.appeals[0].proofUrl).toContain('/cdn/assets/v1/old1?');
+    expect(signed.appeal).toEqual({ reason: 'r' });
+    expect(credit.proofUrl).toBe('https://fcs.test/cdn/assets/v1/p1');
+  });
+
+  describe('getAsset', () => {
+    const next = jest.fn();
+    const privateAsset = { _id: 'p1', access: 'private', storage: 'local', key: 'credits/x.pdf', mimeType: 'application/pdf', targetUrl: 'file:///x' };
+
+    it('should refuse private assets without a valid signature', async () => {
+      Asset.findById.mockResolvedValue(privateAsset);
+      const res = mockRes();
+      await getAsset({ params: { id: 'p1' }, query: {}, headers: {} }, res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith('Signed link required');
+      expect(getStorage).not.toHaveBeenCalled();
+    });
+
+    it('should stream signed private assets from storage', async () => {
+      Asset.findById.mockResolvedValue(privateAsset);
+      getStorage.mockReturnValue({
+        stat: jest.fn().mockResolvedValue({ size: 3 }),
+        read: jest.fn().mockResolvedValue({ stream: Readable.from(['pdf']) }),
+      });
+      const res = mockRes();
+      const pipe = jest.spyOn(Readable.prototype, 'pipe').mockImplementation(() => res);
+
+      await getAsset({ params: { id: 'p1' }, query: queryOf(signAssetUrl('p1')), headers: {} }, res, next);
+      expect(getStorage).toHaveBeenCalledWith('local');
+      expect(res.headers).toEqual(expect.objectContaining({ 'Content-Type': 'application/pdf', 'Content-Length': '3' }));
+      expect(res.headers['Cache-Control']).toMatch(/^private, max-age=\d+$/);
+      expect(pipe).toHaveBeenCalledWith(res);
+      pipe.mockRestore();
+    });
+
+    it('should only open viewer-bound links for that viewer', async () => {
+      Asset.findById.mockResolvedValue({ ...privateAsset, storage: undefined, key: undefined });
+      const query = queryOf(signAssetUrl('p1', { viewer: 'u1' }));
+
+      const other = mockRes();
+      await getAsset({ params: { id: 'p1' }, query: { ...query, token: jwt.sign({ id: 'u2' }, 'jwt-secret') }, headers: {} }, other, next);
+      expect(other.status).toHaveBeenCalledWith(403);
+
+      const owner = mockRes();
+      await getAsset({ params: { id: 'p1' }, query, headers: { authorization: `Bearer ${jwt.sign({ id: 'u1' }, 'jwt-secret')}` } }, owner, next);
+      expect(owner.redirect).toHaveBeenCalledWith('file:///x');
+    });
+
+    it('should keep serving public and legacy assets without a signature', async () => {
+      Asset.findById.mockResolvedValue({ _id: 'l1', targetUrl: 'https://example.org/l1' });
+      const res = mockRes();
+      await getAsset({ params: { id: 'l1' }, query: {}, headers: {} }, res, next);
+      expect(res.redirect).toHaveBeenCalledWith('https://example.org/l1');
+      expect(res.headers['Cache-Control']).toBe('public, max-age=86400');
+
+      process.env.ASSET_REQUIRE_SIGNATURE = 'true';
+      const locked = mockRes();
+      await getAsset({ params: { id: 'l1' }, query: {}, headers: {} }, locked, next);
+      expect(locked.status).toHaveBeenCalledWith(403);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('../../utils/fileUpload', () => ({
+  handleFileUpload: jest.fn(),
+}));
+jest.mock('../../Models/Credit', () => ({}));
+
+const { handleFileUpload } = require('../../utils/fileUpload');
+const {
+  MAX_ATTACHMENTS,
+  uploadedFiles,
+  parseLabels,
+  attachmentsOf,
+  assertWithinLimits,
+  uploadAttachments,
+  removeAttachment,
+  arrangeAttachments,
+  creditAttachmentUpdate,
+} = require('../../utils/attachments');
+
+const att = (id, size = 100) => ({ _id: id, label: id, url: `https://cdn/${id}`, meta: { size } });
+
+describe('attachments Utility', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('should read the files multer put on the request', () => {
+    const proof = { originalname: 'a.pdf' };
+    const extra = { originalname: 'b.pdf' };
+    expect(uploadedFiles({ file: proof })).toEqual([proof]);
+    expect(uploadedFiles({ files: [proof, extra] })).toEqual([proof, extra]);
+    expect(uploadedFiles({ files: { attachments: [extra], proof: [proof] } })).toEqual([proof, extra]);
+    expect(uploadedFiles({})).toEqual([]);
+  });
+
+  it('should parse labels from arrays, JSON and comma lists', () => {
+    expect(parseLabels(['Certificate'])).toEqual(['Certificate']);
+    expect(parseLabels('["Certificate","Photo"]')).toEqual(['Certificate', 'Photo']);
+    expect(parseLabels('Certificate, Photo')).toEqual(['Certificate', 'Photo']);
+    expect(parseLabels(undefined)).toEqual([]);
+  });
+
+  it('should read a legacy single proof as one attachment', () => {
+    const list = attachmentsOf({ proofUrl: 'https://cdn/p', proofMeta: { size: 5 }, proofHash: 'h', issuedBy: 'u1' });
+    expect(list).toEqual([expect.objectContaining({ _id: 'proof', label: 'Proof', url: 'https://cdn/p', proofHash: 'h', uploadedBy: 'u1' })]);
+    expect(attachmentsOf({})).toEqual([]);
+    expect(attachmentsOf({ attachments: [att('a')], proofUrl: 'https://cdn/a' })).toEqual([att('a')]);
+  });
+
+  it('should enforce the count and total size limits', () => {
+    const full = Array.from({ length: MAX_ATTACHMENTS }, (_, i) => att(`a${i}`));
+    expect(() => assertWithinLimits(full, [{ size: 1 }])).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => assertWithinLimits([att('a', 20 * 1024 * 1024)], [{ size: 6 * 1024 * 1024 }]))
+      .toThrow(expect.objectContaining({ status: 413 }));
+    expect(() => assertWithinLimits([att('a')], [{ buffer: Buffer.from('x') }])).not.toThrow();
+  });
+
+  it('should upload files with labels, hashes and uploader', async () => {
+    handleFileUpload.mockResolvedValue({ proofUrl: 'https://cdn/x', proofMeta: { size: 11 } });
+    const [first, second] = await uploadAttachments(
+      [{ originalname: 'cert.pdf', buffer: Buffer.from('certificate') }, { originalname: 'photo.jpg', buffer: Buffer.from('photo') }],
+      'credits/2024-2025',
+      { labels: ['Certificate'], by: 'u1' },
+    );
+    expect(handleFileUpload).toHaveBeenCalledTimes(2);
+    expect(first).toEqual(expect.objectContaining({ label: 'Certificate', url: 'https://cdn/x', uploadedBy: 'u1' }));
+    expect(first.proofHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(second.label).toBe('photo.jpg');
+    expect(first._id).not.toBe(second._id);
+  });
+
+  it('should reorder, relabel and remove attachments', () => {
+    const list = [att('a'), att('b'), att('c')];
+    const arranged = arrangeAttachments(list, { order: ['c', 'a', 'b'], labels: { a: ' Certificate ' } });
+    expect(arranged.map((a) => a._id)).toEqual(['c', 'a', 'b']);
+    expect(arranged[1].label).toBe('Certificate');
+
+    expect(() => arrangeAttachments(list, { order: ['a', 'b'] })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => arrangeAttachments(list, { order: ['a', 'a', 'b'] })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => arrangeAttachments(list, { labels: { z: 'x' } })).toThrow(expect.objectContaining({ status: 404 }));
+    expect(() => arrangeAttachments(list, { labels: { a: '' } })).toThrow(expect.objectContaining({ status: 400 }));
+
+    expect(removeAttachment(list, 'b').map((a) => a._id)).toEqual(['a', 'c']);
+    expect(() => removeAttachment(list, 'z')).toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  it('should mirror the first attachment into the single-proof fields', () => {
+    const { set, remove } = creditAttachmentUpdate([{ ...att('a'), proofHash: 'h' }, att('b')]);
+    expect(set).toEqual(expect.objectContaining({ proofUrl: 'https://cdn/a', proofMeta: { size: 100 }, proofHash: 'h' }));
+    expect(remove).toEqual([]);
+
+    const emptied = creditAttachmentUpdate([]);
+    expect(emptied.set).toEqual({ attachments: [], proofUrl: null, proofMeta: null });
+    expect(emptied.remove).toEqual(['proofHash']);
+  });
+});
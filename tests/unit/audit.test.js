@@ -0,0 +1,106 @@
+jest.mock('../../config/db', () => ({ connectDB: jest.fn() }));
+jest.mock('../../Models/AuditLog', () => ({
+  create: jest.fn(async (data) => ({ _id: 'log1', ...data })),
+  find: jest.fn(),
+  entityKey: (entity, id) => `${entity}#${id}`,
+}));
+jest.mock('../../Models/Credit', () => ({ findById: jest.fn() }));
+
+const AuditLog = require('../../Models/AuditLog');
+const Credit = require('../../Models/Credit');
+const { getCreditTimeline } = require('../../Controllers/Admin/AuditController');
+const { diffItems, recordAudit } = require('../../utils/audit');
+const { runWithRequest } = require('../../utils/requestContext');
+
+describe('audit Utility', () => {
+  beforeEach(() => AuditLog.create.mockClear());
+
+  describe('diffItems', () => {
+    it('should list changed fields and skip bookkeeping ones', () => {
+      const changes = diffItems(
+        { status: 'pending', points: 5, updatedAt: '1', version: 1 },
+        { status: 'approved', points: 5, updatedAt: '2', version: 2 }
+      );
+      expect(changes).toEqual({ status: { from: 'pending', to: 'approved' } });
+    });
+
+    it('should redact secrets', () => {
+      const changes = diffItems({ password: 'old-hash' }, { password: 'new-hash' });
+      expect(changes.password).toEqual({ from: '[redacted]', to: '[redacted]' });
+    });
+  });
+
+  describe('recordAudit', () => {
+    it('should record a status change with the request actor', async () => {
+      const req = { user: { _id: 'admin1', role: 'admin', name: 'Admin' }, ip: '10.0.0.1', method: 'PUT', originalUrl: '/x', get: () => 'jest' };
+      await runWithRequest(req, () => recordAudit({
+        entity: 'credit',
+        entityId: 'c1',
+        action: 'update',
+        before: { _id: 'c1', status: 'pending' },
+        after: { _id: 'c1', status: 'approved', version: 2 },
+        reason: 'Verified proof',
+      }));
+
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        entity: 'credit',
+        entityId: 'c1',
+        action: 'status_change',
+        actor: 'admin1',
+        actorRole: 'admin',
+        ip: '10.0.0.1',
+        reason: 'Verified proof',
+        version: 2,
+      }));
+    });
+
+    it('should attribute changes outside a request to the system', async () => {
+      await recordAudit({ entity: 'credit', entityId: 'c1', action: 'delete', before: { _id: 'c1', points: -2 } });
+      const entry = AuditLog.create.mock.calls[0][0];
+      expect(entry.actor).toBe('system');
+      expect(entry.snapshot).toEqual({ _id: 'c1', points: -2 });
+    });
+
+    it('should skip updates that changed nothing', async () => {
+      const result = await recordAudit({ entity: 'user', entityId: 'u1', action: 'update', before: { name: 'A' }, after: { name: 'A', version: 3 } });
+      expect(result).toBeNull();
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should not throw when the log write fails', async () => {
+      AuditLog.create.mockRejectedValueOnce(new Error('boom'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await expect(recordAudit({ entity: 'credit', entityId: 'c1', action: 'create', after: { _id: 'c1' } })).resolves.toBeNull();
+    });
+  });
+
+  describe('getCreditTimeline', () => {
+    const timeline = async (user) => {
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      await getCreditTimeline({ params: { creditId: 'c1' }, user }, res, jest.fn());
+      return { code: res.status.mock.calls.length ? res.status.mock.calls[0][0] : 200, body: res.json.mock.calls[0][0] };
+    };
+
+    beforeEach(() => {
+      Credit.findById.mockResolvedValue({ _id: 'c1', type: 'negative', issuedBy: 'oa1' });
+      AuditLog.find.mockResolvedValue([
+        { createdAt: '2026-10-01T00:00:00.000Z', action: 'create', actor: 'oa1', ip: '10.0.0.1', userAgent: 'Mozilla/5.0' },
+      ]);
+    });
+
+    it('should show admins the actor IPs', async () => {
+      const { code, body } = await timeline({ _id: 'admin1', role: 'admin' });
+      expect(code).toBe(200);
+      expect(body.data.events[0].ip).toBe('10.0.0.1');
+    });
+
+    it('should limit an OA to credits it issued, without IPs or user agents', async () => {
+      const { body } = await timeline({ _id: 'oa1', role: 'oa' });
+      expect(JSON.stringify(body.data.events)).not.toMatch(/10\.0\.0\.1|Mozilla/);
+
+      expect((await timeline({ _id: 'oa2', role: 'oa' })).code).toBe(403);
+      Credit.findById.mockResolvedValue(null); // deleted for good: only admins see it
+      expect((await timeline({ _id: 'oa1', role: 'oa' })).code).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+jest.mock('../../config/db', () => ({ connectDB: jest.fn() }));
+jest.mock('../../Models/Credit', () => ({ findById: jest.fn(), update: jest.fn() }));
+jest.mock('../../Models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../Controllers/pushController', () => ({ sendPushToUser: jest.fn() }));
+jest.mock('../../utils/academicYears', () => ({ assertYearWritable: jest.fn() }));
+jest.mock('../../utils/calculateCredits', () => ({ recalcFacultyCredits: jest.fn() }));
+
+const Credit = require('../../Models/Credit');
+const User = require('../../Models/User');
+const { sendPushToUser } = require('../../Controllers/pushController');
+const { recalcFacultyCredits } = require('../../utils/calculateCredits');
+const {
+  updatePositiveCreditStatus,
+  bulkUpdatePositiveCreditStatus,
+} = require('../../Controllers/adminController');
+
+// c1, c2 -> faculty f1; c3 -> f2; c4 already rejected; c5 in an approval workflow
+const store = {
+  c1: { _id: 'c1', type: 'positive', status: 'pending', faculty: 'f1', title: 'Paper', version: 1 },
+  c2: { _id: 'c2', type: 'positive', status: 'pending', faculty: 'f1', title: 'Talk', version: 1 },
+  c3: { _id: 'c3', type: 'positive', status: 'pending', faculty: 'f2', title: 'Patent', version: 3 },
+  c4: { _id: 'c4', type: 'positive', status: 'rejected', faculty: 'f2', title: 'Old', version: 2 },
+  c5: { _id: 'c5', type: 'positive', status: 'pending', faculty: 'f2', title: 'Staged', version: 1, approval: { stages: ['hod'], currentStage: 0 } },
+  n1: { _id: 'n1', type: 'negative', status: 'pending', faculty: 'f1', title: 'Late', version: 1 },
+};
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+const run = async (body) => {
+  const res = mockRes();
+  const next = jest.fn();
+  await bulkUpdatePositiveCreditStatus({ body, user: { _id: 'admin1', role: 'admin' }, app: {} }, res, next);
+  expect(next).not.toHaveBeenCalled();
+  return { code: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+describe('positive credit decisions', () => {
+  let saved;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    saved = {};
+    Credit.findById.mockImplementation(async (id) => (saved[id] || store[id] || null));
+    Credit.update.mockImplementation(async (id, data) => {
+      saved[id] = { ...(saved[id] || store[id]), ...data, version: (store[id].version || 0) + 1 };
+      return saved[id];
+    });
+    User.findById.mockImplementation(async (id) => ({ _id: id }));
+  });
+
+  describe('decidePositiveCredit (single)', () => {
+    it('should save the decision with the version and reason and notify the faculty', async () => {
+      const res = mockRes();
+      const req = { params: { id: 'c1' }, body: { status: 'approved', notes: 'ok', version: 1 }, get: () => undefined, user: { _id: 'admin1' }, app: {} };
+      await updatePositiveCreditStatus(req, res, jest.fn());
+
+      expect(Credit.update).toHaveBeenCalledWith('c1', expect.objectContaining({ status: 'approved', notes: 'ok' }), { expectedVersion: 1, reason: 'ok' });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, data: expect.objectContaining({ status: 'approved' }) }));
+      expect(sendPushToUser).toHaveBeenCalledWith('f1', expect.any(Object));
+    });
+
+    it('should refuse missing, negative, workflow and stale credits', async () => {
+      const decide = async (id, body = { status: 'approved' }) => {
+        const next = jest.fn();
+        await updatePositiveCreditStatus({ params: { id }, body, get: () => undefined, user: { _id: 'admin1' }, app: {} }, mockRes(), next);
+        return next.mock.calls[0][0];
+      };
+      expect(await decide('missing')).toMatchObject({ status: 404 });
+      expect(await decide('n1')).toMatchObject({ status: 400 });
+      expect(await decide('c5')).toMatchObject({ status: 400, message: expect.stringMatching(/approval workflow/) });
+      expect(await decide('c3', { status: 'approved', version: 1 })).toMatchObject({ status: 409 });
+      expect(Credit.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bulkUpdatePositiveCreditStatus', () => {
+    it('should require exactly one of ids and items', async () => {
+      expect((await run({ status: 'approved' })).code).toBe(400);
+      expect((await run({ status: 'approved', ids: ['c1'], items: [{ id: 'c2' }] })).code).toBe(400);
+      expect((await run({ status: 'approved', ids: ['c1', 'c1'] })).code).toBe(400);
+      expect(Credit.update).not.toHaveBeenCalled();
+    });
+
+    it('should answer 200 and recalculate and notify each faculty once', async () => {
+      const { code, body } = await run({ status: 'approved', ids: ['c1', 'c2', 'c3'] });
+
+      expect(code).toBe(200);
+      expect(body).toMatchObject({ success: true, succeeded: 3, failed: 0 });
+      // caps are reconciled by the per-faculty recalculation, not per credit
+      Credit.update.mock.calls.forEach(([, , options]) => expect(options.reconcile).toBe(false));
+
+      expect(recalcFacultyCredits.mock.calls.map(([id]) => id).sort()).toEqual(['f1', 'f2']);
+      expect(sendPushToUser).toHaveBeenCalledTimes(2);
+      expect(sendPushToUser).toHaveBeenCalledWith('f1', expect.objectContaining({
+        title: 'Credits Approved',
+        body: '2 of your credit submissions were approved: "Paper", "Talk".',
+      }));
+      expect(sendPushToUser).toHaveBeenCalledWith('f2', expect.objectContaining({
+        body: 'Your credit submission "Patent" has been approved.',
+      }));
+    });
+
+    it('should answer 207 with per-item results when some fail', async () => {
+      const { code, body } = await run({
+        status: 'rejected',
+        notes: 'Missing proof',
+        items: [{ id: 'c1' }, { id: 'c3', version: 1 }, { id: 'missing' }, { id: 'c2', notes: 'Duplicate' }],
+      });
+
+      expect(code).toBe(207);
+      expect(body).toMatchObject({ success: true, succeeded: 2, failed: 2 });
+      expect(body.results).toEqual([
+        { id: 'c1', success: true, status: 'rejected', version: 2 },
+        expect.objectContaining({ id: 'c3', success: false, code: 409 }),
+        expect.objectContaining({ id: 'missing', success: false, code: 404 }),
+        { id: 'c2', success: true, status: 'rejected', version: 2 },
+      ]);
+      expect(Credit.update).toHaveBeenCalledWith('c2', expect.objectContaining({ notes: 'Duplicate' }), expect.anything());
+      expect(Credit.update).toHaveBeenCalledWith('c1', expect.objectContaining({ notes: 'Missing proof' }), expect.anything());
+
+      // only the faculty with a saved decision
+      expect(recalcFacultyCredits).toHaveBeenCalledTimes(1);
+      expect(recalcFacultyCredits).toHaveBeenCalledWith('f1');
+      expect(sendPushToUser).toHaveBeenCalledTimes(1);
+    });
+
+    it('should answer 422 when every item fails', async () => {
+      const { code, body } = await run({ status: 'approved', ids: ['c4', 'c5', 'n1'] });
+
+      expect(code).toBe(422);
+      expect(body).toMatchObject({ success: false, succeeded: 0, failed: 3 });
+      expect(body.results.map((r) => r.code)).toEqual([409, 400, 400]);
+      expect(recalcFacultyCredits).not.toHaveBeenCalled();
+      expect(sendPushToUser).not.toHaveBeenCalled();
+    });
+
+    it('should keep going when a recalculation fails', async () => {
+      recalcFacultyCredits.mockRejectedValueOnce(new Error('throttled'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const { code } = await run({ status: 'approved', ids: ['c1', 'c3'] });
+      console.error.mockRestore();
+
+      expect(code).toBe(200);
+      expect(recalcFacultyCredits).toHaveBeenCalledTimes(2);
+      expect(sendPushToUser).toHaveBeenCalledTimes(2);
+    });
+  });
+});
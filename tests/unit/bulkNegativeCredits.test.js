@@ -0,0 +1,88 @@
+jest.mock('../../Models/Credit', () => ({
+  create: jest.fn(),
+}));
+jest.mock('../../Models/CreditTitle', () => ({
+  find: jest.fn(),
+}));
+jest.mock('../../Models/User', () => ({
+  find: jest.fn(),
+}));
+jest.mock('../../utils/academicYears', () => ({
+  assertYearWritable: jest.fn(),
+}));
+jest.mock('../../utils/notificationHelper', () => ({
+  sendRemarkNotificationHelper: jest.fn().mockResolvedValue(undefined),
+}));
+
+const XLSX = require('xlsx');
+const Credit = require('../../Models/Credit');
+const CreditTitle = require('../../Models/CreditTitle');
+const User = require('../../Models/User');
+const { assertYearWritable } = require('../../utils/academicYears');
+const { parseSheet, validateRows, issueRows } = require('../../utils/bulkNegativeCredits');
+
+const year = '2025-2026';
+
+describe('bulkNegativeCredits Utility', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.find.mockResolvedValue([
+      { _id: 'u1', name: 'Asha', facultyID: 'EGSP1' },
+      { _id: 'u2', name: 'Ravi', facultyID: 'EGSP2', isActive: false },
+    ]);
+    CreditTitle.find.mockResolvedValue([{ _id: 't1', title: 'Late submission', type: 'negative', points: 2 }]);
+    assertYearWritable.mockImplementation(async (y) => {
+      if (y === '2020-2021') throw new Error('Academic year 2020-2021 is closed');
+    });
+  });
+
+  it('should read rows with loose headers from a CSV', () => {
+    const buffer = Buffer.from(`Faculty ID,credit_title_id,Academic Year,Notes\nEGSP1,t1,${year},Missed deadline\n`);
+    expect(parseSheet(buffer)).toEqual([
+      { row: 2, facultyID: 'EGSP1', creditTitleId: 't1', academicYear: year, notes: 'Missed deadline' },
+    ]);
+  });
+
+  it('should read an XLSX workbook', () => {
+    const sheet = XLSX.utils.json_to_sheet([{ facultyID: 'EGSP1', creditTitleId: 't1', academicYear: year, points: 5 }]);
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(book, sheet, 'Sheet1');
+    const buffer = XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+    expect(parseSheet(buffer)[0]).toMatchObject({ facultyID: 'EGSP1', points: '5' });
+  });
+
+  it('should validate every row and compute points', async () => {
+    const preview = await validateRows([
+      { row: 2, facultyID: 'egsp1', creditTitleId: 't1', academicYear: year },
+      { row: 3, facultyID: 'EGSP1', creditTitleId: 't1', academicYear: year, points: '7' },
+      { row: 4, facultyID: 'EGSP2', creditTitleId: 'tx', academicYear: '2020-2021' },
+      { row: 5, facultyID: 'EGSP9', creditTitleId: 't1', academicYear: '2025' },
+    ]);
+
+    expect(preview).toMatchObject({ total: 4, valid: 1, invalid: 3 });
+    expect(preview.rows[0]).toMatchObject({ valid: true, points: -2, facultyName: 'Asha' });
+    expect(preview.rows[1].errors).toEqual(['Same faculty, title and year as row 2']);
+    expect(preview.rows[2].errors).toEqual([
+      'User EGSP2 is inactive',
+      'No negative credit title tx',
+      'Academic year 2020-2021 is closed',
+    ]);
+    expect(preview.rows[3].errors).toEqual(['No user with facultyID EGSP9', 'academicYear must look like 2024-2025']);
+    expect(Credit.create).not.toHaveBeenCalled();
+  });
+
+  it('should issue the credits and queue one notification each', async () => {
+    const { sendRemarkNotificationHelper } = require('../../utils/notificationHelper');
+    Credit.create.mockImplementation(async (data) => ({ _id: `c-${data.faculty}`, ...data }));
+
+    const { entries } = await validateRows([{ row: 2, facultyID: 'EGSP1', creditTitleId: 't1', academicYear: year, notes: 'Late' }]);
+    const { batchId, results } = await issueRows(entries, { _id: 'admin1', name: 'Admin' });
+
+    expect(results).toEqual([{ row: 2, success: true, creditId: 'c-u1' }]);
+    expect(Credit.create).toHaveBeenCalledWith(expect.objectContaining({
+      faculty: 'u1', type: 'negative', points: -2, creditTitle: 't1', issuedBy: 'admin1', bulkBatchId: batchId, status: 'pending',
+    }));
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(sendRemarkNotificationHelper).toHaveBeenCalledWith(expect.objectContaining({ title: 'Late submission', points: -2, notes: 'Late' }));
+  });
+});
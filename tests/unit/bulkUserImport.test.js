@@ -0,0 +1,109 @@
+jest.mock('../../Models/User', () => ({
+  find: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+}));
+jest.mock('bcryptjs', () => ({
+  hash: jest.fn(async (p) => `hashed:${p}`),
+}));
+
+const XLSX = require('xlsx');
+const User = require('../../Models/User');
+const {
+  parseSheet,
+  planImport,
+  summarize,
+  applyImport,
+  errorWorkbook,
+} = require('../../utils/bulkUserImport');
+
+const existing = [
+  { _id: 'u1', name: 'Asha', email: 'asha@egsp.edu', facultyID: 'EGSP/EC/11111', college: 'Engineering', department: 'CSE' },
+  { _id: 'u2', name: 'Ravi', email: 'ravi@egsp.edu', facultyID: 'EGSP/EC/22222', college: 'Engineering' },
+];
+
+function rowsOf(csv, mapping) {
+  return parseSheet(Buffer.from(csv), mapping);
+}
+
+describe('bulkUserImport Utility', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.find.mockResolvedValue(existing);
+    User.create.mockImplementation(async (data) => ({ _id: 'new', ...data }));
+    delete process.env.BULK_IMPORT_DEFAULT_PASSWORD;
+  });
+
+  it('should map headers through aliases and an explicit mapping', () => {
+    const rows = rowsOf('Full Name,Email ID,Mobile,Staff College\nNew,new@egsp.edu,9876543210,Nursing\n', { 'Staff College': 'college' });
+    expect(rows).toEqual([{ row: 2, values: { name: 'New', email: 'new@egsp.edu', phone: '9876543210', college: 'Nursing' } }]);
+    expect(() => rowsOf('name\nx\n')).toThrow('The file needs an email or facultyID column');
+    expect(() => rowsOf('email\nx\n', { email: 'salary' })).toThrow('Unknown field "salary" in mapping');
+  });
+
+  it('should plan creates and reject existing users and bad rows in insert mode', async () => {
+    const rows = rowsOf([
+      'name,email,college,password,phone',
+      'New,NEW@egsp.edu,Nursing,secret1,',
+      'Asha,asha@egsp.edu,Engineering,secret1,',
+      'Bad,not-an-email,Nursing,,123',
+      'Again,new@egsp.edu,Nursing,secret1,',
+    ].join('\n'));
+    const plan = await planImport(rows);
+
+    expect(plan.map((p) => p.action)).toEqual(['create', 'error', 'error', 'error']);
+    expect(plan[0].data).toMatchObject({ email: 'new@egsp.edu', role: 'faculty' });
+    expect(plan[1].errors).toEqual(['A user with this email already exists']);
+    expect(plan[2].errors).toEqual([
+      '"email" must be a valid email',
+      'phone must be exactly 10 digits',
+      '"password" is required',
+    ]);
+    expect(plan[3].errors).toEqual(['Same email as row 2']);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('should update only changed fields in upsert mode', async () => {
+    const rows = rowsOf([
+      'facultyID,department,designation',
+      'EGSP/EC/11111,CSE,Professor',
+      'EGSP/EC/22222,,',
+    ].join('\n'));
+    const plan = await planImport(rows, { mode: 'upsert' });
+    expect(summarize(plan)).toMatchObject({ update: 1, unchanged: 1, error: 0 });
+    expect(plan[0].changes).toEqual({ designation: 'Professor' });
+
+    await applyImport(plan);
+    expect(User.update).toHaveBeenCalledWith('u1', expect.objectContaining({ designation: 'Professor' }), { reason: 'bulk import' });
+
+    const conflict = await planImport([{ row: 2, values: { email: 'ravi@egsp.edu', facultyID: 'EGSP/EC/11111' } }], { mode: 'upsert' });
+    expect(conflict[0].errors).toEqual(['email and facultyID belong to different users']);
+  });
+
+  it('should create users with a hashed password and a fresh facultyID', async () => {
+    process.env.BULK_IMPORT_DEFAULT_PASSWORD = 'Welcome@1';
+    const plan = await applyImport(await planImport(rowsOf('name,email,college\nNew,new@egsp.edu,Nursing College\n')));
+
+    expect(plan[0].user._id).toBe('new');
+    expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'new@egsp.edu',
+      password: 'hashed:Welcome@1',
+      facultyID: expect.stringMatching(/^EGSP\/NUR\/\d{5}$/),
+      isActive: true,
+      currentCredit: 0,
+    }));
+  });
+
+  it('should export rejected rows as a re-uploadable workbook', async () => {
+    const plan = await planImport(rowsOf('Email,Name,Password\nasha@egsp.edu,Asha,Secret#123\nnew@egsp.edu,New,Secret#456\n'));
+    const book = XLSX.read(errorWorkbook(plan), { type: 'buffer' });
+    const rows = XLSX.utils.sheet_to_json(book.Sheets.Rejected, { defval: '' });
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ row: 2, email: 'asha@egsp.edu', name: 'Asha', errors: 'A user with this email already exists' });
+    expect(rows[1].errors).toContain('"college" is required');
+    expect(Object.keys(rows[0])).not.toContain('password');
+    expect(JSON.stringify(rows)).not.toContain('Secret#');
+    expect(errorWorkbook([])).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+const { processCredits } = require('../../utils/calculateCredits');
+const { buildCapRules } = require('../../utils/creditCaps');
+
+const positive = (id, points, extra = {}) => ({ _id: id, type: 'positive', status: 'approved', points, academicYear: '2025-2026', ...extra });
+
+describe('credit caps in processCredits', () => {
+  it('should sum without limits when no caps are configured', () => {
+    const result = processCredits([positive('a', 10), positive('b', 20)]);
+    expect(result.runningTotal).toBe(30);
+    expect(result.cappedPoints).toBe(0);
+    expect(result.capped).toEqual([]);
+  });
+
+  it('should cap points per title per year, in credit order', () => {
+    const rules = buildCapRules([{ _id: 'cap1', scope: 'title', creditTitle: 't1', maxPoints: 15 }]);
+    const result = processCredits([
+      positive('a', 10, { creditTitle: 't1' }),
+      positive('b', 10, { categories: ['t1'] }),
+      positive('c', 10, { creditTitle: 't1', academicYear: '2026-2027' }),
+    ], rules);
+
+    expect(result.positiveByYear).toEqual({ '2025-2026': 15, '2026-2027': 10 });
+    expect(result.capped).toEqual([
+      { creditId: 'b', academicYear: '2025-2026', rule: 'title', capId: 'cap1', limit: 15, points: 5 },
+    ]);
+  });
+
+  it('should cap categories across titles and prefer year-specific caps', () => {
+    const rules = buildCapRules([
+      { _id: 'all', scope: 'category', category: 'Research', maxPoints: 100 },
+      { _id: 'y25', scope: 'category', category: 'Research', maxPoints: 12, academicYear: '2025-2026' },
+    ], [{ _id: 't1', category: 'Research' }, { _id: 't2', category: 'Research' }]);
+
+    const result = processCredits([positive('a', 8, { creditTitle: 't1' }), positive('b', 8, { creditTitle: 't2' })], rules);
+    expect(result.runningTotal).toBe(12);
+    expect(result.capped[0]).toMatchObject({ creditId: 'b', rule: 'category', capId: 'y25', points: 4 });
+  });
+
+  it('should apply the yearly ceiling and floor to the net', () => {
+    const rules = buildCapRules([{ _id: 'y', scope: 'year', maxPoints: 30, minPoints: -5 }]);
+    const result = processCredits([
+      positive('a', 50),
+      { _id: 'n', type: 'negative', status: 'approved', points: -20, academicYear: '2024-2025' },
+    ], rules);
+
+    expect(result.netByYear).toEqual({ '2025-2026': 30, '2024-2025': -5 });
+    expect(result.runningTotal).toBe(25);
+    expect(result.cappedPoints).toBe(20);
+    expect(result.flooredPoints).toBe(15);
+  });
+});
@@ -0,0 +1,81 @@
+jest.mock('../../Models/User', () => ({
+  find: jest.fn(),
+}));
+jest.mock('../../Models/ConsistencyReport', () => ({
+  create: jest.fn(async (data) => ({ _id: 'r1', ...data })),
+}));
+jest.mock('../../utils/calculateCredits', () => ({
+  fetchAndSortCredits: jest.fn(),
+  processCredits: jest.fn(),
+  recalcFacultyCredits: jest.fn(),
+}));
+jest.mock('../../utils/creditCaps', () => ({
+  loadCapRules: jest.fn().mockResolvedValue({ empty: true }),
+}));
+
+const User = require('../../Models/User');
+const { fetchAndSortCredits, processCredits, recalcFacultyCredits } = require('../../utils/calculateCredits');
+const { compareTotals, runConsistencyCheck } = require('../../utils/creditConsistency');
+
+const metrics = (runningTotal, netByYear) => ({ runningTotal, netByYear });
+
+describe('creditConsistency Utility', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe('compareTotals', () => {
+    it('should ignore sub-cent differences', () => {
+      const user = { _id: 'f1', currentCredit: 10.001, creditsByYear: { '2025-2026': 10 } };
+      expect(compareTotals(user, metrics(10, { '2025-2026': 10 }))).toBeNull();
+    });
+
+    it('should report the total and every drifted year', () => {
+      const user = { _id: 'f1', facultyID: 'EGS1', currentCredit: 20, creditsByYear: { '2024-2025': 5, '2025-2026': 15 } };
+      expect(compareTotals(user, metrics(12, { '2024-2025': 5, '2025-2026': 7 }))).toEqual({
+        facultyId: 'f1',
+        facultyID: 'EGS1',
+        name: null,
+        storedTotal: 20,
+        computedTotal: 12,
+        difference: -8,
+        years: [{ academicYear: '2025-2026', stored: 15, computed: 7 }],
+      });
+    });
+  });
+
+  describe('runConsistencyCheck', () => {
+    beforeEach(() => {
+      User.find.mockResolvedValue([
+        { _id: 'ok', currentCredit: 5, creditsByYear: { y: 5 } },
+        { _id: 'off', currentCredit: 1, creditsByYear: { y: 1 } },
+        { _id: 'broken' },
+      ]);
+      fetchAndSortCredits.mockImplementation(async (id) => {
+        if (id === 'broken') throw new Error('read failed');
+        return [];
+      });
+      processCredits.mockReturnValue(metrics(5, { y: 5 }));
+    });
+
+    it('should only report, not repair, by default', async () => {
+      const report = await runConsistencyCheck({ trigger: 'cli' });
+      expect(report).toMatchObject({ kind: 'creditTotals', trigger: 'cli', checked: 3, drifted: 1, repaired: 0 });
+      expect(report.drift[0]).toMatchObject({ facultyId: 'off', difference: 4 });
+      expect(report.failed).toEqual([{ facultyId: 'broken', error: 'read failed' }]);
+      expect(recalcFacultyCredits).not.toHaveBeenCalled();
+    });
+
+    it('should recalculate drifted faculty when repairing', async () => {
+      recalcFacultyCredits.mockResolvedValue({ ledgerEntries: [{ _id: 'off#000000000003' }] });
+      const report = await runConsistencyCheck({ repair: true });
+      expect(recalcFacultyCredits).toHaveBeenCalledWith('off');
+      expect(report.drift[0]).toMatchObject({ repaired: true, ledgerEntries: ['off#000000000003'] });
+      expect(report.repaired).toBe(1);
+    });
+
+    it('should refuse to start while another check runs', async () => {
+      const first = runConsistencyCheck();
+      await expect(runConsistencyCheck()).rejects.toMatchObject({ status: 409 });
+      await first;
+    });
+  });
+});
@@ -0,0 +1,82 @@
+jest.mock('../../Models/Credit', () => ({
+  find: jest.fn(),
+}));
+
+const Credit = require('../../Models/Credit');
+const {
+  validateFormulaDefinition,
+  parseInputs,
+  evaluateFormula,
+  computeTitlePoints,
+} = require('../../utils/creditFormula');
+
+const paper = {
+  _id: 't1',
+  type: 'positive',
+  points: 10,
+  formula: 'base * tier / authorPosition',
+  inputs: [
+    { name: 'authorPosition', type: 'integer', min: 1 },
+    { name: 'tier', type: 'select', options: { Q1: 4, Q2: 3 } },
+  ],
+};
+
+const lateSubmission = {
+  _id: 't2',
+  type: 'negative',
+  points: 2,
+  formula: 'base * daysLate * (1 + 0.5 * priorCount)',
+  inputs: [{ name: 'daysLate', type: 'integer', min: 0 }],
+};
+
+describe('creditFormula Utility', () => {
+  describe('validateFormulaDefinition', () => {
+    it('should accept arithmetic over declared inputs and built-ins', () => {
+      expect(() => validateFormulaDefinition(paper.formula, paper.inputs)).not.toThrow();
+      expect(() => validateFormulaDefinition('max(base, priorCount > 2 ? 5 : 1)', [])).not.toThrow();
+    });
+
+    it('should reject unknown variables, functions and assignments', () => {
+      expect(() => validateFormulaDefinition('base * x', [])).toThrow('Unknown variable "x"');
+      expect(() => validateFormulaDefinition('evaluate("1")', [])).toThrow('not allowed');
+      expect(() => validateFormulaDefinition('base = 3', [])).toThrow('AssignmentNode');
+      expect(() => validateFormulaDefinition('base', [{ name: 'base' }])).toThrow('reserved');
+    });
+  });
+
+  describe('parseInputs', () => {
+    it('should list every invalid input', () => {
+      expect(() => parseInputs(paper, { authorPosition: 0, tier: 'Q9' }))
+        .toThrow('authorPosition must be at least 1; tier must be one of: Q1, Q2');
+    });
+
+    it('should accept JSON strings from multipart forms', () => {
+      expect(parseInputs(paper, '{"authorPosition":"2","tier":"Q2"}').scope).toEqual({ authorPosition: 2, tier: 3 });
+    });
+  });
+
+  it('should store the breakdown next to the points', () => {
+    const { points, breakdown } = evaluateFormula(paper, { authorPosition: 3, tier: 'Q1' });
+    expect(points).toBe(13.33);
+    expect(breakdown).toMatchObject({ creditTitle: 't1', base: 10, inputs: { authorPosition: 3, tier: 'Q1' }, points: 13.33 });
+  });
+
+  describe('computeTitlePoints', () => {
+    it('should apply repeat-offence multipliers from prior credits in the year', async () => {
+      Credit.find.mockResolvedValue([
+        { _id: 'a', creditTitle: 't2', academicYear: '2025-2026', status: 'pending' },
+        { _id: 'b', creditTitle: 't2', academicYear: '2024-2025', status: 'pending' },
+        { _id: 'c', creditTitle: 't2', academicYear: '2025-2026', status: 'deleted' },
+      ]);
+      const { points, pointsBreakdown } = await computeTitlePoints(lateSubmission, {
+        inputs: { daysLate: 3 }, faculty: 'f1', academicYear: '2025-2026',
+      });
+      expect(pointsBreakdown.priorCount).toBe(1);
+      expect(points).toBe(-9);
+    });
+
+    it('should fall back to fixed points without a formula', async () => {
+      await expect(computeTitlePoints({ type: 'negative', points: 5 })).resolves.toEqual({ points: -5 });
+    });
+  });
+});
@@ -0,0 +1,79 @@
+jest.mock('../../config/db', () => ({ connectDB: jest.fn() }));
+jest.mock('../../Models/Credit', () => ({ find: jest.fn(), findPage: jest.fn() }));
+jest.mock('../../Models/CreditTitle', () => ({ findById: jest.fn() }));
+jest.mock('../../Models/User', () => ({ findById: jest.fn() }));
+
+const Credit = require('../../Models/Credit');
+const { withoutStorageDetails } = require('../../utils/assetLinks');
+const {
+  listPositiveCreditsForAdmin,
+  listNegativeCreditsForFaculty,
+} = require('../../Controllers/Admin/CreditListController');
+
+const stored = (id, extra = {}) => ({
+  _id: id,
+  type: 'positive',
+  status: 'approved',
+  faculty: 'f1',
+  facultySnapshot: { name: 'A' },
+  createdAt: `2026-10-0${id.slice(1)}T00:00:00.000Z`,
+  proofUrl: `https://fcs.test/cdn/assets/v1/p${id}`,
+  proofMeta: { assetId: `p${id}`, rawUrl: 'https://cdn.jsdelivr.net/gh/o/r/x.pdf', destPath: 'credits/x.pdf', storage: 'github', size: 3 },
+  attachments: [{ _id: 'a1', url: 'https://fcs.test/s/abc', meta: { maskedUrl: `https://fcs.test/cdn/assets/v1/a${id}`, rawUrl: 'file:///x' } }],
+  ...extra,
+});
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+// Every URL in a response body, wherever it sits
+const urlsIn = (body) => JSON.stringify(body).match(/https?:\/\/[^"]+/g) || [];
+
+describe('credit list responses', () => {
+  const env = { ...process.env };
+  const user = { _id: 'admin1', role: 'admin' };
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.ASSET_LINK_SECRET = 'test-secret';
+  });
+  afterEach(() => { process.env = { ...env }; });
+
+  const expectSignedOnly = (body) => {
+    const json = JSON.stringify(body);
+    expect(json).not.toMatch(/rawUrl|destPath|"storage"/);
+    const urls = urlsIn(body);
+    expect(urls.length).toBeGreaterThan(0);
+    urls.forEach((url) => expect(url).toMatch(/\/cdn\/assets\/v1\/[^?]+\?exp=\d+&sig=/));
+  };
+
+  it('should only return signed proof links in admin lists', async () => {
+    Credit.find.mockResolvedValue([stored('c1'), stored('c2')]);
+    const res = mockRes();
+    await listPositiveCreditsForAdmin({ query: {}, user }, res, jest.fn());
+    const body = res.json.mock.calls[0][0];
+    expect(body.data).toHaveLength(2);
+    expectSignedOnly(body);
+
+    Credit.findPage.mockResolvedValue({ items: [stored('c3')], nextCursor: null });
+    const page = mockRes();
+    await listPositiveCreditsForAdmin({ query: { cursor: '' }, user }, page, jest.fn());
+    expectSignedOnly(page.json.mock.calls[0][0]);
+  });
+
+  it('should only return signed proof links in per-faculty lists', async () => {
+    Credit.find.mockResolvedValue([stored('c1', { type: 'negative' })]);
+    const res = mockRes();
+    await listNegativeCreditsForFaculty({ params: { facultyId: 'f1' }, query: {}, user }, res, jest.fn());
+    expectSignedOnly(res.json.mock.calls[0][0]);
+  });
+
+  it('should broadcast credits without storage details or signatures', () => {
+    const broadcast = withoutStorageDetails(stored('c1'));
+    expect(JSON.stringify(broadcast)).not.toMatch(/rawUrl|destPath|"storage"|sig=/);
+    expect(broadcast.proofUrl).toBe('https://fcs.test/cdn/assets/v1/pc1');
+  });
+});
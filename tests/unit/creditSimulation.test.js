@@ -0,0 +1,64 @@
+jest.mock('../../Models/Credit', () => ({
+  find: jest.fn(),
+}));
+jest.mock('../../Models/CreditTitle', () => ({
+  findById: jest.fn(),
+}));
+jest.mock('../../Models/AcademicYear', () => ({
+  find: jest.fn().mockResolvedValue([]),
+}));
+jest.mock('../../utils/creditCaps', () => {
+  const actual = jest.requireActual('../../utils/creditCaps');
+  return { ...actual, loadCapRules: jest.fn(async () => actual.buildCapRules()) };
+});
+
+const Credit = require('../../Models/Credit');
+const CreditTitle = require('../../Models/CreditTitle');
+const { simulateCredits } = require('../../utils/creditSimulation');
+
+const year = '2025-2026';
+const credits = [
+  { _id: 'a', faculty: 'f1', type: 'positive', status: 'approved', points: 10, academicYear: year, createdAt: '2025-08-01' },
+  { _id: 'p', faculty: 'f1', type: 'positive', status: 'pending', points: 6, academicYear: year, createdAt: '2025-09-01' },
+  {
+    _id: 'n', faculty: 'f1', type: 'negative', status: 'appealed', points: -4, academicYear: year, createdAt: '2025-09-10',
+    appeal: { by: 'f1', status: 'rejected' }, appeals: [{ by: 'f1', status: 'rejected' }],
+  },
+  {
+    _id: 'm', faculty: 'f1', type: 'negative', status: 'appealed', points: -3, academicYear: year, createdAt: '2025-10-01',
+    appeal: { by: 'f1', status: 'pending' }, appeals: [{ by: 'f1', status: 'pending' }],
+  },
+];
+
+describe('creditSimulation Utility', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Credit.find.mockResolvedValue(credits);
+  });
+
+  it('should project approvals and appeal decisions without touching the credits', async () => {
+    const result = await simulateCredits('f1', [
+      { action: 'approve', creditId: 'p' },
+      { action: 'rejectAppeal', creditId: 'm' },
+    ]);
+
+    expect(result.current.runningTotal).toBe(6);
+    expect(result.projected.runningTotal).toBe(9);
+    expect(result.difference).toEqual({ total: 3, byYear: { [year]: 3 } });
+    expect(credits[1].status).toBe('pending');
+  });
+
+  it('should add a hypothetical credit from a title', async () => {
+    CreditTitle.findById.mockResolvedValue({ _id: 't1', title: 'FDP', type: 'positive', points: 5 });
+    const result = await simulateCredits('f1', [{ action: 'add', creditTitle: 't1', academicYear: year }]);
+
+    expect(result.difference.total).toBe(5);
+    expect(result.changes[0]).toMatchObject({ action: 'add', creditId: 'simulated-1', points: 5, academicYear: year });
+  });
+
+  it('should name the change that cannot happen', async () => {
+    await expect(simulateCredits('f1', [{ action: 'approve', creditId: 'p' }, { action: 'acceptAppeal', creditId: 'n' }]))
+      .rejects.toMatchObject({ status: 409, message: 'changes[1]: Credit has no pending appeal' });
+    await expect(simulateCredits('f1', [{ action: 'approve', creditId: 'x' }])).rejects.toMatchObject({ status: 404 });
+  });
+});
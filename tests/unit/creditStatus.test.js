@@ -0,0 +1,56 @@
+jest.mock('../../Controllers/pushController', () => ({
+  sendPushToUser: jest.fn(),
+}));
+
+const { sendPushToUser } = require('../../Controllers/pushController');
+const { assertTransition, runStatusEffects } = require('../../utils/creditStatus');
+
+const positive = (status) => ({ _id: 'c1', type: 'positive', faculty: 'f1', title: 'Paper', status });
+const negative = (status) => ({ _id: 'c2', type: 'negative', faculty: 'f1', title: 'Late', status });
+
+describe('creditStatus Utility', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe('assertTransition', () => {
+    it('should allow legal moves for the right role', () => {
+      expect(assertTransition(positive('pending'), 'approved', 'admin')).toMatchObject({ from: 'pending', to: 'approved' });
+      expect(assertTransition(positive('returned'), 'pending', 'faculty')).toMatchObject({ to: 'pending' });
+      expect(assertTransition(negative('pending'), 'appealed', 'faculty')).toMatchObject({ to: 'appealed' });
+      expect(assertTransition(negative('appealed'), 'deleted', 'oa')).toMatchObject({ to: 'deleted' });
+    });
+
+    it('should return null when the status does not change', () => {
+      expect(assertTransition(positive('approved'), 'approved', 'admin')).toBeNull();
+    });
+
+    it('should reject jumps that skip re-review', () => {
+      expect(() => assertTransition(positive('rejected'), 'approved', 'admin')).toThrow(expect.objectContaining({ status: 409 }));
+      expect(() => assertTransition(positive('pending'), 'appealed', 'faculty')).toThrow(expect.objectContaining({ status: 409 }));
+      expect(() => assertTransition(positive('deleted'), 'pending', 'admin')).toThrow(expect.objectContaining({ status: 409 }));
+    });
+
+    it('should only let the faculty submit a draft', () => {
+      expect(assertTransition(positive('draft'), 'pending', 'faculty')).toMatchObject({ from: 'draft', to: 'pending' });
+      expect(() => assertTransition(positive('draft'), 'approved', 'admin')).toThrow(expect.objectContaining({ status: 409 }));
+      expect(() => assertTransition(positive('draft'), 'pending', 'admin')).toThrow(expect.objectContaining({ status: 403 }));
+    });
+
+    it('should reject roles that may not make the move and unknown statuses', () => {
+      expect(() => assertTransition(positive('pending'), 'approved', 'faculty')).toThrow(expect.objectContaining({ status: 403 }));
+      expect(() => assertTransition(positive('pending'), 'archived', 'admin')).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('runStatusEffects', () => {
+    it('should notify for approvals', async () => {
+      const t = assertTransition(positive('pending'), 'approved', 'reviewer');
+      await runStatusEffects(positive('approved'), t);
+      expect(sendPushToUser).toHaveBeenCalledWith('f1', expect.objectContaining({ title: 'Credit Approved' }));
+    });
+
+    it('should do nothing without a transition', async () => {
+      await runStatusEffects(positive('approved'), null);
+      expect(sendPushToUser).not.toHaveBeenCalled();
+    });
+  });
+});
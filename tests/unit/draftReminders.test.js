@@ -0,0 +1,59 @@
+jest.mock('../../Models/AcademicYear', () => ({
+  find: jest.fn(),
+}));
+jest.mock('../../Models/Credit', () => ({
+  find: jest.fn(),
+  update: jest.fn(),
+}));
+jest.mock('../../Models/User', () => ({
+  findById: jest.fn(),
+}));
+jest.mock('../../utils/email', () => ({
+  sendEmail: jest.fn().mockResolvedValue(true),
+}));
+jest.mock('../../Controllers/pushController', () => ({
+  sendPushToUser: jest.fn(),
+}));
+
+const AcademicYear = require('../../Models/AcademicYear');
+const Credit = require('../../Models/Credit');
+const User = require('../../Models/User');
+const { sendEmail } = require('../../utils/email');
+const { sendPushToUser } = require('../../Controllers/pushController');
+const { dueThreshold, sendDraftReminders } = require('../../utils/draftReminders');
+
+const now = new Date('2026-03-25T00:00:00Z');
+const cycle = { label: '2025-2026', state: 'open', submissionDeadline: '2026-03-31T00:00:00Z' };
+
+describe('draftReminders Utility', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AcademicYear.find.mockResolvedValue([cycle, { label: '2024-2025', state: 'locked', submissionDeadline: '2026-03-30T00:00:00Z' }]);
+    User.findById.mockImplementation(async (id) => ({ _id: id, name: 'Asha', email: `${id}@egsp.edu` }));
+  });
+
+  it('should pick the smallest threshold already reached', () => {
+    expect(dueThreshold(cycle.submissionDeadline, now, [7, 1])).toBe(7);
+    expect(dueThreshold(cycle.submissionDeadline, new Date('2026-03-30T12:00:00Z'), [7, 1])).toBe(1);
+    expect(dueThreshold(cycle.submissionDeadline, new Date('2026-03-01T00:00:00Z'), [7, 1])).toBeNull();
+    expect(dueThreshold(cycle.submissionDeadline, new Date('2026-04-01T00:00:00Z'), [7, 1])).toBeNull();
+  });
+
+  it('should remind each faculty once per threshold about their drafts', async () => {
+    Credit.find.mockResolvedValue([
+      { _id: 'd1', faculty: 'f1', title: 'FDP on AI', status: 'draft' },
+      { _id: 'd2', faculty: 'f1', title: 'Journal paper', status: 'draft' },
+      { _id: 'd3', faculty: 'f2', title: 'Workshop', status: 'draft', draftReminderDays: 7 },
+    ]);
+
+    const result = await sendDraftReminders({ now, days: [7, 1] });
+
+    expect(Credit.find).toHaveBeenCalledWith({ academicYear: '2025-2026', status: 'draft' });
+    expect(result).toEqual({ cycles: 1, faculty: 1, drafts: 2 });
+    expect(sendPushToUser).toHaveBeenCalledTimes(1);
+    expect(sendPushToUser).toHaveBeenCalledWith('f1', expect.objectContaining({ body: expect.stringContaining('2 credit drafts') }));
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'f1@egsp.edu' }));
+    expect(Credit.update).toHaveBeenCalledWith('d1', { draftReminderDays: 7 }, { reason: 'draft reminder' });
+    expect(Credit.update).toHaveBeenCalledWith('d2', { draftReminderDays: 7 }, { reason: 'draft reminder' });
+  });
+});
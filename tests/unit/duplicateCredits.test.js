@@ -0,0 +1,70 @@
+jest.mock('../../Models/Credit', () => ({
+  find: jest.fn(),
+}));
+
+const Credit = require('../../Models/Credit');
+const {
+  proofHashOf,
+  titleFingerprint,
+  fingerprintSimilarity,
+  findPossibleDuplicates,
+} = require('../../utils/duplicateCredits');
+
+describe('duplicateCredits Utility', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('should fingerprint titles regardless of case, punctuation, order and filler words', () => {
+    expect(titleFingerprint('Certificate of NPTEL - Data Science')).toBe('data nptel science');
+    expect(titleFingerprint('NPTEL data-science certificate')).toBe('data nptel science');
+    expect(titleFingerprint('Workshops on IoT')).toBe('iot workshop');
+    expect(fingerprintSimilarity('data nptel science', 'data nptel python science')).toBe(0.75);
+  });
+
+  it('should hash the proof file contents', () => {
+    const a = proofHashOf({ buffer: Buffer.from('certificate') });
+    expect(a).toMatch(/^[0-9a-f]{64}$/);
+    expect(proofHashOf({ buffer: Buffer.from('certificate') })).toBe(a);
+    expect(proofHashOf(undefined)).toBeNull();
+  });
+
+  it('should match own credits by title and any faculty by proof', async () => {
+    Credit.find.mockImplementation(async (filter) => (filter.proofHash
+      ? [
+        { _id: 'x1', faculty: 'f2', type: 'positive', title: 'Something else', proofHash: 'h1', createdAt: '2025-01-03', facultySnapshot: { name: 'Ravi' } },
+        { _id: 'new', faculty: 'f1', type: 'positive', title: 'NPTEL Data Science', proofHash: 'h1', createdAt: '2025-01-04' },
+      ]
+      : [
+        { _id: 'o1', faculty: 'f1', type: 'positive', title: 'Data Science (NPTEL) certificate', createdAt: '2025-01-01' },
+        { _id: 'o2', faculty: 'f1', type: 'positive', title: 'NPTEL Data Science with Python', createdAt: '2025-01-02' },
+        { _id: 'o3', faculty: 'f1', type: 'positive', title: 'Guest lecture', createdAt: '2025-01-02' },
+        { _id: 'new', faculty: 'f1', type: 'positive', title: 'NPTEL Data Science', proofHash: 'h1', createdAt: '2025-01-04' },
+      ]));
+
+    const matches = await findPossibleDuplicates({ _id: 'new', faculty: 'f1', title: 'NPTEL Data Science', proofHash: 'h1' });
+
+    expect(Credit.find).toHaveBeenCalledWith({ proofHash: 'h1' });
+    expect(matches.map((m) => [m.creditId, m.reasons, m.similarity])).toEqual([
+      ['x1', ['sameProof'], 1],
+      ['o2', ['similarTitle'], 0.75],
+      ['o1', ['sameTitle'], 1],
+    ]);
+    expect(matches[0]).toMatchObject({ faculty: 'f2', name: 'Ravi' });
+  });
+
+  it('should ignore deleted credits, drafts and the credit itself', async () => {
+    Credit.find.mockImplementation(async (filter) => (filter.proofHash
+      ? [
+        { _id: 'd1', faculty: 'f2', type: 'positive', status: 'deleted', title: 'Other', proofHash: 'h1' },
+        { _id: 'new', faculty: 'f1', type: 'positive', status: 'pending', title: 'NPTEL Data Science', proofHash: 'h1' },
+      ]
+      : [
+        { _id: 'd2', faculty: 'f1', type: 'positive', status: 'draft', title: 'NPTEL Data Science' },
+        { _id: 'd3', faculty: 'f1', type: 'positive', status: 'deleted', title: 'Data Science NPTEL' },
+        { _id: 'new', faculty: 'f1', type: 'positive', status: 'pending', title: 'NPTEL Data Science', proofHash: 'h1' },
+        { _id: 'ok', faculty: 'f1', type: 'positive', status: 'rejected', title: 'NPTEL data science', createdAt: '2025-01-01' },
+      ]));
+
+    const matches = await findPossibleDuplicates({ _id: 'new', faculty: 'f1', title: 'NPTEL Data Science', proofHash: 'h1' });
+    expect(matches.map((m) => m.creditId)).toEqual(['ok']);
+  });
+});
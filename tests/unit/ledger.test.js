@@ -0,0 +1,85 @@
+jest.mock('../../Models/User', () => ({
+  applyBalanceDelta: jest.fn(),
+}));
+jest.mock('../../Models/CreditLedger', () => ({
+  create: jest.fn(async (data) => ({ _id: `${data.faculty}#${data.seq}`, ...data })),
+  latestAsOf: jest.fn(),
+}));
+jest.mock('../../utils/creditCaps', () => ({
+  loadCapRules: jest.fn().mockResolvedValue({ empty: true }),
+}));
+
+const User = require('../../Models/User');
+const CreditLedger = require('../../Models/CreditLedger');
+const { ledgerMoves, recordCreditChange, reconcileBalances, balanceAsOf } = require('../../utils/ledger');
+
+const positive = (status, extra = {}) => ({ _id: 'c1', faculty: 'f1', type: 'positive', status, points: 10, academicYear: '2025-2026', ...extra });
+const negative = (status, appeal, extra = {}) => ({ _id: 'c2', faculty: 'f1', type: 'negative', status, points: -4, academicYear: '2025-2026', appeal, ...extra });
+
+describe('ledger Utility', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  describe('ledgerMoves', () => {
+    it('should post approvals, reversals and point edits', () => {
+      expect(ledgerMoves(positive('pending'), positive('approved'))).toEqual([
+        { faculty: 'f1', academicYear: '2025-2026', amount: 10, event: 'applied' },
+      ]);
+      expect(ledgerMoves(positive('approved'), null)).toMatchObject([{ amount: -10, event: 'reversed' }]);
+      expect(ledgerMoves(positive('approved'), positive('approved', { points: 12.5 }))).toMatchObject([{ amount: 2.5, event: 'adjusted' }]);
+      expect(ledgerMoves(null, positive('pending'))).toEqual([]);
+    });
+
+    it('should waive a penalty whose appeal is accepted', () => {
+      const upheld = negative('appealed', { status: 'rejected' });
+      expect(ledgerMoves(negative('appealed', { status: 'pending' }), upheld)).toMatchObject([{ amount: -4, event: 'applied' }]);
+      expect(ledgerMoves(upheld, negative('pending', { status: 'accepted' }))).toMatchObject([{ amount: 4, event: 'appeal_waiver' }]);
+    });
+
+    it('should move a credit between academic years', () => {
+      expect(ledgerMoves(positive('approved'), positive('approved', { academicYear: '2026-2027' }))).toEqual([
+        { faculty: 'f1', academicYear: '2025-2026', amount: -10, event: 'reversed' },
+        { faculty: 'f1', academicYear: '2026-2027', amount: 10, event: 'applied' },
+      ]);
+    });
+  });
+
+  it('should store the running balances returned by the atomic user update', async () => {
+    User.applyBalanceDelta.mockResolvedValue({ seq: 7, currentCredit: 42, yearCredit: 30 });
+    const entries = await recordCreditChange(positive('pending'), positive('approved'));
+
+    expect(User.applyBalanceDelta).toHaveBeenCalledWith('f1', 10, '2025-2026');
+    expect(entries[0]).toMatchObject({ faculty: 'f1', seq: 7, event: 'applied', amount: 10, balance: 42, yearBalance: 30, creditId: 'c1' });
+  });
+
+  it('should never throw when the ledger write fails', async () => {
+    User.applyBalanceDelta.mockRejectedValue(new Error('throttled'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(recordCreditChange(null, positive('approved'))).resolves.toEqual([]);
+    console.error.mockRestore();
+  });
+
+  it('should reconcile only what a full recalculation disagrees with', async () => {
+    User.applyBalanceDelta
+      .mockResolvedValueOnce({ seq: 3, currentCredit: 15, yearCredit: 15 })
+      .mockResolvedValueOnce({ seq: 4, currentCredit: 18, yearCredit: null });
+    const user = { _id: 'f1', currentCredit: 10, creditsByYear: { '2024-2025': 5, '2025-2026': 10 } };
+    const metrics = { runningTotal: 18, netByYear: { '2024-2025': 5, '2025-2026': 15 } };
+
+    const entries = await reconcileBalances(user, metrics);
+    expect(User.applyBalanceDelta.mock.calls).toEqual([['f1', 5, '2025-2026'], ['f1', 3, null]]);
+    expect(entries.map((e) => e.event)).toEqual(['reconciled', 'reconciled']);
+  });
+
+  describe('balanceAsOf', () => {
+    it('should answer from the last entry before the date', async () => {
+      CreditLedger.latestAsOf.mockResolvedValueOnce({ balance: 12 }).mockResolvedValueOnce({ yearBalance: 8 });
+      const result = await balanceAsOf('f1', '2025-03-31', '2024-2025');
+      expect(CreditLedger.latestAsOf).toHaveBeenCalledWith('f1', '2025-03-31T00:00:00.000Z');
+      expect(result).toMatchObject({ balance: 12, academicYear: '2024-2025', yearBalance: 8 });
+    });
+
+    it('should reject invalid dates', async () => {
+      await expect(balanceAsOf('f1', 'soon')).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+jest.mock('../../Models/LinkVisit', () => ({ create: jest.fn() }));
+
+const LinkVisit = require('../../Models/LinkVisit');
+const {
+  agentClass,
+  ipHash,
+  referrerOf,
+  recordVisit,
+  analyticsRange,
+  summarizeVisits,
+  signedInViewers,
+} = require('../../utils/linkAnalytics');
+
+const visit = (visitedAt, viewer, extra = {}) => ({ visitedAt, viewer, agent: 'desktop', referrer: null, ...extra });
+
+describe('linkAnalytics Utility', () => {
+  const env = { ...process.env };
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.LINK_ANALYTICS_SECRET = 'test-secret';
+  });
+  afterEach(() => { process.env = { ...env }; });
+
+  it('should classify user agents and keep only coarse visitor details', () => {
+    expect(agentClass('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120')).toBe('desktop');
+    expect(agentClass('Mozilla/5.0 (Linux; Android 14; Pixel 8) Mobile Safari/537.36')).toBe('mobile');
+    expect(agentClass('Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X)')).toBe('tablet');
+    expect(agentClass('WhatsApp/2.23.20.0')).toBe('bot');
+    expect(agentClass('')).toBe('bot');
+
+    expect(ipHash('10.1.2.3')).toBe(ipHash('::ffff:10.1.2.200'));
+    expect(ipHash('10.1.2.3')).not.toBe(ipHash('10.1.3.3'));
+    expect(ipHash('10.1.2.3')).toMatch(/^[0-9a-f]{16}$/);
+
+    expect(referrerOf('https://Mail.Google.com/mail/u/0/?token=abc')).toBe('mail.google.com');
+    expect(referrerOf('not a url')).toBeNull();
+  });
+
+  it('should record visits without blocking on errors', async () => {
+    LinkVisit.create.mockImplementation(async (data) => data);
+    const req = { ip: '10.1.2.3', headers: { 'user-agent': 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0)', referer: 'https://wa.me/x' } };
+
+    const stored = await recordVisit(req, { _id: 'r1', createdBy: 'u9' }, 'u1');
+    expect(stored).toEqual(expect.objectContaining({
+      shortUrl: 'r1', owner: 'u9', user: 'u1', agent: 'mobile', referrer: 'wa.me', viewer: 'user:u1',
+    }));
+    expect(stored.ipHash).toMatch(/^[0-9a-f]{16}$/);
+
+    LinkVisit.create.mockRejectedValue(new Error('table missing'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(recordVisit(req, { _id: 'r1' })).resolves.toBeNull();
+    console.error.mockRestore();
+
+    process.env.LINK_ANALYTICS = 'false';
+    LinkVisit.create.mockClear();
+    await recordVisit(req, { _id: 'r1' });
+    expect(LinkVisit.create).not.toHaveBeenCalled();
+  });
+
+  it('should read the reporting window', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    expect(analyticsRange({}, now)).toEqual({ from: '2026-09-19T12:00:00.000Z', to: '2026-10-19T12:00:00.000Z', interval: 'day' });
+    expect(analyticsRange({ from: '2026-10-01', to: '2026-10-07', interval: 'week' }, now))
+      .toEqual({ from: '2026-10-01T00:00:00.000Z', to: '2026-10-07T23:59:59.999Z', interval: 'week' });
+    expect(() => analyticsRange({ interval: 'hour' }, now)).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => analyticsRange({ from: '2026-10-10', to: '2026-10-01' }, now)).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('should count visits and unique viewers over time, leaving out bots', () => {
+    const visits = [
+      visit('2026-10-12T09:00:00.000Z', 'user:u1', { user: 'u1', referrer: 'mail.google.com' }),
+      visit('2026-10-12T10:00:00.000Z', 'ip:aa:desktop'),
+      visit('2026-10-12T10:00:01.000Z', 'ip:bb:bot', { agent: 'bot' }),
+      visit('2026-10-14T08:00:00.000Z', 'user:u1', { user: 'u1', agent: 'mobile' }),
+      visit('2026-10-19T08:00:00.000Z', 'user:u2', { user: 'u2' }),
+    ];
+
+    const byDay = summarizeVisits(visits);
+    expect(byDay).toEqual(expect.objectContaining({
+      visits: 4, uniqueViewers: 3, signedInViewers: 2, botVisits: 1,
+      firstVisitAt: '2026-10-12T09:00:00.000Z', lastVisitAt: '2026-10-19T08:00:00.000Z',
+      agents: { desktop: 3, mobile: 1 },
+    }));
+    expect(byDay.series).toEqual([
+      { period: '2026-10-12', visits: 2, uniqueViewers: 2 },
+      { period: '2026-10-14', visits: 1, uniqueViewers: 1 },
+      { period: '2026-10-19', visits: 1, uniqueViewers: 1 },
+    ]);
+    expect(byDay.referrers).toEqual([{ referrer: 'direct', visits: 3 }, { referrer: 'mail.google.com', visits: 1 }]);
+
+    expect(summarizeVisits(visits, 'week').series).toEqual([
+      { period: '2026-10-12', visits: 3, uniqueViewers: 2 },
+      { period: '2026-10-19', visits: 1, uniqueViewers: 1 },
+    ]);
+    expect(summarizeVisits([], 'month')).toEqual(expect.objectContaining({ visits: 0, series: [], firstVisitAt: null }));
+
+    expect(signedInViewers(visits)).toEqual([
+      { user: 'u2', visits: 1, firstVisitAt: '2026-10-19T08:00:00.000Z', lastVisitAt: '2026-10-19T08:00:00.000Z' },
+      { user: 'u1', visits: 2, firstVisitAt: '2026-10-12T09:00:00.000Z', lastVisitAt: '2026-10-14T08:00:00.000Z' },
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('../../config/db', () => ({ connectDB: jest.fn() }));
+jest.mock('../../Models/Asset', () => ({ create: jest.fn(), findById: jest.fn(), update: jest.fn() }));
+jest.mock('../../Models/ShortUrl', () => ({ create: jest.fn(), findById: jest.fn(), incrementVisits: jest.fn() }));
+jest.mock('../../Models/User', () => ({ findById: jest.fn() }));
+
+const Asset = require('../../Models/Asset');
+const ShortUrl = require('../../Models/ShortUrl');
+const User = require('../../Models/User');
+const { createShortLink, createMaskedUrl, linkUnavailable } = require('../../utils/urlHelper');
+const { createAsset, updateAsset } = require('../../Controllers/Admin/LinkController');
+const { getShortUrl } = require('../../Controllers/cdnController');
+
+const taken = () => Object.assign(new Error('taken'), { status: 409 });
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.redirect = jest.fn();
+  return res;
+}
+
+describe('link management', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('should refuse taken aliases and retry clashing random ids', async () => {
+    ShortUrl.create.mockRejectedValueOnce(taken());
+    await expect(createShortLink('https://example.org', 'report')).rejects.toMatchObject({ status: 409 });
+    expect(ShortUrl.create).toHaveBeenCalledTimes(1);
+
+    ShortUrl.create.mockRejectedValueOnce(taken()).mockResolvedValueOnce({});
+    const url = await createShortLink('https://example.org', null, { createdBy: 'u1' });
+    expect(ShortUrl.create).toHaveBeenCalledTimes(3);
+    expect(ShortUrl.create).toHaveBeenLastCalledWith(expect.objectContaining({ originalUrl: 'https://example.org', createdBy: 'u1' }));
+    expect(url).toMatch(/\/s\/[0-9a-f]{6}$/);
+
+    Asset.create.mockRejectedValue(taken());
+    await expect(createMaskedUrl('https://example.org/a.pdf')).rejects.toMatchObject({ status: 409 });
+    expect(Asset.create).toHaveBeenCalledTimes(5);
+  });
+
+  it('should tell inactive and expired links apart', () => {
+    const now = Date.parse('2026-10-19T00:00:00Z');
+    expect(linkUnavailable({}, now)).toBeNull();
+    expect(linkUnavailable({ active: false }, now)).toBe('inactive');
+    expect(linkUnavailable({ expiresAt: '2026-10-18T00:00:00Z' }, now)).toBe('expired');
+    expect(linkUnavailable({ expiresAt: '2026-10-20T00:00:00Z' }, now)).toBeNull();
+  });
+
+  it('should answer 410 for deactivated and expired short URLs', async () => {
+    ShortUrl.findById.mockResolvedValue({ _id: 'r', originalUrl: 'https://example.org', active: false });
+    const res = mockRes();
+    await getShortUrl({ params: { id: 'r' } }, res, jest.fn());
+    expect(res.status).toHaveBeenCalledWith(410);
+    expect(res.send).toHaveBeenCalledWith('Link disabled');
+    expect(ShortUrl.incrementVisits).not.toHaveBeenCalled();
+  });
+
+  it('should create assets owned by the caller unless another user is named', async () => {
+    Asset.create.mockImplementation(async (data) => ({ _id: data.id, ...data }));
+    const res = mockRes();
+    await createAsset({ body: { id: 'logo-v2', targetUrl: 'https://example.org/logo.png' }, user: { _id: 'admin1' } }, res, jest.fn());
+    expect(Asset.create).toHaveBeenCalledWith(expect.objectContaining({ id: 'logo-v2', createdBy: 'admin1' }));
+    expect(res.status).toHaveBeenCalledWith(201);
+
+    User.findById.mockResolvedValue(null);
+    const next = jest.fn();
+    await createAsset({ body: { targetUrl: 'https://example.org/a', owner: 'ghost' }, user: { _id: 'admin1' } }, mockRes(), next);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 404 }));
+
+    const bad = mockRes();
+    await createAsset({ body: { targetUrl: 'javascript:alert(1)' }, user: { _id: 'admin1' } }, bad, jest.fn());
+    expect(bad.status).toHaveBeenCalledWith(400);
+  });
+
+  it('should detach retargeted assets from storage and clear expiry', async () => {
+    Asset.findById.mockResolvedValue({ _id: 'p1', version: 2, targetUrl: 'file:///x', storage: 'local', key: 'x', expiresAt: '2027-01-01T00:00:00.000Z' });
+    Asset.update.mockImplementation(async (id, data) => ({ _id: id, ...data }));
+    const res = mockRes();
+    await updateAsset({
+      params: { id: 'p1' }, body: { targetUrl: 'https://example.org/new.pdf', expiresAt: null, version: 2 }, get: () => undefined,
+    }, res, jest.fn());
+
+    expect(Asset.update).toHaveBeenCalledWith('p1', expect.objectContaining({ targetUrl: 'https://example.org/new.pdf' }), {
+      expectedVersion: 2, remove: ['expiresAt', 'storage', 'key'],
+    });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+  });
+});
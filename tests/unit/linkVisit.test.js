@@ -0,0 +1,73 @@
+const mockSend = jest.fn();
+jest.mock('../../config/db', () => ({ getDynamoClient: () => ({ send: mockSend }) }));
+
+const LinkVisit = require('../../Models/LinkVisit');
+
+const sent = () => mockSend.mock.calls.map(([command]) => ({ type: command.constructor.name, ...command.input }));
+
+describe('LinkVisit Model', () => {
+  const env = { ...process.env };
+  beforeEach(() => {
+    mockSend.mockReset();
+    delete process.env.LINK_VISIT_RETENTION_DAYS;
+  });
+  afterEach(() => { process.env = { ...env }; });
+
+  it('should store the day bucket and an expiry after the retention period', async () => {
+    mockSend.mockResolvedValue({});
+    const item = await LinkVisit.create({ shortUrl: 'r1', owner: 'u9', visitedAt: '2026-10-19T08:30:00.000Z' });
+
+    expect(item).toMatchObject({ day: '2026-10-19', ttl: Date.parse('2026-10-19T08:30:00.000Z') / 1000 + 365 * 86400 });
+    expect(sent()[0]).toMatchObject({ type: 'PutCommand', Item: { owner: 'u9', day: '2026-10-19' } });
+
+    process.env.LINK_VISIT_RETENTION_DAYS = '30';
+    const ownerless = await LinkVisit.create({ shortUrl: 'r2', owner: null, visitedAt: '2026-10-19T08:30:00.000Z' });
+    expect(ownerless.ttl).toBe(Date.parse('2026-10-19T08:30:00.000Z') / 1000 + 30 * 86400);
+    expect(ownerless).not.toHaveProperty('owner');
+  });
+
+  it('should query one day bucket per day of the range, oldest first', async () => {
+    mockSend.mockImplementation(async ({ input }) => ({ Items: [{ day: input.ExpressionAttributeValues[':key'] }] }));
+    const visits = await LinkVisit.findBetween({ from: '2026-10-30T12:00:00.000Z', to: '2026-11-01T06:00:00.000Z' });
+
+    expect(visits.map((v) => v.day)).toEqual(['2026-10-30', '2026-10-31', '2026-11-01']);
+    sent().forEach((params) => expect(params).toMatchObject({
+      type: 'QueryCommand',
+      IndexName: 'day-visitedAt-index',
+      ExpressionAttributeValues: { ':from': '2026-10-30T12:00:00.000Z', ':to': '2026-11-01T06:00:00.000Z' },
+    }));
+  });
+
+  it('should query the owner index for one owner', async () => {
+    mockSend.mockResolvedValue({ Items: [] });
+    await LinkVisit.findBetween({ from: '2026-10-01T00:00:00.000Z', to: '2026-10-31T00:00:00.000Z', owner: 'u9' });
+
+    expect(sent()).toEqual([expect.objectContaining({
+      type: 'QueryCommand', IndexName: 'owner-visitedAt-index', ExpressionAttributeValues: expect.objectContaining({ ':key': 'u9' }),
+    })]);
+  });
+
+  it('should scan while the indexes are missing', async () => {
+    mockSend
+      .mockRejectedValueOnce(Object.assign(new Error('The table does not have the specified index: owner-visitedAt-index'), { name: 'ValidationException' }))
+      .mockResolvedValueOnce({ Items: [{ visitedAt: '2026-10-02T00:00:00.000Z' }, { visitedAt: '2026-10-01T00:00:00.000Z' }] });
+    const visits = await LinkVisit.findBetween({ from: '2026-10-01T00:00:00.000Z', to: '2026-10-31T00:00:00.000Z', owner: 'u9' });
+
+    expect(sent()[1]).toMatchObject({ type: 'ScanCommand', ExpressionAttributeValues: { ':owner': 'u9' } });
+    expect(visits.map((v) => v.visitedAt)).toEqual(['2026-10-01T00:00:00.000Z', '2026-10-02T00:00:00.000Z']);
+  });
+
+  it('should backfill the day bucket and expiry of older visits', async () => {
+    mockSend
+      .mockResolvedValueOnce({ Items: [{ _id: 'v1', visitedAt: '2026-01-05T10:00:00.000Z', owner: null }] })
+      .mockResolvedValue({});
+    expect(await LinkVisit.backfillKeys()).toBe(1);
+
+    expect(sent()[1]).toMatchObject({
+      type: 'UpdateCommand',
+      Key: { _id: 'v1' },
+      UpdateExpression: 'SET #day = :day, #ttl = :ttl REMOVE #owner',
+      ExpressionAttributeValues: { ':day': '2026-01-05' },
+    });
+  });
+});
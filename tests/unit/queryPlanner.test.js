@@ -0,0 +1,161 @@
+const { pickIndex, planFind, findAll, findPage } = require('../../utils/queryPlanner');
+const { encodeCursor, decodeCursor, parseLimit } = require('../../utils/pagination');
+
+const INDEXES = [
+  { name: 'faculty-createdAt-index', hashKey: 'faculty', rangeKey: 'createdAt' },
+  { name: 'status-type-index', hashKey: 'status', rangeKey: 'type' },
+];
+
+describe('queryPlanner Utility', () => {
+  describe('pickIndex', () => {
+    it('should return null when no index hash key is in the filter', () => {
+      expect(pickIndex({ type: 'negative' }, INDEXES)).toBeNull();
+    });
+
+    it('should prefer the first listed index whose hash key matches', () => {
+      const idx = pickIndex({ faculty: 'f1', status: 'pending', type: 'positive' }, INDEXES);
+      expect(idx.name).toBe('faculty-createdAt-index');
+    });
+
+    it('should use the range key as a key condition when it matches', () => {
+      const plan = planFind('credits', { status: 'pending', type: 'positive' }, INDEXES);
+      expect(plan.params.KeyConditionExpression).toBe('#status = :status AND #type = :type');
+      expect(plan.params.FilterExpression).toBeUndefined();
+    });
+
+    it('should ignore non-string key values', () => {
+      expect(pickIndex({ faculty: 123 }, INDEXES)).toBeNull();
+    });
+  });
+
+  describe('planFind', () => {
+    it('should build a Query with remaining keys as FilterExpression', () => {
+      const plan = planFind('credits', { faculty: 'f1', type: 'negative' }, INDEXES);
+      expect(plan.type).toBe('query');
+      expect(plan.params.IndexName).toBe('faculty-createdAt-index');
+      expect(plan.params.KeyConditionExpression).toBe('#faculty = :faculty');
+      expect(plan.params.FilterExpression).toBe('#type = :type');
+    });
+
+    it('should fall back to a Scan when no index matches', () => {
+      const plan = planFind('credits', { type: 'negative' }, INDEXES);
+      expect(plan.type).toBe('scan');
+      expect(plan.params.IndexName).toBeUndefined();
+      expect(plan.params.FilterExpression).toBe('#type = :type');
+    });
+  });
+
+  describe('findAll', () => {
+    it('should read every page of a Query', async () => {
+      const client = {
+        send: jest.fn()
+          .mockResolvedValueOnce({ Items: [{ _id: 'a' }], LastEvaluatedKey: { _id: 'a' } })
+          .mockResolvedValueOnce({ Items: [{ _id: 'b' }] }),
+      };
+      const items = await findAll(client, 'credits', { faculty: 'f1' }, INDEXES);
+      expect(items.map(i => i._id)).toEqual(['a', 'b']);
+      expect(client.send).toHaveBeenCalledTimes(2);
+      expect(client.send.mock.calls[0][0].constructor.name).toBe('QueryCommand');
+    });
+
+    it('should fall back to a Scan when the index does not exist', async () => {
+      const missing = Object.assign(new Error('The table does not have the specified index'), { name: 'ValidationException' });
+      const client = {
+        send: jest.fn()
+          .mockRejectedValueOnce(missing)
+          .mockResolvedValueOnce({ Items: [{ _id: 'a' }] }),
+      };
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const items = await findAll(client, 'credits', { faculty: 'f1' }, INDEXES);
+      expect(items).toHaveLength(1);
+      expect(client.send.mock.calls[1][0].constructor.name).toBe('ScanCommand');
+    });
+  });
+
+  describe('findPage', () => {
+    it('should resume after the last returned item when a batch is cut short', async () => {
+      const client = {
+        send: jest.fn().mockResolvedValueOnce({
+          Items: [
+            { _id: 'a', faculty: 'f1', createdAt: '3' },
+            { _id: 'b', faculty: 'f1', createdAt: '2' },
+            { _id: 'c', faculty: 'f1', createdAt: '1' },
+          ],
+        }),
+      };
+      const page = await findPage(client, 'credits', { faculty: 'f1' }, INDEXES, { limit: 2, descending: true });
+      expect(page.items.map(i => i._id)).toEqual(['a', 'b']);
+      expect(client.send.mock.calls[0][0].input.ScanIndexForward).toBe(false);
+      expect(decodeCursor(page.nextCursor)).toEqual({
+        key: { _id: 'b', faculty: 'f1', createdAt: '2' },
+        indexName: 'faculty-createdAt-index',
+      });
+    });
+
+    it('should keep reading until the predicate fills the page', async () => {
+      const client = {
+        send: jest.fn()
+          .mockResolvedValueOnce({ Items: [{ _id: 'a', ok: false }], LastEvaluatedKey: { _id: 'a' } })
+          .mockResolvedValueOnce({ Items: [{ _id: 'b', ok: true }] }),
+      };
+      const page = await findPage(client, 'credits', {}, INDEXES, { limit: 1, predicate: it => it.ok });
+      expect(page.items.map(i => i._id)).toEqual(['b']);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    it('should reject a cursor issued for a different index', async () => {
+      const client = { send: jest.fn() };
+      const cursor = encodeCursor({ _id: 'a' }, 'status-type-index');
+      await expect(findPage(client, 'credits', { faculty: 'f1' }, INDEXES, { limit: 1, cursor }))
+        .rejects.toMatchObject({ status: 400 });
+      expect(client.send).not.toHaveBeenCalled();
+    });
+
+    it('should only order by indexes ranged on orderBy', async () => {
+      const indexes = [...INDEXES, { name: 'type-createdAt-index', hashKey: 'type', rangeKey: 'createdAt' }];
+      const client = { send: jest.fn().mockResolvedValue({ Items: [] }) };
+      await findPage(client, 'credits', { status: 'pending', type: 'positive' }, indexes, { limit: 5, orderBy: 'createdAt', descending: true });
+      expect(client.send.mock.calls[0][0].input).toMatchObject({
+        IndexName: 'type-createdAt-index',
+        KeyConditionExpression: '#type = :type',
+        FilterExpression: '#status = :status',
+      });
+
+      await expect(findPage(client, 'credits', { status: 'pending' }, INDEXES, { limit: 5, orderBy: 'createdAt' }))
+        .rejects.toMatchObject({ status: 400, message: 'Ordering by createdAt needs a filter on one of: faculty' });
+    });
+
+    it('should page by Scan while the index is missing and keep scanning with its cursor', async () => {
+      const missing = Object.assign(new Error('The table does not have the specified index'), { name: 'ValidationException' });
+      const client = {
+        send: jest.fn()
+          .mockRejectedValueOnce(missing)
+          .mockResolvedValueOnce({ Items: [{ _id: 'a', faculty: 'f1' }], LastEvaluatedKey: { _id: 'a' } }),
+      };
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const page = await findPage(client, 'credits', { faculty: 'f1' }, INDEXES, { limit: 1 });
+      expect(page.items.map(i => i._id)).toEqual(['a']);
+      expect(client.send.mock.calls[1][0].constructor.name).toBe('ScanCommand');
+      expect(client.send.mock.calls[1][0].input.FilterExpression).toBe('#faculty = :faculty');
+
+      client.send.mockResolvedValueOnce({ Items: [{ _id: 'b', faculty: 'f1' }] });
+      const next = await findPage(client, 'credits', { faculty: 'f1' }, INDEXES, { limit: 1, cursor: page.nextCursor });
+      expect(next.items.map(i => i._id)).toEqual(['b']);
+      expect(client.send.mock.calls[2][0].constructor.name).toBe('ScanCommand');
+      expect(client.send.mock.calls[2][0].input.ExclusiveStartKey).toEqual({ _id: 'a' });
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('pagination helpers', () => {
+    it('should reject malformed cursors with a 400', () => {
+      expect(() => decodeCursor('not-a-cursor')).toThrow('Invalid cursor');
+    });
+
+    it('should clamp limits', () => {
+      expect(parseLimit(undefined)).toBe(20);
+      expect(parseLimit('500')).toBe(100);
+      expect(parseLimit('0')).toBe(1);
+    });
+  });
+});
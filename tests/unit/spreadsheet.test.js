@@ -0,0 +1,32 @@
+const XLSX = require('xlsx');
+const { headerKey, readSheetRows } = require('../../utils/spreadsheet');
+
+const byKey = (fields) => (headers) => Object.fromEntries(headers
+  .filter((h) => fields[headerKey(h)])
+  .map((h) => [h, fields[headerKey(h)]]));
+
+describe('spreadsheet Utility', () => {
+  it('should normalise headers', () => {
+    expect(['Faculty ID', 'faculty_id', 'Faculty-Id', 'FACULTYID'].map(headerKey)).toEqual(Array(4).fill('facultyid'));
+  });
+
+  it('should keep trimmed, non-empty cells of the mapped columns with their row numbers', () => {
+    const csv = Buffer.from('Faculty ID,Notes,Ignored\n EGSP1 ,,x\nEGSP2,Late,y\n');
+    const { columns, rows } = readSheetRows(csv, byKey({ facultyid: 'facultyID', notes: 'notes' }));
+    expect(columns).toEqual({ 'Faculty ID': 'facultyID', Notes: 'notes' });
+    expect(rows).toEqual([
+      { row: 2, values: { facultyID: 'EGSP1' } },
+      { row: 3, values: { facultyID: 'EGSP2', notes: 'Late' } },
+    ]);
+  });
+
+  it('should read XLSX and refuse empty or oversized sheets', () => {
+    const book = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(book, XLSX.utils.json_to_sheet([{ Points: 5 }, { Points: 6 }]), 'Sheet1');
+    const buffer = XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+
+    expect(readSheetRows(buffer, byKey({ points: 'points' })).rows[0].values).toEqual({ points: '5' });
+    expect(() => readSheetRows(buffer, byKey({}), { maxRows: 1 })).toThrow(expect.objectContaining({ status: 400, message: 'At most 1 rows per file' }));
+    expect(() => readSheetRows(Buffer.from('Points\n'), byKey({}))).toThrow('The file has no rows');
+  });
+});
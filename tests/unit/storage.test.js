@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('@aws-sdk/client-s3', () => {
+  const send = jest.fn().mockResolvedValue({});
+  return {
+    send,
+    S3Client: jest.fn(() => ({ send })),
+    PutObjectCommand: jest.fn((input) => ({ input })),
+    GetObjectCommand: jest.fn((input) => ({ input })),
+  };
+});
+
+const s3Sdk = require('@aws-sdk/client-s3');
+const { getStorage } = require('../../utils/storage');
+
+describe('storage Utility', () => {
+  const env = { ...process.env };
+  let dir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fcs-storage-'));
+    process.env.LOCAL_STORAGE_DIR = dir;
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should pick the driver from STORAGE_DRIVER and check its settings', () => {
+    process.env.STORAGE_DRIVER = 'local';
+    expect(getStorage().name).toBe('local');
+
+    process.env.STORAGE_DRIVER = 'ftp';
+    expect(() => getStorage()).toThrow(/Unknown STORAGE_DRIVER/);
+
+    delete process.env.S3_BUCKET;
+    expect(() => getStorage('s3')).toThrow('s3 storage not configured. Set S3_BUCKET.');
+  });
+
+  it('should store and read back files on local disk', async () => {
+    const local = getStorage('local');
+    const { url } = await local.put('credits/2024-2025/1_cert one.pdf', Buffer.from('certificate'));
+    expect(url).toBe(`file://${path.join(dir, 'credits/2024-2025/1_cert one.pdf')}`);
+    expect(fs.readFileSync(path.join(dir, 'credits/2024-2025/1_cert one.pdf'), 'utf8')).toBe('certificate');
+
+    expect((await local.stat('credits/2024-2025/1_cert one.pdf')).size).toBe(11);
+    const { stream } = await local.read('credits/2024-2025/1_cert one.pdf', url, { start: 0, end: 3 });
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    expect(Buffer.concat(chunks).toString()).toBe('cert');
+
+    await expect(local.put('../outside.txt', Buffer.from('x'))).rejects.toThrow(/Invalid storage key/);
+  });
+
+  it('should put objects in the S3 bucket and build their URLs', async () => {
+    process.env.S3_BUCKET = 'proofs';
+    process.env.S3_PUBLIC_URL = 'https://files.example.org/';
+    const s3 = getStorage('s3');
+
+    const { url } = await s3.put('credits/a b.pdf', Buffer.from('x'), { contentType: 'application/pdf' });
+    expect(url).toBe('https://files.example.org/credits/a%20b.pdf');
+    expect(s3Sdk.PutObjectCommand).toHaveBeenCalledWith(expect.objectContaining({
+      Bucket: 'proofs', Key: 'credits/a b.pdf', ContentType: 'application/pdf',
+    }));
+    expect(s3Sdk.send).toHaveBeenCalledTimes(1);
+
+    delete process.env.S3_PUBLIC_URL;
+    process.env.S3_ENDPOINT = 'http://localhost:9000';
+    expect((await s3.put('k.pdf', Buffer.from('x'))).url).toBe('http://localhost:9000/proofs/k.pdf');
+  });
+});
@@ -0,0 +1,32 @@
+const { createThrottledQueue } = require('../../utils/throttledQueue');
+
+describe('throttledQueue Utility', () => {
+  it('should run tasks one at a time, in order, spaced by the interval', async () => {
+    const queue = createThrottledQueue({ intervalMs: 30 });
+    const starts = [];
+    const task = (n) => async () => {
+      starts.push({ n, at: Date.now() });
+      return n;
+    };
+
+    const results = await Promise.all([queue.push(task(1)), queue.push(task(2)), queue.push(task(3))]);
+
+    expect(results.map((r) => r.value)).toEqual([1, 2, 3]);
+    expect(starts.map((s) => s.n)).toEqual([1, 2, 3]);
+    expect(starts[2].at - starts[1].at).toBeGreaterThanOrEqual(25);
+  });
+
+  it('should keep going after a failing task', async () => {
+    const queue = createThrottledQueue({ intervalMs: 0 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const failed = queue.push(async () => { throw new Error('smtp down'); });
+    const next = queue.push(async () => 'sent');
+
+    expect(await failed).toMatchObject({ ok: false, error: expect.objectContaining({ message: 'smtp down' }) });
+    expect(await next).toEqual({ ok: true, value: 'sent' });
+    await queue.onIdle();
+    expect(queue.size()).toBe(0);
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,153 @@
+const net = require('net');
+const { inspectFile, detectType } = require('../../utils/uploadInspection');
+
+const file = (originalname, content) => ({ originalname, buffer: Buffer.isBuffer(content) ? content : Buffer.from(content, 'latin1') });
+const PDF = '%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\nxref\ntrailer << /Root 1 0 R >>\nstartxref\n9\n%%EOF\n';
+
+// Central directory only: the inspection never unpacks entries
+function zipOf(entries) {
+  const records = entries.map(({ name, size, compressed = size, flags = 0 }) => {
+    const record = Buffer.alloc(46 + name.length);
+    record.writeUInt32LE(0x02014b50, 0);
+    record.writeUInt16LE(flags, 8);
+    record.writeUInt32LE(compressed, 20);
+    record.writeUInt32LE(size, 24);
+    record.writeUInt16LE(name.length, 28);
+    record.write(name, 46, 'latin1');
+    return record;
+  });
+  const local = Buffer.from('504b030414000000', 'hex');
+  const cd = Buffer.concat(records);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(cd.length, 12);
+  eocd.writeUInt32LE(local.length, 16);
+  return Buffer.concat([local, cd, eocd]);
+}
+
+// JPEG whose EXIF has a GPS directory with a latitude (3 rationals)
+function jpegWithGps() {
+  const tiff = Buffer.alloc(8 + 18 + 18 + 24);
+  tiff.write('II', 0, 'latin1');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+  tiff.writeUInt16LE(1, 8); // IFD0: GPS pointer
+  tiff.writeUInt16LE(0x8825, 10);
+  tiff.writeUInt16LE(4, 12);
+  tiff.writeUInt32LE(1, 14);
+  tiff.writeUInt32LE(26, 18);
+  tiff.writeUInt16LE(1, 26); // GPS IFD: latitude
+  tiff.writeUInt16LE(2, 28);
+  tiff.writeUInt16LE(5, 30);
+  tiff.writeUInt32LE(3, 32);
+  tiff.writeUInt32LE(44, 36);
+  for (let i = 0; i < 6; i += 1) tiff.writeUInt32LE(13 + i, 44 + i * 4);
+
+  const exif = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const app1 = Buffer.alloc(4);
+  app1.writeUInt16BE(0xffe1, 0);
+  app1.writeUInt16BE(exif.length + 2, 2);
+  return Buffer.concat([Buffer.from('ffd8', 'hex'), app1, exif, Buffer.from('ffdaffd9', 'hex')]);
+}
+
+describe('uploadInspection Utility', () => {
+  const env = { ...process.env };
+  afterEach(() => { process.env = { ...env }; });
+
+  it('should accept files whose content matches the extension and record the verdict', async () => {
+    const f = file('certificate.PDF', PDF);
+    f.mimetype = 'text/html';
+    const inspection = await inspectFile(f);
+    expect(inspection).toEqual(expect.objectContaining({
+      verdict: 'clean', declaredType: 'pdf', detectedType: 'pdf', checks: ['signature', 'pdf-structure'],
+      scan: { engine: 'clamav', result: 'skipped' },
+    }));
+    expect(f.inspection).toBe(inspection);
+    expect(f.mimetype).toBe('application/pdf');
+  });
+
+  it('should refuse renamed executables and mismatched content', async () => {
+    expect(detectType(Buffer.from('MZ\x90\x00', 'latin1'))).toBe('executable');
+    await expect(inspectFile(file('proof.pdf', 'MZ\x90\x00\x03'))).rejects.toMatchObject({ status: 415 });
+    await expect(inspectFile(file('photo.png', PDF))).rejects.toMatchObject({ status: 415 });
+    await expect(inspectFile(file('notes.txt', PDF))).rejects.toMatchObject({ status: 415 });
+    await expect(inspectFile(file('empty.pdf', ''))).rejects.toMatchObject({ status: 422 });
+  });
+
+  it('should refuse encrypted and damaged PDFs', async () => {
+    await expect(inspectFile(file('a.pdf', PDF.replace('/Root 1 0 R', '/Root 1 0 R /Encrypt 5 0 R'))))
+      .rejects.toThrow(/encrypted/);
+    await expect(inspectFile(file('a.pdf', PDF.slice(0, 40)))).rejects.toThrow(/damaged/);
+  });
+
+  it('should refuse encrypted, nested and oversized archives', async () => {
+    await expect(inspectFile(file('a.zip', zipOf([{ name: 'a.txt', size: 10 }])))).resolves.toMatchObject({ verdict: 'clean' });
+    await expect(inspectFile(file('a.zip', zipOf([{ name: 'a.txt', size: 10, flags: 1 }])))).rejects.toThrow(/Password/);
+    await expect(inspectFile(file('a.zip', zipOf([{ name: 'inner.zip', size: 10 }])))).rejects.toThrow(/inside archives/);
+    await expect(inspectFile(file('a.zip', zipOf([{ name: 'a.txt', size: 100 * 1024 * 1024, compressed: 1000 }]))))
+      .rejects.toThrow(/archive bomb/);
+    await expect(inspectFile(file('a.zip', zipOf(Array.from({ length: 3 }, (_, i) => ({ name: `${i}.txt`, size: 90 * 1024 * 1024 }))))))
+      .rejects.toThrow(/once unpacked/);
+    await expect(inspectFile(file('report.docx', zipOf([{ name: 'a.txt', size: 10 }])))).rejects.toMatchObject({ status: 415 });
+  });
+
+  it('should check text files and refuse SVGs with scripts', async () => {
+    await expect(inspectFile(file('data.json', '{"a":1}'))).resolves.toMatchObject({ detectedType: 'text' });
+    await expect(inspectFile(file('data.json', '{"a":'))).rejects.toMatchObject({ status: 415 });
+    await expect(inspectFile(file('logo.svg', '<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).resolves.toMatchObject({ verdict: 'clean' });
+    await expect(inspectFile(file('logo.svg', '<svg onload="alert(1)"></svg>'))).rejects.toThrow(/scripts/);
+  });
+
+  it('should wipe EXIF GPS coordinates from images', async () => {
+    const original = jpegWithGps();
+    const f = file('photo.jpg', original);
+    const inspection = await inspectFile(f);
+
+    expect(inspection).toEqual(expect.objectContaining({ verdict: 'sanitized', sanitized: ['exif-gps'] }));
+    expect(f.buffer).not.toBe(original);
+    expect(f.buffer.length).toBe(original.length);
+    expect(f.buffer.includes(Buffer.from([13, 0, 0, 0]))).toBe(false);
+    expect(original.includes(Buffer.from([13, 0, 0, 0]))).toBe(true);
+  });
+
+  describe('virus scan', () => {
+    let server;
+    const listen = (reply) => new Promise((resolve) => {
+      server = net.createServer((socket) => {
+        socket.on('data', (data) => {
+          if (data.subarray(-4).equals(Buffer.alloc(4))) socket.end(`stream: ${reply}\0`);
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        process.env.CLAMAV_HOST = '127.0.0.1';
+        process.env.CLAMAV_PORT = String(server.address().port);
+        resolve();
+      });
+    });
+
+    afterEach(() => new Promise((resolve) => (server ? server.close(resolve) : resolve())));
+
+    it('should pass clean files and refuse infected ones', async () => {
+      await listen('OK');
+      await expect(inspectFile(file('a.pdf', PDF))).resolves.toMatchObject({
+        scan: { engine: 'clamav', result: 'clean' },
+        checks: ['signature', 'pdf-structure', 'virus-scan'],
+      });
+      await new Promise((resolve) => server.close(resolve));
+
+      await listen('Eicar-Test-Signature FOUND');
+      await expect(inspectFile(file('a.pdf', PDF))).rejects.toThrow('File rejected by virus scan (Eicar-Test-Signature)');
+    });
+
+    it('should only refuse files when the scanner is down if a scan is required', async () => {
+      await listen('OK');
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+
+      await expect(inspectFile(file('a.pdf', PDF))).resolves.toMatchObject({ scan: expect.objectContaining({ result: 'error' }) });
+      process.env.CLAMAV_REQUIRED = 'true';
+      await expect(inspectFile(file('a.pdf', PDF))).rejects.toMatchObject({ status: 503 });
+    });
+  });
+});
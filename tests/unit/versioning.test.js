@@ -0,0 +1,79 @@
+const { readExpectedVersion, checkVersion, versionedUpdate } = require('../../utils/versioning');
+
+const reqWith = ({ header, body = {} }) => ({
+  get: (name) => (name === 'If-Match' ? header : undefined),
+  body,
+});
+
+describe('versioning Utility', () => {
+  describe('readExpectedVersion', () => {
+    it('should read quoted and weak If-Match values', () => {
+      expect(readExpectedVersion(reqWith({ header: '"3"' }))).toBe(3);
+      expect(readExpectedVersion(reqWith({ header: 'W/"4"' }))).toBe(4);
+    });
+
+    it('should fall back to body.version and ignore a missing version', () => {
+      expect(readExpectedVersion(reqWith({ body: { version: '2' } }))).toBe(2);
+      expect(readExpectedVersion(reqWith({}))).toBeUndefined();
+    });
+
+    it('should reject a non-numeric version with a 400', () => {
+      expect(() => readExpectedVersion(reqWith({ header: 'abc' }))).toThrow('Invalid version');
+    });
+  });
+
+  describe('checkVersion', () => {
+    it('should treat items without a version as version 0', () => {
+      expect(checkVersion({ _id: 'a' }, undefined)).toBe(0);
+      expect(checkVersion({ _id: 'a' }, 0)).toBe(0);
+    });
+
+    it('should throw a 409 with the current item on mismatch', () => {
+      const item = { _id: 'a', version: 5 };
+      expect(() => checkVersion(item, 4)).toThrow(expect.objectContaining({ status: 409, current: item }));
+    });
+  });
+
+  describe('versionedUpdate', () => {
+    it('should bump the version and condition on the expected one', async () => {
+      const client = { send: jest.fn().mockResolvedValue({ Attributes: { _id: 'a', status: 'pending', version: 2 } }) };
+      const { before, after } = await versionedUpdate(client, 'credits', 'a', { status: 'approved', version: 99 }, { expectedVersion: 2 });
+
+      const input = client.send.mock.calls[0][0].input;
+      expect(input.UpdateExpression).toBe('SET #status = :status, #version = if_not_exists(#version, :_vZero) + :_vOne');
+      expect(input.ConditionExpression).toBe('attribute_exists(#_id) AND #version = :_vExpected');
+      expect(input.ExpressionAttributeValues[':_vExpected']).toBe(2);
+      expect(before.status).toBe('pending');
+      expect(after).toEqual({ _id: 'a', status: 'approved', version: 3 });
+    });
+
+    it('should REMOVE attributes listed in options.remove', async () => {
+      const client = { send: jest.fn().mockResolvedValue({ Attributes: { _id: 'a', approvalStage: 'hod', version: 1 } }) };
+      const { after } = await versionedUpdate(client, 'credits', 'a', { status: 'approved' }, { remove: ['approvalStage'] });
+
+      const input = client.send.mock.calls[0][0].input;
+      expect(input.UpdateExpression).toMatch(/ REMOVE #approvalStage$/);
+      expect(input.ExpressionAttributeNames['#approvalStage']).toBe('approvalStage');
+      expect(after.approvalStage).toBeUndefined();
+    });
+
+    it('should turn a failed condition into a 409 carrying the stored item', async () => {
+      const failed = Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+      const stored = { _id: 'a', status: 'rejected', version: 3 };
+      const client = {
+        send: jest.fn()
+          .mockRejectedValueOnce(failed)
+          .mockResolvedValueOnce({ Item: stored }),
+      };
+      await expect(versionedUpdate(client, 'credits', 'a', { status: 'approved' }, { expectedVersion: 2 }))
+        .rejects.toMatchObject({ status: 409, current: stored });
+    });
+
+    it('should report a missing item as a 404', async () => {
+      const failed = Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+      const client = { send: jest.fn().mockRejectedValueOnce(failed).mockResolvedValueOnce({}) };
+      await expect(versionedUpdate(client, 'credits', 'a', { status: 'approved' }))
+        .rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
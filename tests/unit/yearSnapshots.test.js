@@ -0,0 +1,102 @@
+jest.mock('../../config/db', () => ({ connectDB: jest.fn() }));
+jest.mock('../../Models/AcademicYear', () => ({
+  findById: jest.fn(),
+  findByLabel: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+}));
+jest.mock('../../Models/CreditSnapshot', () => ({ put: jest.fn() }));
+jest.mock('../../Models/User', () => ({ find: jest.fn() }));
+jest.mock('../../utils/calculateCredits', () => ({ recalcFacultyCredits: jest.fn() }));
+
+const AcademicYear = require('../../Models/AcademicYear');
+const CreditSnapshot = require('../../Models/CreditSnapshot');
+const User = require('../../Models/User');
+const { recalcFacultyCredits } = require('../../utils/calculateCredits');
+const { snapshotAcademicYear, queueYearSnapshots } = require('../../utils/yearSnapshots');
+const { schemas } = require('../../utils/validation');
+const { rolloverAcademicYear } = require('../../Controllers/Admin/AcademicYearController');
+
+const cycle = { _id: 'y1', label: '2024-2025', state: 'open', version: 4 };
+const metrics = { positiveByYear: { '2024-2025': 10 }, negativeByYear: {}, netByYear: { '2024-2025': 10 }, runningTotal: 12 };
+
+function mockRes() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('yearSnapshots Utility', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AcademicYear.update.mockImplementation(async (id, data) => ({ ...cycle, _id: id, ...data }));
+  });
+
+  it('should snapshot every faculty and record the outcome on the year', async () => {
+    User.find.mockResolvedValue([{ _id: 'f1', name: 'A' }, { _id: 'f2', name: 'B' }]);
+    recalcFacultyCredits.mockResolvedValueOnce(metrics).mockRejectedValueOnce(new Error('boom'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await snapshotAcademicYear(cycle);
+    console.error.mockRestore();
+
+    expect(result).toEqual({ snapshots: 1, failed: [{ facultyId: 'f2', error: 'boom' }] });
+    expect(CreditSnapshot.put).toHaveBeenCalledWith(expect.objectContaining({ academicYear: '2024-2025', faculty: 'f1', net: 10, runningTotal: 12 }));
+    expect(AcademicYear.update.mock.calls.map(([, data]) => data.snapshotStatus)).toEqual(['running', 'partial']);
+    expect(AcademicYear.update).toHaveBeenLastCalledWith('y1', expect.objectContaining({ snapshotCount: 1 }));
+  });
+
+  it('should mark the run failed when faculty cannot be listed', async () => {
+    User.find.mockRejectedValue(new Error('table missing'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const outcome = await queueYearSnapshots(cycle);
+    console.error.mockRestore();
+
+    expect(outcome.ok).toBe(false);
+    expect(AcademicYear.update).toHaveBeenLastCalledWith('y1', expect.objectContaining({ snapshotStatus: 'failed' }));
+  });
+
+  it('should accept an audit reason on year updates', () => {
+    expect(schemas.academicYear.update.validate({ state: 'locked', reason: 'Appraisal closed' }).error).toBeUndefined();
+    expect(schemas.academicYear.update.validate({ reason: 'x'.repeat(501) }).error).toBeDefined();
+  });
+
+  describe('rolloverAcademicYear', () => {
+    const req = {
+      params: { id: 'y1' },
+      body: { label: '2025-2026', startDate: '2025-06-01', endDate: '2026-05-31' },
+      user: { _id: 'admin1' },
+      get: () => undefined,
+    };
+
+    it('should lock and record the rollover in one conditional write and answer before the snapshots', async () => {
+      AcademicYear.findById.mockResolvedValue(cycle);
+      AcademicYear.findByLabel.mockResolvedValue(null);
+      AcademicYear.create.mockImplementation(async (data) => ({ _id: 'y2', ...data }));
+      User.find.mockReturnValue(new Promise(() => {})); // snapshot run still going
+
+      const res = mockRes();
+      await rolloverAcademicYear(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(res.json.mock.calls[0][0].data).toEqual(expect.objectContaining({ closed: '2024-2025', snapshotStatus: 'queued' }));
+      expect(AcademicYear.update).toHaveBeenCalledWith('y1', expect.objectContaining({
+        state: 'locked', rolledOverTo: '2025-2026', rolledOverBy: 'admin1', snapshotStatus: 'queued',
+      }), { expectedVersion: 4, reason: 'Rollover to 2025-2026' });
+      expect(AcademicYear.create).toHaveBeenCalledWith(expect.objectContaining({ label: '2025-2026', state: 'open' }));
+      expect(recalcFacultyCredits).not.toHaveBeenCalled();
+    });
+
+    it('should open nothing when the conditional write loses a race', async () => {
+      AcademicYear.findById.mockResolvedValue(cycle);
+      AcademicYear.update.mockRejectedValueOnce(Object.assign(new Error('modified'), { status: 409 }));
+      const next = jest.fn();
+
+      await rolloverAcademicYear(req, mockRes(), next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409 }));
+      expect(AcademicYear.create).not.toHaveBeenCalled();
+    });
+  });
+});
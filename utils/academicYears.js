@@ -0,0 +1,96 @@
+// utils/academicYears.js
+'use strict';
+
+const AcademicYear = require('../Models/AcademicYear');
+
+/**
+ * Academic year (appraisal cycle) rules for credit writes.
+ *
+ * - open:     credits can be submitted, issued, decided and appealed
+ * - locked:   read-only; reports still include it
+ * - archived: read-only and hidden from the faculty's year pickers
+ */
+const CYCLE_STATES = ['open', 'locked', 'archived'];
+
+function cycleError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Legacy guess used when no cycle covers a date: academic years start in July.
+ * @param {Date|string} date
+ * @returns {string} e.g. '2024-2025'
+ */
+function inferAcademicYear(date) {
+  const dt = date ? new Date(date) : new Date();
+  const y = dt.getFullYear();
+  return dt.getMonth() + 1 >= 7 ? `${y}-${y + 1}` : `${y - 1}-${y}`;
+}
+
+/**
+ * Cycle whose start/end dates contain `date`, or null.
+ * @param {Object[]} cycles
+ * @param {Date|string} date
+ */
+function cycleForDate(cycles, date) {
+  const t = new Date(date).getTime();
+  return cycles.find((c) => new Date(c.startDate).getTime() <= t && t <= new Date(c.endDate).getTime()) || null;
+}
+
+/**
+ * Academic year label for a date: the configured cycle when there is one,
+ * the July guess otherwise.
+ */
+function academicYearForDate(cycles, date) {
+  const cycle = cycleForDate(cycles, date || new Date());
+  return cycle ? cycle.label : inferAcademicYear(date);
+}
+
+/**
+ * The open cycle covering today, else the most recently started open cycle.
+ * @param {Object[]} cycles
+ * @returns {Object|null}
+ */
+function currentCycle(cycles, now = new Date()) {
+  const open = cycles.filter((c) => c.state === 'open');
+  const covering = cycleForDate(open, now);
+  if (covering) return covering;
+  return open.sort((a, b) => String(b.startDate).localeCompare(String(a.startDate)))[0] || null;
+}
+
+/**
+ * Check that a credit may be written in `label`'s cycle.
+ * Until the first cycle is created every label is accepted, as before.
+ * @param {string} label - credit.academicYear
+ * @param {Object} [options]
+ * @param {'submission'|'appeal'} [options.deadline] - also enforce this cycle deadline (faculty actions)
+ * @returns {Promise<Object|null>} the cycle, or null when no cycles are configured
+ * @throws 400 for an unknown year, 403 for a locked/archived cycle or a passed deadline
+ */
+async function assertYearWritable(label, { deadline, now = new Date() } = {}) {
+  const cycles = await AcademicYear.find();
+  if (cycles.length === 0) return null;
+
+  const cycle = cycles.find((c) => c.label === String(label || '').trim());
+  if (!cycle) throw cycleError(`Unknown academic year "${label}"`, 400);
+  if (cycle.state !== 'open') throw cycleError(`Academic year ${cycle.label} is ${cycle.state}`, 403);
+
+  const limit = deadline === 'submission' ? cycle.submissionDeadline
+    : deadline === 'appeal' ? cycle.appealDeadline
+      : null;
+  if (limit && now.getTime() > new Date(limit).getTime()) {
+    throw cycleError(`The ${deadline} deadline for ${cycle.label} has passed`, 403);
+  }
+  return cycle;
+}
+
+module.exports = {
+  CYCLE_STATES,
+  inferAcademicYear,
+  cycleForDate,
+  academicYearForDate,
+  currentCycle,
+  assertYearWritable,
+};
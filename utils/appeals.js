@@ -0,0 +1,100 @@
+// utils/appeals.js
+'use strict';
+
+const { newObjectId } = require('./objectId');
+
+// Appeals a faculty may file per negative credit (until an admin re-opens the window)
+const MAX_APPEALS = 2;
+
+/**
+ * All appeals filed on a credit, oldest first.
+ * Credits store them in `appeals`; `appeal` mirrors the latest one so older
+ * readers keep working. Credits written before the history existed only
+ * have `appeal`, which becomes a one-entry history.
+ * @param {Object} credit
+ * @returns {Array<Object>}
+ */
+function appealHistory(credit) {
+  if (!credit) return [];
+  if (Array.isArray(credit.appeals)) return credit.appeals.slice();
+  return credit.appeal && credit.appeal.by ? [credit.appeal] : [];
+}
+
+/**
+ * Latest appeal (including withdrawn ones), or null.
+ */
+function latestAppeal(credit) {
+  const history = appealHistory(credit);
+  return history.length > 0 ? history[history.length - 1] : null;
+}
+
+/**
+ * The credit's live appeal: the latest one unless the faculty withdrew it, or null.
+ */
+function currentAppeal(credit) {
+  const latest = latestAppeal(credit);
+  return latest && latest.by && latest.status !== 'withdrawn' ? latest : null;
+}
+
+/**
+ * Appeals counted against MAX_APPEALS: those filed since the window was last
+ * re-opened (`appealsResetAt`). `appealCount` is kept in step with it and
+ * still covers appeals withdrawn before the history existed.
+ */
+function appealAttempts(credit) {
+  const since = credit.appealsResetAt || '';
+  const filed = appealHistory(credit).filter((a) => (a.createdAt || '') > since).length;
+  return Math.max(filed, credit.appealCount || 0);
+}
+
+/**
+ * Build a new pending appeal record.
+ * @param {Object} data - { by, reason, proofUrl?, proofMeta? }
+ */
+function newAppealRecord({ by, reason, proofUrl, proofMeta }) {
+  const now = new Date().toISOString();
+  const record = {
+    _id: newObjectId(),
+    by: String(by),
+    reason,
+    status: 'pending',
+    createdAt: now,
+    updatedAt: now,
+    reviewedBy: null,
+    reviewedAt: null,
+    notes: null,
+  };
+  if (proofUrl) {
+    record.proofUrl = proofUrl;
+    record.proofMeta = proofMeta;
+  }
+  return record;
+}
+
+/**
+ * Credit fields for filing a new appeal.
+ */
+function appendAppeal(credit, record) {
+  return { appeals: [...appealHistory(credit), record], appeal: record };
+}
+
+/**
+ * Credit fields for changing the latest appeal (edit, decision, withdrawal).
+ * Earlier appeals are left untouched.
+ */
+function replaceLatestAppeal(credit, record) {
+  const history = appealHistory(credit);
+  history[history.length - 1] = record;
+  return { appeals: history, appeal: record };
+}
+
+module.exports = {
+  MAX_APPEALS,
+  appealHistory,
+  latestAppeal,
+  currentAppeal,
+  appealAttempts,
+  newAppealRecord,
+  appendAppeal,
+  replaceLatestAppeal,
+};
@@ -0,0 +1,204 @@
+// utils/approvalWorkflow.js
+'use strict';
+
+const ApprovalWorkflow = require('../Models/ApprovalWorkflow');
+
+/**
+ * Review stages a workflow can chain. `scope` lists the facultySnapshot
+ * fields a reviewer must share with the submitting faculty (an HOD only
+ * reviews their own department, a Principal their own college).
+ */
+const STAGES = {
+  hod: { label: 'HOD', scope: ['college', 'department'] },
+  principal: { label: 'Principal', scope: ['college'] },
+  iqac: { label: 'IQAC', scope: [] },
+};
+
+const DECISIONS = ['approve', 'reject', 'return'];
+
+// Credit fields the reviewers sign off on
+const REVIEWED_FIELDS = ['title', 'points', 'academicYear', 'pointsBreakdown', 'proofUrl', 'proofHash', 'attachments'];
+
+function same(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * How well a workflow fits a credit: -1 when one of its set fields differs,
+ * otherwise credit title (4) > department (2) > college (1).
+ */
+function matchScore(workflow, credit) {
+  const snap = credit.facultySnapshot || {};
+  const titles = [credit.creditTitle, ...(credit.categories || [])].filter(Boolean).map(String);
+  let score = 0;
+
+  if (workflow.creditTitle) {
+    if (!titles.includes(String(workflow.creditTitle))) return -1;
+    score += 4;
+  }
+  if (workflow.department) {
+    if (!same(workflow.department, snap.department)) return -1;
+    score += 2;
+  }
+  if (workflow.college) {
+    if (!same(workflow.college, snap.college)) return -1;
+    score += 1;
+  }
+  return score;
+}
+
+/**
+ * Stages a new positive credit must pass. An empty list means no workflow is
+ * configured and an admin decides directly (updatePositiveCreditStatus).
+ * @param {Object} credit - credit being submitted (needs facultySnapshot/categories)
+ * @returns {Promise<string[]>}
+ */
+async function resolveStages(credit) {
+  const workflows = await ApprovalWorkflow.find({ isActive: true });
+  let best = null;
+  let bestScore = -1;
+  workflows.forEach((wf) => {
+    const score = matchScore(wf, credit);
+    if (score > bestScore || (score === bestScore && best && (wf.updatedAt || '') > (best.updatedAt || ''))) {
+      best = wf;
+      bestScore = score;
+    }
+  });
+  return best ? (best.stages || []).filter((s) => STAGES[s]) : [];
+}
+
+/**
+ * Credit fields that put a new submission at the first stage.
+ */
+function startApproval(stages) {
+  if (!stages || stages.length === 0) return {};
+  return {
+    approval: { stages, currentStage: 0, decisions: [] },
+    approvalStage: stages[0],
+  };
+}
+
+/**
+ * Stage the credit is waiting on, or null when it is not in review.
+ */
+function pendingStage(credit) {
+  const approval = credit.approval;
+  if (!approval || credit.status !== 'pending') return null;
+  return approval.stages[approval.currentStage] || null;
+}
+
+/**
+ * Whether `user` may review `credit` at `stage`: they hold the reviewer role,
+ * share the stage's scope with the submitting faculty and are not that faculty.
+ */
+function canReview(user, stage, credit) {
+  if (!user || !STAGES[stage]) return false;
+  if (!(user.reviewerRoles || []).includes(stage)) return false;
+  if (String(credit.faculty) === String(user._id)) return false;
+  const snap = credit.facultySnapshot || {};
+  return STAGES[stage].scope.every((field) => same(user[field], snap[field]));
+}
+
+/**
+ * Whether `user` reviews `faculty`'s submissions at some stage, whatever
+ * their credits are currently waiting on.
+ */
+function reviewsFaculty(user, faculty) {
+  if (!user || !faculty) return false;
+  return (user.reviewerRoles || []).some((stage) =>
+    STAGES[stage] && STAGES[stage].scope.every((field) => same(user[field], faculty[field])));
+}
+
+/**
+ * Credit update for a reviewer decision at the current stage.
+ * approve: move to the next stage, or mark the credit approved after the last one.
+ * reject: the credit is rejected. return: the faculty must revise and resubmit;
+ * it comes back to the same stage.
+ * @param {Object} credit
+ * @param {Object} decision - { reviewer, decision, comment }
+ * @returns {{ data: Object, remove: string[] }} - fields for Credit.update and attributes to remove
+ */
+function applyDecision(credit, { reviewer, decision, comment }) {
+  const approval = credit.approval;
+  const stage = approval.stages[approval.currentStage];
+  const now = new Date().toISOString();
+  const decisions = [...(approval.decisions || []), {
+    stage,
+    reviewer: String(reviewer._id),
+    reviewerName: reviewer.name || null,
+    decision,
+    comment: comment || null,
+    at: now,
+  }];
+
+  const nextIndex = approval.currentStage + 1;
+  if (decision === 'approve' && nextIndex < approval.stages.length) {
+    return {
+      data: { approval: { ...approval, currentStage: nextIndex, decisions }, approvalStage: approval.stages[nextIndex], updatedAt: now },
+      remove: [],
+    };
+  }
+
+  const status = { approve: 'approved', reject: 'rejected', return: 'returned' }[decision];
+  return {
+    data: { approval: { ...approval, decisions }, status, updatedAt: now },
+    remove: ['approvalStage'],
+  };
+}
+
+/**
+ * Credit update for a faculty resubmitting a returned credit.
+ */
+function resubmit(credit, { faculty, comment }) {
+  const approval = credit.approval;
+  const stage = approval.stages[approval.currentStage];
+  const decisions = [...(approval.decisions || []), {
+    stage,
+    reviewer: String(faculty._id),
+    reviewerName: faculty.name || null,
+    decision: 'resubmit',
+    comment: comment || null,
+    at: new Date().toISOString(),
+  }];
+  return { approval: { ...approval, decisions }, approvalStage: stage, status: 'pending' };
+}
+
+/**
+ * Credit update for a faculty editing a pending credit that has already
+ * passed a stage: when a reviewed field changes, the credit goes back to the
+ * first stage, so every stage approves the same content. Earlier decisions
+ * stay in the history. Empty when nothing has to be reviewed again.
+ * @param {Object} credit - credit before the edit
+ * @param {Object} updates - fields being saved
+ * @param {Object} faculty - editing user
+ */
+function restartApproval(credit, updates, faculty) {
+  const approval = credit.approval;
+  if (!approval || credit.status !== 'pending' || !approval.currentStage) return {};
+  const changed = REVIEWED_FIELDS.some((field) =>
+    field in updates && JSON.stringify(updates[field]) !== JSON.stringify(credit[field]));
+  if (!changed) return {};
+
+  const decisions = [...(approval.decisions || []), {
+    stage: approval.stages[approval.currentStage],
+    reviewer: String(faculty._id),
+    reviewerName: faculty.name || null,
+    decision: 'edit',
+    comment: null,
+    at: new Date().toISOString(),
+  }];
+  return { approval: { ...approval, currentStage: 0, decisions }, approvalStage: approval.stages[0] };
+}
+
+module.exports = {
+  STAGES,
+  DECISIONS,
+  resolveStages,
+  startApproval,
+  pendingStage,
+  canReview,
+  reviewsFaculty,
+  applyDecision,
+  resubmit,
+  restartApproval,
+};
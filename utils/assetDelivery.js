@@ -0,0 +1,130 @@
+// utils/assetDelivery.js
+'use strict';
+
+const path = require('path');
+const { getStorage } = require('./storage');
+const remote = require('./storage/remote');
+
+/**
+ * HTTP details of serving an asset's bytes from this server
+ * (Controllers/cdnController.getAsset): where to read them, byte ranges,
+ * validators and the download file name.
+ */
+
+/**
+ * Where an asset's bytes come from: its storage driver, or its target URL
+ * for assets created before drivers.
+ * @returns {{ stat: Function, read: Function }|null} null when the target cannot be proxied
+ */
+function assetSource(asset) {
+  if (asset.storage && asset.key) {
+    const storage = getStorage(asset.storage);
+    return {
+      stat: () => storage.stat(asset.key, asset.targetUrl),
+      read: (range) => storage.read(asset.key, asset.targetUrl, range),
+    };
+  }
+  if (!remote.canProxy(asset.targetUrl)) return null;
+  return {
+    stat: () => remote.stat(asset.targetUrl),
+    read: (range) => remote.read(asset.targetUrl, range),
+  };
+}
+
+/**
+ * Single byte range of a `Range` header.
+ * @param {string} header - e.g. 'bytes=0-1023', 'bytes=1024-', 'bytes=-500'
+ * @param {number} size
+ * @returns {{ start: number, end: number }|'unsatisfiable'|null} null: ignore the header and send everything
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null; // malformed or several ranges
+  let start;
+  let end;
+  if (match[1] === '') {
+    const suffix = Number(match[2]);
+    if (suffix === 0) return 'unsatisfiable';
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    if (end < start && match[2] !== '') return null;
+  }
+  if (start >= size) return 'unsatisfiable';
+  return { start, end };
+}
+
+function sameSecond(a, b) {
+  const ta = new Date(a).getTime();
+  const tb = new Date(b).getTime();
+  return !isNaN(ta) && !isNaN(tb) && Math.floor(ta / 1000) === Math.floor(tb / 1000);
+}
+
+function opaque(etag) {
+  return String(etag).trim().replace(/^W\//, '');
+}
+
+/**
+ * Whether a conditional GET can be answered with 304.
+ * @param {Object} headers - request headers
+ * @param {Object} validators - { etag, lastModified }
+ */
+function isNotModified(headers, { etag, lastModified }) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') return true;
+    return ifNoneMatch.split(',').some((tag) => opaque(tag) === opaque(etag));
+  }
+  const since = headers['if-modified-since'];
+  if (since && lastModified) {
+    return new Date(lastModified).getTime() <= new Date(since).getTime() || sameSecond(lastModified, since);
+  }
+  return false;
+}
+
+/**
+ * Whether a `Range` applies given the request's `If-Range` (absent, an
+ * ETag, or a date).
+ */
+function rangeApplies(headers, { etag, lastModified }) {
+  const ifRange = String(headers['if-range'] || '').trim();
+  if (!ifRange) return true;
+  if (ifRange.startsWith('W/')) return false; // weak tags never validate a range
+  if (ifRange.startsWith('"')) return ifRange === String(etag);
+  return Boolean(lastModified) && sameSecond(lastModified, ifRange);
+}
+
+/**
+ * File name shown to the browser: the uploaded name, else the last part of
+ * the storage key or target URL.
+ */
+function filenameOf(asset) {
+  if (asset.filename) return asset.filename;
+  try {
+    return decodeURIComponent(path.basename(asset.key || new URL(asset.targetUrl).pathname)) || asset._id;
+  } catch (err) {
+    return asset._id;
+  }
+}
+
+/**
+ * `Content-Disposition` value with an ASCII fallback and the UTF-8 name.
+ * @param {string} filename
+ * @param {boolean} [download] - attachment instead of inline
+ */
+function contentDisposition(filename, download = false) {
+  const fallback = String(filename).replace(/[^\w.\-() ]+/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${download ? 'attachment' : 'inline'}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+module.exports = {
+  assetSource,
+  parseRange,
+  isNotModified,
+  rangeApplies,
+  filenameOf,
+  contentDisposition,
+};
@@ -0,0 +1,148 @@
+// utils/assetLinks.js
+'use strict';
+
+const crypto = require('crypto');
+const { APP_URL, assetIdOf } = require('./urlHelper');
+
+/**
+ * Signed, expiring links to uploaded proofs.
+ *
+ * Proofs are stored as private assets (`/cdn/assets/v1/:id`) that only open
+ * with a link signed here:
+ *   /cdn/assets/v1/:id?exp=<unix seconds>&sig=<HMAC>[&v=<viewer id>]
+ * The HMAC (SHA-256, ASSET_LINK_SECRET, falling back to JWT_SECRET) covers
+ * the asset id, expiry and viewer. Links last ASSET_LINK_TTL_SECONDS
+ * (default 900). With ASSET_LINK_BIND_VIEWER=true a link also names the user
+ * it was made for, who must then send their token (Authorization header or
+ * `token` query) to open it.
+ */
+
+function secret() {
+  const key = process.env.ASSET_LINK_SECRET || process.env.JWT_SECRET;
+  if (!key) throw new Error('ASSET_LINK_SECRET (or JWT_SECRET) must be set to sign asset links');
+  return key;
+}
+
+function ttlSeconds() {
+  return Number(process.env.ASSET_LINK_TTL_SECONDS || 900);
+}
+
+function signature(assetId, exp, viewer) {
+  return crypto.createHmac('sha256', secret()).update(`${assetId}.${exp}.${viewer || ''}`).digest('base64url');
+}
+
+/**
+ * Signed URL of an asset.
+ * @param {string} assetId
+ * @param {Object} [opts] - { viewer: user id to bind to, ttl: seconds, now: ms }
+ * @returns {string}
+ */
+function signAssetUrl(assetId, { viewer, ttl = ttlSeconds(), now = Date.now() } = {}) {
+  const exp = Math.floor(now / 1000) + ttl;
+  const params = new URLSearchParams({ exp: String(exp) });
+  if (viewer) params.set('v', String(viewer));
+  params.set('sig', signature(assetId, exp, viewer));
+  return `${APP_URL}/cdn/assets/v1/${encodeURIComponent(assetId)}?${params}`;
+}
+
+/**
+ * Check the signature of a request for an asset.
+ * @param {string} assetId
+ * @param {Object} query - { exp, sig, v }
+ * @returns {{ ok: true, viewer: string|null, expiresAt: number } | { ok: false, reason: string }}
+ */
+function verifyAssetLink(assetId, { exp, sig, v } = {}, now = Date.now()) {
+  if (!sig || !exp) return { ok: false, reason: 'Signed link required' };
+  const expected = Buffer.from(signature(assetId, exp, v));
+  const given = Buffer.from(String(sig));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, reason: 'Invalid link signature' };
+  }
+  if (Number(exp) * 1000 < now) return { ok: false, reason: 'Link expired' };
+  return { ok: true, viewer: v || null, expiresAt: Number(exp) };
+}
+
+function viewerFor(user) {
+  return process.env.ASSET_LINK_BIND_VIEWER === 'true' && user ? String(user._id) : undefined;
+}
+
+// Internal storage details never leave the server; nor does the unsigned
+// masked URL, which answers 403 for private assets (assetId is kept)
+function publicMeta(meta) {
+  if (!meta) return meta;
+  const { rawUrl, destPath, storage, shortUrl, maskedUrl, ...rest } = meta;
+  return rest;
+}
+
+// Proof URL of a holder as a signed link for `viewer`; unsigned when `sign` is false
+function linkFor(url, meta, sign, viewer) {
+  if (!sign) return url;
+  const assetId = (meta && meta.assetId) || assetIdOf(meta && meta.maskedUrl) || assetIdOf(url);
+  return assetId ? signAssetUrl(assetId, { viewer }) : url;
+}
+
+function mapEvidence(holder, sign, viewer) {
+  if (!holder) return holder;
+  const mapped = { ...holder };
+  if (holder.proofUrl) mapped.proofUrl = linkFor(holder.proofUrl, holder.proofMeta, sign, viewer);
+  if (holder.proofMeta) mapped.proofMeta = publicMeta(holder.proofMeta);
+  if (holder.url) {
+    mapped.url = linkFor(holder.url, holder.meta, sign, viewer);
+    mapped.meta = publicMeta(holder.meta);
+  }
+  if (Array.isArray(holder.attachments)) mapped.attachments = holder.attachments.map((a) => mapEvidence(a, sign, viewer));
+  return mapped;
+}
+
+function mapCredit(credit, sign, viewer) {
+  if (!credit) return credit;
+  const mapped = mapEvidence(credit, sign, viewer);
+  if (credit.appeal) mapped.appeal = mapEvidence(credit.appeal, sign, viewer);
+  if (Array.isArray(credit.appeals)) mapped.appeals = credit.appeals.map((a) => mapEvidence(a, sign, viewer));
+  return mapped;
+}
+
+/**
+ * Copy of a proof holder (credit, appeal or attachment shape) with its
+ * proof URL(s) replaced by signed links for `user`.
+ */
+function signEvidence(holder, user) {
+  return mapEvidence(holder, true, viewerFor(user));
+}
+
+/**
+ * Credit as sent to `user`: its proof, attachments and appeal evidence as
+ * signed links valid for ASSET_LINK_TTL_SECONDS.
+ * @param {Object} credit
+ * @param {Object} user - req.user
+ */
+function withSignedLinks(credit, user) {
+  return mapCredit(credit, true, viewerFor(user));
+}
+
+/**
+ * Credits of a list response, each with signed links for `user`
+ * @param {Array} credits
+ * @param {Object} user - req.user
+ */
+function withSignedLinksAll(credits, user) {
+  return (credits || []).map((credit) => withSignedLinks(credit, user));
+}
+
+/**
+ * Credit for broadcasts (socket events) that reach more than the one user a
+ * link could be made for: storage details removed, proof URLs left unsigned.
+ */
+function withoutStorageDetails(credit) {
+  return mapCredit(credit, false);
+}
+
+module.exports = {
+  signAssetUrl,
+  verifyAssetLink,
+  publicMeta,
+  signEvidence,
+  withSignedLinks,
+  withSignedLinksAll,
+  withoutStorageDetails,
+};
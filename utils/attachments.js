@@ -0,0 +1,198 @@
+// utils/attachments.js
+'use strict';
+
+const { newObjectId } = require('./objectId');
+const { handleFileUpload } = require('./fileUpload');
+const { proofHashOf } = require('./duplicateCredits');
+
+/**
+ * Evidence files of a credit (`credit.attachments`) or of an appeal
+ * (`appeal.attachments`), in display order:
+ *   { _id, label, url, meta: { originalName, size, mimeType, ... }, proofHash, uploadedBy, uploadedAt }
+ * The first attachment is mirrored into the older single-file fields
+ * (`proofUrl`, `proofMeta`, and `proofHash` on credits) so existing readers
+ * and duplicate detection keep working. Records written before attachments
+ * existed only have those fields; they read as a one-attachment list.
+ */
+
+const MAX_ATTACHMENTS = Number(process.env.MAX_ATTACHMENTS || 5);
+const MAX_ATTACHMENTS_BYTES = Number(process.env.MAX_ATTACHMENTS_TOTAL_MB || 25) * 1024 * 1024;
+const MAX_LABEL = 100;
+
+function attachmentError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Files multer put on the request: `req.file`, or `req.files` from
+ * upload.array() / upload.fields() (`proof` first, then `attachments`/`files`).
+ * @returns {Object[]}
+ */
+function uploadedFiles(req) {
+  if (req.file) return [req.file];
+  const files = req.files;
+  if (!files) return [];
+  if (Array.isArray(files)) return files;
+  return [...(files.proof || []), ...(files.attachments || []), ...(files.files || [])];
+}
+
+/**
+ * Labels sent with uploaded files: an array, a JSON array or a comma list.
+ */
+function parseLabels(labels) {
+  if (labels === undefined || labels === null || labels === '') return [];
+  if (Array.isArray(labels)) return labels.map(String);
+  try {
+    const parsed = JSON.parse(labels);
+    if (Array.isArray(parsed)) return parsed.map(String);
+  } catch (err) { /* not JSON: a comma list */ }
+  return String(labels).split(',').map((l) => l.trim());
+}
+
+/**
+ * Attachments of a credit or appeal record.
+ * @param {Object} holder
+ * @returns {Object[]}
+ */
+function attachmentsOf(holder) {
+  if (!holder) return [];
+  if (Array.isArray(holder.attachments)) return holder.attachments.slice();
+  if (!holder.proofUrl) return [];
+  return [{
+    _id: 'proof',
+    label: 'Proof',
+    url: holder.proofUrl,
+    meta: holder.proofMeta || null,
+    ...(holder.proofHash ? { proofHash: holder.proofHash } : {}),
+    uploadedBy: holder.issuedBy || holder.by || null,
+    uploadedAt: holder.createdAt || null,
+  }];
+}
+
+function sizeOf(attachment) {
+  return Number((attachment.meta && attachment.meta.size) || 0);
+}
+
+/**
+ * @throws 400 when `files` would take the list past MAX_ATTACHMENTS,
+ *   413 past MAX_ATTACHMENTS_BYTES
+ */
+function assertWithinLimits(current, files) {
+  if (current.length + files.length > MAX_ATTACHMENTS) {
+    throw attachmentError(`At most ${MAX_ATTACHMENTS} attachments are allowed (${current.length} already attached)`);
+  }
+  const total = current.reduce((sum, a) => sum + sizeOf(a), 0) +
+    files.reduce((sum, f) => sum + Number(f.size || (f.buffer ? f.buffer.length : 0)), 0);
+  if (total > MAX_ATTACHMENTS_BYTES) {
+    throw attachmentError(`Attachments may not exceed ${Math.round(MAX_ATTACHMENTS_BYTES / (1024 * 1024))} MB in total`, 413);
+  }
+}
+
+/**
+ * Upload files through handleFileUpload and describe them as attachments.
+ * @param {Object[]} files - multer files
+ * @param {string} folder - destination folder
+ * @param {Object} [opts] - { labels: string[] (same order as files), by: user id }
+ * @returns {Promise<Object[]>}
+ */
+async function uploadAttachments(files, folder, { labels = [], by } = {}) {
+  const uploaded = [];
+  for (const [i, file] of files.entries()) {
+    // Hash before uploading: disk-stored files are removed once uploaded
+    const proofHash = proofHashOf(file);
+    const { proofUrl, proofMeta } = await handleFileUpload(file, folder);
+    uploaded.push({
+      _id: newObjectId(),
+      label: String(labels[i] || file.originalname || `Attachment ${i + 1}`).slice(0, MAX_LABEL),
+      url: proofUrl,
+      meta: proofMeta,
+      ...(proofHash ? { proofHash } : {}),
+      uploadedBy: by ? String(by) : null,
+      uploadedAt: new Date().toISOString(),
+    });
+  }
+  return uploaded;
+}
+
+/**
+ * The list with its first attachment replaced (single-file `proof` uploads).
+ */
+function replacePrimary(list, attachment) {
+  return [attachment, ...list.slice(1)];
+}
+
+/**
+ * The list without `attachmentId`.
+ * @throws 404 when there is no such attachment
+ */
+function removeAttachment(list, attachmentId) {
+  if (!list.some((a) => a._id === attachmentId)) throw attachmentError('Attachment not found', 404);
+  return list.filter((a) => a._id !== attachmentId);
+}
+
+/**
+ * Reorder and/or relabel attachments.
+ * @param {Object[]} list
+ * @param {Object} changes - { order?: ids in the new order (all of them), labels?: { id: label } }
+ * @throws 400 for an order that is not a permutation of the ids or a bad label, 404 for an unknown id
+ */
+function arrangeAttachments(list, { order, labels } = {}) {
+  const byId = new Map(list.map((a) => [a._id, a]));
+  let arranged = list.slice();
+
+  if (order !== undefined) {
+    if (!Array.isArray(order) || order.length !== list.length || new Set(order).size !== order.length ||
+      !order.every((id) => byId.has(id))) {
+      throw attachmentError('order must list every attachment id exactly once');
+    }
+    arranged = order.map((id) => byId.get(id));
+  }
+
+  if (labels !== undefined) {
+    if (!labels || typeof labels !== 'object' || Array.isArray(labels)) throw attachmentError('labels must map attachment ids to labels');
+    Object.entries(labels).forEach(([id, label]) => {
+      if (!byId.has(id)) throw attachmentError(`Attachment ${id} not found`, 404);
+      const text = String(label || '').trim();
+      if (!text || text.length > MAX_LABEL) throw attachmentError(`Labels must be 1-${MAX_LABEL} characters`);
+    });
+    arranged = arranged.map((a) => (labels[a._id] !== undefined ? { ...a, label: String(labels[a._id]).trim() } : a));
+  }
+  return arranged;
+}
+
+/**
+ * Credit update for a new attachment list: `set` for Credit.update and the
+ * attributes to `remove` (proofHash is an index key and cannot be null).
+ * @returns {{ set: Object, remove: string[] }}
+ */
+function creditAttachmentUpdate(list) {
+  const first = list[0];
+  const set = { attachments: list, proofUrl: first ? first.url : null, proofMeta: first ? first.meta : null };
+  if (first && first.proofHash) set.proofHash = first.proofHash;
+  return { set, remove: set.proofHash ? [] : ['proofHash'] };
+}
+
+/**
+ * Appeal record with a new attachment list.
+ */
+function withAppealAttachments(record, list) {
+  const first = list[0];
+  return { ...record, attachments: list, proofUrl: first ? first.url : null, proofMeta: first ? first.meta : null };
+}
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENTS_BYTES,
+  uploadedFiles,
+  parseLabels,
+  attachmentsOf,
+  assertWithinLimits,
+  uploadAttachments,
+  replacePrimary,
+  removeAttachment,
+  arrangeAttachments,
+  creditAttachmentUpdate,
+  withAppealAttachments,
+};
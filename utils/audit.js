@@ -0,0 +1,79 @@
+// utils/audit.js
+'use strict';
+
+const AuditLog = require('../Models/AuditLog');
+const { currentActor } = require('./requestContext');
+
+// Never copied into the audit log; a change is recorded as '[redacted]'
+const REDACTED_FIELDS = ['password', 'mfaSecret', 'mfaCode', 'resetPasswordToken', 'whatsappOtp', 'apiKey', 'fcmToken'];
+// Bookkeeping that changes on every write
+const IGNORED_FIELDS = ['updatedAt', 'version'];
+
+function redact(key, value) {
+  if (value === undefined || value === null) return value;
+  return REDACTED_FIELDS.includes(key) ? '[redacted]' : value;
+}
+
+/**
+ * Field-level diff of two item snapshots.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Object} - { field: { from, to } } for every changed field
+ */
+function diffItems(before, after) {
+  const a = before || {};
+  const b = after || {};
+  const changes = {};
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach((key) => {
+    if (IGNORED_FIELDS.includes(key)) return;
+    if (JSON.stringify(a[key]) === JSON.stringify(b[key])) return;
+    changes[key] = { from: redact(key, a[key]), to: redact(key, b[key]) };
+  });
+  return changes;
+}
+
+function redactItem(item) {
+  if (!item) return item;
+  return Object.fromEntries(Object.entries(item).map(([k, v]) => [k, redact(k, v)]));
+}
+
+/**
+ * Append an audit entry for a create/update/delete. Updates that touch a
+ * credit's `status` are recorded as 'status_change'. The actor, role and IP
+ * come from the current request (see Middleware/requestContextMiddleware).
+ * Failures are logged, never thrown: the change itself already happened.
+ * @param {Object} entry
+ * @param {'credit'|'creditTitle'|'user'|'asset'|'shortUrl'|'academicYear'} entry.entity
+ * @param {string} entry.entityId
+ * @param {'create'|'update'|'delete'} entry.action
+ * @param {Object|null} entry.before - item before the change
+ * @param {Object|null} entry.after - item after the change
+ * @param {string} [entry.reason]
+ * @returns {Promise<Object|null>} - the stored entry, null if nothing changed or it failed
+ */
+async function recordAudit({ entity, entityId, action, before = null, after = null, reason }) {
+  try {
+    const changes = diffItems(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) return null;
+
+    return await AuditLog.create({
+      entity,
+      entityId: String(entityId),
+      action: action === 'update' && changes.status ? 'status_change' : action,
+      ...currentActor(),
+      reason: reason || null,
+      changes,
+      // Deleted items are kept whole so the data is never lost
+      snapshot: action === 'delete' ? redactItem(before) : null,
+      version: (after && after.version) || null,
+    });
+  } catch (err) {
+    console.error(`[audit] Failed to record ${action} on ${entity} ${entityId}:`, err && err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  diffItems,
+  recordAudit,
+};
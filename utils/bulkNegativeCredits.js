@@ -0,0 +1,221 @@
+// utils/bulkNegativeCredits.js
+'use strict';
+
+const Credit = require('../Models/Credit');
+const CreditTitle = require('../Models/CreditTitle');
+const User = require('../Models/User');
+const { newObjectId } = require('./objectId');
+const { assertYearWritable } = require('./academicYears');
+const { computeTitlePoints } = require('./creditFormula');
+const { sendRemarkNotificationHelper } = require('./notificationHelper');
+const { createThrottledQueue } = require('./throttledQueue');
+const { headerKey, readSheetRows } = require('./spreadsheet');
+
+/**
+ * Negative credits issued from a spreadsheet (XLSX or CSV, first sheet).
+ * Columns (header case, spaces and punctuation do not matter):
+ *   facultyID, creditTitleId, academicYear  - required
+ *   notes, points (overrides the title), inputs (JSON, formula titles)
+ * validateRows() is the dry run; issueRows() creates the credits and queues
+ * each faculty's remark notification (email, PDF, push, WhatsApp).
+ */
+
+const COLUMNS = {
+  facultyid: 'facultyID',
+  credittitleid: 'creditTitleId',
+  academicyear: 'academicYear',
+  notes: 'notes',
+  points: 'points',
+  inputs: 'inputs',
+};
+const MAX_ROWS = 1000;
+
+// Notifications go out one at a time so mail/WhatsApp limits are not hit
+const remarkQueue = createThrottledQueue({
+  intervalMs: Number(process.env.REMARK_NOTIFY_INTERVAL_MS || 1500),
+  name: 'remark-notify',
+});
+
+function sheetError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Rows of the first sheet, keyed by the known columns, with their sheet row number.
+ * @param {Buffer} buffer
+ * @returns {Object[]}
+ */
+function parseSheet(buffer) {
+  const known = (headers) => Object.fromEntries(headers
+    .filter((header) => COLUMNS[headerKey(header)])
+    .map((header) => [header, COLUMNS[headerKey(header)]]));
+  const { rows } = readSheetRows(buffer, known, { maxRows: MAX_ROWS });
+  return rows.map(({ row, values }) => ({ row, ...values }));
+}
+
+/**
+ * Check every row against Users, CreditTitles and academic year cycles and
+ * compute its points. Nothing is written.
+ * @param {Object[]} rows - from parseSheet
+ * @returns {Promise<{ total, valid, invalid, rows: Object[], entries: Object[] }>}
+ *   `rows` is the preview; `entries` adds the faculty and title for issueRows
+ */
+async function validateRows(rows) {
+  if (rows.length === 0) throw sheetError('The file has no rows');
+  if (rows.length > MAX_ROWS) throw sheetError(`At most ${MAX_ROWS} rows per file`);
+
+  const [users, titles] = await Promise.all([User.find(), CreditTitle.find({ type: 'negative' })]);
+  const usersByFacultyID = new Map(users
+    .filter((u) => u.facultyID)
+    .map((u) => [String(u.facultyID).trim().toLowerCase(), u]));
+  const titlesById = new Map(titles.map((t) => [String(t._id), t]));
+  const yearErrors = new Map(); // academicYear -> error message or null
+  const seen = new Map(); // faculty|title|year -> first row number
+
+  const entries = [];
+  for (const row of rows) {
+    const errors = [];
+    const faculty = row.facultyID ? usersByFacultyID.get(row.facultyID.toLowerCase()) : null;
+    const title = row.creditTitleId ? titlesById.get(row.creditTitleId) : null;
+
+    if (!row.facultyID) errors.push('facultyID is required');
+    else if (!faculty) errors.push(`No user with facultyID ${row.facultyID}`);
+    else if (faculty.isActive === false) errors.push(`User ${row.facultyID} is inactive`);
+
+    if (!row.creditTitleId) errors.push('creditTitleId is required');
+    else if (!title) errors.push(`No negative credit title ${row.creditTitleId}`);
+    else if (title.isActive === false) errors.push(`Credit title "${title.title}" is inactive`);
+
+    if (!row.academicYear) errors.push('academicYear is required');
+    else if (!/^\d{4}-\d{4}$/.test(row.academicYear)) errors.push('academicYear must look like 2024-2025');
+    else {
+      if (!yearErrors.has(row.academicYear)) {
+        yearErrors.set(row.academicYear, await assertYearWritable(row.academicYear).then(() => null, (err) => err.message));
+      }
+      if (yearErrors.get(row.academicYear)) errors.push(yearErrors.get(row.academicYear));
+    }
+
+    const override = row.points !== undefined && row.points !== '' ? Number(row.points) : undefined;
+    if (Number.isNaN(override)) errors.push('points must be a number');
+
+    const key = `${row.facultyID}|${row.creditTitleId}|${row.academicYear}`.toLowerCase();
+    if (seen.has(key)) errors.push(`Same faculty, title and year as row ${seen.get(key)}`);
+    else seen.set(key, row.row);
+
+    let points;
+    let pointsBreakdown;
+    if (errors.length === 0) {
+      try {
+        if (override !== undefined) {
+          points = -Math.abs(override);
+        } else {
+          ({ points, pointsBreakdown } = await computeTitlePoints(title, {
+            inputs: row.inputs || undefined,
+            faculty: faculty._id,
+            academicYear: row.academicYear,
+          }));
+        }
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+
+    entries.push({
+      preview: {
+        row: row.row,
+        facultyID: row.facultyID || null,
+        facultyName: faculty ? faculty.name : null,
+        creditTitleId: row.creditTitleId || null,
+        title: title ? title.title : null,
+        academicYear: row.academicYear || null,
+        notes: row.notes || null,
+        points: points === undefined ? null : points,
+        pointsBreakdown,
+        valid: errors.length === 0,
+        errors,
+      },
+      faculty,
+      title,
+    });
+  }
+
+  const valid = entries.filter((e) => e.preview.valid).length;
+  return {
+    total: entries.length,
+    valid,
+    invalid: entries.length - valid,
+    rows: entries.map((e) => e.preview),
+    entries,
+  };
+}
+
+/**
+ * Create a credit for every validated entry and queue its notification.
+ * A failing row does not stop the others.
+ * @param {Object[]} entries - validateRows().entries, all valid
+ * @param {Object} issuer - the admin/OA issuing them
+ * @returns {Promise<{ batchId: string, results: Object[], credits: Object[] }>}
+ */
+async function issueRows(entries, issuer) {
+  const batchId = newObjectId();
+  const portalUrl = process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/faculty/credits` : '#';
+  const results = [];
+  const credits = [];
+
+  for (const { preview, faculty, title } of entries) {
+    try {
+      const credit = await Credit.create({
+        faculty: String(faculty._id),
+        facultySnapshot: {
+          name: faculty.name,
+          facultyID: faculty.facultyID,
+          college: faculty.college,
+          department: faculty.department,
+        },
+        type: 'negative',
+        creditTitle: String(title._id),
+        title: title.title,
+        points: preview.points,
+        pointsBreakdown: preview.pointsBreakdown,
+        notes: preview.notes || undefined,
+        academicYear: preview.academicYear,
+        issuedBy: String(issuer._id),
+        bulkBatchId: batchId,
+        status: 'pending',
+      });
+      credits.push(credit);
+      results.push({ row: preview.row, success: true, creditId: credit._id });
+
+      remarkQueue.push(() => sendRemarkNotificationHelper({
+        faculty,
+        title: credit.title,
+        points: credit.points,
+        academicYear: credit.academicYear,
+        notes: credit.notes,
+        issuerName: issuer.name || 'Administrator',
+        portalUrl,
+      }));
+    } catch (err) {
+      results.push({ row: preview.row, success: false, message: err.message });
+    }
+  }
+
+  return { batchId, results, credits };
+}
+
+/**
+ * Notifications still waiting in the queue.
+ */
+function pendingNotifications() {
+  return remarkQueue.size();
+}
+
+module.exports = {
+  MAX_ROWS,
+  parseSheet,
+  validateRows,
+  issueRows,
+  pendingNotifications,
+};
@@ -0,0 +1,261 @@
+// utils/bulkUserImport.js
+'use strict';
+
+const XLSX = require('xlsx');
+const bcrypt = require('bcryptjs');
+const User = require('../Models/User');
+const { schemas } = require('./validation');
+const { generateFacultyID, generateApiKey } = require('./generateID');
+const { headerKey, readSheetRows } = require('./spreadsheet');
+
+/**
+ * Bulk user import from XLSX/CSV (first sheet, first row = headers).
+ *
+ * Headers are matched to TEMPLATE_COLUMNS ignoring case, spaces and
+ * punctuation, through a few common aliases, or through an explicit
+ * `mapping` of { "Sheet header": "field" }. Each row is validated with
+ * schemas.userImport and planned as:
+ *   create    - no user with that email / facultyID
+ *   update    - upsert mode, an existing user and at least one field differs
+ *   unchanged - upsert mode, nothing to change
+ *   error     - rejected, with `errors`
+ * planImport() writes nothing (dry run); applyImport() carries out a plan.
+ * Rejected rows can be exported with errorWorkbook() to fix and re-upload.
+ */
+
+const TEMPLATE_COLUMNS = [
+  'name', 'email', 'facultyID', 'college', 'department', 'designation',
+  'roleCategory', 'prefix', 'role', 'phone', 'whatsappNumber', 'password', 'isActive',
+];
+const ALIASES = {
+  fullname: 'name',
+  emailid: 'email',
+  emailaddress: 'email',
+  facultyid: 'facultyID',
+  employeeid: 'facultyID',
+  dept: 'department',
+  mobile: 'phone',
+  mobilenumber: 'phone',
+  phonenumber: 'phone',
+  whatsapp: 'whatsappNumber',
+  active: 'isActive',
+};
+const IMPORT_MODES = ['insert', 'upsert'];
+const MAX_ROWS = 2000;
+
+function importError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Resolve sheet headers to template fields.
+ * @param {string[]} headers
+ * @param {Object} [mapping] - { "Sheet header": "field" }, wins over the defaults
+ * @returns {Object} header -> field, for the headers that map to something
+ */
+function resolveColumns(headers, mapping = {}) {
+  const fields = new Map(TEMPLATE_COLUMNS.map((f) => [f.toLowerCase(), f]));
+  Object.values(mapping).forEach((field) => {
+    if (!TEMPLATE_COLUMNS.includes(field)) throw importError(`Unknown field "${field}" in mapping`);
+  });
+
+  const columns = {};
+  headers.forEach((header) => {
+    const key = headerKey(header);
+    const field = mapping[header] || fields.get(key) || ALIASES[key];
+    if (field) columns[header] = field;
+  });
+  return columns;
+}
+
+/**
+ * Rows of the first sheet as { row, values }, `values` holding the mapped
+ * non-empty cells.
+ * @param {Buffer} buffer
+ * @param {Object} [mapping]
+ */
+function parseSheet(buffer, mapping) {
+  const { columns, rows } = readSheetRows(buffer, (headers) => resolveColumns(headers, mapping), { maxRows: MAX_ROWS });
+  if (!Object.values(columns).includes('email') && !Object.values(columns).includes('facultyID')) {
+    throw importError('The file needs an email or facultyID column');
+  }
+  return rows;
+}
+
+function joiErrors(error) {
+  return error ? error.details.map((d) => d.message) : [];
+}
+
+/**
+ * Validate every row and decide what it would do. Nothing is written.
+ * @param {Object[]} rows - from parseSheet
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'insert' (default) rejects existing users, 'upsert' updates them
+ * @param {string} [options.defaultRole] - role for new users without a role cell
+ * @returns {Promise<Object[]>} one plan entry per row: { row, action, errors, values, user?, changes?, data? }
+ */
+async function planImport(rows, { mode = 'insert', defaultRole = 'faculty' } = {}) {
+  if (!IMPORT_MODES.includes(mode)) throw importError(`mode must be one of ${IMPORT_MODES.join(', ')}`);
+
+  const users = await User.find();
+  const byEmail = new Map(users.filter((u) => u.email).map((u) => [String(u.email).toLowerCase(), u]));
+  const byFacultyID = new Map(users.filter((u) => u.facultyID).map((u) => [String(u.facultyID), u]));
+  const seenEmails = new Map(); // email -> row
+  const seenFacultyIDs = new Map(); // facultyID -> row
+
+  return rows.map(({ row, values }) => {
+    const email = values.email ? values.email.toLowerCase() : null;
+    const errors = [];
+
+    if (email && seenEmails.has(email)) errors.push(`Same email as row ${seenEmails.get(email)}`);
+    if (values.facultyID && seenFacultyIDs.has(values.facultyID)) {
+      errors.push(`Same facultyID as row ${seenFacultyIDs.get(values.facultyID)}`);
+    }
+    if (email) seenEmails.set(email, row);
+    if (values.facultyID) seenFacultyIDs.set(values.facultyID, row);
+
+    const byMail = email ? byEmail.get(email) : null;
+    const byID = values.facultyID ? byFacultyID.get(values.facultyID) : null;
+    const existing = byMail || byID;
+
+    if (existing) {
+      if (mode === 'insert') {
+        errors.push(byMail ? 'A user with this email already exists' : 'A user with this facultyID already exists');
+      } else if (byMail && byID && byMail._id !== byID._id) {
+        errors.push('email and facultyID belong to different users');
+      }
+      const { error, value } = schemas.userImport.update.validate(values, { abortEarly: false });
+      errors.push(...joiErrors(error));
+      if (errors.length) return { row, action: 'error', errors, values };
+
+      // An email or facultyID can only move to this user if nobody else has it
+      if (value.email && byEmail.has(value.email) && byEmail.get(value.email)._id !== existing._id) {
+        return { row, action: 'error', errors: ['email is already used by another user'], values };
+      }
+      if (value.facultyID && byFacultyID.has(value.facultyID) && byFacultyID.get(value.facultyID)._id !== existing._id) {
+        return { row, action: 'error', errors: ['facultyID is already used by another user'], values };
+      }
+
+      const changes = {};
+      Object.entries(value).forEach(([field, v]) => {
+        if (field !== 'password' && existing[field] !== v) changes[field] = v;
+      });
+      const action = Object.keys(changes).length ? 'update' : 'unchanged';
+      return { row, action, errors, values, user: existing, changes };
+    }
+
+    const input = {
+      role: defaultRole,
+      ...values,
+      password: values.password || process.env.BULK_IMPORT_DEFAULT_PASSWORD || undefined,
+    };
+    const { error, value } = schemas.userImport.create.validate(input, { abortEarly: false });
+    errors.push(...joiErrors(error));
+    if (errors.length) return { row, action: 'error', errors, values };
+    return { row, action: 'create', errors, values, data: value };
+  });
+}
+
+/**
+ * Summary counts of a plan, and the per-row view returned to the client.
+ */
+function summarize(plan) {
+  const counts = { total: plan.length, create: 0, update: 0, unchanged: 0, error: 0 };
+  plan.forEach((entry) => { counts[entry.action] += 1; });
+  const rows = plan.map((entry) => ({
+    row: entry.row,
+    action: entry.action,
+    email: entry.user ? entry.user.email : (entry.values.email || null),
+    ...(entry.user ? { id: entry.user._id } : {}),
+    ...(entry.changes && entry.action === 'update' ? { changes: Object.keys(entry.changes) } : {}),
+    ...(entry.errors.length ? { errors: entry.errors } : {}),
+  }));
+  return { ...counts, rows };
+}
+
+/**
+ * Create and update the users of a plan. Rows that fail to save turn into
+ * 'error' entries so they end up in the error report too.
+ * @param {Object[]} plan - from planImport
+ * @returns {Promise<Object[]>} the plan, with `id` on written rows
+ */
+async function applyImport(plan) {
+  const taken = new Set((await User.find()).map((u) => u.facultyID).filter(Boolean));
+
+  for (const entry of plan) {
+    try {
+      if (entry.action === 'create') {
+        const { password, isActive, ...data } = entry.data;
+        let facultyID = data.facultyID;
+        while (!facultyID || taken.has(facultyID)) facultyID = generateFacultyID(data.college);
+        taken.add(facultyID);
+
+        const created = await User.create({
+          ...data,
+          facultyID,
+          password: await bcrypt.hash(password, 10),
+          apiKey: generateApiKey(),
+          isActive: isActive ?? true,
+          whatsappVerified: false,
+          currentCredit: 0,
+          creditsByYear: {},
+        });
+        entry.user = created;
+      } else if (entry.action === 'update') {
+        await User.update(entry.user._id, { ...entry.changes, updatedAt: new Date().toISOString() }, { reason: 'bulk import' });
+      }
+    } catch (err) {
+      entry.action = 'error';
+      entry.errors = [err.message];
+    }
+  }
+  return plan;
+}
+
+// Left out of the error report: it is passed around and stored as a download
+const REPORT_COLUMNS = TEMPLATE_COLUMNS.filter((f) => f !== 'password');
+
+/**
+ * XLSX of the rejected rows, with the template columns (except `password`)
+ * plus an `errors` column, ready to be fixed and uploaded again.
+ * @param {Object[]} plan
+ * @returns {Buffer|null} null when no row was rejected
+ */
+function errorWorkbook(plan) {
+  const rejected = plan.filter((entry) => entry.action === 'error');
+  if (rejected.length === 0) return null;
+
+  const sheetRows = rejected.map((entry) => ({
+    row: entry.row,
+    ...Object.fromEntries(REPORT_COLUMNS.map((f) => [f, entry.values[f] || ''])),
+    errors: entry.errors.join('; '),
+  }));
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.json_to_sheet(sheetRows), 'Rejected');
+  return XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+}
+
+/**
+ * Empty import template (headers only).
+ * @returns {Buffer}
+ */
+function templateWorkbook() {
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([TEMPLATE_COLUMNS]), 'Users');
+  return XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  TEMPLATE_COLUMNS,
+  IMPORT_MODES,
+  MAX_ROWS,
+  resolveColumns,
+  parseSheet,
+  planImport,
+  summarize,
+  applyImport,
+  errorWorkbook,
+  templateWorkbook,
+};
@@ -5,11 +5,14 @@ const _ = require('lodash');
 const { create, all } = require('mathjs');
 const Credit = require('../Models/Credit');
 const User = require('../Models/User');
+const { EXCLUDED_FROM_TOTALS } = require('./creditStatus');
+const { buildCapRules, loadCapRules } = require('./creditCaps');
+const { reconcileBalances } = require('./ledger');
 
 // Configure mathjs for high precision decimal arithmetic if needed
 const math = create(all, { precision: 16 });
 
-const EXCLUDE_STATUS = ['pending', 'deleted'];
+const EXCLUDE_STATUS = EXCLUDED_FROM_TOTALS;
 
 /**
  * Determine if this user object is from DynamoDB (plain object, no `.save()`).
@@ -29,12 +32,9 @@ async function fetchUser(facultyId) {
 }
 
 /**
- * Fetch all credits for a faculty and sort them chronologically.
+ * Credits that count towards totals, sorted chronologically.
  */
-async function fetchAndSortCredits(facultyId) {
-  const credits = await Credit.find({ faculty: facultyId });
-  if (!Array.isArray(credits)) throw new Error(`Credits fetch error for ${facultyId}`);
-
+function countableCredits(credits) {
   // Use Lodash to filter and sort
   return _.chain(credits)
     .filter(c => {
@@ -46,17 +46,33 @@ async function fetchAndSortCredits(facultyId) {
     .value();
 }
 
+/**
+ * Fetch all credits for a faculty and sort them chronologically.
+ */
+async function fetchAndSortCredits(facultyId) {
+  const credits = await Credit.find({ faculty: facultyId });
+  if (!Array.isArray(credits)) throw new Error(`Credits fetch error for ${facultyId}`);
+  return countableCredits(credits);
+}
+
 /**
  * Process credits array using functional patterns and precision math.
+ * Positive points are limited by title/category caps in credit order; year
+ * ceilings/floors then clamp each year's net. Every adjustment is reported in
+ * `capped`: cuts add up to `cappedPoints`, points given back by floors to `flooredPoints`.
+ * @param {Object[]} credits - sorted credits
+ * @param {Object} [rules] - from utils/creditCaps buildCapRules()
  */
-function processCredits(credits) {
+function processCredits(credits, rules = buildCapRules()) {
   // Initialize accumulators
   const stats = {
     runningTotal: math.bignumber(0),
     totalPositive: math.bignumber(0),
     totalNegative: math.bignumber(0),
     eventsApplied: 0,
-    byYear: {}
+    byYear: {},
+    capUsage: {}, // `${capId}:${year}` -> points already counted against the cap
+    capped: []
   };
 
   _.forEach(credits, (credit) => {
@@ -80,12 +96,29 @@ function processCredits(credits) {
     const yearData = stats.byYear[year];
 
     if (type === 'positive' && status === 'approved') {
-      yearData.positive = math.add(yearData.positive, pts);
-      yearData.net = math.add(yearData.net, pts);
+      // Trim to whatever room the title and category caps have left this year
+      let applied = pts;
+      const caps = [['title', rules.titleCap(credit, year)], ['category', rules.categoryCap(credit, year)]]
+        .filter(([, cap]) => cap && cap.maxPoints !== undefined && cap.maxPoints !== null);
+      _.forEach(caps, ([rule, cap]) => {
+        const used = stats.capUsage[`${cap._id}:${year}`] || math.bignumber(0);
+        const room = math.max(math.subtract(math.bignumber(cap.maxPoints), used), math.bignumber(0));
+        if (math.larger(applied, room)) {
+          stats.capped.push({ creditId: credit._id, academicYear: year, rule, capId: cap._id, limit: cap.maxPoints, points: math.number(math.subtract(applied, room)) });
+          applied = room;
+        }
+      });
+      _.forEach(caps, ([, cap]) => {
+        const key = `${cap._id}:${year}`;
+        stats.capUsage[key] = math.add(stats.capUsage[key] || math.bignumber(0), applied);
+      });
+
+      yearData.positive = math.add(yearData.positive, applied);
+      yearData.net = math.add(yearData.net, applied);
       yearData.posCount++;
       
-      stats.totalPositive = math.add(stats.totalPositive, pts);
-      stats.runningTotal = math.add(stats.runningTotal, pts);
+      stats.totalPositive = math.add(stats.totalPositive, applied);
+      stats.runningTotal = math.add(stats.runningTotal, applied);
       stats.eventsApplied++;
     } 
     else if (type === 'negative') {
@@ -105,6 +138,24 @@ function processCredits(credits) {
     }
   });
 
+  // Year ceiling / floor on the net of each year
+  _.forEach(stats.byYear, (yearData, year) => {
+    const cap = rules.yearCap(year);
+    if (!cap) return;
+    if (cap.maxPoints !== undefined && cap.maxPoints !== null && math.larger(yearData.net, math.bignumber(cap.maxPoints))) {
+      const cut = math.subtract(yearData.net, math.bignumber(cap.maxPoints));
+      stats.capped.push({ academicYear: year, rule: 'yearCeiling', capId: cap._id, limit: cap.maxPoints, points: math.number(cut) });
+      yearData.net = math.bignumber(cap.maxPoints);
+      stats.runningTotal = math.subtract(stats.runningTotal, cut);
+    }
+    if (cap.minPoints !== undefined && cap.minPoints !== null && math.smaller(yearData.net, math.bignumber(cap.minPoints))) {
+      const lift = math.subtract(math.bignumber(cap.minPoints), yearData.net);
+      stats.capped.push({ academicYear: year, rule: 'yearFloor', capId: cap._id, limit: cap.minPoints, points: math.number(lift) });
+      yearData.net = math.bignumber(cap.minPoints);
+      stats.runningTotal = math.add(stats.runningTotal, lift);
+    }
+  });
+
   // Convert bignumbers back to numbers for the final result
   return {
     runningTotal: math.number(stats.runningTotal),
@@ -115,7 +166,10 @@ function processCredits(credits) {
     negativeByYear: _.mapValues(stats.byYear, y => math.number(y.negative)),
     netByYear: _.mapValues(stats.byYear, y => math.number(y.net)),
     positiveCountByYear: _.mapValues(stats.byYear, y => y.posCount),
-    negativeCountByYear: _.mapValues(stats.byYear, y => y.negCount)
+    negativeCountByYear: _.mapValues(stats.byYear, y => y.negCount),
+    cappedPoints: _.sumBy(stats.capped.filter(c => c.rule !== 'yearFloor'), 'points'),
+    flooredPoints: _.sumBy(stats.capped.filter(c => c.rule === 'yearFloor'), 'points'),
+    capped: stats.capped
   };
 }
 
@@ -140,18 +194,28 @@ async function updateUserCredits(user, metrics) {
 }
 
 /**
- * Main Recalculation Entry Point
+ * Full recalculation. Balances normally move incrementally through the credit
+ * ledger (utils/ledger); this re-sums every credit and appends 'reconciled'
+ * entries for any difference, so it doubles as the ledger's verification.
+ * `ledgerEntries` lists those corrections (empty when nothing was off).
  */
 async function recalcFacultyCredits(facultyId) {
   try {
     const user = await fetchUser(facultyId);
     const credits = await fetchAndSortCredits(facultyId);
-    const metrics = processCredits(credits);
-    await updateUserCredits(user, metrics);
+    const metrics = processCredits(credits, await loadCapRules());
+
+    let ledgerEntries = [];
+    if (isDynamoUserModel(user)) {
+      ledgerEntries = await reconcileBalances(user, metrics);
+    } else {
+      await updateUserCredits(user, metrics);
+    }
 
     return {
       ...metrics,
-      netTotal: metrics.runningTotal
+      netTotal: metrics.runningTotal,
+      ledgerEntries
     };
   } catch (err) {
     throw new Error(`recalcFacultyCredits failed: ${err.message}`);
@@ -159,8 +223,10 @@ async function recalcFacultyCredits(facultyId) {
 }
 
 module.exports = {
+  math,
   recalcFacultyCredits,
   fetchUser,
+  countableCredits,
   fetchAndSortCredits,
   processCredits,
   updateUserCredits,
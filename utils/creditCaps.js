@@ -0,0 +1,68 @@
+// utils/creditCaps.js
+'use strict';
+
+const CreditCap = require('../Models/CreditCap');
+const CreditTitle = require('../Models/CreditTitle');
+
+const CAP_SCOPES = ['title', 'category', 'year'];
+
+/**
+ * Title a credit counts under: its creditTitle, else its first category
+ * (faculty submissions only carry categories, which are title ids).
+ */
+function titleOf(credit) {
+  return credit.creditTitle || (credit.categories || [])[0] || null;
+}
+
+/**
+ * Index the active caps for processCredits.
+ * @param {Object[]} caps - CreditCap rows
+ * @param {Object[]} [titles] - credit titles, needed to resolve `category` caps
+ * @returns {{ empty: boolean, titleCap: Function, categoryCap: Function, yearCap: Function }}
+ */
+function buildCapRules(caps = [], titles = []) {
+  const active = caps.filter((c) => c.isActive !== false);
+  const categoryByTitle = {};
+  titles.forEach((t) => {
+    if (t.category) categoryByTitle[String(t._id)] = t.category;
+  });
+
+  // A cap for the credit's academic year beats the all-years cap for the same key
+  function find(scope, key, year) {
+    const matching = active.filter((c) => c.scope === scope &&
+      (scope === 'year' || String(scope === 'title' ? c.creditTitle : c.category) === String(key)));
+    return matching.find((c) => c.academicYear === year) || matching.find((c) => !c.academicYear) || null;
+  }
+
+  return {
+    empty: active.length === 0,
+    titleCap(credit, year) {
+      const t = titleOf(credit);
+      return t ? find('title', t, year) : null;
+    },
+    categoryCap(credit, year) {
+      const t = titleOf(credit);
+      const category = t && categoryByTitle[String(t)];
+      return category ? find('category', category, year) : null;
+    },
+    yearCap(year) {
+      return find('year', null, year);
+    },
+  };
+}
+
+/**
+ * Load caps (and titles, when a category cap needs them) for a recalculation.
+ */
+async function loadCapRules() {
+  const caps = await CreditCap.find();
+  const titles = caps.some((c) => c.scope === 'category') ? await CreditTitle.find({}) : [];
+  return buildCapRules(caps, titles);
+}
+
+module.exports = {
+  CAP_SCOPES,
+  titleOf,
+  buildCapRules,
+  loadCapRules,
+};
@@ -0,0 +1,176 @@
+// utils/creditConsistency.js
+'use strict';
+
+const User = require('../Models/User');
+const ConsistencyReport = require('../Models/ConsistencyReport');
+const { fetchAndSortCredits, processCredits, recalcFacultyCredits } = require('./calculateCredits');
+const { loadCapRules } = require('./creditCaps');
+const { currentActor } = require('./requestContext');
+
+/**
+ * Consistency check for the derived totals on User rows (`currentCredit`,
+ * `creditsByYear`). Every faculty is recomputed from their credits with
+ * processCredits and compared to what is stored; with `repair` the drifted
+ * ones are recalculated, which appends 'reconciled' ledger entries.
+ * Each run stores a report (Models/ConsistencyReport, kind 'creditTotals').
+ */
+
+const REPORT_KIND = 'creditTotals';
+// Keeps a report well under DynamoDB's 400 KB item limit
+const MAX_REPORTED = 500;
+
+let running = null;
+
+function round2(n) {
+  return Math.round(Number(n || 0) * 100) / 100;
+}
+
+/**
+ * Differences between a faculty's stored totals and a recomputation.
+ * @param {Object} user
+ * @param {Object} metrics - result of processCredits
+ * @returns {Object|null} null when they agree (to 2 decimals)
+ */
+function compareTotals(user, metrics) {
+  const storedByYear = user.creditsByYear || {};
+  const years = [...new Set([...Object.keys(storedByYear), ...Object.keys(metrics.netByYear)])].sort();
+  const yearDrift = years
+    .map((academicYear) => ({
+      academicYear,
+      stored: round2(storedByYear[academicYear]),
+      computed: round2(metrics.netByYear[academicYear]),
+    }))
+    .filter((y) => y.stored !== y.computed);
+
+  const storedTotal = round2(user.currentCredit);
+  const computedTotal = round2(metrics.runningTotal);
+  if (storedTotal === computedTotal && yearDrift.length === 0) return null;
+
+  return {
+    facultyId: String(user._id),
+    facultyID: user.facultyID || null,
+    name: user.name || null,
+    storedTotal,
+    computedTotal,
+    difference: round2(computedTotal - storedTotal),
+    years: yearDrift,
+  };
+}
+
+/**
+ * Check every faculty and store the report.
+ * @param {Object} [options]
+ * @param {boolean} [options.repair] - recalculate faculty whose totals drifted
+ * @param {'schedule'|'cli'|'admin'} [options.trigger]
+ * @returns {Promise<Object>} the stored report
+ * @throws 409 when a check is already running in this process
+ */
+async function runConsistencyCheck({ repair = false, trigger = 'admin' } = {}) {
+  if (running) {
+    const err = new Error('A consistency check is already running');
+    err.status = 409;
+    throw err;
+  }
+
+  running = (async () => {
+    const startedAt = new Date().toISOString();
+    const rules = await loadCapRules();
+    const faculty = await User.find({ role: 'faculty' });
+    const drift = [];
+    const failed = [];
+    let repaired = 0;
+
+    for (const user of faculty) {
+      try {
+        const metrics = processCredits(await fetchAndSortCredits(String(user._id)), rules);
+        const row = compareTotals(user, metrics);
+        if (!row) continue;
+
+        if (repair) {
+          // Recalculate from a fresh read: a credit may have changed since `user` was loaded
+          const result = await recalcFacultyCredits(String(user._id));
+          row.repaired = true;
+          row.ledgerEntries = result.ledgerEntries.map((e) => e._id);
+          repaired++;
+        }
+        drift.push(row);
+      } catch (err) {
+        failed.push({ facultyId: String(user._id), error: err.message });
+      }
+    }
+
+    drift.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+    const { actor, actorName } = currentActor();
+
+    return ConsistencyReport.create({
+      kind: REPORT_KIND,
+      trigger,
+      repair,
+      actor,
+      actorName,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      checked: faculty.length,
+      drifted: drift.length,
+      repaired,
+      failed: failed.slice(0, MAX_REPORTED),
+      drift: drift.slice(0, MAX_REPORTED),
+      truncated: drift.length > MAX_REPORTED || failed.length > MAX_REPORTED,
+    });
+  })();
+
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+/**
+ * Latest stored report, or null before the first run.
+ */
+async function latestConsistencyReport() {
+  return ConsistencyReport.latest(REPORT_KIND);
+}
+
+/**
+ * Run the check every `intervalMs` in a long-running server (see index.js).
+ * @param {Object} opts - { intervalMs, repair }
+ * @returns {{ stop: Function }}
+ */
+function startConsistencyChecker({ intervalMs, repair = false }) {
+  let stopped = false;
+  let timer = null;
+
+  function scheduleNext() {
+    if (stopped) return;
+    timer = setTimeout(async () => {
+      try {
+        const report = await runConsistencyCheck({ repair, trigger: 'schedule' });
+        console.log(`[consistency] checked ${report.checked} faculty, ${report.drifted} drifted, ${report.repaired} repaired`);
+      } catch (err) {
+        console.warn('[consistency] check failed:', err.message);
+      }
+      scheduleNext();
+    }, intervalMs);
+    // Never keep the process alive just for the checker
+    if (timer.unref) timer.unref();
+  }
+
+  scheduleNext();
+
+  return {
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+    },
+  };
+}
+
+module.exports = {
+  REPORT_KIND,
+  compareTotals,
+  runConsistencyCheck,
+  latestConsistencyReport,
+  startConsistencyChecker,
+};
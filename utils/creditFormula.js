@@ -0,0 +1,206 @@
+// utils/creditFormula.js
+'use strict';
+
+const Credit = require('../Models/Credit');
+const { math } = require('./calculateCredits');
+
+/**
+ * Rule-based points for credit titles.
+ *
+ * A title may carry `formula` (a mathjs expression) and `inputs` (the values
+ * the submitter provides), e.g.
+ *   formula: 'base * tier / authorPosition'
+ *   inputs:  [{ name: 'authorPosition', type: 'integer', min: 1 },
+ *             { name: 'tier', type: 'select', options: { Q1: 4, Q2: 3, Q3: 2, Q4: 1 } }]
+ * Besides the declared inputs, formulas can use:
+ *   base        - the title's fixed `points`
+ *   priorCount  - credits of the same title the faculty already has in the academic year
+ * The result is rounded to 2 decimals; negative titles always yield a deduction.
+ */
+
+const BUILTIN_VARIABLES = ['base', 'priorCount'];
+const FUNCTIONS = ['min', 'max', 'abs', 'round', 'floor', 'ceil', 'sqrt', 'pow'];
+const INPUT_TYPES = ['number', 'integer', 'boolean', 'select'];
+const NODE_TYPES = ['ConstantNode', 'SymbolNode', 'OperatorNode', 'ParenthesisNode', 'ConditionalNode', 'FunctionNode'];
+
+function formulaError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Check a title's formula before it is saved: it must parse, only use
+ * arithmetic, comparisons, `a ? b : c` and FUNCTIONS, and only reference
+ * declared inputs or built-ins.
+ * @param {string} formula
+ * @param {Object[]} [inputs]
+ * @throws 400 describing the first problem
+ */
+function validateFormulaDefinition(formula, inputs = []) {
+  let root;
+  try {
+    root = math.parse(String(formula));
+  } catch (err) {
+    throw formulaError(`Invalid formula: ${err.message}`);
+  }
+
+  if (!Array.isArray(inputs)) throw formulaError('inputs must be an array');
+  const names = inputs.map((i) => i.name);
+  const dup = names.find((n, idx) => names.indexOf(n) !== idx);
+  if (dup) throw formulaError(`Input "${dup}" is declared twice`);
+  const reserved = names.find((n) => BUILTIN_VARIABLES.includes(n));
+  if (reserved) throw formulaError(`Input name "${reserved}" is reserved`);
+
+  const known = new Set([...names, ...BUILTIN_VARIABLES]);
+  root.traverse((node, path, parent) => {
+    if (!NODE_TYPES.includes(node.type)) throw formulaError(`Formula may not contain ${node.type}`);
+    if (node.type === 'FunctionNode' && !FUNCTIONS.includes(node.fn.name)) {
+      throw formulaError(`Function "${node.fn.name}" is not allowed. Allowed: ${FUNCTIONS.join(', ')}`);
+    }
+    const isFunctionName = parent && parent.type === 'FunctionNode' && path === 'fn';
+    if (node.type === 'SymbolNode' && !isFunctionName && !known.has(node.name)) {
+      throw formulaError(`Unknown variable "${node.name}" in formula`);
+    }
+  });
+}
+
+/**
+ * Validate submitted inputs against the title's declarations.
+ * Multipart forms may send `inputs` as a JSON string.
+ * @param {Object} title - credit title
+ * @param {Object|string} raw - submitted inputs
+ * @returns {{ values: Object, scope: Object }} values as submitted (for the breakdown) and numbers for the formula
+ * @throws 400 listing every invalid input
+ */
+function parseInputs(title, raw) {
+  let given = raw || {};
+  if (typeof given === 'string') {
+    try {
+      given = JSON.parse(given);
+    } catch (e) {
+      throw formulaError('inputs must be a JSON object');
+    }
+  }
+
+  const values = {};
+  const scope = {};
+  const errors = [];
+
+  (title.inputs || []).forEach((def) => {
+    let v = given[def.name];
+    if ((v === undefined || v === '' || v === null) && def.default !== undefined) v = def.default;
+    if (v === undefined || v === '' || v === null) {
+      if (def.required !== false) errors.push(`${def.name} is required`);
+      else scope[def.name] = 0;
+      return;
+    }
+
+    if (def.type === 'select') {
+      if (!Object.prototype.hasOwnProperty.call(def.options || {}, v)) {
+        errors.push(`${def.name} must be one of: ${Object.keys(def.options || {}).join(', ')}`);
+        return;
+      }
+      values[def.name] = v;
+      scope[def.name] = Number(def.options[v]);
+      return;
+    }
+
+    if (def.type === 'boolean') {
+      const b = v === true || v === 'true' || v === 1 || v === '1';
+      values[def.name] = b;
+      scope[def.name] = b ? 1 : 0;
+      return;
+    }
+
+    const n = Number(v);
+    if (Number.isNaN(n)) errors.push(`${def.name} must be a number`);
+    else if (def.type === 'integer' && !Number.isInteger(n)) errors.push(`${def.name} must be a whole number`);
+    else if (def.min !== undefined && n < def.min) errors.push(`${def.name} must be at least ${def.min}`);
+    else if (def.max !== undefined && n > def.max) errors.push(`${def.name} must be at most ${def.max}`);
+    else {
+      values[def.name] = n;
+      scope[def.name] = n;
+    }
+  });
+
+  if (errors.length) throw formulaError(`Invalid inputs: ${errors.join('; ')}`);
+  return { values, scope };
+}
+
+/**
+ * Evaluate a title's formula.
+ * @param {Object} title - credit title with `formula`
+ * @param {Object|string} rawInputs - submitted inputs
+ * @param {Object} [context] - { priorCount }
+ * @returns {{ points: number, breakdown: Object }}
+ */
+function evaluateFormula(title, rawInputs, { priorCount = 0 } = {}) {
+  const { values, scope } = parseInputs(title, rawInputs);
+  const base = Number(title.points || 0);
+
+  let result;
+  try {
+    result = Number(math.evaluate(title.formula, { ...scope, base, priorCount }));
+  } catch (err) {
+    throw formulaError(`Could not evaluate the formula: ${err.message}`);
+  }
+  if (!Number.isFinite(result)) throw formulaError('The formula did not produce a number for these inputs');
+
+  const magnitude = Math.round(Math.abs(result) * 100) / 100;
+  const points = title.type === 'negative' ? -magnitude : magnitude;
+
+  return {
+    points,
+    breakdown: {
+      creditTitle: String(title._id),
+      formula: title.formula,
+      base,
+      priorCount,
+      inputs: values,
+      result,
+      points,
+      computedAt: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Credits of `titleId` the faculty already has in `academicYear` (deleted ones excluded).
+ */
+async function countPriorCredits(facultyId, titleId, academicYear, excludeId) {
+  const credits = await Credit.find({ faculty: String(facultyId) });
+  return credits.filter((c) =>
+    String(c._id) !== String(excludeId || '') &&
+    !['deleted', 'draft'].includes(c.status) &&
+    c.academicYear === academicYear &&
+    (String(c.creditTitle) === String(titleId) || (c.categories || []).map(String).includes(String(titleId)))
+  ).length;
+}
+
+/**
+ * Points for a credit of `title`: the formula result when the title has
+ * one, otherwise its fixed points (negated for negative titles).
+ * @param {Object} title
+ * @param {Object} options - { inputs, faculty, academicYear, excludeId }
+ * @returns {Promise<{ points: number, pointsBreakdown?: Object }>}
+ */
+async function computeTitlePoints(title, { inputs, faculty, academicYear, excludeId } = {}) {
+  if (!title.formula) {
+    const fixed = Number(title.points || 0);
+    return { points: title.type === 'negative' ? -Math.abs(fixed) : Math.abs(fixed) };
+  }
+  const priorCount = await countPriorCredits(faculty, title._id, academicYear, excludeId);
+  const { points, breakdown } = evaluateFormula(title, inputs, { priorCount });
+  return { points, pointsBreakdown: breakdown };
+}
+
+module.exports = {
+  BUILTIN_VARIABLES,
+  FUNCTIONS,
+  INPUT_TYPES,
+  validateFormulaDefinition,
+  parseInputs,
+  evaluateFormula,
+  computeTitlePoints,
+};
@@ -0,0 +1,147 @@
+// utils/creditSimulation.js
+'use strict';
+
+const Credit = require('../Models/Credit');
+const CreditTitle = require('../Models/CreditTitle');
+const AcademicYear = require('../Models/AcademicYear');
+const { countableCredits, processCredits } = require('./calculateCredits');
+const { loadCapRules } = require('./creditCaps');
+const { assertTransition } = require('./creditStatus');
+const { latestAppeal, replaceLatestAppeal } = require('./appeals');
+const { computeTitlePoints } = require('./creditFormula');
+const { currentCycle, academicYearForDate } = require('./academicYears');
+
+/**
+ * What-if projections: apply hypothetical changes to copies of a faculty's
+ * credits and run processCredits (caps included) on both sets. Nothing is
+ * written. Changes apply in order, so a later one sees the earlier ones:
+ *   { action: 'approve' | 'reject', creditId }         decide a pending positive credit
+ *   { action: 'acceptAppeal' | 'rejectAppeal', creditId } decide a pending appeal
+ *   { action: 'add', creditTitle, academicYear?, inputs?, points? }  a new credit of a title,
+ *     counted as approved (negative titles: as a penalty that stands)
+ */
+
+const SIMULATION_ACTIONS = ['approve', 'reject', 'acceptAppeal', 'rejectAppeal', 'add'];
+
+function changeError(index, err) {
+  const wrapped = new Error(`changes[${index}]: ${err.message}`);
+  wrapped.status = err.status || 400;
+  return wrapped;
+}
+
+function simulationError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function roundDiff(a, b) {
+  return Math.round((Number(a || 0) - Number(b || 0)) * 100) / 100;
+}
+
+/**
+ * Credit after a decision on an existing credit.
+ */
+function decide(credit, action) {
+  if (action === 'approve' || action === 'reject') {
+    // Judged as an admin decision: only pending positive credits qualify
+    const to = action === 'approve' ? 'approved' : 'rejected';
+    if (!assertTransition(credit, to, 'admin')) throw simulationError(`Credit is already ${to}`, 409);
+    return { ...credit, status: to };
+  }
+
+  const appeal = latestAppeal(credit);
+  if (credit.type !== 'negative' || !appeal || appeal.status !== 'pending') {
+    throw simulationError('Credit has no pending appeal', 409);
+  }
+  if (action === 'acceptAppeal') {
+    // Same as an admin accepting it: the credit goes back to pending
+    return { ...credit, ...replaceLatestAppeal(credit, { ...appeal, status: 'accepted' }), status: 'pending' };
+  }
+  return { ...credit, ...replaceLatestAppeal(credit, { ...appeal, status: 'rejected' }) };
+}
+
+/**
+ * Project a faculty's totals under hypothetical changes.
+ * @param {string} facultyId
+ * @param {Object[]} changes - validated by schemas.simulation
+ * @returns {Promise<{ current: Object, projected: Object, difference: Object, changes: Object[] }>}
+ * @throws 404 for an unknown credit or title, 409 for a change that cannot happen
+ */
+async function simulateCredits(facultyId, changes) {
+  const credits = await Credit.find({ faculty: String(facultyId) });
+  const rules = await loadCapRules();
+  const working = new Map(credits.map((c) => [String(c._id), c]));
+  const applied = [];
+
+  let defaultYear = null;
+  for (let i = 0; i < changes.length; i++) {
+    const change = changes[i];
+    try {
+      if (change.action !== 'add') {
+        const credit = working.get(String(change.creditId));
+        if (!credit) throw simulationError('Credit not found for this faculty', 404);
+        const next = decide(credit, change.action);
+        working.set(String(credit._id), next);
+        applied.push({ action: change.action, creditId: String(credit._id), title: credit.title, academicYear: credit.academicYear, points: credit.points });
+        continue;
+      }
+
+      const title = await CreditTitle.findById(change.creditTitle);
+      if (!title) throw simulationError('Credit title not found', 404);
+      if (!change.academicYear && !defaultYear) {
+        const cycles = await AcademicYear.find().catch(() => []);
+        const cycle = currentCycle(cycles);
+        defaultYear = cycle ? cycle.label : academicYearForDate(cycles, new Date());
+      }
+      const academicYear = change.academicYear || defaultYear;
+
+      let points;
+      let pointsBreakdown;
+      if (change.points !== undefined) {
+        points = title.type === 'negative' ? -Math.abs(change.points) : Math.abs(change.points);
+      } else {
+        ({ points, pointsBreakdown } = await computeTitlePoints(title, { inputs: change.inputs, faculty: facultyId, academicYear }));
+      }
+
+      const id = `simulated-${i + 1}`;
+      working.set(id, {
+        _id: id,
+        faculty: String(facultyId),
+        type: title.type || 'positive',
+        status: 'approved',
+        title: title.title,
+        creditTitle: String(title._id),
+        categories: [String(title._id)],
+        points,
+        academicYear,
+        createdAt: new Date().toISOString(),
+        simulated: true,
+      });
+      applied.push({ action: 'add', creditId: id, title: title.title, academicYear, points, pointsBreakdown });
+    } catch (err) {
+      throw changeError(i, err);
+    }
+  }
+
+  const current = processCredits(countableCredits(credits), rules);
+  const projected = processCredits(countableCredits([...working.values()]), rules);
+  const years = new Set([...Object.keys(current.netByYear), ...Object.keys(projected.netByYear)]);
+  const byYear = {};
+  years.forEach((year) => {
+    const diff = roundDiff(projected.netByYear[year], current.netByYear[year]);
+    if (diff) byYear[year] = diff;
+  });
+
+  return {
+    current,
+    projected,
+    difference: { total: roundDiff(projected.runningTotal, current.runningTotal), byYear },
+    changes: applied,
+  };
+}
+
+module.exports = {
+  SIMULATION_ACTIONS,
+  simulateCredits,
+};
@@ -0,0 +1,106 @@
+// utils/creditStatus.js
+'use strict';
+
+/**
+ * Credit status state machine: the statuses a credit can be in, the moves
+ * between them, who may make each move and what has to happen afterwards.
+ * Controllers call assertTransition() before writing a new status and
+ * runStatusEffects() after the write.
+ */
+
+const STATUSES = {
+  draft: 'Started by the faculty, not yet submitted (positive credits)',
+  pending: 'Awaiting a decision (negative credits: issued, not yet final)',
+  returned: 'Sent back to the faculty for changes (approval workflow)',
+  approved: 'Approved and counted',
+  rejected: 'Rejected',
+  appealed: 'Negative credit under appeal',
+  deleted: 'Soft-deleted by the issuer',
+};
+
+const CREDIT_STATUSES = Object.keys(STATUSES);
+
+// Statuses ignored when computing faculty totals
+const EXCLUDED_FROM_TOTALS = ['draft', 'pending', 'returned', 'deleted'];
+
+/**
+ * Legal moves. `types` limits a move to positive/negative credits, `roles`
+ * are the actors allowed to make it ('reviewer' = approval workflow stage).
+ * A rejected or approved credit only gets a new decision after going back
+ * to pending (re-review), never directly. Totals need no effect: saving the
+ * credit posts the balance change to the ledger (utils/ledger).
+ */
+const TRANSITIONS = [
+  { from: ['draft'], to: 'pending', types: ['positive'], roles: ['faculty'], effects: [] },
+  { from: ['pending'], to: 'approved', types: ['positive'], roles: ['admin', 'reviewer'], effects: ['notify'] },
+  { from: ['pending'], to: 'rejected', types: ['positive'], roles: ['admin', 'reviewer'], effects: ['notify'] },
+  { from: ['pending'], to: 'returned', types: ['positive'], roles: ['reviewer'], effects: ['notify'] },
+  { from: ['returned'], to: 'pending', types: ['positive'], roles: ['faculty'], effects: [] },
+  { from: ['approved', 'rejected'], to: 'pending', types: ['positive'], roles: ['admin'], effects: [] },
+
+  { from: ['pending'], to: 'appealed', types: ['negative'], roles: ['faculty'], effects: [] },
+  { from: ['appealed'], to: 'pending', types: ['negative'], roles: ['admin', 'faculty'], effects: [] },
+
+  { from: ['pending', 'returned', 'approved', 'rejected', 'appealed'], to: 'deleted', roles: ['admin', 'oa'], effects: [] },
+];
+
+// Push sent to the faculty by the 'notify' effect
+const NOTIFICATIONS = {
+  approved: (c) => ({ title: 'Credit Approved', body: `Your credit submission "${c.title}" has been approved.` }),
+  rejected: (c) => ({ title: 'Credit Rejected', body: `Your credit submission "${c.title}" was rejected.` }),
+  returned: (c) => ({ title: 'Changes Requested', body: `Your credit submission "${c.title}" was returned for changes.` }),
+};
+
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Transition for moving `credit` to `to`, or null when nothing changes.
+ * @param {Object} credit - credit as stored
+ * @param {string} to - target status
+ * @param {string} role - 'admin' | 'oa' | 'faculty' | 'reviewer'
+ * @returns {Object|null}
+ * @throws 400 for an unknown status, 409 for an illegal move, 403 when the role may not make it
+ */
+function assertTransition(credit, to, role) {
+  if (!STATUSES[to]) throw statusError(`Invalid status. Allowed: ${CREDIT_STATUSES.join(', ')}`, 400);
+
+  const from = credit.status || 'pending';
+  if (from === to) return null;
+
+  const moves = TRANSITIONS.filter((t) => t.to === to && t.from.includes(from) && (!t.types || t.types.includes(credit.type)));
+  if (moves.length === 0) throw statusError(`Cannot move a ${credit.type || 'credit'} credit from ${from} to ${to}`, 409);
+
+  const move = moves.find((t) => t.roles.includes(role));
+  if (!move) throw statusError(`Role ${role} cannot move a credit from ${from} to ${to}`, 403);
+
+  return { ...move, from };
+}
+
+/**
+ * Run a transition's side effects (notifications) for the updated credit.
+ * The status change itself has already been saved.
+ * @param {Object} credit - credit after the update
+ * @param {Object|null} transition - result of assertTransition
+ */
+async function runStatusEffects(credit, transition) {
+  if (!transition) return;
+  const { sendPushToUser } = require('../Controllers/pushController');
+
+  const notification = NOTIFICATIONS[transition.to];
+  if (transition.effects.includes('notify') && notification && credit.faculty) {
+    sendPushToUser(String(credit.faculty), { ...notification(credit), url: '/u/credits' });
+  }
+}
+
+module.exports = {
+  STATUSES,
+  CREDIT_STATUSES,
+  EXCLUDED_FROM_TOTALS,
+  TRANSITIONS,
+  assertTransition,
+  runStatusEffects,
+};
@@ -0,0 +1,139 @@
+// utils/draftReminders.js
+'use strict';
+
+const AcademicYear = require('../Models/AcademicYear');
+const Credit = require('../Models/Credit');
+const User = require('../Models/User');
+const { sendEmail } = require('./email');
+
+/**
+ * Reminders about unsubmitted drafts as an academic year's submission
+ * deadline approaches. Each threshold in DRAFT_REMINDER_DAYS (days before
+ * the deadline, default 7 and 1) fires at most once per draft: the draft
+ * keeps the last threshold it was reminded at in `draftReminderDays`.
+ * Each faculty gets one push and one email per run listing their drafts.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function reminderDays() {
+  const days = String(process.env.DRAFT_REMINDER_DAYS || '7,1')
+    .split(',')
+    .map((d) => Number(d.trim()))
+    .filter((d) => d > 0);
+  return days.length ? days : [7, 1];
+}
+
+/**
+ * Smallest threshold (days before the deadline) already reached, or null.
+ */
+function dueThreshold(deadline, now, days) {
+  const daysLeft = (new Date(deadline).getTime() - now.getTime()) / DAY_MS;
+  if (daysLeft <= 0) return null;
+  const due = days.filter((d) => daysLeft <= d);
+  return due.length ? Math.min(...due) : null;
+}
+
+async function remindFaculty(facultyId, drafts, cycle) {
+  const { sendPushToUser } = require('../Controllers/pushController');
+  const deadline = new Date(cycle.submissionDeadline).toLocaleDateString('en-IN', { dateStyle: 'long' });
+  const titles = drafts.map((d) => d.title);
+  const summary = titles.length === 1 ? `"${titles[0]}" is` : `${titles.length} credit drafts are`;
+
+  sendPushToUser(String(facultyId), {
+    title: 'Draft not submitted',
+    body: `${summary} still unsubmitted. The ${cycle.label} submission deadline is ${deadline}.`,
+    url: '/u/credits',
+    icon: '/icons/info.png',
+  });
+
+  const user = await User.findById(String(facultyId));
+  if (user && user.email) {
+    const portalUrl = process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/faculty/credits` : null;
+    const items = titles.map((t) => `<li>${t}</li>`).join('');
+    await sendEmail({
+      to: user.email,
+      subject: `Submit your credit drafts before ${deadline}`,
+      text: `Dear ${user.name || 'Faculty Member'},\n\nThese credit drafts for ${cycle.label} are not submitted yet:\n${titles.map((t) => `- ${t}`).join('\n')}\n\nThe submission deadline is ${deadline}.${portalUrl ? `\n\n${portalUrl}` : ''}`,
+      html: `<p>Dear ${user.name || 'Faculty Member'},</p><p>These credit drafts for ${cycle.label} are not submitted yet:</p><ul>${items}</ul><p>The submission deadline is <strong>${deadline}</strong>.</p>${portalUrl ? `<p><a href="${portalUrl}">Open my credits</a></p>` : ''}`,
+    });
+  }
+}
+
+/**
+ * Send the reminders that are due now.
+ * @param {Object} [opts] - { now, days }
+ * @returns {Promise<{ cycles: number, faculty: number, drafts: number }>}
+ */
+async function sendDraftReminders({ now = new Date(), days = reminderDays() } = {}) {
+  const cycles = (await AcademicYear.find()).filter((c) => c.state === 'open' && c.submissionDeadline);
+  const result = { cycles: 0, faculty: 0, drafts: 0 };
+
+  for (const cycle of cycles) {
+    const threshold = dueThreshold(cycle.submissionDeadline, now, days);
+    if (threshold === null) continue;
+
+    const drafts = (await Credit.find({ academicYear: cycle.label, status: 'draft' }))
+      .filter((d) => d.draftReminderDays == null || d.draftReminderDays > threshold);
+    if (drafts.length === 0) continue;
+    result.cycles += 1;
+
+    const byFaculty = new Map();
+    drafts.forEach((d) => byFaculty.set(d.faculty, [...(byFaculty.get(d.faculty) || []), d]));
+
+    for (const [facultyId, own] of byFaculty) {
+      try {
+        await remindFaculty(facultyId, own, cycle);
+        for (const draft of own) {
+          await Credit.update(draft._id, { draftReminderDays: threshold }, { reason: 'draft reminder' });
+        }
+        result.faculty += 1;
+        result.drafts += own.length;
+      } catch (err) {
+        console.warn(`[drafts] reminder to faculty ${facultyId} failed:`, err.message);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Check for due reminders every `intervalMs` in a long-running server (see index.js).
+ * @param {Object} opts - { intervalMs }
+ * @returns {{ stop: Function }}
+ */
+function startDraftReminders({ intervalMs }) {
+  let stopped = false;
+  let timer = null;
+
+  function scheduleNext() {
+    if (stopped) return;
+    timer = setTimeout(async () => {
+      try {
+        const sent = await sendDraftReminders();
+        if (sent.drafts) console.log(`[drafts] reminded ${sent.faculty} faculty about ${sent.drafts} drafts`);
+      } catch (err) {
+        console.warn('[drafts] reminders failed:', err.message);
+      }
+      scheduleNext();
+    }, intervalMs);
+    // Never keep the process alive just for the reminders
+    if (timer.unref) timer.unref();
+  }
+
+  scheduleNext();
+
+  return {
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+    },
+  };
+}
+
+module.exports = {
+  reminderDays,
+  dueThreshold,
+  sendDraftReminders,
+  startDraftReminders,
+};
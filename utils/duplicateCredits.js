@@ -0,0 +1,145 @@
+// utils/duplicateCredits.js
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const Credit = require('../Models/Credit');
+
+/**
+ * Possible duplicate positive credits.
+ *
+ * Submissions store `proofHash` (SHA-256 of the proof file) and
+ * `titleFingerprint` (normalised title words). A credit may duplicate:
+ *   sameProof     - any positive credit, of any faculty, with the same proof file
+ *   sameTitle     - a credit of the same faculty whose title has the same fingerprint
+ *   similarTitle  - same faculty, titles sharing at least SIMILAR_TITLE of their words
+ * Deleted credits and drafts are never matched. Matches are only flagged for
+ * reviewers; nothing is blocked.
+ */
+
+const SIMILAR_TITLE = 0.6;
+// Not (or no longer) submitted, so nothing can duplicate them
+const IGNORED_STATUSES = ['deleted', 'draft'];
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'the', 'to', 'with',
+  'certificate', 'certification', 'participation',
+]);
+
+/**
+ * SHA-256 of an uploaded file (multer memory or disk storage).
+ * @param {Object} [file]
+ * @returns {string|null}
+ */
+function proofHashOf(file) {
+  if (!file) return null;
+  const hash = crypto.createHash('sha256');
+  if (file.buffer) hash.update(file.buffer);
+  else if (file.path) hash.update(fs.readFileSync(file.path));
+  else return null;
+  return hash.digest('hex');
+}
+
+function titleWords(title) {
+  return String(title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((w) => w && !STOP_WORDS.has(w))
+    .map((w) => (w.length > 3 && w.endsWith('s') ? w.slice(0, -1) : w));
+}
+
+/**
+ * Title reduced to its sorted, distinct words, without case, punctuation,
+ * filler words or plurals: "Certificate of NPTEL - Data Science" and
+ * "NPTEL data-science certificate" both give "data nptel science".
+ * @param {string} title
+ * @returns {string}
+ */
+function titleFingerprint(title) {
+  return [...new Set(titleWords(title))].sort().join(' ');
+}
+
+/**
+ * Share of words two fingerprints have in common (Jaccard, 0..1).
+ */
+function fingerprintSimilarity(a, b) {
+  const wordsA = new Set(String(a || '').split(' ').filter(Boolean));
+  const wordsB = new Set(String(b || '').split(' ').filter(Boolean));
+  if (!wordsA.size || !wordsB.size) return 0;
+  let shared = 0;
+  wordsA.forEach((w) => { if (wordsB.has(w)) shared += 1; });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+function fingerprintOf(credit) {
+  return credit.titleFingerprint || titleFingerprint(credit.title);
+}
+
+/**
+ * Positive credits the given credit may duplicate, newest first.
+ * @param {Object} credit - stored credit, or the fields of one about to be
+ *   created ({ faculty, title, proofHash, titleFingerprint })
+ * @returns {Promise<Array<{ creditId, faculty, facultyID, name, title, academicYear, status, createdAt, reasons: string[], similarity }>>}
+ */
+async function findPossibleDuplicates(credit) {
+  const fingerprint = fingerprintOf(credit);
+  const isCandidate = (other) => other.type === 'positive'
+    && !IGNORED_STATUSES.includes(other.status)
+    && !(credit._id && String(other._id) === String(credit._id));
+  const [own, sameProof] = (await Promise.all([
+    Credit.find({ faculty: String(credit.faculty), type: 'positive' }),
+    credit.proofHash ? Credit.find({ proofHash: credit.proofHash }) : [],
+  ])).map((list) => list.filter(isCandidate));
+
+  const matches = new Map();
+  const add = (other, reason, similarity) => {
+    const match = matches.get(other._id) || {
+      creditId: other._id,
+      faculty: other.faculty,
+      facultyID: other.facultySnapshot && other.facultySnapshot.facultyID,
+      name: other.facultySnapshot && other.facultySnapshot.name,
+      title: other.title,
+      academicYear: other.academicYear,
+      status: other.status,
+      createdAt: other.createdAt,
+      reasons: [],
+      similarity,
+    };
+    if (!match.reasons.includes(reason)) match.reasons.push(reason);
+    match.similarity = Math.max(match.similarity, similarity);
+    matches.set(other._id, match);
+  };
+
+  sameProof.forEach((other) => add(other, 'sameProof', 1));
+  for (const other of own) {
+    const otherFingerprint = fingerprintOf(other);
+    if (!fingerprint || !otherFingerprint) continue;
+    if (otherFingerprint === fingerprint) {
+      add(other, 'sameTitle', 1);
+      continue;
+    }
+    const similarity = Math.round(fingerprintSimilarity(fingerprint, otherFingerprint) * 100) / 100;
+    if (similarity >= SIMILAR_TITLE) add(other, 'similarTitle', similarity);
+  }
+
+  return [...matches.values()].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Short form stored on a flagged credit.
+ * @param {Object[]} matches - from findPossibleDuplicates
+ * @returns {Array<{ creditId, reasons }>}
+ */
+function duplicateRefs(matches) {
+  return matches.map(({ creditId, reasons }) => ({ creditId, reasons }));
+}
+
+module.exports = {
+  SIMILAR_TITLE,
+  proofHashOf,
+  titleFingerprint,
+  fingerprintSimilarity,
+  findPossibleDuplicates,
+  duplicateRefs,
+};
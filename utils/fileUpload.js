@@ -1,12 +1,14 @@
 const path = require('path');
 const fs = require('fs');
-const { uploadFileToGitHub, uploadFileToGitHubBuffer } = require('./githubUpload');
-const { createMaskedUrl, createShortLink } = require('./urlHelper');
+const { getStorage } = require('./storage');
+const { inspectFile } = require('./uploadInspection');
+const { createMaskedUrl, assetIdOf } = require('./urlHelper');
 
 /**
- * Centralized Helper: handle GitHub file upload and return proofUrl & proofMeta
+ * Centralized Helper: store an uploaded file (STORAGE_DRIVER, see utils/storage)
+ * and return proofUrl & proofMeta
  * @param {Object} file - Files object from multer
- * @param {string} folder - Destination folder in repo
+ * @param {string} folder - Destination folder in storage
  * @returns {Promise<Object>} - { proofUrl, proofMeta }
  */
 async function handleFileUpload(file, folder) {
@@ -18,53 +20,61 @@ async function handleFileUpload(file, folder) {
     const safeName = path.basename(originalName).replace(/[^\w.\-() ]+/g, '_').slice(0, 200);
     const destPath = `${folder}/${Date.now()}_${safeName}`;
 
-    if (!process.env.GITHUB_TOKEN || !process.env.ASSET_GH_REPO || !process.env.ASSET_GH_OWNER) {
+    let storage;
+    try {
+        // Routes inspect uploads already (Middleware/uploadInspectionMiddleware); other callers get it here
+        if (!file.inspection) await inspectFile(file);
+        storage = getStorage();
+    } catch (err) {
         if (tmpPath) {
             try { fs.unlinkSync(tmpPath); } catch (e) { /* ignore */ }
         }
-        throw new Error('GitHub upload not configured. Set ASSET_GH_OWNER, ASSET_GH_REPO, and GITHUB_TOKEN.');
+        throw err;
     }
 
     try {
-        let rawProofUrl;
+        const mimeType = file.mimetype || 'application/octet-stream';
+        let buffer;
         if (hasBuffer) {
-            rawProofUrl = await uploadFileToGitHubBuffer(file.buffer, destPath, safeName);
+            buffer = file.buffer;
         } else if (tmpPath) {
-            rawProofUrl = await uploadFileToGitHub(tmpPath, destPath);
+            buffer = fs.readFileSync(tmpPath);
         } else {
             throw new Error('Uploaded file has no buffer or path.');
         }
 
+        const { url: rawProofUrl } = await storage.put(destPath, buffer, { contentType: mimeType });
+
         // Cleanup local file
         if (tmpPath) {
             try { fs.unlinkSync(tmpPath); } catch (e) { /* ignore cleanup errors */ }
         }
 
-        const mimeType = file.mimetype || 'application/octet-stream';
-
-        // 1. Create Masked CDN URL (e.g. /cdn/assets/v1/1234abc)
-        const maskedUrl = await createMaskedUrl(rawProofUrl, mimeType);
-
-        // 2. Create Short URL (e.g. /s/xy9az) pointing to the Masked URL
-        const shortUrl = await createShortLink(maskedUrl);
+        // Private masked CDN URL (e.g. /cdn/assets/v1/1234abc): it only opens with a
+        // signed link, handed out per request (utils/assetLinks)
+        const maskedUrl = await createMaskedUrl(rawProofUrl, mimeType, {
+            access: 'private', storage: storage.name, key: destPath, filename: originalName,
+        });
 
         return {
-            proofUrl: shortUrl, // User requested short format here
+            proofUrl: maskedUrl,
             proofMeta: {
                 originalName,
                 size: file.size || (file.buffer ? file.buffer.length : undefined),
                 mimeType,
                 destPath,
-                rawUrl: rawProofUrl, // Keep internal jsDelivr URL in meta
+                storage: storage.name, // Driver that holds the file (key: destPath)
+                inspection: file.inspection, // Content checks and virus scan verdict
+                rawUrl: rawProofUrl, // Keep internal storage URL in meta (never sent to clients)
                 maskedUrl: maskedUrl, // Keep internal masked URL in meta
-                shortUrl: shortUrl
+                assetId: assetIdOf(maskedUrl),
             },
         };
     } catch (err) {
         if (tmpPath) {
             try { fs.unlinkSync(tmpPath); } catch (e) { /* ignore */ }
         }
-        throw new Error('Failed to upload file to GitHub: ' + (err && err.message ? err.message : String(err)));
+        throw new Error(`Failed to upload file to ${storage.name} storage: ` + (err && err.message ? err.message : String(err)));
     }
 }
 
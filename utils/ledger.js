@@ -0,0 +1,206 @@
+// utils/ledger.js
+'use strict';
+
+const CreditLedger = require('../Models/CreditLedger');
+const User = require('../Models/User');
+const { EXCLUDED_FROM_TOTALS } = require('./creditStatus');
+const { loadCapRules } = require('./creditCaps');
+const { currentActor } = require('./requestContext');
+
+/**
+ * Append-only ledger of balance changes.
+ *
+ * Every credit write (Models/Credit create/update/delete) compares what the
+ * credit contributed to its faculty's balance before and after, and appends
+ * the difference as one of:
+ *   applied        - the credit starts counting (approval, appeal rejected)
+ *   reversed       - it stops counting (deleted, back to pending, appeal reopened)
+ *   appeal_waiver  - a negative credit stops counting because its appeal was accepted
+ *   adjusted       - its points changed while it counts
+ *   reconciled     - a full recalculation found the stored balance was off
+ * The user's `currentCredit` / `creditsByYear` move by the same amount in one
+ * atomic write, and each entry keeps the balances that write produced, so the
+ * balance at any date is the `balance` of the last entry before it.
+ */
+
+const LEDGER_EVENTS = ['applied', 'reversed', 'appeal_waiver', 'adjusted', 'reconciled'];
+
+function round2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+/**
+ * Points a credit adds to (or takes from) its faculty's balance, before caps.
+ * Mirrors the rules of calculateCredits.processCredits.
+ * @param {Object|null} credit
+ * @returns {number}
+ */
+function contributionOf(credit) {
+  if (!credit || !credit.faculty) return 0;
+  const status = String(credit.status || '').toLowerCase();
+  const appealStatus = String((credit.appeal && credit.appeal.status) || '').toLowerCase();
+  if (EXCLUDED_FROM_TOTALS.includes(status) || EXCLUDED_FROM_TOTALS.includes(appealStatus)) return 0;
+
+  if (credit.type === 'positive') return status === 'approved' ? Number(credit.points || 0) : 0;
+  if (credit.type === 'negative') {
+    // Apply if (no appeal AND approved) OR (appeal AND rejected)
+    const applies = appealStatus ? appealStatus === 'rejected' : status === 'approved';
+    return applies ? -Math.abs(Number(credit.points || 0)) : 0;
+  }
+  return 0;
+}
+
+function yearOf(credit) {
+  return credit.academicYear || 'unknown';
+}
+
+function stopEvent(after) {
+  const appealStatus = String((after && after.appeal && after.appeal.status) || '').toLowerCase();
+  return after && after.type === 'negative' && appealStatus === 'accepted' ? 'appeal_waiver' : 'reversed';
+}
+
+/**
+ * Ledger moves for one credit write.
+ * @param {Object|null} before - credit before the write (null on create)
+ * @param {Object|null} after - credit after the write (null on delete)
+ * @returns {Array<{ faculty, academicYear, amount, event }>}
+ */
+function ledgerMoves(before, after) {
+  const from = contributionOf(before);
+  const to = contributionOf(after);
+  const sameSlot = before && after &&
+    String(before.faculty) === String(after.faculty) && yearOf(before) === yearOf(after);
+
+  if (sameSlot || !before || !after) {
+    const amount = round2(to - from);
+    if (!amount) return [];
+    const credit = after || before;
+    let event = 'adjusted';
+    if (!from) event = 'applied';
+    else if (!to) event = stopEvent(after);
+    return [{ faculty: String(credit.faculty), academicYear: yearOf(credit), amount, event }];
+  }
+
+  // Moved to another faculty or academic year: take it out there, count it here
+  const moves = [];
+  if (from) moves.push({ faculty: String(before.faculty), academicYear: yearOf(before), amount: round2(-from), event: 'reversed' });
+  if (to) moves.push({ faculty: String(after.faculty), academicYear: yearOf(after), amount: round2(to), event: 'applied' });
+  return moves;
+}
+
+/**
+ * Move the faculty's balance and append the matching entry.
+ * @param {Object} move - { faculty, academicYear (null for the total only), amount, event, creditId?, reason? }
+ * @returns {Promise<Object>} the stored entry
+ */
+async function appendEntry({ faculty, academicYear = null, amount, event, creditId, reason }) {
+  const { seq, currentCredit, yearCredit } = await User.applyBalanceDelta(String(faculty), amount, academicYear);
+  return CreditLedger.create({
+    faculty: String(faculty),
+    seq,
+    event,
+    amount,
+    balance: currentCredit,
+    academicYear,
+    yearBalance: yearCredit,
+    ...(creditId ? { creditId: String(creditId) } : {}),
+    ...currentActor(),
+    reason: reason || null,
+  });
+}
+
+/**
+ * Apply a credit write to the ledger and balances. Called by Models/Credit.
+ * With caps configured a credit's effect depends on the faculty's other
+ * credits, so the faculty is also reconciled with a full recalculation,
+ * unless `reconcile` is false because the caller recalculates afterwards.
+ * Failures are logged, never thrown: the credit itself is already saved,
+ * and the next recalculation corrects the balance.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @param {Object} [options] - { reconcile }
+ * @returns {Promise<Object[]>} the appended entries
+ */
+async function recordCreditChange(before, after, { reconcile = true } = {}) {
+  const credit = after || before;
+  try {
+    const moves = ledgerMoves(before, after);
+    const entries = [];
+    for (const move of moves) {
+      entries.push(await appendEntry({ ...move, creditId: credit._id }));
+    }
+
+    if (reconcile && moves.length && !(await loadCapRules()).empty) {
+      // Required lazily: calculateCredits loads Models/Credit, which loads this module
+      const { recalcFacultyCredits } = require('./calculateCredits');
+      for (const faculty of new Set(moves.map((m) => m.faculty))) {
+        await recalcFacultyCredits(faculty);
+      }
+    }
+    return entries;
+  } catch (err) {
+    console.error(`[ledger] Failed to record change on credit ${credit && credit._id}:`, err && err.message);
+    return [];
+  }
+}
+
+/**
+ * Bring a faculty's stored balances in line with a full recalculation by
+ * appending 'reconciled' entries for whatever differs.
+ * @param {Object} user - the faculty, as read before the recalculation
+ * @param {Object} metrics - result of calculateCredits.processCredits
+ * @param {string} [reason]
+ * @returns {Promise<Object[]>} the appended entries; empty when the balances were right
+ */
+async function reconcileBalances(user, metrics, reason = 'recalculation') {
+  const stored = user.creditsByYear || {};
+  const years = new Set([...Object.keys(stored), ...Object.keys(metrics.netByYear)]);
+  const entries = [];
+
+  for (const year of years) {
+    const amount = round2((metrics.netByYear[year] || 0) - Number(stored[year] || 0));
+    if (amount) entries.push(await appendEntry({ faculty: user._id, academicYear: year, amount, event: 'reconciled', reason }));
+  }
+
+  // Legacy totals may not match the sum of their years; fix the total on its own
+  const total = entries.length ? entries[entries.length - 1].balance : Number(user.currentCredit || 0);
+  const rest = round2(metrics.runningTotal - total);
+  if (rest) entries.push(await appendEntry({ faculty: user._id, amount: rest, event: 'reconciled', reason }));
+
+  return entries;
+}
+
+/**
+ * Balance of a faculty at a point in time, from the ledger alone.
+ * @param {string} facultyId
+ * @param {string|Date} asOf
+ * @param {string} [academicYear] - also return that year's balance
+ * @returns {Promise<{ asOf: string, balance: number, academicYear?: string, yearBalance?: number, entry: Object|null }>}
+ */
+async function balanceAsOf(facultyId, asOf, academicYear) {
+  const at = new Date(asOf);
+  if (Number.isNaN(at.getTime())) {
+    const err = new Error('asOf must be a date');
+    err.status = 400;
+    throw err;
+  }
+  const iso = at.toISOString();
+  const entry = await CreditLedger.latestAsOf(facultyId, iso);
+  const result = { asOf: iso, balance: entry ? entry.balance : 0, entry };
+
+  if (academicYear) {
+    const yearEntry = await CreditLedger.latestAsOf(facultyId, iso, academicYear);
+    result.academicYear = academicYear;
+    result.yearBalance = yearEntry ? yearEntry.yearBalance : 0;
+  }
+  return result;
+}
+
+module.exports = {
+  LEDGER_EVENTS,
+  contributionOf,
+  ledgerMoves,
+  recordCreditChange,
+  reconcileBalances,
+  balanceAsOf,
+};
@@ -0,0 +1,185 @@
+// utils/linkAnalytics.js
+'use strict';
+
+const crypto = require('crypto');
+const LinkVisit = require('../Models/LinkVisit');
+const { badRequest } = require('./pagination');
+
+/**
+ * Click analytics for short URLs (/s/:id).
+ *
+ * Each hit is stored as a LinkVisit without anything that identifies a
+ * person on its own: the referrer is cut down to its host (share links carry
+ * tokens in their query), the user agent to a device class, and the IP to a
+ * keyed hash of its network (IPv4 /24, IPv6 /48). Unique viewers are counted
+ * by user id when the visitor was signed in, else by IP hash + device class.
+ * Link previews (WhatsApp, mail scanners, crawlers) are stored as 'bot' and
+ * left out of the counts. LINK_ANALYTICS=false stops recording.
+ */
+
+const BOT = /bot|crawl|spider|slurp|preview|facebookexternalhit|whatsapp|telegram|skype|curl|wget|python|axios|node-fetch|headless|lighthouse/i;
+const INTERVALS = ['day', 'week', 'month'];
+const TOP_REFERRERS = 10;
+
+/**
+ * Device class of a User-Agent header
+ * @returns {'bot'|'mobile'|'tablet'|'desktop'|'other'}
+ */
+function agentClass(userAgent) {
+  const ua = String(userAgent || '');
+  if (!ua || BOT.test(ua)) return 'bot';
+  if (/iPad|Tablet|Android(?!.*Mobile)/i.test(ua)) return 'tablet';
+  if (/Mobi|iPhone|iPod|Android/i.test(ua)) return 'mobile';
+  if (/Windows|Macintosh|X11|Linux|CrOS/i.test(ua)) return 'desktop';
+  return 'other';
+}
+
+/**
+ * Keyed hash of the visitor's network; the same network gives the same hash
+ * until LINK_ANALYTICS_SECRET (falling back to JWT_SECRET) changes.
+ */
+function ipHash(ip) {
+  if (!ip) return null;
+  const address = String(ip).replace(/^::ffff:/, '');
+  const network = address.includes(':')
+    ? address.split(':').slice(0, 3).join(':')
+    : address.split('.').slice(0, 3).join('.');
+  const key = process.env.LINK_ANALYTICS_SECRET || process.env.JWT_SECRET || 'link-analytics';
+  return crypto.createHmac('sha256', key).update(network).digest('hex').slice(0, 16);
+}
+
+/**
+ * Host of a Referer header, or null for direct visits
+ */
+function referrerOf(header) {
+  if (!header) return null;
+  try {
+    return new URL(header).hostname.toLowerCase() || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Store one hit on a short URL. Never throws: analytics must not block the redirect.
+ * @param {Object} req - express request
+ * @param {Object} short - the ShortUrl item
+ * @param {string|null} userId - signed-in visitor, if any
+ */
+async function recordVisit(req, short, userId = null) {
+  if (process.env.LINK_ANALYTICS === 'false') return null;
+  try {
+    const hash = ipHash(req.ip);
+    const agent = agentClass(req.get ? req.get('User-Agent') : req.headers['user-agent']);
+    return await LinkVisit.create({
+      shortUrl: short._id,
+      owner: short.createdBy || null,
+      referrer: referrerOf(req.get ? req.get('Referer') : req.headers.referer),
+      agent,
+      user: userId || null,
+      ipHash: hash,
+      viewer: userId ? `user:${userId}` : `ip:${hash || 'unknown'}:${agent}`,
+    });
+  } catch (err) {
+    console.error('[linkAnalytics] Failed to record visit', short && short._id, err && err.message);
+    return null;
+  }
+}
+
+/**
+ * Bucket of a visit time: '2026-10-19' (day), the Monday of its week, or '2026-10' (month)
+ */
+function periodOf(visitedAt, interval) {
+  if (interval === 'month') return visitedAt.slice(0, 7);
+  if (interval === 'week') {
+    const date = new Date(visitedAt.slice(0, 10));
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return date.toISOString().slice(0, 10);
+  }
+  return visitedAt.slice(0, 10);
+}
+
+/**
+ * Reporting window from ?from=&to=&interval= (default: the 30 days up to now, by day)
+ * @returns {{ from: string, to: string, interval: string }} - ISO dates
+ * @throws 400 error for bad dates or interval
+ */
+function analyticsRange(query = {}, now = Date.now()) {
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) throw badRequest(`Invalid interval. Allowed: ${INTERVALS.join(', ')}`);
+
+  // A bare date as `to` means the whole of that day
+  const to = query.to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(query.to) ? `${query.to}T23:59:59.999Z` : query.to) : new Date(now);
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 3600 * 1000);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) throw badRequest('from and to must be dates');
+  if (from > to) throw badRequest('from must be before to');
+  return { from: from.toISOString(), to: to.toISOString(), interval };
+}
+
+/**
+ * Counts for a set of visits (oldest first)
+ * @param {Array} visits - LinkVisit items
+ * @param {string} interval - 'day' | 'week' | 'month'
+ * @returns {{ visits, uniqueViewers, signedInViewers, botVisits, firstVisitAt, lastVisitAt, series, agents, referrers }}
+ */
+function summarizeVisits(visits, interval = 'day') {
+  const humans = visits.filter((v) => v.agent !== 'bot');
+  const viewers = new Set(humans.map((v) => v.viewer));
+  const users = new Set(humans.filter((v) => v.user).map((v) => v.user));
+
+  const periods = new Map();
+  const agents = {};
+  const referrers = new Map();
+  humans.forEach((v) => {
+    const key = periodOf(v.visitedAt, interval);
+    if (!periods.has(key)) periods.set(key, { period: key, visits: 0, viewers: new Set() });
+    const bucket = periods.get(key);
+    bucket.visits++;
+    bucket.viewers.add(v.viewer);
+
+    agents[v.agent] = (agents[v.agent] || 0) + 1;
+    const referrer = v.referrer || 'direct';
+    referrers.set(referrer, (referrers.get(referrer) || 0) + 1);
+  });
+
+  return {
+    visits: humans.length,
+    uniqueViewers: viewers.size,
+    signedInViewers: users.size,
+    botVisits: visits.length - humans.length,
+    firstVisitAt: humans.length ? humans[0].visitedAt : null,
+    lastVisitAt: humans.length ? humans[humans.length - 1].visitedAt : null,
+    series: [...periods.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map((b) => ({ period: b.period, visits: b.visits, uniqueViewers: b.viewers.size })),
+    agents,
+    referrers: [...referrers.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_REFERRERS)
+      .map(([referrer, count]) => ({ referrer, visits: count })),
+  };
+}
+
+/**
+ * Signed-in visitors of a link: who opened it, how often, first and last time
+ */
+function signedInViewers(visits) {
+  const byUser = new Map();
+  visits.filter((v) => v.user && v.agent !== 'bot').forEach((v) => {
+    const entry = byUser.get(v.user) || { user: v.user, visits: 0, firstVisitAt: v.visitedAt, lastVisitAt: v.visitedAt };
+    entry.visits++;
+    entry.lastVisitAt = v.visitedAt;
+    byUser.set(v.user, entry);
+  });
+  return [...byUser.values()].sort((a, b) => b.lastVisitAt.localeCompare(a.lastVisitAt));
+}
+
+module.exports = {
+  agentClass,
+  ipHash,
+  referrerOf,
+  recordVisit,
+  analyticsRange,
+  summarizeVisits,
+  signedInViewers,
+};
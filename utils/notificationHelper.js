@@ -6,7 +6,7 @@ const path = require('path');
 const { sendEmail } = require('./email');
 const { generateRemarkPdf } = require('./pdfGenerator');
 const { sendPushToUser } = require('../Controllers/pushController');
-const { recalcFacultyCredits } = require('./calculateCredits');
+const User = require('../Models/User');
 const { sendWhatsAppMessage } = require('./whatsapp');
 
 /**
@@ -99,9 +99,9 @@ async function sendRemarkNotificationHelper({
     // 5. Send WhatsApp
     if (faculty.whatsappNumber) {
       try {
-        const recalcResult = await recalcFacultyCredits(facultyId);
-        // Fix: Use netTotal or runningTotal from recalcResult
-        const currentBalance = recalcResult.netTotal || recalcResult.runningTotal || 0;
+        // The ledger has already moved the balance; read it fresh
+        const latest = await User.findById(String(facultyId));
+        const currentBalance = (latest && latest.currentCredit) || 0;
 
         await sendWhatsAppMessage({
           phone: faculty.whatsappNumber,
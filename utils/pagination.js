@@ -0,0 +1,74 @@
+// utils/pagination.js
+'use strict';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Build an error the error middleware turns into a 400 response.
+ */
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Clamp a `limit` query param to 1..max.
+ * @param {*} value - raw query value
+ * @param {number} fallback - used when value is missing or not a number
+ * @param {number} max
+ * @returns {number}
+ */
+function parseLimit(value, fallback = DEFAULT_LIMIT, max = MAX_LIMIT) {
+  const n = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(n)) return fallback;
+  return Math.min(Math.max(Math.floor(n), 1), max);
+}
+
+/**
+ * True when the client opted into cursor pagination (`?cursor=` present, even empty).
+ */
+function wantsCursor(query = {}) {
+  return Object.prototype.hasOwnProperty.call(query, 'cursor');
+}
+
+/**
+ * Encode a DynamoDB LastEvaluatedKey as an opaque, URL-safe token.
+ * The index name is embedded so a cursor cannot be replayed against a
+ * request that resolves to a different index.
+ * @param {Object|null} key - LastEvaluatedKey
+ * @param {string|null} indexName
+ * @returns {string|null}
+ */
+function encodeCursor(key, indexName = null) {
+  if (!key) return null;
+  return Buffer.from(JSON.stringify({ k: key, i: indexName || null })).toString('base64url');
+}
+
+/**
+ * Decode a token produced by encodeCursor.
+ * @param {string} token
+ * @returns {{ key: Object, indexName: string|null }|null} - null for an empty token
+ * @throws 400 error for malformed tokens
+ */
+function decodeCursor(token) {
+  if (!token) return null;
+  try {
+    const parsed = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (!parsed || typeof parsed.k !== 'object' || parsed.k === null) throw new Error('bad shape');
+    return { key: parsed.k, indexName: parsed.i || null };
+  } catch (e) {
+    throw badRequest('Invalid cursor');
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  badRequest,
+  parseLimit,
+  wantsCursor,
+  encodeCursor,
+  decodeCursor,
+};
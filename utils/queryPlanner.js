@@ -0,0 +1,233 @@
+// utils/queryPlanner.js
+'use strict';
+
+const { QueryCommand, ScanCommand } = require('@aws-sdk/lib-dynamodb');
+const { encodeCursor, decodeCursor, badRequest } = require('./pagination');
+
+// Items evaluated per request when paging; DynamoDB applies Limit before
+// FilterExpression, so reading a bigger batch avoids many tiny round trips.
+const PAGE_BATCH_SIZE = 100;
+// Upper bound on requests for one page; a partial page plus cursor is returned after that.
+const PAGE_MAX_ROUNDS = 25;
+// Cursor index name suffix for pages read by Scan because their index is missing
+const SCAN_FALLBACK = '#scan';
+
+/**
+ * GSI key attributes must be strings in our tables, so only non-empty
+ * string filter values can be used in a KeyConditionExpression.
+ */
+function isKeyValue(filter, key) {
+  return typeof filter[key] === 'string' && filter[key] !== '';
+}
+
+/**
+ * Pick the Global Secondary Index that serves an equality filter.
+ * The first index (in the model's listed order) whose hash key is in the
+ * filter wins, so models list their most selective index first. The range
+ * key is used as an extra key condition when the filter also matches it.
+ * @param {Object} filter - equality filter, e.g. { faculty: 'abc', type: 'negative' }
+ * @param {Array<{ name: string, hashKey: string, rangeKey?: string }>} indexes
+ * @returns {Object|null} - the chosen index definition or null (Scan)
+ */
+function pickIndex(filter = {}, indexes = []) {
+  return indexes.find((index) => isKeyValue(filter, index.hashKey)) || null;
+}
+
+/**
+ * Build the Query or Scan parameters for an equality filter.
+ * Key attributes of the chosen index go to KeyConditionExpression, every
+ * other attribute stays in FilterExpression.
+ * @param {string} table - DynamoDB table name
+ * @param {Object} filter - equality filter
+ * @param {Array} indexes - index definitions of the table
+ * @returns {{ type: 'query'|'scan', index: Object|null, params: Object }}
+ */
+function planFind(table, filter = {}, indexes = []) {
+  const index = pickIndex(filter, indexes);
+  const keyKeys = new Set();
+  if (index) {
+    keyKeys.add(index.hashKey);
+    if (index.rangeKey && isKeyValue(filter, index.rangeKey)) keyKeys.add(index.rangeKey);
+  }
+
+  const keyExps = [];
+  const filterExps = [];
+  const expNames = {};
+  const expValues = {};
+
+  Object.keys(filter).forEach((k) => {
+    expNames[`#${k}`] = k;
+    expValues[`:${k}`] = filter[k];
+    (keyKeys.has(k) ? keyExps : filterExps).push(`#${k} = :${k}`);
+  });
+
+  const params = { TableName: table };
+  if (index) {
+    params.IndexName = index.name;
+    params.KeyConditionExpression = keyExps.join(' AND ');
+  }
+  if (filterExps.length > 0) {
+    params.FilterExpression = filterExps.join(' AND ');
+  }
+  if (Object.keys(expNames).length > 0) {
+    params.ExpressionAttributeNames = expNames;
+    params.ExpressionAttributeValues = expValues;
+  }
+
+  return { type: index ? 'query' : 'scan', index, params };
+}
+
+/**
+ * A Query against an index that has not been created yet (or is still
+ * backfilling) fails with a ValidationException; we fall back to Scan then.
+ */
+function isMissingIndexError(err) {
+  return !!err && err.name === 'ValidationException' && /index/i.test(err.message || '');
+}
+
+/**
+ * Read every page of a planned Query/Scan.
+ */
+async function readAllPages(client, Command, params) {
+  const items = [];
+  let lastEvaluatedKey = undefined;
+  do {
+    params.ExclusiveStartKey = lastEvaluatedKey;
+    const res = await client.send(new Command(params));
+    if (res.Items) {
+      items.push(...res.Items);
+    }
+    lastEvaluatedKey = res.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  return items;
+}
+
+/**
+ * Find all items matching an equality filter, using a GSI when one matches
+ * and falling back to a full Scan otherwise.
+ * NOTE: GSI reads are eventually consistent and only contain items that have
+ * the index key attributes (e.g. credits without createdAt are not indexed).
+ * @param {Object} client - DynamoDB document client
+ * @param {string} table - table name
+ * @param {Object} filter - equality filter
+ * @param {Array} indexes - index definitions of the table
+ * @returns {Promise<Array>}
+ */
+async function findAll(client, table, filter = {}, indexes = []) {
+  const plan = planFind(table, filter, indexes);
+  if (plan.type === 'scan') {
+    return readAllPages(client, ScanCommand, plan.params);
+  }
+
+  try {
+    return await readAllPages(client, QueryCommand, plan.params);
+  } catch (err) {
+    if (!isMissingIndexError(err)) throw err;
+    console.warn(`[queryPlanner] ${plan.index.name} unavailable on ${table}, falling back to Scan: ${err.message}`);
+    return readAllPages(client, ScanCommand, planFind(table, filter, []).params);
+  }
+}
+
+/**
+ * Primary key plus index keys: what DynamoDB needs as ExclusiveStartKey to
+ * resume a Scan/Query right after a given item.
+ */
+function keyOf(item, index) {
+  const attrs = ['_id'];
+  if (index) {
+    attrs.push(index.hashKey);
+    if (index.rangeKey) attrs.push(index.rangeKey);
+  }
+  return Object.fromEntries(attrs.filter((a) => item[a] !== undefined).map((a) => [a, item[a]]));
+}
+
+/**
+ * Read one page of items matching an equality filter.
+ * Results come back in index order (range key, newest first with
+ * `descending`) for a Query, and in table order for a Scan. Pass `orderBy`
+ * to require that order: only indexes ranged on that attribute are used,
+ * and a filter none of them serves is a 400 rather than a silent Scan.
+ * While a chosen index is missing (not created yet or backfilling) the page
+ * is read by Scan, in table order, like findAll does; its cursor keeps
+ * scanning on the following pages.
+ * @param {Object} client - DynamoDB document client
+ * @param {string} table - table name
+ * @param {Object} filter - equality filter (pushed to DynamoDB)
+ * @param {Array} indexes - index definitions of the table
+ * @param {Object} options
+ * @param {number} options.limit - page size
+ * @param {string} [options.cursor] - token from a previous page's nextCursor
+ * @param {Function} [options.predicate] - extra in-memory filter applied per item
+ * @param {boolean} [options.descending] - reverse index order (Query only)
+ * @param {string} [options.orderBy] - range key the page must be ordered by, e.g. 'createdAt'
+ * @returns {Promise<{ items: Array, nextCursor: string|null }>}
+ * @throws 400 error for a cursor of other filters, or no index for `orderBy`
+ */
+async function findPage(client, table, filter = {}, indexes = [], options = {}) {
+  const { limit, cursor = null, predicate = null, descending = false, orderBy = null } = options;
+  const usable = orderBy ? indexes.filter((index) => index.rangeKey === orderBy) : indexes;
+  const plan = planFind(table, filter, usable);
+  if (orderBy && !plan.index) {
+    const keys = usable.map((index) => index.hashKey);
+    throw badRequest(`Ordering by ${orderBy} needs a filter on one of: ${keys.join(', ') || 'none available'}`);
+  }
+  const indexName = plan.index ? plan.index.name : null;
+  const fallbackName = `${indexName}${SCAN_FALLBACK}`;
+
+  const start = decodeCursor(cursor);
+  if (start && start.indexName !== indexName && !(plan.index && start.indexName === fallbackName)) {
+    throw badRequest('Cursor does not match the current filters');
+  }
+
+  const batchSize = Math.max(limit, PAGE_BATCH_SIZE);
+  const scanParams = { ...planFind(table, filter, []).params, Limit: batchSize };
+  const params = { ...plan.params, Limit: batchSize };
+  if (plan.type === 'query') params.ScanIndexForward = !descending;
+  let scanning = plan.type === 'scan' || start?.indexName === fallbackName;
+
+  const read = async (key) => {
+    if (!scanning) {
+      try {
+        return await client.send(new QueryCommand({ ...params, ExclusiveStartKey: key }));
+      } catch (err) {
+        if (!isMissingIndexError(err)) throw err;
+        console.warn(`[queryPlanner] ${indexName} unavailable on ${table}, paging by Scan: ${err.message}`);
+        scanning = true;
+        key = undefined; // an index key means nothing to the Scan
+      }
+    }
+    return client.send(new ScanCommand({ ...scanParams, ExclusiveStartKey: key }));
+  };
+
+  const items = [];
+  let lastEvaluatedKey = start ? start.key : undefined;
+  let rounds = 0;
+
+  do {
+    const res = await read(lastEvaluatedKey);
+    const batch = res.Items || [];
+    lastEvaluatedKey = res.LastEvaluatedKey;
+    rounds++;
+
+    for (let i = 0; i < batch.length; i++) {
+      if (predicate && !predicate(batch[i])) continue;
+      items.push(batch[i]);
+      if (items.length === limit) {
+        // Stopped mid-batch: resume right after the last item we return
+        if (i < batch.length - 1) lastEvaluatedKey = keyOf(batch[i], scanning ? null : plan.index);
+        break;
+      }
+    }
+  } while (items.length < limit && lastEvaluatedKey && rounds < PAGE_MAX_ROUNDS);
+
+  const cursorIndex = scanning && plan.index ? fallbackName : indexName;
+  return { items, nextCursor: encodeCursor(lastEvaluatedKey, cursorIndex) };
+}
+
+module.exports = {
+  isMissingIndexError,
+  pickIndex,
+  planFind,
+  findAll,
+  findPage,
+};
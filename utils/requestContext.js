@@ -0,0 +1,44 @@
+// utils/requestContext.js
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Holds the current express request for code that has no `req` at hand
+// (models writing the audit log).
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `req` as the current request.
+ */
+function runWithRequest(req, fn) {
+  return storage.run({ req }, fn);
+}
+
+/**
+ * Who is acting right now. `req.user` is read lazily because authMiddleware
+ * sets it after the context was opened. Outside a request (scripts, jobs)
+ * the actor is 'system'.
+ * @returns {{ actor: string, actorRole: string, actorName: string|null, ip: string|null, userAgent: string|null, route: string|null }}
+ */
+function currentActor() {
+  const store = storage.getStore();
+  const req = store && store.req;
+  if (!req) {
+    return { actor: 'system', actorRole: 'system', actorName: null, ip: null, userAgent: null, route: null };
+  }
+
+  const user = req.user || null;
+  return {
+    actor: user ? String(user._id) : 'anonymous',
+    actorRole: (user && user.role) || 'anonymous',
+    actorName: (user && user.name) || null,
+    ip: req.ip || null,
+    userAgent: (req.get && req.get('User-Agent')) || null,
+    route: `${req.method} ${req.originalUrl || req.url}`,
+  };
+}
+
+module.exports = {
+  runWithRequest,
+  currentActor,
+};
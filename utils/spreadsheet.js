@@ -0,0 +1,62 @@
+// utils/spreadsheet.js
+'use strict';
+
+const XLSX = require('xlsx');
+
+/**
+ * Reading the uploads of the bulk importers (users, negative credits): the
+ * first sheet of an XLSX or CSV file, first row = headers.
+ */
+
+function sheetError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Header reduced to lowercase letters and digits, so 'Faculty ID',
+ * 'faculty_id' and 'FacultyId' compare equal.
+ */
+function headerKey(header) {
+  return String(header).replace(/[^a-z0-9]/gi, '').toLowerCase();
+}
+
+/**
+ * Data rows of the first sheet, with the cells of the mapped columns.
+ * @param {Buffer} buffer - XLSX or CSV
+ * @param {Function} resolveColumns - (headers) => { header: field } for the columns to keep
+ * @param {Object} [options]
+ * @param {number} [options.maxRows]
+ * @returns {{ columns: Object, rows: Array<{ row: number, values: Object }> }}
+ *   `row` is the sheet row number, `values` the trimmed non-empty cells by field
+ * @throws 400 error when the file cannot be read, has no rows or more than maxRows
+ */
+function readSheetRows(buffer, resolveColumns, { maxRows = Infinity } = {}) {
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: 'buffer' });
+  } catch (err) {
+    throw sheetError('Could not read the file as XLSX or CSV');
+  }
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const raw = sheet ? XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false }) : [];
+  if (raw.length === 0) throw sheetError('The file has no rows');
+  if (raw.length > maxRows) throw sheetError(`At most ${maxRows} rows per file`);
+
+  const columns = resolveColumns(Object.keys(raw[0]));
+  const rows = raw.map((cells, i) => {
+    const values = {};
+    Object.entries(columns).forEach(([header, field]) => {
+      const value = String(cells[header]).trim();
+      if (value !== '') values[field] = value;
+    });
+    return { row: i + 2, values }; // row 1 is the header
+  });
+  return { columns, rows };
+}
+
+module.exports = {
+  headerKey,
+  readSheetRows,
+};
@@ -0,0 +1,28 @@
+// utils/storage/github.js
+const { uploadFileToGitHubBuffer } = require('../githubUpload');
+const remote = require('./remote');
+
+/**
+ * GitHub repository storage: files are committed to ASSET_GH_REPO and served
+ * through jsDelivr. Anything pushed here is public.
+ */
+module.exports = {
+  name: 'github',
+
+  missingConfig() {
+    return ['ASSET_GH_OWNER', 'ASSET_GH_REPO', 'GITHUB_TOKEN'].filter((k) => !process.env[k]);
+  },
+
+  async put(key, buffer) {
+    const url = await uploadFileToGitHubBuffer(buffer, key);
+    return { key, url };
+  },
+
+  stat(key, url) {
+    return remote.stat(url);
+  },
+
+  read(key, url, range) {
+    return remote.read(url, range);
+  },
+};
@@ -0,0 +1,41 @@
+// utils/storage/index.js
+
+/**
+ * Where uploaded files are kept, chosen by STORAGE_DRIVER:
+ *   github (default) - committed to a GitHub repository, served by jsDelivr
+ *   local            - this server's disk (development, offline use)
+ *   s3               - S3 or an S3-compatible service
+ *
+ * Every driver implements:
+ *   name
+ *   missingConfig() -> string[]   env vars it still needs
+ *   put(key, buffer, { contentType }) -> Promise<{ key, url }>
+ *   stat(key, url) -> Promise<{ size?, etag?, lastModified?, contentType? }>
+ *   read(key, url, range?) -> Promise<{ stream }>   range: { start, end }, inclusive
+ */
+
+const DRIVERS = {
+  github: () => require('./github'),
+  local: () => require('./local'),
+  s3: () => require('./s3'),
+};
+
+function driverName() {
+  return (process.env.STORAGE_DRIVER || 'github').toLowerCase();
+}
+
+/**
+ * The configured storage driver.
+ * @param {string} [name] - a specific driver (e.g. the one a stored file was written with)
+ * @throws when the driver is unknown or not configured
+ */
+function getStorage(name = driverName()) {
+  const load = DRIVERS[name];
+  if (!load) throw new Error(`Unknown STORAGE_DRIVER "${name}". Use ${Object.keys(DRIVERS).join(', ')}.`);
+  const storage = load();
+  const missing = storage.missingConfig();
+  if (missing.length) throw new Error(`${name} storage not configured. Set ${missing.join(', ')}.`);
+  return storage;
+}
+
+module.exports = { DRIVERS, driverName, getStorage };
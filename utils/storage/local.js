@@ -0,0 +1,46 @@
+// utils/storage/local.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local filesystem storage for development and single-server installs:
+ * files live under LOCAL_STORAGE_DIR (default ./uploads) and are served
+ * through /cdn/assets (Controllers/cdnController).
+ */
+
+function rootDir() {
+  return path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+}
+
+// Absolute path of a key, refusing keys that escape the storage directory
+function resolveKey(key) {
+  const root = rootDir();
+  const full = path.resolve(root, key);
+  if (!full.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+  return full;
+}
+
+module.exports = {
+  name: 'local',
+  rootDir,
+
+  missingConfig() {
+    return [];
+  },
+
+  async put(key, buffer) {
+    const full = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(full), { recursive: true });
+    await fs.promises.writeFile(full, buffer);
+    return { key, url: `file://${full}` };
+  },
+
+  async stat(key) {
+    const { size, mtime } = await fs.promises.stat(resolveKey(key));
+    return { size, lastModified: mtime.toUTCString() };
+  },
+
+  async read(key, url, range) {
+    return { stream: fs.createReadStream(resolveKey(key), range ? { start: range.start, end: range.end } : {}) };
+  },
+};
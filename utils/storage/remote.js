@@ -0,0 +1,70 @@
+// utils/storage/remote.js
+const axios = require('axios');
+
+/**
+ * Files behind a plain HTTP(S) URL: the GitHub driver (jsDelivr) and assets
+ * created before storage drivers, which only know their target URL.
+ * Only hosts in ASSET_PROXY_HOSTS (default cdn.jsdelivr.net and
+ * raw.githubusercontent.com) are fetched, so an asset cannot turn this
+ * server into an open proxy.
+ */
+
+const TIMEOUT_MS = 15000;
+
+function proxyHosts() {
+  return (process.env.ASSET_PROXY_HOSTS || 'cdn.jsdelivr.net,raw.githubusercontent.com')
+    .split(',')
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Whether `url` may be fetched and streamed by this server.
+ */
+function canProxy(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return ['http:', 'https:'].includes(protocol) && proxyHosts().includes(hostname.toLowerCase());
+  } catch (err) {
+    return false;
+  }
+}
+
+function assertProxyable(url) {
+  if (!canProxy(url)) throw new Error(`Refusing to fetch ${url}: host not in ASSET_PROXY_HOSTS`);
+}
+
+/**
+ * @returns {Promise<{ size?: number, etag?: string, lastModified?: string, contentType?: string }>}
+ */
+async function stat(url) {
+  assertProxyable(url);
+  const res = await axios.head(url, { timeout: TIMEOUT_MS });
+  return {
+    size: res.headers['content-length'] !== undefined ? Number(res.headers['content-length']) : undefined,
+    etag: res.headers.etag,
+    lastModified: res.headers['last-modified'],
+    contentType: res.headers['content-type'],
+  };
+}
+
+/**
+ * @param {string} url
+ * @param {Object} [range] - { start, end } (inclusive)
+ * @returns {Promise<{ stream }>}
+ */
+async function read(url, range) {
+  assertProxyable(url);
+  const res = await axios.get(url, {
+    responseType: 'stream',
+    timeout: TIMEOUT_MS,
+    headers: range ? { Range: `bytes=${range.start}-${range.end}` } : {},
+  });
+  if (range && res.status !== 206) {
+    res.data.destroy();
+    throw new Error(`${url} does not support range requests`);
+  }
+  return { stream: res.data };
+}
+
+module.exports = { canProxy, stat, read };
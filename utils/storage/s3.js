@@ -0,0 +1,77 @@
+// utils/storage/s3.js
+
+/**
+ * S3 or S3-compatible (MinIO, Cloudflare R2, ...) object storage.
+ *   S3_BUCKET, S3_REGION (default us-east-1)
+ *   S3_ENDPOINT            - for S3-compatible services
+ *   S3_FORCE_PATH_STYLE    - 'true' for most S3-compatible services
+ *   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY - else the default AWS credential chain
+ *   S3_PUBLIC_URL          - base URL objects are reachable at (bucket URL or a CDN in front of it)
+ */
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    // Loaded on first use: only S3 installs need the SDK initialised
+    const { S3Client } = require('@aws-sdk/client-s3');
+    client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      } : undefined,
+    });
+  }
+  return client;
+}
+
+function objectUrl(key) {
+  const bucket = process.env.S3_BUCKET;
+  const encoded = key.split('/').map(encodeURIComponent).join('/');
+  if (process.env.S3_PUBLIC_URL) return `${process.env.S3_PUBLIC_URL.replace(/\/$/, '')}/${encoded}`;
+  if (process.env.S3_ENDPOINT) return `${process.env.S3_ENDPOINT.replace(/\/$/, '')}/${bucket}/${encoded}`;
+  return `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com/${encoded}`;
+}
+
+module.exports = {
+  name: 's3',
+
+  missingConfig() {
+    return ['S3_BUCKET'].filter((k) => !process.env[k]);
+  },
+
+  async put(key, buffer, { contentType } = {}) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    await getClient().send(new PutObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+    }));
+    return { key, url: objectUrl(key) };
+  },
+
+  async stat(key) {
+    const { HeadObjectCommand } = require('@aws-sdk/client-s3');
+    const res = await getClient().send(new HeadObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }));
+    return {
+      size: res.ContentLength,
+      etag: res.ETag,
+      lastModified: res.LastModified ? res.LastModified.toUTCString() : undefined,
+      contentType: res.ContentType,
+    };
+  },
+
+  async read(key, url, range) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const res = await getClient().send(new GetObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: key,
+      Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+    }));
+    return { stream: res.Body };
+  },
+};
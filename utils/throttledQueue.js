@@ -0,0 +1,71 @@
+// utils/throttledQueue.js
+'use strict';
+
+/**
+ * In-process queue that runs async tasks one at a time, at most one start
+ * per `intervalMs`. Used to spread out slow or rate-limited side effects
+ * (emails, WhatsApp, PDFs) after bulk operations. Tasks live in memory: on
+ * a restart whatever is still queued is lost.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.intervalMs] - minimum gap between task starts (default 1000)
+ * @param {string} [opts.name] - used in log lines
+ * @returns {{ push: Function, size: Function, onIdle: Function }}
+ */
+function createThrottledQueue({ intervalMs = 1000, name = 'queue' } = {}) {
+  const tasks = [];
+  const idleWaiters = [];
+  let running = false;
+  let lastStart = 0;
+
+  function wait(ms) {
+    return new Promise((resolve) => {
+      const t = setTimeout(resolve, ms);
+      if (t.unref) t.unref();
+    });
+  }
+
+  async function drain() {
+    if (running) return;
+    running = true;
+    while (tasks.length) {
+      const { task, resolve } = tasks.shift();
+      const gap = lastStart + intervalMs - Date.now();
+      if (gap > 0) await wait(gap);
+      lastStart = Date.now();
+      try {
+        resolve({ ok: true, value: await task() });
+      } catch (err) {
+        console.error(`[${name}] task failed:`, err && err.message);
+        resolve({ ok: false, error: err });
+      }
+    }
+    running = false;
+    idleWaiters.splice(0).forEach((done) => done());
+  }
+
+  return {
+    /**
+     * Queue a task. The promise never rejects: it resolves to
+     * { ok: true, value } or { ok: false, error } once the task has run.
+     */
+    push(task) {
+      const result = new Promise((resolve) => tasks.push({ task, resolve }));
+      drain();
+      return result;
+    },
+
+    /** Tasks waiting to start */
+    size() {
+      return tasks.length;
+    },
+
+    /** Resolves once every queued task has run */
+    onIdle() {
+      if (!running && tasks.length === 0) return Promise.resolve();
+      return new Promise((resolve) => idleWaiters.push(resolve));
+    },
+  };
+}
+
+module.exports = { createThrottledQueue };
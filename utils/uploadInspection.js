@@ -0,0 +1,457 @@
+// utils/uploadInspection.js
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+/**
+ * Inspection of uploaded files before they are stored or parsed.
+ *  - the content must match the extension (magic bytes); executables are
+ *    refused whatever they are called
+ *  - PDFs must be complete and not encrypted
+ *  - ZIP-based files (zip, docx, xlsx, pptx) are refused when encrypted,
+ *    nested or too large once unpacked (archive bombs)
+ *  - text files must be text; SVGs may not carry scripts
+ *  - GPS coordinates are wiped from JPEG/PNG/WebP EXIF data
+ *  - with CLAMAV_HOST set, the file is scanned by clamd (or anything
+ *    speaking its INSTREAM protocol)
+ * The result is left on `file.inspection` and kept in `proofMeta.inspection`.
+ */
+
+const ZIP_MAX_ENTRIES = Number(process.env.ZIP_MAX_ENTRIES || 2000);
+const ZIP_MAX_UNCOMPRESSED_BYTES = Number(process.env.ZIP_MAX_UNCOMPRESSED_MB || 200) * 1024 * 1024;
+const ZIP_MAX_RATIO = Number(process.env.ZIP_MAX_RATIO || 200);
+const CLAMAV_CHUNK = 64 * 1024;
+
+// Content each extension must have; text types are checked separately
+const EXPECTED = {
+  pdf: 'pdf',
+  png: 'png',
+  jpg: 'jpeg',
+  jpeg: 'jpeg',
+  gif: 'gif',
+  webp: 'webp',
+  zip: 'zip',
+  docx: 'zip',
+  xlsx: 'zip',
+  pptx: 'zip',
+  doc: 'ole',
+  xls: 'ole',
+  ppt: 'ole',
+  mp4: 'mp4',
+  webm: 'webm',
+};
+const TEXT_TYPES = ['txt', 'csv', 'json', 'svg'];
+const OFFICE_TYPES = ['docx', 'xlsx', 'pptx'];
+const NESTED_ARCHIVE = /\.(zip|rar|7z|gz|tgz|tar|bz2|xz)$/i;
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  zip: 'application/zip',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  doc: 'application/msword',
+  xls: 'application/vnd.ms-excel',
+  ppt: 'application/vnd.ms-powerpoint',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  json: 'application/json',
+  svg: 'image/svg+xml',
+};
+
+function rejectError(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function startsWith(buf, hex, offset = 0) {
+  const sig = Buffer.from(hex, 'hex');
+  return buf.length >= offset + sig.length && buf.subarray(offset, offset + sig.length).equals(sig);
+}
+
+/**
+ * Kind of content from its leading bytes, or null for anything unrecognised
+ * (text included).
+ * @param {Buffer} buf
+ * @returns {string|null}
+ */
+function detectType(buf) {
+  if (startsWith(buf, '4d5a') || startsWith(buf, '7f454c46') || startsWith(buf, '2321') ||
+    ['feedface', 'feedfacf', 'cefaedfe', 'cffaedfe', 'cafebabe'].some((hex) => startsWith(buf, hex))) {
+    return 'executable';
+  }
+  if (startsWith(buf, '255044462d')) return 'pdf';
+  if (startsWith(buf, '89504e470d0a1a0a')) return 'png';
+  if (startsWith(buf, 'ffd8ff')) return 'jpeg';
+  if (startsWith(buf, '474946383761') || startsWith(buf, '474946383961')) return 'gif';
+  if (startsWith(buf, '52494646') && startsWith(buf, '57454250', 8)) return 'webp';
+  if (startsWith(buf, '504b0304') || startsWith(buf, '504b0506')) return 'zip';
+  if (startsWith(buf, 'd0cf11e0a1b11ae1')) return 'ole';
+  if (startsWith(buf, '66747970', 4)) return 'mp4';
+  if (startsWith(buf, '1a45dfa3')) return 'webm';
+  return null;
+}
+
+// ---- PDF -------------------------------------------------------------------
+
+function inspectPdf(buf) {
+  const tail = buf.toString('latin1', Math.max(0, buf.length - 2048));
+  if (!tail.includes('%%EOF') || !buf.includes('startxref', 0, 'latin1')) {
+    throw rejectError('PDF is damaged or incomplete');
+  }
+  if (buf.includes('/Encrypt', 0, 'latin1')) {
+    throw rejectError('Password-protected or encrypted PDFs are not accepted');
+  }
+}
+
+// ---- ZIP -------------------------------------------------------------------
+
+/**
+ * Read the central directory of a ZIP and refuse encrypted, nested, ZIP64
+ * or oversized (once unpacked) archives.
+ * @returns {{ entries: number, uncompressedBytes: number, names: string[] }}
+ */
+function inspectZip(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i -= 1) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw rejectError('Archive is damaged');
+
+  const entries = buf.readUInt16LE(eocd + 10);
+  const cdSize = buf.readUInt32LE(eocd + 12);
+  const cdOffset = buf.readUInt32LE(eocd + 16);
+  if (entries === 0xffff || cdOffset === 0xffffffff) throw rejectError('ZIP64 archives are not accepted');
+  if (cdOffset + cdSize > eocd) throw rejectError('Archive is damaged');
+  if (entries > ZIP_MAX_ENTRIES) throw rejectError(`Archives may hold at most ${ZIP_MAX_ENTRIES} files`);
+
+  const names = [];
+  let uncompressedBytes = 0;
+  let p = cdOffset;
+  for (let n = 0; n < entries; n += 1) {
+    if (p + 46 > eocd || buf.readUInt32LE(p) !== 0x02014b50) throw rejectError('Archive is damaged');
+    const flags = buf.readUInt16LE(p + 8);
+    const compressed = buf.readUInt32LE(p + 20);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLength = buf.readUInt16LE(p + 28);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLength);
+
+    if (flags & 0x1) throw rejectError('Password-protected archives are not accepted');
+    if (size === 0xffffffff || compressed === 0xffffffff) throw rejectError('ZIP64 archives are not accepted');
+    if (NESTED_ARCHIVE.test(name)) throw rejectError('Archives inside archives are not accepted');
+    if (compressed > 0 && size / compressed > ZIP_MAX_RATIO) {
+      throw rejectError('Archive rejected: compression ratio too high (possible archive bomb)');
+    }
+
+    uncompressedBytes += size;
+    if (uncompressedBytes > ZIP_MAX_UNCOMPRESSED_BYTES) {
+      throw rejectError(`Archive rejected: more than ${Math.round(ZIP_MAX_UNCOMPRESSED_BYTES / (1024 * 1024))} MB once unpacked`);
+    }
+    names.push(name);
+    p += 46 + nameLength + buf.readUInt16LE(p + 30) + buf.readUInt16LE(p + 32);
+  }
+  return { entries, uncompressedBytes, names };
+}
+
+// ---- Text ------------------------------------------------------------------
+
+function inspectText(buf, ext) {
+  if (buf.includes(0)) throw rejectError(`File is not a valid .${ext} text file`, 415);
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buf).replace(/^\uFEFF/, '');
+  } catch (err) {
+    throw rejectError(`File is not a valid .${ext} text file`, 415);
+  }
+  if (ext === 'json') {
+    try {
+      JSON.parse(text);
+    } catch (err) {
+      throw rejectError('File is not valid JSON', 415);
+    }
+  }
+  if (ext === 'svg') {
+    if (!/<svg[\s>]/i.test(text)) throw rejectError('File is not a valid SVG image', 415);
+    if (/<script[\s>]|\son[a-z]+\s*=|javascript:|<foreignObject[\s>]/i.test(text)) {
+      throw rejectError('SVG images with scripts are not accepted');
+    }
+  }
+}
+
+// ---- EXIF GPS --------------------------------------------------------------
+
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+/**
+ * Wipe the GPS IFD of the TIFF/EXIF block at buf[start, end) in place.
+ * @returns {boolean} whether GPS data was found
+ */
+function clearExifGps(buf, start, end) {
+  if (end - start < 8) return false;
+  const order = buf.toString('latin1', start, start + 2);
+  if (order !== 'II' && order !== 'MM') return false;
+  const little = order === 'II';
+  const u16 = (o) => (little ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = (o) => (little ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  const inside = (o, len) => o >= start && o + len <= end;
+
+  const ifd0 = start + u32(start + 4);
+  if (!inside(ifd0, 2)) return false;
+  let found = false;
+
+  for (let i = 0, count = u16(ifd0); i < count; i += 1) {
+    const entry = ifd0 + 2 + i * 12;
+    if (!inside(entry, 12)) break;
+    if (u16(entry) !== 0x8825) continue;
+
+    const gps = start + u32(entry + 8);
+    if (!inside(gps, 2)) continue;
+    const gpsCount = u16(gps);
+    for (let j = 0; j < gpsCount; j += 1) {
+      const gpsEntry = gps + 2 + j * 12;
+      if (!inside(gpsEntry, 12)) break;
+      const size = (TIFF_TYPE_SIZES[u16(gpsEntry + 2)] || 1) * u32(gpsEntry + 4);
+      const valueAt = start + u32(gpsEntry + 8);
+      if (size > 4 && inside(valueAt, size)) buf.fill(0, valueAt, valueAt + size);
+    }
+    // An empty GPS directory: no entries, no next directory
+    buf.fill(0, gps, Math.min(end, gps + 2 + gpsCount * 12 + 4));
+    found = true;
+  }
+  return found;
+}
+
+function exifStart(buf, offset) {
+  return buf.toString('latin1', offset, offset + 6) === 'Exif\0\0' ? offset + 6 : offset;
+}
+
+function stripJpegGps(buf) {
+  let found = false;
+  let p = 2;
+  while (p + 4 <= buf.length && buf[p] === 0xff) {
+    const marker = buf[p + 1];
+    if (marker === 0xff) { p += 1; continue; }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { p += 2; continue; }
+    if (marker === 0xda || marker === 0xd9) break; // image data follows: no more metadata
+    const length = buf.readUInt16BE(p + 2);
+    if (marker === 0xe1 && buf.toString('latin1', p + 4, p + 10) === 'Exif\0\0') {
+      found = clearExifGps(buf, p + 10, Math.min(buf.length, p + 2 + length)) || found;
+    }
+    p += 2 + length;
+  }
+  return found;
+}
+
+let crcTable = null;
+function crc32(buf) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let crc = -1;
+  for (let i = 0; i < buf.length; i += 1) crc = crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+function stripPngGps(buf) {
+  let found = false;
+  let p = 8;
+  while (p + 12 <= buf.length) {
+    const length = buf.readUInt32BE(p);
+    const type = buf.toString('latin1', p + 4, p + 8);
+    const dataEnd = p + 8 + length;
+    if (dataEnd + 4 > buf.length) break;
+    if (type === 'eXIf' && clearExifGps(buf, exifStart(buf, p + 8), dataEnd)) {
+      buf.writeUInt32BE(crc32(buf.subarray(p + 4, dataEnd)), dataEnd);
+      found = true;
+    }
+    if (type === 'IEND') break;
+    p = dataEnd + 4;
+  }
+  return found;
+}
+
+function stripWebpGps(buf) {
+  let found = false;
+  let p = 12;
+  while (p + 8 <= buf.length) {
+    const type = buf.toString('latin1', p, p + 4);
+    const size = buf.readUInt32LE(p + 4);
+    const dataEnd = Math.min(buf.length, p + 8 + size);
+    if (type === 'EXIF') found = clearExifGps(buf, exifStart(buf, p + 8), dataEnd) || found;
+    p = p + 8 + size + (size % 2);
+  }
+  return found;
+}
+
+const GPS_STRIPPERS = { jpeg: stripJpegGps, png: stripPngGps, webp: stripWebpGps };
+
+/**
+ * Copy of an image with EXIF GPS coordinates wiped (other metadata kept).
+ * @param {Buffer} buf
+ * @param {string} type - 'jpeg' | 'png' | 'webp' (others are returned as is)
+ * @returns {{ buffer: Buffer, gpsRemoved: boolean }}
+ */
+function stripGps(buf, type) {
+  const strip = GPS_STRIPPERS[type];
+  if (!strip) return { buffer: buf, gpsRemoved: false };
+  const copy = Buffer.from(buf);
+  try {
+    return strip(copy) ? { buffer: copy, gpsRemoved: true } : { buffer: buf, gpsRemoved: false };
+  } catch (err) {
+    // Malformed metadata: there is nothing we can reliably strip
+    return { buffer: buf, gpsRemoved: false };
+  }
+}
+
+// ---- Virus scan ------------------------------------------------------------
+
+/**
+ * Scan with clamd over TCP (INSTREAM). Skipped without CLAMAV_HOST.
+ * @returns {Promise<{ engine: string, result: 'clean'|'infected'|'error'|'skipped', signature?: string, detail?: string }>}
+ */
+function scanFile(buf) {
+  const host = process.env.CLAMAV_HOST;
+  if (!host) return Promise.resolve({ engine: 'clamav', result: 'skipped' });
+
+  return new Promise((resolve) => {
+    let reply = '';
+    let done = false;
+    const socket = net.createConnection({ host, port: Number(process.env.CLAMAV_PORT || 3310) });
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      socket.destroy();
+      resolve({ engine: 'clamav', ...result });
+    };
+
+    socket.setTimeout(Number(process.env.CLAMAV_TIMEOUT_MS || 15000), () => finish({ result: 'error', detail: 'timeout' }));
+    socket.on('error', (err) => finish({ result: 'error', detail: err.message }));
+    socket.on('data', (data) => { reply += data.toString(); });
+    socket.on('end', () => {
+      const answer = reply.replace(/\0/g, '').trim();
+      const infected = answer.match(/^stream: (.+) FOUND$/);
+      if (infected) finish({ result: 'infected', signature: infected[1] });
+      else if (/^stream: OK$/.test(answer)) finish({ result: 'clean' });
+      else finish({ result: 'error', detail: answer || 'no reply' });
+    });
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+      for (let i = 0; i < buf.length; i += CLAMAV_CHUNK) {
+        const chunk = buf.subarray(i, i + CLAMAV_CHUNK);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+        socket.write(length);
+        socket.write(chunk);
+      }
+      socket.write(Buffer.alloc(4)); // end of stream
+    });
+  });
+}
+
+// ---- Entry point -----------------------------------------------------------
+
+function extOf(name) {
+  return path.extname(String(name || '')).slice(1).toLowerCase();
+}
+
+/**
+ * Inspect (and sanitise) an uploaded multer or formidable file in place.
+ * Sets `file.inspection`, replaces the content when GPS data was wiped and
+ * sets `file.mimetype` from the verified type.
+ * @param {Object} file
+ * @returns {Promise<Object>} inspection: { verdict: 'clean'|'sanitized', declaredType,
+ *   detectedType, checks: string[], sanitized: string[], scan, inspectedAt }
+ * @throws 415 when the content does not match the file type, 422 for
+ *   rejected content, 503 when a required scan could not run
+ */
+async function inspectFile(file) {
+  const diskPath = file.buffer ? null : (file.path || file.filepath);
+  let buf = file.buffer || (diskPath ? fs.readFileSync(diskPath) : null);
+  if (!buf) throw rejectError('Uploaded file has no content');
+  if (buf.length === 0) throw rejectError('File is empty');
+
+  const ext = extOf(file.originalname || file.name || file.originalFilename);
+  const detected = detectType(buf);
+  const checks = ['signature'];
+  const sanitized = [];
+
+  if (detected === 'executable') throw rejectError('Executable files are not accepted', 415);
+  if (TEXT_TYPES.includes(ext)) {
+    if (detected) throw rejectError(`File content does not match .${ext}`, 415);
+    inspectText(buf, ext);
+    checks.push('text');
+  } else if (EXPECTED[ext] && EXPECTED[ext] !== detected) {
+    throw rejectError(`File content does not match .${ext}`, 415);
+  }
+
+  if (detected === 'pdf') {
+    inspectPdf(buf);
+    checks.push('pdf-structure');
+  }
+  if (detected === 'zip') {
+    const { names } = inspectZip(buf);
+    if (OFFICE_TYPES.includes(ext) && !names.includes('[Content_Types].xml')) {
+      throw rejectError(`File is not a valid .${ext} document`, 415);
+    }
+    checks.push('archive-limits');
+  }
+  if (GPS_STRIPPERS[detected]) {
+    const stripped = stripGps(buf, detected);
+    checks.push('exif-gps');
+    if (stripped.gpsRemoved) {
+      buf = stripped.buffer;
+      sanitized.push('exif-gps');
+    }
+  }
+
+  const scan = await scanFile(buf);
+  if (scan.result === 'infected') throw rejectError(`File rejected by virus scan (${scan.signature})`);
+  if (scan.result === 'error' && process.env.CLAMAV_REQUIRED === 'true') {
+    throw rejectError('Virus scan unavailable, please try again later', 503);
+  }
+  if (scan.result !== 'skipped') checks.push('virus-scan');
+
+  if (sanitized.length) {
+    if (diskPath) fs.writeFileSync(diskPath, buf);
+    else file.buffer = buf;
+    file.size = buf.length;
+  }
+  if (MIME_TYPES[ext]) file.mimetype = MIME_TYPES[ext];
+
+  file.inspection = {
+    verdict: sanitized.length ? 'sanitized' : 'clean',
+    declaredType: ext || null,
+    detectedType: detected || (TEXT_TYPES.includes(ext) ? 'text' : null),
+    checks,
+    sanitized,
+    scan,
+    inspectedAt: new Date().toISOString(),
+  };
+  return file.inspection;
+}
+
+module.exports = {
+  detectType,
+  inspectZip,
+  stripGps,
+  scanFile,
+  inspectFile,
+};
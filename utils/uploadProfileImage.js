@@ -1,8 +1,12 @@
 // utils/uploadProfileImage.js
-const { uploadFileToGitHub } = require('./githubUpload');
+const fs = require('fs');
+const { getStorage } = require('./storage');
+const { inspectFile } = require('./uploadInspection');
+const { createMaskedUrl } = require('./urlHelper');
 
 /**
- * Uploads a file buffer to GitHub and returns the jsDelivr URL
+ * Stores a profile image (STORAGE_DRIVER, see utils/storage) and returns its
+ * public CDN URL
  * @param {Express.Multer.File} file
  * @param {string} folder
  */
@@ -11,21 +15,21 @@ async function handleProfileImageUpload(file, folder = 'profileImages') {
 
   const originalName = file.originalname || file.name || file.originalFilename || 'image.png';
   const destPath = `${folder}/${Date.now()}-${Math.round(Math.random() * 1e9)}-${originalName}`;
+  if (!file.inspection) await inspectFile(file);
+  const contentType = file.mimetype || file.type;
 
-  // If we have a buffer (Multer), use uploadFileToGitHubBuffer
-  if (file.buffer) {
-    const { uploadFileToGitHubBuffer } = require('./githubUpload');
-    return await uploadFileToGitHubBuffer(file.buffer, destPath);
-  }
-
-  // If we have a path (Formidable), use uploadFileToGitHub
+  // Buffer (Multer) or path on disk (Formidable)
   const localPath = file.filepath || file.path;
-  if (localPath) {
-    const { uploadFileToGitHub } = require('./githubUpload');
-    return await uploadFileToGitHub(localPath, destPath);
-  }
+  let buffer;
+  if (file.buffer) buffer = file.buffer;
+  else if (localPath) buffer = fs.readFileSync(localPath);
+  else throw new Error('Invalid file object: no buffer or path found');
 
-  throw new Error('Invalid file object: no buffer or path found');
+  const storage = getStorage();
+  const { url } = await storage.put(destPath, buffer, { contentType });
+  return createMaskedUrl(url, contentType, {
+    access: 'public', storage: storage.name, key: destPath, filename: originalName,
+  });
 }
 
 module.exports = { handleProfileImageUpload };
@@ -6,46 +6,84 @@ const { v4: uuidv4 } = require('uuid');
 // Prioritize APP_URL, fallback to FRONTEND_URL, remove trailing slash
 const APP_URL = (process.env.APP_URL || process.env.FRONTEND_URL || 'https://fcs.egspgroup.in').replace(/\/$/, '');
 
+// Generated ids are random; a clash is retried this many times before giving up
+const MAX_ID_ATTEMPTS = 5;
+
+/**
+ * Call `create(id)` with fresh ids from `nextId` until one is not taken (409).
+ */
+async function withFreshId(nextId, create) {
+    for (let attempt = 1; ; attempt++) {
+        const id = nextId();
+        try {
+            await create(id);
+            return id;
+        } catch (err) {
+            if (err.status !== 409 || attempt >= MAX_ID_ATTEMPTS) throw err;
+        }
+    }
+}
+
 /**
  * Generate a Masked CDN URL
  * @param {string} targetUrl - The original storage URL (e.g., GitHub raw)
  * @param {string} mimeType - File mime type
+ * @param {Object} [options] - { access: 'private'|'public', storage, key, filename, createdBy, expiresAt } (see Models/Asset)
  * @returns {Promise<string>} - The masked URL (e.g., /cdn/assets/v1/xyz)
  */
-async function createMaskedUrl(targetUrl, mimeType = 'application/octet-stream') {
+async function createMaskedUrl(targetUrl, mimeType = 'application/octet-stream', options = {}) {
     // Generate a random ID: 4 digit number + 3 byte hex string (as requested previously)
-    const randomNum = Math.floor(1000 + Math.random() * 9000);
-    const randomStr = crypto.randomBytes(3).toString('hex');
-    const id = `${randomNum}${randomStr}`;
-
-    await Asset.create({ id, targetUrl, mimeType });
+    const nextId = () => `${Math.floor(1000 + Math.random() * 9000)}${crypto.randomBytes(3).toString('hex')}`;
+    const id = await withFreshId(nextId, (candidate) => Asset.create({ ...options, id: candidate, targetUrl, mimeType }));
 
     return `${APP_URL}/cdn/assets/v1/${id}`;
 }
 
+/**
+ * Asset id of a masked URL, or null
+ * @param {string} url - e.g. https://host/cdn/assets/v1/1234abc
+ */
+function assetIdOf(url) {
+    const match = String(url || '').match(/\/cdn\/assets\/v1\/([^/?#]+)/);
+    return match ? match[1] : null;
+}
+
 /**
  * Generate a Short URL
  * @param {string} originalUrl - The URL to shorten
  * @param {string} alias - Optional custom alias
+ * @param {Object} [options] - { createdBy, expiresAt } (see Models/ShortUrl)
  * @returns {Promise<string>} - The short URL (e.g., /s/abc)
+ * @throws 409 error when the alias is already in use
  */
-async function createShortLink(originalUrl, alias = null) {
+async function createShortLink(originalUrl, alias = null, options = {}) {
+    const create = (id) => ShortUrl.create({ ...options, id, originalUrl });
     let id = alias;
-    if (!id) {
-        // Generate 6 char random code
-        id = crypto.randomBytes(4).toString('hex').slice(0, 6);
+    if (id) {
+        await create(id);
+    } else {
+        // Generate 6 char random code, retried on the rare clash
+        id = await withFreshId(() => crypto.randomBytes(4).toString('hex').slice(0, 6), create);
     }
 
-    // Ensure uniqueness if generating (simple check, recursive if collision - unlikely for this scale)
-    // For now, just create. DynamoDB put will overwrite if ID collides (rare with masked ID, but alias needs check)
-    // If alias is provided, we assumes caller handled collision or we overwrite.
-
-    await ShortUrl.create({ id, originalUrl });
-
     return `${APP_URL}/s/${id}`;
 }
 
+/**
+ * Why an asset or short URL no longer resolves, or null if it does
+ * @param {Object} link - Asset or ShortUrl item
+ * @returns {'inactive'|'expired'|null}
+ */
+function linkUnavailable(link, now = Date.now()) {
+    if (link.active === false) return 'inactive';
+    if (link.expiresAt && new Date(link.expiresAt).getTime() <= now) return 'expired';
+    return null;
+}
+
 module.exports = {
+    APP_URL,
     createMaskedUrl,
-    createShortLink
+    createShortLink,
+    linkUnavailable,
+    assetIdOf
 };
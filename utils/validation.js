@@ -1,18 +1,37 @@
 const Joi = require('joi');
 
+// Input a credit title's formula expects from the submitter (see utils/creditFormula)
+const formulaInput = Joi.object({
+  name: Joi.string().pattern(/^[A-Za-z_][A-Za-z0-9_]*$/).required(),
+  label: Joi.string().max(100).optional(),
+  type: Joi.string().valid('number', 'integer', 'boolean', 'select').default('number'),
+  min: Joi.number().optional(),
+  max: Joi.number().optional(),
+  options: Joi.object().pattern(Joi.string(), Joi.number()).min(1)
+    .when('type', { is: 'select', then: Joi.required(), otherwise: Joi.forbidden() }),
+  required: Joi.boolean().optional(),
+  default: Joi.any().optional()
+});
+
 const schemas = {
   creditTitle: {
     create: Joi.object({
       title: Joi.string().required().min(3).max(100),
       points: Joi.number().required().integer(),
       type: Joi.string().valid('positive', 'negative').default('positive'),
-      description: Joi.string().allow('').optional()
+      description: Joi.string().allow('').optional(),
+      formula: Joi.string().max(500).allow(null, '').optional(),
+      inputs: Joi.array().items(formulaInput).optional(),
+      category: Joi.string().max(50).allow(null, '').optional()
     }),
     update: Joi.object({
       title: Joi.string().min(3).max(100),
       points: Joi.number().integer(),
       type: Joi.string().valid('positive', 'negative'),
-      description: Joi.string().allow('').optional()
+      description: Joi.string().allow('').optional(),
+      formula: Joi.string().max(500).allow(null, ''),
+      inputs: Joi.array().items(formulaInput),
+      category: Joi.string().max(50).allow(null, '')
     })
   },
   issueCredit: {
@@ -29,9 +48,159 @@ const schemas = {
       academicYear: Joi.string().required(),
       notes: Joi.string().optional(),
       points: Joi.number().optional(), // sometimes overridden
-      title: Joi.string().optional()
+      title: Joi.string().optional(),
+      inputs: Joi.alternatives().try(Joi.object(), Joi.string()).optional() // formula titles
     })
   },
+  approvalWorkflow: {
+    create: Joi.object({
+      name: Joi.string().max(100).optional(),
+      college: Joi.string().allow(null, '').optional(),
+      department: Joi.string().allow(null, '').optional(),
+      creditTitle: Joi.string().allow(null, '').optional(),
+      stages: Joi.array().items(Joi.string().valid('hod', 'principal', 'iqac')).unique().min(1).required(),
+      isActive: Joi.boolean().optional()
+    }),
+    update: Joi.object({
+      name: Joi.string().max(100),
+      college: Joi.string().allow(null, ''),
+      department: Joi.string().allow(null, ''),
+      creditTitle: Joi.string().allow(null, ''),
+      stages: Joi.array().items(Joi.string().valid('hod', 'principal', 'iqac')).unique().min(1),
+      isActive: Joi.boolean(),
+      version: Joi.number().integer().min(0)
+    }).min(1)
+  },
+  creditCap: {
+    create: Joi.object({
+      scope: Joi.string().valid('title', 'category', 'year').required(),
+      creditTitle: Joi.string().when('scope', { is: 'title', then: Joi.required(), otherwise: Joi.forbidden() }),
+      category: Joi.string().max(50).when('scope', { is: 'category', then: Joi.required(), otherwise: Joi.forbidden() }),
+      academicYear: Joi.string().allow(null, '').optional(),
+      maxPoints: Joi.number().when('scope', { is: 'year', then: Joi.optional(), otherwise: Joi.number().min(0).required() }),
+      minPoints: Joi.number().when('scope', { is: 'year', then: Joi.optional(), otherwise: Joi.forbidden() }),
+      isActive: Joi.boolean().optional()
+    }).when(Joi.object({ scope: Joi.valid('year') }).unknown(), { then: Joi.object().or('maxPoints', 'minPoints') }),
+    update: Joi.object({
+      academicYear: Joi.string().allow(null, ''),
+      maxPoints: Joi.number().allow(null),
+      minPoints: Joi.number().allow(null),
+      isActive: Joi.boolean(),
+      version: Joi.number().integer().min(0)
+    }).min(1)
+  },
+  academicYear: {
+    create: Joi.object({
+      label: Joi.string().pattern(/^\d{4}-\d{4}$/).required().messages({ 'string.pattern.base': 'label must look like 2024-2025' }),
+      startDate: Joi.date().iso().raw().required(),
+      endDate: Joi.date().iso().min(Joi.ref('startDate')).raw().required(),
+      submissionDeadline: Joi.date().iso().raw().allow(null).optional(),
+      appealDeadline: Joi.date().iso().raw().allow(null).optional(),
+      state: Joi.string().valid('open', 'locked', 'archived').optional()
+    }),
+    update: Joi.object({
+      startDate: Joi.date().iso().raw(),
+      endDate: Joi.date().iso().raw(),
+      submissionDeadline: Joi.date().iso().raw().allow(null),
+      appealDeadline: Joi.date().iso().raw().allow(null),
+      state: Joi.string().valid('open', 'locked', 'archived'),
+      version: Joi.number().integer().min(0),
+      reason: Joi.string().max(500)
+    }).min(1)
+  },
+  bulkCreditStatus: Joi.object({
+    status: Joi.string().valid('approved', 'rejected').required(),
+    notes: Joi.string().max(1000).allow('').optional(), // default for items without their own
+    ids: Joi.array().items(Joi.string()).min(1).max(200).unique(),
+    items: Joi.array().items(Joi.object({
+      id: Joi.string().required(),
+      notes: Joi.string().max(1000).allow('').optional(),
+      version: Joi.number().integer().min(0).optional()
+    })).min(1).max(200).unique('id')
+  }).xor('ids', 'items'),
+  simulation: Joi.object({
+    changes: Joi.array().max(50).items(Joi.object({
+      action: Joi.string().valid('approve', 'reject', 'acceptAppeal', 'rejectAppeal', 'add').required(),
+      creditId: Joi.string().when('action', { is: 'add', then: Joi.forbidden(), otherwise: Joi.required() }),
+      // action 'add': a hypothetical credit of this title
+      creditTitle: Joi.string().when('action', { is: 'add', then: Joi.required(), otherwise: Joi.forbidden() }),
+      academicYear: Joi.string().when('action', { is: 'add', then: Joi.optional(), otherwise: Joi.forbidden() }),
+      points: Joi.number().when('action', { is: 'add', then: Joi.optional(), otherwise: Joi.forbidden() }),
+      inputs: Joi.alternatives().try(Joi.object(), Joi.string())
+        .when('action', { is: 'add', then: Joi.optional(), otherwise: Joi.forbidden() })
+    })).required()
+  }),
+  // One row of a bulk user import (see utils/bulkUserImport); cells arrive as strings
+  userImport: {
+    create: Joi.object({
+      name: Joi.string().max(100).required(),
+      email: Joi.string().email().lowercase().required(),
+      facultyID: Joi.string().max(50).optional(),
+      college: Joi.string().required(),
+      department: Joi.string().allow('').optional(),
+      designation: Joi.string().allow('').optional(),
+      roleCategory: Joi.string().allow('').optional(),
+      prefix: Joi.string().max(10).optional(),
+      role: Joi.string().valid('admin', 'faculty', 'oa').default('faculty'),
+      phone: Joi.string().pattern(/^\d{10}$/).message('phone must be exactly 10 digits').optional(),
+      whatsappNumber: Joi.string().pattern(/^\d{10}$/).message('whatsappNumber must be exactly 10 digits').optional(),
+      password: Joi.string().min(6).required(),
+      isActive: Joi.boolean().optional()
+    }),
+    update: Joi.object({
+      name: Joi.string().max(100),
+      email: Joi.string().email().lowercase(),
+      facultyID: Joi.string().max(50),
+      college: Joi.string(),
+      department: Joi.string().allow(''),
+      designation: Joi.string().allow(''),
+      roleCategory: Joi.string().allow(''),
+      prefix: Joi.string().max(10),
+      role: Joi.string().valid('admin', 'faculty', 'oa'),
+      phone: Joi.string().pattern(/^\d{10}$/).message('phone must be exactly 10 digits'),
+      whatsappNumber: Joi.string().pattern(/^\d{10}$/).message('whatsappNumber must be exactly 10 digits'),
+      password: Joi.string().min(6), // ignored for existing users
+      isActive: Joi.boolean()
+    }).or('email', 'facultyID')
+  },
+  shortUrl: {
+    create: Joi.object({
+      url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+      alias: Joi.string().pattern(/^[A-Za-z0-9_-]{3,64}$/).optional()
+        .messages({ 'string.pattern.base': 'alias must be 3-64 letters, digits, - or _' }),
+      expiresAt: Joi.date().iso().greater('now').raw().optional(),
+      owner: Joi.string().optional()
+    }),
+    update: Joi.object({
+      url: Joi.string().uri({ scheme: ['http', 'https'] }),
+      expiresAt: Joi.date().iso().raw().allow(null),
+      active: Joi.boolean(),
+      owner: Joi.string(),
+      version: Joi.number().integer().min(0)
+    }).min(1)
+  },
+  asset: {
+    create: Joi.object({
+      id: Joi.string().pattern(/^[A-Za-z0-9_-]{3,64}$/).optional()
+        .messages({ 'string.pattern.base': 'id must be 3-64 letters, digits, - or _' }),
+      targetUrl: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+      mimeType: Joi.string().max(100).optional(),
+      access: Joi.string().valid('public', 'private').optional(),
+      filename: Joi.string().max(200).optional(),
+      expiresAt: Joi.date().iso().greater('now').raw().optional(),
+      owner: Joi.string().optional()
+    }),
+    update: Joi.object({
+      targetUrl: Joi.string().uri({ scheme: ['http', 'https'] }),
+      mimeType: Joi.string().max(100),
+      access: Joi.string().valid('public', 'private'),
+      filename: Joi.string().max(200).allow(null),
+      expiresAt: Joi.date().iso().raw().allow(null),
+      active: Joi.boolean(),
+      owner: Joi.string(),
+      version: Joi.number().integer().min(0)
+    }).min(1)
+  },
   auth: {
     register: Joi.object({
       name: Joi.string().required(),
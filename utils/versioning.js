@@ -0,0 +1,132 @@
+// utils/versioning.js
+'use strict';
+
+const { GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { badRequest } = require('./pagination');
+
+/**
+ * Items written before versioning existed have no `version`; they count as 0.
+ */
+function versionOf(item) {
+  return (item && Number(item.version)) || 0;
+}
+
+/**
+ * Build the 409 raised when an update lost the race. `current` is the item as
+ * it is stored now, so the client can show it and retry with its version.
+ */
+function conflictError(current) {
+  const err = new Error('This record was modified by someone else. Reload it and try again.');
+  err.status = 409;
+  err.current = current;
+  return err;
+}
+
+/**
+ * Read the version a client based its edit on: `If-Match` header (plain or
+ * quoted, weak validators allowed) or `version` in the body.
+ * @param {Object} req - express request
+ * @returns {number|undefined} - undefined when the client sent none
+ * @throws 400 error for a non-numeric version
+ */
+function readExpectedVersion(req) {
+  const header = req.get ? req.get('If-Match') : undefined;
+  const raw = header !== undefined
+    ? String(header).trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1')
+    : (req.body || {}).version;
+
+  if (raw === undefined || raw === null || raw === '' || raw === '*') return undefined;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 0) throw badRequest('Invalid version');
+  return n;
+}
+
+/**
+ * Compare the client's version with the item just read.
+ * @param {Object} item - item as read by the controller
+ * @param {number|undefined} expectedVersion - from readExpectedVersion
+ * @returns {number} - the item's version, to pass on as `expectedVersion`
+ *   so the write also fails if the item changes after this read
+ * @throws 409 error when the client edited an older version
+ */
+function checkVersion(item, expectedVersion) {
+  const current = versionOf(item);
+  if (expectedVersion !== undefined && expectedVersion !== current) throw conflictError(item);
+  return current;
+}
+
+/**
+ * SET the given fields and bump `version`, conditionally on the item
+ * existing and, when `expectedVersion` is given, on it still being at that
+ * version.
+ * @param {Object} client - DynamoDB document client
+ * @param {string} table - table name
+ * @param {string} id - item _id
+ * @param {Object} data - fields to SET (`_id`/`version` and undefined values are ignored)
+ * @param {Object} [options]
+ * @param {number} [options.expectedVersion] - version the caller read
+ * @param {string[]} [options.remove] - attributes to REMOVE (e.g. sparse GSI keys,
+ *   which cannot be set to null)
+ * @returns {Promise<{ before: Object, after: Object }>} - the item before and after the update
+ * @throws 409 error (with `current`) on a version mismatch, 404 if the item is gone
+ */
+async function versionedUpdate(client, table, id, data, { expectedVersion, remove = [] } = {}) {
+  const fields = Object.keys(data).filter((k) => k !== '_id' && k !== 'version' && data[k] !== undefined);
+  const removed = remove.filter((k) => !fields.includes(k));
+
+  const updates = fields.map((k) => `#${k} = :${k}`);
+  updates.push('#version = if_not_exists(#version, :_vZero) + :_vOne');
+
+  const expNames = Object.fromEntries([...fields, ...removed].map((k) => [`#${k}`, k]));
+  expNames['#_id'] = '_id';
+  expNames['#version'] = 'version';
+  const expValues = Object.fromEntries(fields.map((k) => [`:${k}`, data[k]]));
+  expValues[':_vZero'] = 0;
+  expValues[':_vOne'] = 1;
+
+  const conditions = ['attribute_exists(#_id)'];
+  if (expectedVersion !== undefined) {
+    if (expectedVersion === 0) {
+      conditions.push('attribute_not_exists(#version)');
+    } else {
+      conditions.push('#version = :_vExpected');
+      expValues[':_vExpected'] = expectedVersion;
+    }
+  }
+
+  try {
+    const res = await client.send(new UpdateCommand({
+      TableName: table,
+      Key: { _id: id },
+      UpdateExpression: `SET ${updates.join(', ')}` +
+        (removed.length > 0 ? ` REMOVE ${removed.map((k) => `#${k}`).join(', ')}` : ''),
+      ConditionExpression: conditions.join(' AND '),
+      ExpressionAttributeNames: expNames,
+      ExpressionAttributeValues: expValues,
+      ReturnValues: 'ALL_OLD',
+    }));
+    const before = (res && res.Attributes) || null;
+    const set = Object.fromEntries(fields.map((k) => [k, data[k]]));
+    const after = { ...(before || { _id: id }), ...set, version: versionOf(before) + 1 };
+    removed.forEach((k) => delete after[k]);
+    return { before, after };
+  } catch (err) {
+    if (err.name !== 'ConditionalCheckFailedException') throw err;
+
+    const { Item } = await client.send(new GetCommand({ TableName: table, Key: { _id: id } }));
+    if (!Item) {
+      const notFound = new Error('Record not found');
+      notFound.status = 404;
+      throw notFound;
+    }
+    throw conflictError(Item);
+  }
+}
+
+module.exports = {
+  versionOf,
+  conflictError,
+  readExpectedVersion,
+  checkVersion,
+  versionedUpdate,
+};
@@ -0,0 +1,79 @@
+// utils/yearSnapshots.js
+'use strict';
+
+const AcademicYear = require('../Models/AcademicYear');
+const CreditSnapshot = require('../Models/CreditSnapshot');
+const User = require('../Models/User');
+const { recalcFacultyCredits } = require('./calculateCredits');
+const { createThrottledQueue } = require('./throttledQueue');
+
+/**
+ * Faculty totals frozen for a locked academic year (Models/CreditSnapshot).
+ * Recalculating every faculty takes far longer than a request should, so a
+ * rollover only queues the run; it happens in this process, one year at a
+ * time, and its outcome is stored on the year: `snapshotStatus`
+ * ('queued' | 'running' | 'done' | 'partial' | 'failed'), `snapshotCount`,
+ * `snapshotFailed` and `snapshotsAt`. Queued runs are lost on a restart;
+ * re-run them (or run them on serverless deployments) with
+ * `npm run year-snapshots -- <label>`.
+ */
+
+const queue = createThrottledQueue({ intervalMs: 0, name: 'yearSnapshots' });
+
+/**
+ * Recalculate every faculty and store their totals for `cycle`.
+ * @param {Object} cycle - AcademicYear item
+ * @returns {Promise<{ snapshots: number, failed: Array<{ facultyId, error }> }>}
+ */
+async function snapshotAcademicYear(cycle) {
+  await AcademicYear.update(cycle._id, { snapshotStatus: 'running', updatedAt: new Date().toISOString() });
+
+  try {
+    const faculty = await User.find({ role: 'faculty' });
+    const failed = [];
+    let snapshots = 0;
+    for (const f of faculty) {
+      try {
+        const metrics = await recalcFacultyCredits(f._id);
+        await CreditSnapshot.put({
+          academicYear: cycle.label,
+          faculty: String(f._id),
+          facultySnapshot: { name: f.name, facultyID: f.facultyID, college: f.college, department: f.department },
+          positive: metrics.positiveByYear[cycle.label] || 0,
+          negative: metrics.negativeByYear[cycle.label] || 0,
+          net: metrics.netByYear[cycle.label] || 0,
+          runningTotal: metrics.runningTotal,
+        });
+        snapshots++;
+      } catch (e) {
+        console.error('Rollover snapshot failed', { facultyId: f._id, err: e && e.message });
+        failed.push({ facultyId: String(f._id), error: e.message });
+      }
+    }
+
+    await AcademicYear.update(cycle._id, {
+      snapshotStatus: failed.length ? 'partial' : 'done',
+      snapshotCount: snapshots,
+      snapshotFailed: failed,
+      snapshotsAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+    return { snapshots, failed };
+  } catch (err) {
+    await AcademicYear.update(cycle._id, { snapshotStatus: 'failed', updatedAt: new Date().toISOString() }).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Run snapshotAcademicYear after the current request.
+ * @returns {Promise<{ ok: boolean, value?, error? }>} - never rejects
+ */
+function queueYearSnapshots(cycle) {
+  return queue.push(() => snapshotAcademicYear(cycle));
+}
+
+module.exports = {
+  snapshotAcademicYear,
+  queueYearSnapshots,
+};